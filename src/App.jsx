@@ -3,38 +3,89 @@ import {
   Routes,
   Route,
   Navigate,
+  useLocation,
 } from "react-router-dom";
+import { useEffect } from "react";
+import { keepSessionAlive, SESSION_END_REASONS } from "./services/session";
+import { API_CONFIG } from "./config/apiConfig";
+import { api } from "./services/api";
+import { setGradingSettings } from "./utils/gradingSchemes";
 import ErrorBoundary from "./components/ErrorBoundary";
-import LoginPage from "./pages/auth/LoginPage";
-import SignupPage from "./pages/auth/SignupPage";
-import DashboardPage from "./pages/DashboardPage";
-import KategoriPage from "./pages/management/KategoriPage";
-import TingkatanPage from "./pages/management/TingkatanPage";
-import PendidikanPage from "./pages/management/PendidikanPage";
-import KelasPage from "./pages/management/KelasPage";
-import MyClassesPage from "./pages/teacher/MyClassesPage";
-import DetailKelas from "./pages/teacher/DetailKelas";
-import JoinKelasPage from "./pages/student/JoinKelasPage";
-import KuisPage from "./pages/KuisPage";
-import ManageSoalPage from "./pages/teacher/ManageSoalPage";
-import AmbilKuisPage from "./pages/student/AmbilKuisPage";
-import JawabKuisPage from "./pages/quiz/JawabKuisPage";
-import HasilKuisPage from "./pages/student/HasilKuisPage";
-import DetailHasilKuisPage from "./pages/student/DetailHasilKuisPage";
-import ProfilPage from "./pages/ProfilPage";
-import SoalManagementPage from "./pages/admin/SoalManagementPage";
-import KuisManagementPage from "./pages/admin/KuisManagementPage";
-import AnalyticsPage from "./pages/admin/AnalyticsPage";
-import RecommendationPage from "./pages/admin/RecommendationPage";
-import LeaderboardPage from "./pages/student/LeaderboardPage";
-import AchievementsPage from "./pages/student/AchievementsPage";
-import StudyPlannerPage from "./pages/student/StudyPlannerPage";
+import Loading from "./components/common/Loading";
+import { useAuth } from "./hooks/useAuth";
 import LayoutWrapper from "./components/LayoutWrapper";
+import RouteGuard from "./components/RouteGuard";
+import { isPublicRoute } from "./utils/roleUtils";
+import { APP_ROUTES } from "./config/routes";
 
-
+// Signed-out users go to login, which returns them to this page unless they logged out themselves
 const PrivateRoute = ({ children }) => {
-  const token = localStorage.getItem("token");
-  return token ? children : <Navigate to="/login" replace />;
+  const location = useLocation();
+  const { isAuthenticated, loading, endReason } = useAuth();
+
+  if (loading) {
+    return <Loading fullScreen />;
+  }
+  if (!isAuthenticated) {
+    const state = endReason === SESSION_END_REASONS.LOGOUT ? undefined : { from: location, reason: endReason };
+    return <Navigate to="/login" replace state={state} />;
+  }
+  return children;
+};
+
+// Private pages open in the layout once signed in, and only for the roles their permission allows
+const renderRoute = (path, page) => {
+  if (isPublicRoute(path)) return page;
+  return (
+    <PrivateRoute>
+      <LayoutWrapper>
+        <RouteGuard path={path}>{page}</RouteGuard>
+      </LayoutWrapper>
+    </PrivateRoute>
+  );
+};
+
+// Refresh the token silently before it expires and end the session once it has
+const SessionKeeper = () => {
+  const { isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const check = () => keepSessionAlive();
+    check();
+    const interval = setInterval(check, API_CONFIG.SESSION.CHECK_INTERVAL);
+    window.addEventListener("online", check);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("online", check);
+    };
+  }, [isAuthenticated]);
+
+  return null;
+};
+
+// Refresh the cached grading schemes once per session so grades resolve with the admin's settings
+const GradingSettingsLoader = () => {
+  const { isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    api.getGradingSettings()
+      .then((response) => {
+        if (response.success && response.data) {
+          setGradingSettings(response.data);
+        }
+      })
+      .catch((error) => {
+        if (import.meta.env.DEV) {
+          console.warn("Grading settings unavailable, using cached copy:", error.message);
+        }
+      });
+  }, [isAuthenticated]);
+
+  return null;
 };
 
 const App = () => {
@@ -46,230 +97,13 @@ const App = () => {
           v7_relativeSplatPath: true,
         }}
       >
+        <SessionKeeper />
+        <GradingSettingsLoader />
         <Routes>
-        <Route path="/login" element={<LoginPage />} />
-        <Route path="/register" element={<SignupPage />} />
-        <Route
-          path="/dashboard"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <DashboardPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/daftar-kategori"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <KategoriPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/daftar-tingkatan"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <TingkatanPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/daftar-pendidikan"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <PendidikanPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/daftar-kelas"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <KelasPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/my-classes"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <MyClassesPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/kelas/:id"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <DetailKelas />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/join-kelas"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <JoinKelasPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/daftar-kuis"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <KuisPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/kuis/:kuisId/manage-soal"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <ManageSoalPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/ambil-kuis"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <AmbilKuisPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/kuis/:kuisId/jawab"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <JawabKuisPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/hasil-kuis"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <HasilKuisPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/hasil-kuis/:kuisId/detail"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <DetailHasilKuisPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/profil"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <ProfilPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/admin/manage-soal"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <SoalManagementPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/admin/manage-kuis"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <KuisManagementPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-
-        <Route
-          path="/analytics"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <AnalyticsPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/recommendations"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <RecommendationPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/leaderboard"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <LeaderboardPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/achievements"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <AchievementsPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
-        <Route
-          path="/study-planner"
-          element={
-            <PrivateRoute>
-              <LayoutWrapper>
-                <StudyPlannerPage />
-              </LayoutWrapper>
-            </PrivateRoute>
-          }
-        />
+        {APP_ROUTES.map((route) => {
+          const Page = route.page;
+          return <Route key={route.path} path={route.path} element={renderRoute(route.path, <Page />)} />;
+        })}
 
         <Route path="/" element={<Navigate to="/login" />} />
 
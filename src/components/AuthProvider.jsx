@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { AuthContext, toAuthUser } from '../context/AuthContext';
+import {
+  authReady,
+  clearAuthState,
+  getAuthState,
+  hasAuthSession,
+  setAuthState,
+  subscribeToAuth
+} from '../services/authStorage';
+import { SESSION_END_REASONS, verifySessionRole } from '../services/session';
+import { toExpiryTimestamp } from '../utils/token';
+
+/**
+ * Single source of auth state for components
+ * Mirrors the auth store, so logins, token refreshes and logouts from other
+ * tabs or from the session service re-render the app.
+ */
+const AuthProvider = ({ children }) => {
+  const [auth, setAuth] = useState(() => getAuthState());
+  const [endReason, setEndReason] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // Role confirmed by the backend for the current token, route guards use it
+  const [verified, setVerified] = useState({ key: null, role: null });
+
+  useEffect(() => {
+    let active = true;
+    const unsubscribe = subscribeToAuth((state, { reason } = {}) => {
+      setAuth(state);
+      setEndReason(state ? null : reason || null);
+      if (!state) setVerified({ key: null, role: null });
+    });
+
+    // Another tab may still be sharing its session
+    authReady.then(() => {
+      if (!active) return;
+      setAuth(getAuthState());
+      setLoading(false);
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  // Verified once per account; a refreshed token keeps the role, so open pages stay mounted
+  const sessionKey = auth && hasAuthSession() ? String(auth.userId) : null;
+
+  useEffect(() => {
+    if (loading || !sessionKey) return undefined;
+
+    let active = true;
+    // Unverified (e.g. offline) denies guarded pages until the backend answers;
+    // a failed retry keeps the role the backend last confirmed for this account
+    const verify = () => verifySessionRole().then((role) => {
+      if (!active) return;
+      setVerified((previous) => ({
+        key: sessionKey,
+        role: role ?? (previous.key === sessionKey ? previous.role : null)
+      }));
+    });
+
+    verify();
+    window.addEventListener('online', verify);
+    return () => {
+      active = false;
+      window.removeEventListener('online', verify);
+    };
+  }, [loading, sessionKey]);
+
+  // expiresAt is the session expiry when the login response names one
+  const login = useCallback((userData, token, expiresAt = null) => {
+    setAuthState({
+      token,
+      expiresAt: toExpiryTimestamp(expiresAt),
+      userId: userData.id || userData.userId,
+      userName: userData.name || userData.userName,
+      userRole: userData.role || userData.userRole
+    });
+  }, []);
+
+  const logout = useCallback(() => {
+    clearAuthState(SESSION_END_REASONS.LOGOUT);
+  }, []);
+
+  const value = useMemo(() => {
+    const user = toAuthUser(auth);
+    const roleVerified = sessionKey !== null && verified.key === sessionKey;
+    return {
+      user,
+      userId: user?.userId ?? null,
+      userName: user?.userName ?? 'User',
+      userRole: user?.userRole ?? 'student',
+      isAuthenticated: Boolean(auth) && hasAuthSession(),
+      verifiedRole: roleVerified ? verified.role : null,
+      roleVerified,
+      loading,
+      endReason,
+      login,
+      logout
+    };
+  }, [auth, sessionKey, verified, loading, endReason, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
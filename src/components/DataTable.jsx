@@ -1,11 +1,10 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { useApiCache } from "../hooks/useApiCache";
-import { api } from "../services/api";
+import { useAuth } from "../hooks/useAuth";
 
 const DataTable = ({
   title,
-  endpoint,
+  fetchItems,
   fields,
   onAdd,
   onEdit,
@@ -23,81 +22,32 @@ const DataTable = ({
   const [isLoading, setIsLoading] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
 
-  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-  const fetchData = async (retryCount = 0) => {
+  const fetchData = async () => {
     try {
       setIsLoading(true);
-      const token = localStorage.getItem("token");
-      if (!token) {
+      if (!isAuthenticated) {
         navigate("/login");
         return;
       }
 
-      console.log("Fetching data from:", endpoint);
-      const response = await fetch(endpoint, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${token}`,
-        },
-        credentials: 'include',
-      });
-
-      console.log("Response status:", response.status);
-      console.log("Response headers:", response.headers);
-
-      // Cek content type
-      const contentType = response.headers.get("content-type");
-      console.log("Content-Type:", contentType);
-
-      if (!contentType || !contentType.includes("application/json")) {
-        console.error("Invalid content type:", contentType);
-        console.log("🚨 DataTable: Non-JSON response detected");
-        // Don't auto logout - just throw error
-        throw new Error("Terjadi kesalahan pada server");
-      }
+      const responseData = await fetchItems();
 
-      const responseData = await response.json();
-      console.log("Data yang diterima:", responseData);
-
-      if (response.ok) {
-        if (responseData.success && responseData.data) {
-          const transformedData = transformData(responseData.data);
-          console.log("Data setelah transformasi:", transformedData);
-          setData(transformedData);
-          setError("");
-        } else {
-          console.error("Format data tidak valid:", responseData);
-          setError(
-            "Format data tidak valid: " +
-              (responseData.message || "Tidak ada pesan error")
-          );
-        }
+      if (responseData.success && responseData.data) {
+        setData(transformData(responseData.data));
+        setError("");
       } else {
-        // Don't auto logout on 401 - just show error
-        if (response.status === 401) {
-          setError("Sesi Anda telah berakhir. Silakan login kembali.");
-        } else {
-          if (retryCount < 3) {
-            console.log(`Retry attempt ${retryCount + 1} of 3`);
-            await delay(1000); // Tunggu 1 detik sebelum retry
-            return fetchData(retryCount + 1);
-          } else {
-            setError(
-              responseData.message ||
-                "Gagal mengambil data setelah beberapa percobaan"
-            );
-          }
-        }
+        console.error("Format data tidak valid:", responseData);
+        setError(
+          "Format data tidak valid: " +
+            (responseData.message || "Tidak ada pesan error")
+        );
       }
     } catch (err) {
       console.error("Error fetching data:", err);
-      if (retryCount < 3) {
-        console.log(`Retry attempt ${retryCount + 1} of 3`);
-        await delay(1000); // Tunggu 1 detik sebelum retry
-        return fetchData(retryCount + 1);
+      if (err.status === 401) {
+        setError("Sesi Anda telah berakhir. Silakan login kembali.");
       } else {
         setError(err.message || "Terjadi kesalahan saat mengambil data");
       }
@@ -1,7 +1,5 @@
 import React, { useState } from 'react';
-
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
+import { api } from '../services/api';
 
 const JoinClassModal = ({ isOpen, onClose, onSuccess }) => {
   const [joinCode, setJoinCode] = useState('');
@@ -19,22 +17,9 @@ const JoinClassModal = ({ isOpen, onClose, onSuccess }) => {
     setError('');
 
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/kelas/join-by-code`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-        body: JSON.stringify({
-          join_code: joinCode.toUpperCase().trim()
-        }),
-      });
-
-      const data = await response.json();
+      const data = await api.joinClassWithCode(joinCode.toUpperCase().trim());
 
-      if (response.ok && data.success) {
+      if (data.success) {
         onSuccess(data.data);
         setJoinCode('');
         onClose();
@@ -43,7 +28,7 @@ const JoinClassModal = ({ isOpen, onClose, onSuccess }) => {
       }
     } catch (error) {
       console.error('Error joining class:', error);
-      setError('Terjadi kesalahan saat bergabung dengan kelas');
+      setError(error.message || 'Terjadi kesalahan saat bergabung dengan kelas');
     } finally {
       setLoading(false);
     }
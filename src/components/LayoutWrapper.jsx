@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import SideNavbar from './SideNavbar';
+import RejectedSubmissionsNotice from './quiz/RejectedSubmissionsNotice';
 
 const LayoutWrapper = ({ children }) => {
   const [sidebarState, setSidebarState] = useState({
@@ -30,6 +31,7 @@ const LayoutWrapper = ({ children }) => {
       <SideNavbar onSidebarToggle={handleSidebarToggle} />
       
       <main className={getMainContentClass()}>
+        <RejectedSubmissionsNotice />
         {children}
       </main>
     </div>
@@ -0,0 +1,29 @@
+import React from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { canAccessRoute, getRoutePermission, isOpenToAllRoles } from '../utils/roleUtils';
+import Loading from './common/Loading';
+import ForbiddenPage from '../pages/ForbiddenPage';
+
+/**
+ * Route Guard Component - renders the page only for roles the permission table allows
+ * Checks the role the backend verified for the session, never the stored one.
+ * @param {string} path - Route path as declared in App.jsx
+ */
+const RouteGuard = ({ path, children }) => {
+  const { verifiedRole, roleVerified } = useAuth();
+
+  // Nothing to verify, e.g. a quiz taken while the backend is unreachable
+  if (isOpenToAllRoles(path)) {
+    return children;
+  }
+  if (!roleVerified) {
+    return <Loading fullScreen message="Memeriksa hak akses..." />;
+  }
+  if (!canAccessRoute(path, verifiedRole)) {
+    const permission = getRoutePermission(path);
+    return <ForbiddenPage allowedRoles={Array.isArray(permission) ? permission : []} role={verifiedRole} />;
+  }
+  return children;
+};
+
+export default RouteGuard;
@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth, useRole } from '../hooks/useAuth';
+import { api } from '../services/api';
 
 const SideNavbar = ({ onSidebarToggle }) => {
   const location = useLocation();
@@ -26,26 +27,13 @@ const SideNavbar = ({ onSidebarToggle }) => {
   }, [isCollapsed, isMobileMenuOpen, onSidebarToggle]);
   
   // Get user info from useAuth hook
-  const { user, logout: authLogout } = useAuth();
+  const { userName, logout: authLogout } = useAuth();
   const { userRole } = useRole();
 
-  const userName = user?.userName || localStorage.getItem('userName') || 'User';
-
   const handleLogout = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const BASE_URL = import.meta.env.VITE_API_URL ||
-        (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
-
       // Call logout endpoint
-      await fetch(`${BASE_URL}/user/logout`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
+      await api.logout();
     } catch (error) {
       console.error('Error during logout:', error);
     } finally {
@@ -175,6 +163,16 @@ const SideNavbar = ({ onSidebarToggle }) => {
         ),
         roles: ['teacher', 'admin']
       },
+      {
+        name: "Bank Soal",
+        path: "/admin/manage-soal",
+        icon: (
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
+          </svg>
+        ),
+        roles: ['teacher', 'admin']
+      },
       // Admin only items
       {
         name: "Kategori",
@@ -206,6 +204,16 @@ const SideNavbar = ({ onSidebarToggle }) => {
         ),
         roles: ['admin']
       },
+      {
+        name: "Skema Penilaian",
+        path: "/admin/grading-schemes",
+        icon: (
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+          </svg>
+        ),
+        roles: ['admin']
+      },
       // Student specific items
       {
         name: "Join Kelas",
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, EXPORT_FORMAT_LABELS } from '../../utils/resultExport';
+
+/**
+ * Format select + export button, the caller builds and exports the report
+ */
+const ExportButton = ({
+  onExport,
+  label = 'Ekspor',
+  disabled = false,
+  className = ''
+}) => {
+  const [format, setFormat] = useState(EXPORT_FORMATS.XLSX);
+
+  const handleClick = () => {
+    try {
+      onExport(format);
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      alert(error.message || 'Gagal mengekspor hasil');
+    }
+  };
+
+  return (
+    <div className={`flex items-center bg-white/60 backdrop-blur-sm rounded-xl shadow-lg ${className}`}>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="bg-transparent pl-4 pr-2 py-3 text-sm font-medium text-slate-700 rounded-l-xl focus:outline-none"
+        title="Format ekspor"
+      >
+        {Object.values(EXPORT_FORMATS).map(value => (
+          <option key={value} value={value}>{EXPORT_FORMAT_LABELS[value]}</option>
+        ))}
+      </select>
+      <button
+        onClick={handleClick}
+        disabled={disabled}
+        className="px-4 py-3 text-sm font-semibold text-blue-600 hover:text-blue-800 border-l border-slate-200 disabled:opacity-50 whitespace-nowrap"
+      >
+        {label}
+      </button>
+    </div>
+  );
+};
+
+export default ExportButton;
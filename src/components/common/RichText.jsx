@@ -0,0 +1,124 @@
+import React, { useMemo } from 'react';
+import { parseRichText } from '../../utils/richText';
+import { texToMathml } from '../../utils/mathMarkup';
+import { highlightCode } from '../../utils/codeHighlight';
+
+const HEADING_CLASSES = ['text-2xl', 'text-xl', 'text-lg', 'text-base', 'text-base', 'text-base'];
+
+const TOKEN_CLASSES = {
+  keyword: 'text-purple-300 font-semibold',
+  string: 'text-emerald-300',
+  comment: 'text-slate-400 italic',
+  number: 'text-amber-300',
+};
+
+const renderMathNode = (node, key) => {
+  if (!node) return null;
+  const { tag, text, attrs, children = [] } = node;
+  return React.createElement(tag, { key, ...attrs }, text ?? children.map(renderMathNode));
+};
+
+const renderMath = (tex, display, key) => (
+  <span key={key} className={display ? 'block my-2 overflow-x-auto' : 'inline-block'}>
+    {renderMathNode(texToMathml(tex, { display }))}
+  </span>
+);
+
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'text':
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    case 'break':
+      return <br key={index} />;
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'del':
+      return <del key={index}>{renderInline(node.children)}</del>;
+    case 'inlineCode':
+      return (
+        <code key={index} className="px-1.5 py-0.5 rounded bg-slate-100 text-pink-700 font-mono text-[0.9em]">
+          {node.text}
+        </code>
+      );
+    case 'math':
+      return renderMath(node.tex, node.display, index);
+    case 'link':
+      return (
+        <a key={index} href={node.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline hover:text-blue-800">
+          {renderInline(node.children)}
+        </a>
+      );
+    case 'image':
+      return <img key={index} src={node.url} alt={node.alt} className="inline-block max-w-full rounded-lg my-2" />;
+    default:
+      return null;
+  }
+});
+
+const CodeBlock = ({ code, language }) => (
+  <pre className="bg-slate-900 text-slate-100 rounded-xl p-4 overflow-x-auto text-sm font-mono font-normal text-left">
+    <code>
+      {highlightCode(code, language).map((token, index) => (
+        token.type === 'plain'
+          ? <React.Fragment key={index}>{token.text}</React.Fragment>
+          : <span key={index} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+      ))}
+    </code>
+  </pre>
+);
+
+const renderBlocks = (blocks) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'paragraph':
+      return <p key={index}>{renderInline(block.children)}</p>;
+    case 'heading': {
+      const Tag = `h${Math.min(block.level + 2, 6)}`;
+      return <Tag key={index} className={`${HEADING_CLASSES[block.level - 1]} font-bold`}>{renderInline(block.children)}</Tag>;
+    }
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul';
+      return (
+        <Tag
+          key={index}
+          start={block.ordered ? block.start : undefined}
+          className={`pl-6 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+        </Tag>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={index} className="border-l-4 border-slate-300 pl-4 text-slate-600 space-y-2">
+          {renderBlocks(block.children)}
+        </blockquote>
+      );
+    case 'code':
+      return <CodeBlock key={index} code={block.code} language={block.language} />;
+    case 'math':
+      return renderMath(block.tex, true, index);
+    default:
+      return null;
+  }
+});
+
+/**
+ * Soal text with Markdown, LaTeX math and code blocks
+ * Content is rendered as React elements only, see utils/richText for the syntax
+ * @param {string} text - Authored text
+ * @param {boolean} inline - Render a single paragraph without a block wrapper, for options
+ * @param {string} className - Class for the wrapper
+ */
+const RichText = ({ text, inline = false, className = '' }) => {
+  const blocks = useMemo(() => parseRichText(text), [text]);
+
+  if (inline && blocks.length <= 1 && (!blocks[0] || blocks[0].type === 'paragraph')) {
+    return <span className={className}>{blocks[0] ? renderInline(blocks[0].children) : null}</span>;
+  }
+
+  return <div className={`space-y-2 ${className}`.trim()}>{renderBlocks(blocks)}</div>;
+};
+
+export default RichText;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../../services/api';
+import { parseOptions } from '../../utils/optionsParser';
+import { resolveGradingScheme } from '../../utils/gradingSchemes';
+import {
+  getQuestionType,
+  isChoiceType,
+  isCorrectOption,
+  isAnswerCorrect,
+  formatCorrectAnswer
+} from '../../utils/questionTypes';
+import { getResultAnswers } from '../../utils/scoring';
+import { buildStudentReport, exportReport } from '../../utils/resultExport';
+import ExportButton from '../common/ExportButton';
+
+/**
+ * Drill-down of one student's results: per-kuis summary plus a
+ * DetailHasilKuisPage-style review of the selected kuis
+ */
+const StudentResultModal = ({ student, kelasId, kelasName, kuisList, onClose }) => {
+  const firstCompleted = kuisList.find(kuis => student.cells[kuis.ID]);
+  const [selectedKuisId, setSelectedKuisId] = useState(firstCompleted?.ID ?? null);
+  const [soalByKuis, setSoalByKuis] = useState({});
+
+  // Soal of a kuis are fetched when it is first reviewed
+  useEffect(() => {
+    if (selectedKuisId === null || soalByKuis[selectedKuisId]) return;
+
+    const fetchSoal = async () => {
+      try {
+        const response = await api.getSoalByKuisID(selectedKuisId);
+        setSoalByKuis(prev => ({ ...prev, [selectedKuisId]: response.data || [] }));
+      } catch (error) {
+        console.error(`Error fetching soal for kuis ${selectedKuisId}:`, error);
+        setSoalByKuis(prev => ({ ...prev, [selectedKuisId]: [] }));
+      }
+    };
+
+    fetchSoal();
+  }, [selectedKuisId, soalByKuis]);
+
+  const selectedCell = selectedKuisId !== null ? student.cells[selectedKuisId] : null;
+  const soalLoading = selectedKuisId !== null && !soalByKuis[selectedKuisId];
+  const soalList = soalByKuis[selectedKuisId] || [];
+  const submittedAnswers = getResultAnswers(selectedCell?.result);
+
+  const handleExport = (format) => {
+    const entries = kuisList.map(kuis => {
+      const cell = student.cells[kuis.ID];
+      return {
+        kuisTitle: kuis.title,
+        completed: Boolean(cell),
+        date: cell?.date,
+        score: cell?.score,
+        grade: cell?.grade,
+        correctAnswers: cell?.correctAnswers,
+        totalQuestions: cell?.totalQuestions
+      };
+    });
+
+    const report = buildStudentReport({
+      studentName: student.name,
+      kelasName,
+      entries,
+      scheme: resolveGradingScheme({ kelasId })
+    });
+    exportReport(report, format, `rapor_${student.name}`);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-8 max-w-4xl w-full max-h-[90vh] overflow-y-auto animate-scale-in">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-800">{student.name}</h2>
+            <p className="text-slate-600">
+              {student.completed} dari {kuisList.length} kuis dikerjakan
+              {student.average !== null && ` • Rata-rata ${student.average}`}
+            </p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <ExportButton onExport={handleExport} label="Unduh Rapor" />
+            <button
+              onClick={onClose}
+              className="w-8 h-8 bg-slate-100 hover:bg-slate-200 rounded-lg flex items-center justify-center transition-colors duration-200"
+            >
+              <svg className="w-5 h-5 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Per-kuis summary */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-8">
+          {kuisList.map(kuis => {
+            const cell = student.cells[kuis.ID];
+            const isSelected = selectedKuisId === kuis.ID;
+
+            return (
+              <button
+                key={kuis.ID}
+                onClick={() => cell && setSelectedKuisId(kuis.ID)}
+                disabled={!cell}
+                className={`p-4 rounded-xl border-2 text-left transition-all duration-200 ${
+                  isSelected
+                    ? 'border-blue-500 bg-blue-50'
+                    : cell
+                    ? 'border-slate-200 hover:border-blue-200'
+                    : 'border-dashed border-slate-200 bg-slate-50 cursor-not-allowed'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-slate-800">{kuis.title}</span>
+                  {cell ? (
+                    <span className={`px-2 py-1 rounded-lg text-sm font-bold ${cell.color}`}>
+                      {cell.score} ({cell.grade})
+                    </span>
+                  ) : (
+                    <span className="text-sm font-semibold text-red-500">Belum dikerjakan</span>
+                  )}
+                </div>
+                {cell && (
+                  <p className="text-xs text-slate-500 mt-1">
+                    {cell.correctAnswers}/{cell.totalQuestions || '?'} benar
+                    {cell.date && ` • ${new Date(cell.date).toLocaleDateString('id-ID')}`}
+                    {cell.attempts > 1 && ` • ${cell.attempts} percobaan`}
+                  </p>
+                )}
+              </button>
+            );
+          })}
+        </div>
+
+        {/* Answer breakdown */}
+        {selectedCell && (
+          <div className="space-y-4">
+            <h3 className="text-xl font-bold text-slate-800">
+              Review Jawaban: {kuisList.find(kuis => kuis.ID === selectedKuisId)?.title}
+              <span className={`ml-2 px-2 py-1 rounded-lg ${selectedCell.color}`}>{selectedCell.score}</span>
+            </h3>
+
+            {submittedAnswers.size === 0 && (
+              <p className="text-sm text-slate-500">
+                Jawaban per soal belum tersedia dari server, hanya kunci jawaban yang ditampilkan.
+              </p>
+            )}
+
+            {soalLoading && <p className="text-sm text-slate-500">Memuat soal...</p>}
+
+            {soalList.map((soal, index) => {
+              const type = getQuestionType(soal);
+              const options = isChoiceType(type) ? parseOptions(soal.options_json || soal.Options) : [];
+              const hasAnswer = submittedAnswers.has(soal.ID);
+              const answer = submittedAnswers.get(soal.ID);
+              const correct = hasAnswer && isAnswerCorrect(soal, answer);
+
+              return (
+                <div key={soal.ID} className="p-4 rounded-xl border border-slate-200">
+                  <div className="flex items-start space-x-3">
+                    <span className="w-8 h-8 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-lg flex items-center justify-center text-white font-bold text-sm flex-shrink-0">
+                      {index + 1}
+                    </span>
+                    <div className="flex-1 space-y-2">
+                      <p className="font-semibold text-slate-800">{soal.question}</p>
+
+                      {options.length > 0 ? (
+                        <div className="space-y-1">
+                          {options.map((option, optIndex) => (
+                            <div
+                              key={optIndex}
+                              className={`px-3 py-2 rounded-lg text-sm ${
+                                isCorrectOption(soal, option) ? 'bg-green-50 text-green-700 font-semibold' : 'text-slate-600'
+                              }`}
+                            >
+                              {String.fromCharCode(65 + optIndex)}. {option}
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="text-sm text-green-700">Jawaban benar: {formatCorrectAnswer(soal)}</p>
+                      )}
+
+                      {hasAnswer && (
+                        <p className={`text-sm font-semibold ${correct ? 'text-green-600' : 'text-red-600'}`}>
+                          Jawaban siswa: {String(answer || '-')} {correct ? '✓' : '✗'}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StudentResultModal;
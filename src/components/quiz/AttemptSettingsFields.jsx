@@ -0,0 +1,66 @@
+import React from 'react';
+import {
+  ATTEMPT_POLICIES,
+  ATTEMPT_POLICY_OPTIONS,
+  ATTEMPT_SCORING_OPTIONS,
+  ATTEMPT_SCORING_RULES,
+} from '../../utils/attempts';
+
+/**
+ * How often a kuis may be taken and which attempt counts
+ * @param {Object} value - {attempt_policy, max_attempts, attempt_scoring}
+ * @param {Function} onChange - Receives the changed fields
+ * @param {string} inputClassName - Class for the inputs
+ * @param {string} labelClassName - Class for the labels
+ */
+const AttemptSettingsFields = ({
+  value,
+  onChange,
+  inputClassName = 'w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200',
+  labelClassName = 'block text-sm font-semibold text-slate-700 mb-2'
+}) => {
+  const isSingle = value.attempt_policy === ATTEMPT_POLICIES.SINGLE;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div>
+        <label className={labelClassName}>Percobaan</label>
+        <select
+          value={value.attempt_policy || ATTEMPT_POLICIES.UNLIMITED}
+          onChange={(e) => onChange({ attempt_policy: e.target.value })}
+          className={inputClassName}
+        >
+          {ATTEMPT_POLICY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className={labelClassName}>Maksimal Percobaan</label>
+        <input
+          type="number"
+          min="1"
+          value={value.max_attempts ?? ''}
+          onChange={(e) => onChange({ max_attempts: e.target.value })}
+          className={inputClassName}
+          disabled={value.attempt_policy !== ATTEMPT_POLICIES.LIMITED}
+        />
+      </div>
+      <div>
+        <label className={labelClassName}>Nilai yang Dihitung</label>
+        <select
+          value={value.attempt_scoring || ATTEMPT_SCORING_RULES.LATEST}
+          onChange={(e) => onChange({ attempt_scoring: e.target.value })}
+          className={inputClassName}
+          disabled={isSingle}
+        >
+          {ATTEMPT_SCORING_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default AttemptSettingsFields;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { DIFFICULTY_LABELS, normalizeTags, parseTagInput } from '../../utils/questionBank';
+
+/**
+ * Question bank tags and difficulty of a soal, and whether it follows a bank soal
+ * @param {Object} value - {tags, difficulty, source_soal_id, is_reference}
+ * @param {Function} onChange - Receives the changed fields
+ * @param {string} inputClassName - Class for the inputs
+ */
+const BankFields = ({
+  value,
+  onChange,
+  inputClassName = 'w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200'
+}) => {
+  const { tags = [], difficulty = '', is_reference: isReference = false, source_soal_id: sourceId } = value;
+  const [draft, setDraft] = useState('');
+
+  const addTags = (text) => {
+    const added = parseTagInput(text);
+    if (added.length > 0) {
+      onChange({ tags: normalizeTags([...tags, ...added]) });
+    }
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTags(draft);
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      onChange({ tags: tags.slice(0, -1) });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-semibold text-slate-700 mb-2">Tingkat Kesulitan</label>
+          <select
+            value={difficulty}
+            onChange={(e) => onChange({ difficulty: e.target.value })}
+            className={inputClassName}
+          >
+            <option value="">Belum ditentukan</option>
+            {Object.entries(DIFFICULTY_LABELS).map(([level, label]) => (
+              <option key={level} value={level}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-semibold text-slate-700 mb-2">Tag Bank Soal</label>
+          {tags.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-2">
+              {tags.map(tag => (
+                <span key={tag} className="inline-flex items-center px-3 py-1 text-xs font-semibold text-purple-700 bg-purple-100 rounded-full">
+                  #{tag}
+                  <button
+                    type="button"
+                    onClick={() => onChange({ tags: tags.filter(item => item !== tag) })}
+                    className="ml-2 text-purple-500 hover:text-purple-800"
+                    aria-label={`Hapus tag ${tag}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => addTags(draft)}
+            className={inputClassName}
+            placeholder="Contoh: aljabar, persamaan linear (tekan Enter)"
+          />
+          <p className="mt-1 text-xs text-slate-500">
+            Kategori dan tingkatan mengikuti kuis. Tag membantu mencari soal ini di bank soal.
+          </p>
+        </div>
+      </div>
+
+      {isReference && (
+        <div className="flex items-start justify-between gap-4 p-3 rounded-xl bg-amber-50 border border-amber-200 text-sm text-amber-800">
+          <p>
+            🔗 Soal ini referensi dari bank soal (soal #{sourceId}). Perubahan akan berlaku di semua kuis yang memakainya.
+          </p>
+          <button
+            type="button"
+            onClick={() => onChange({ is_reference: false })}
+            className="font-semibold text-amber-700 hover:text-amber-900 whitespace-nowrap"
+          >
+            Jadikan salinan
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BankFields;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { isChoiceType } from '../../utils/questionTypes';
+import { getOptionLetter } from '../../utils/optionsParser';
+
+/**
+ * Explanation and optional per-option feedback of a soal
+ * @param {Object} value - {type, options, explanation, option_feedback}
+ * @param {Function} onChange - Receives the changed fields
+ * @param {string} inputClassName - Class for the inputs
+ */
+const ExplanationFields = ({
+  value,
+  onChange,
+  inputClassName = 'w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200'
+}) => {
+  const { type, options = [], explanation = '', option_feedback: feedback = {} } = value;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-semibold text-slate-700 mb-2">Pembahasan</label>
+        <textarea
+          value={explanation}
+          onChange={(e) => onChange({ explanation: e.target.value })}
+          className={inputClassName}
+          placeholder="Jelaskan mengapa jawaban tersebut benar (opsional)"
+          rows="3"
+        />
+        <p className="mt-1 text-xs text-slate-500">
+          Ditampilkan setelah kuis selesai dan saat latihan.
+        </p>
+      </div>
+
+      {isChoiceType(type) && options.some(option => option.trim()) && (
+        <div>
+          <label className="block text-sm font-semibold text-slate-700 mb-2">Umpan Balik per Pilihan</label>
+          <div className="space-y-2">
+            {options.map((option, index) => (
+              option.trim() && (
+                <div key={index} className="flex items-center space-x-3">
+                  <span className="w-8 h-8 bg-slate-100 rounded-full flex items-center justify-center text-sm font-semibold flex-shrink-0">
+                    {getOptionLetter(index)}
+                  </span>
+                  <input
+                    type="text"
+                    value={feedback[option] || ''}
+                    onChange={(e) => onChange({ option_feedback: { ...feedback, [option]: e.target.value } })}
+                    className={`flex-1 ${inputClassName}`}
+                    placeholder={`Jika memilih "${option}" (opsional)`}
+                  />
+                </div>
+              )
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExplanationFields;
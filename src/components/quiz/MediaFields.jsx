@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { isChoiceType } from '../../utils/questionTypes';
+import { getOptionLetter } from '../../utils/optionsParser';
+import { MEDIA_ACCEPT, getMediaType, validateMediaFile } from '../../utils/questionMedia';
+import { api } from '../../services/api';
+import MediaList from './MediaList';
+
+/**
+ * Attachment list with upload and remove, for the stem or one option
+ */
+const MediaUpload = ({ media = [], onChange, compact = false }) => {
+  const [uploading, setUploading] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const validationError = validateMediaFile(file);
+    if (validationError) {
+      alert(validationError);
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const response = await api.uploadMedia(file);
+      const { url, type, name } = response.data || {};
+      if (!url) throw new Error('Server tidak mengembalikan URL file');
+      onChange([...media, { type: type || getMediaType(file.type), url, name: name || file.name }]);
+    } catch (error) {
+      console.error('Error uploading media:', error);
+      alert(error.message || 'Gagal mengunggah file');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {media.map((item, index) => (
+        <div key={index} className="flex items-center gap-3">
+          <MediaList media={[item]} compact className="flex-1" />
+          <button
+            type="button"
+            onClick={() => onChange(media.filter((_, i) => i !== index))}
+            className="text-xs font-semibold text-red-600 hover:text-red-800 flex-shrink-0"
+          >
+            Hapus
+          </button>
+        </div>
+      ))}
+      <label className={`inline-flex items-center space-x-2 font-semibold text-blue-600 hover:text-blue-800 cursor-pointer ${compact ? 'text-xs' : 'text-sm'}`}>
+        <input type="file" accept={MEDIA_ACCEPT} onChange={handleFile} disabled={uploading} className="hidden" />
+        <span>{uploading ? 'Mengunggah...' : '+ Lampirkan gambar / audio'}</span>
+      </label>
+    </div>
+  );
+};
+
+/**
+ * Image and audio attachments of a soal and its options
+ * @param {Object} value - {type, options, media, option_media}
+ * @param {Function} onChange - Receives the changed fields
+ */
+const MediaFields = ({ value, onChange }) => {
+  const { type, options = [], media = [], option_media: optionMedia = {} } = value;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-semibold text-slate-700 mb-2">Lampiran Soal</label>
+        <MediaUpload media={media} onChange={(list) => onChange({ media: list })} />
+        <p className="mt-1 text-xs text-slate-500">
+          Gambar maksimal 2 MB, audio maksimal 5 MB. Audio cocok untuk soal menyimak.
+        </p>
+      </div>
+
+      {isChoiceType(type) && options.some(option => option.trim()) && (
+        <div>
+          <label className="block text-sm font-semibold text-slate-700 mb-2">Lampiran per Pilihan</label>
+          <div className="space-y-3">
+            {options.map((option, index) => (
+              option.trim() && (
+                <div key={index} className="flex items-start space-x-3">
+                  <span className="w-8 h-8 bg-slate-100 rounded-full flex items-center justify-center text-sm font-semibold flex-shrink-0">
+                    {getOptionLetter(index)}
+                  </span>
+                  <div className="flex-1 pt-1.5">
+                    <MediaUpload
+                      media={optionMedia[option] || []}
+                      onChange={(list) => onChange({ option_media: { ...optionMedia, [option]: list } })}
+                      compact
+                    />
+                  </div>
+                </div>
+              )
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MediaFields;
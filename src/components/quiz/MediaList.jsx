@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import { MEDIA_TYPES } from '../../utils/questionMedia';
+import { resolveMediaUrl } from '../../services/mocks/mediaMock';
+
+const ZoomedImage = ({ src, alt, onClose }) => {
+  const handleClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onClose();
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4 cursor-zoom-out"
+      onClick={handleClick}
+      role="dialog"
+      aria-label="Perbesar gambar"
+    >
+      <img src={src} alt={alt} className="max-w-full max-h-full object-contain rounded-lg" />
+    </div>
+  );
+};
+
+/**
+ * Image and audio attachments of a soal or option
+ * Images open full screen on click, audio uses the native player
+ * @param {Array} media - [{type, url, name}] from utils/questionMedia
+ * @param {boolean} compact - Smaller images, for options
+ */
+const MediaList = ({ media = [], compact = false, className = '' }) => {
+  const [zoomed, setZoomed] = useState(null);
+
+  if (media.length === 0) return null;
+
+  const handleZoom = (e, item) => {
+    // Inside an option label, zooming should not pick the option
+    e.preventDefault();
+    e.stopPropagation();
+    setZoomed(item);
+  };
+
+  return (
+    <div className={`flex flex-wrap gap-3 ${className}`}>
+      {media.map((item, index) => {
+        const src = resolveMediaUrl(item.url);
+        if (!src) {
+          return (
+            <p key={index} className="text-xs text-slate-500">Lampiran "{item.name}" tidak tersedia di perangkat ini.</p>
+          );
+        }
+
+        return item.type === MEDIA_TYPES.AUDIO ? (
+          <audio key={index} controls preload="metadata" src={src} className="w-full max-w-md">
+            {item.name}
+          </audio>
+        ) : (
+          <button key={index} type="button" onClick={(e) => handleZoom(e, { src, alt: item.name })} className="cursor-zoom-in">
+            <img
+              src={src}
+              alt={item.name}
+              loading="lazy"
+              className={`h-auto rounded-xl border border-slate-200 ${compact ? 'max-h-32 max-w-[12rem]' : 'max-h-80 max-w-full'}`}
+            />
+          </button>
+        );
+      })}
+
+      {zoomed && <ZoomedImage src={zoomed.src} alt={zoomed.alt} onClose={() => setZoomed(null)} />}
+    </div>
+  );
+};
+
+export default MediaList;
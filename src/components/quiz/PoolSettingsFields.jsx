@@ -0,0 +1,110 @@
+import React from 'react';
+import { MAX_POOL_SIZE } from '../../utils/questionPool';
+import { DIFFICULTY_LABELS } from '../../utils/questionBank';
+
+/**
+ * Draw the soal of a kuis from the question bank instead of a fixed list
+ * @param {Object} value - {pool_size, pool_kategori_id, pool_tingkatan_id, pool_difficulty, pool_tag}
+ * @param {Function} onChange - Receives the changed fields
+ * @param {Array} kategoriList - Kategori to filter the pool by
+ * @param {Array} tingkatanList - Tingkatan to filter the pool by
+ * @param {string} inputClassName - Class for the inputs
+ * @param {string} labelClassName - Class for the labels
+ */
+const PoolSettingsFields = ({
+  value,
+  onChange,
+  kategoriList = [],
+  tingkatanList = [],
+  inputClassName = 'w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200',
+  labelClassName = 'block text-sm font-semibold text-slate-700 mb-2'
+}) => {
+  const enabled = Number(value.pool_size) > 0;
+
+  return (
+    <div>
+      <label className="flex items-start p-3 border border-slate-200 rounded-xl cursor-pointer hover:bg-slate-50">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onChange({ pool_size: e.target.checked ? 10 : 0 })}
+          className="mt-1 mr-3"
+        />
+        <span>
+          <span className="block text-sm font-medium text-slate-900">Ambil soal acak dari bank soal</span>
+          <span className="block text-xs text-slate-500">
+            Setiap siswa mendapat sampel soal yang berbeda, soal milik kuis ini tidak dipakai
+          </span>
+        </span>
+      </label>
+
+      {enabled && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+          <div>
+            <label className={labelClassName}>Jumlah Soal</label>
+            <input
+              type="number"
+              min="1"
+              max={MAX_POOL_SIZE}
+              value={value.pool_size ?? ''}
+              onChange={(e) => onChange({ pool_size: e.target.value })}
+              className={inputClassName}
+              required
+            />
+          </div>
+          <div>
+            <label className={labelClassName}>Kategori Pool</label>
+            <select
+              value={value.pool_kategori_id || ''}
+              onChange={(e) => onChange({ pool_kategori_id: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">Semua Kategori</option>
+              {kategoriList.map(kategori => (
+                <option key={kategori.ID} value={kategori.ID}>{kategori.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClassName}>Tingkatan Pool</label>
+            <select
+              value={value.pool_tingkatan_id || ''}
+              onChange={(e) => onChange({ pool_tingkatan_id: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">Semua Tingkatan</option>
+              {tingkatanList.map(tingkatan => (
+                <option key={tingkatan.ID} value={tingkatan.ID}>{tingkatan.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClassName}>Tingkat Kesulitan</label>
+            <select
+              value={value.pool_difficulty || ''}
+              onChange={(e) => onChange({ pool_difficulty: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">Semua</option>
+              {Object.entries(DIFFICULTY_LABELS).map(([level, label]) => (
+                <option key={level} value={level}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label className={labelClassName}>Tag</label>
+            <input
+              type="text"
+              value={value.pool_tag || ''}
+              onChange={(e) => onChange({ pool_tag: e.target.value })}
+              className={inputClassName}
+              placeholder="Opsional, misalnya aljabar"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PoolSettingsFields;
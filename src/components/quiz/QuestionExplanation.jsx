@@ -0,0 +1,34 @@
+import React from 'react';
+import { getExplanation, getSelectedOptionFeedback } from '../../utils/questionFeedback';
+import RichText from '../common/RichText';
+
+/**
+ * Feedback on the picked options and the explanation of a soal
+ * Renders nothing when the soal has neither
+ * @param {Object} soal
+ * @param {*} answer - Student answer, option feedback is skipped without one
+ */
+const QuestionExplanation = ({ soal, answer, className = '' }) => {
+  const explanation = getExplanation(soal);
+  const selectedFeedback = answer === undefined ? [] : getSelectedOptionFeedback(soal, answer);
+
+  if (!explanation && selectedFeedback.length === 0) return null;
+
+  return (
+    <div className={`p-4 bg-indigo-50 border border-indigo-200 rounded-xl text-sm text-slate-700 space-y-2 ${className}`}>
+      {selectedFeedback.map(({ option, feedback }) => (
+        <p key={option}>
+          <span className="font-semibold"><RichText text={option} inline />:</span> <RichText text={feedback} inline />
+        </p>
+      ))}
+      {explanation && (
+        <div>
+          <p className="font-semibold text-indigo-800 mb-1">💡 Pembahasan</p>
+          <RichText text={explanation} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionExplanation;
@@ -0,0 +1,288 @@
+import React, { useState } from 'react';
+import { api } from '../../services/api';
+import {
+  QUESTION_FORMATS,
+  QUESTION_FORMAT_INFO,
+  detectQuestionFormat,
+  parseQuestions
+} from '../../utils/questionFormats';
+import { QUESTION_TYPE_LABELS, formatCorrectAnswer } from '../../utils/questionTypes';
+
+const FORMAT_HINTS = {
+  [QUESTION_FORMATS.CSV]: 'Kolom: type, question, correct_answer, option_a, option_b, ... Jawaban pilihan boleh berupa huruf (A atau A;C).',
+  [QUESTION_FORMATS.JSON]: 'Array berisi objek { "type", "question", "options", "correct_answer" }.',
+  [QUESTION_FORMATS.GIFT]: 'Format Moodle GIFT, contoh: Ibu kota Indonesia? {=Jakarta ~Bandung ~Surabaya}',
+  [QUESTION_FORMATS.AIKEN]: 'Format Aiken: pertanyaan, pilihan "A. ...", lalu baris "ANSWER: A".',
+};
+
+/**
+ * Wizard for importing soal into a kuis: choose/paste a file, preview with
+ * per-row errors, then create the valid rows one by one via api.addSoal
+ */
+const QuestionImportModal = ({ isOpen, onClose, kuisId, onImported }) => {
+  const [step, setStep] = useState('input'); // 'input' | 'preview' | 'importing' | 'done'
+  const [format, setFormat] = useState(QUESTION_FORMATS.CSV);
+  const [text, setText] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [parseError, setParseError] = useState('');
+  const [progress, setProgress] = useState(0);
+  const [failures, setFailures] = useState([]);
+
+  const validEntries = entries.filter(entry => entry.errors.length === 0);
+  const invalidCount = entries.length - validEntries.length;
+
+  const reset = () => {
+    setStep('input');
+    setText('');
+    setEntries([]);
+    setParseError('');
+    setProgress(0);
+    setFailures([]);
+  };
+
+  const handleClose = () => {
+    if (step === 'importing') return;
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const content = await file.text();
+    setText(content);
+    setFormat(detectQuestionFormat(file.name, content));
+    setParseError('');
+  };
+
+  const handlePreview = () => {
+    if (!text.trim()) {
+      setParseError('Pilih file atau tempel isi soal terlebih dahulu');
+      return;
+    }
+
+    try {
+      const parsed = parseQuestions(text, format);
+      if (parsed.length === 0) {
+        setParseError('Tidak ada soal yang ditemukan');
+        return;
+      }
+      setEntries(parsed);
+      setParseError('');
+      setStep('preview');
+    } catch (error) {
+      console.error('Error parsing import file:', error);
+      setParseError(error.message || 'File tidak dapat dibaca');
+    }
+  };
+
+  const handleImport = async () => {
+    setStep('importing');
+    setProgress(0);
+    const failed = [];
+
+    for (const entry of validEntries) {
+      try {
+        await api.addSoal({
+          type: entry.type,
+          question: entry.question,
+          options: entry.options,
+          correct_answer: entry.correct_answer,
+          explanation: entry.explanation,
+          kuis_id: kuisId
+        });
+      } catch (error) {
+        console.error('Error importing soal:', error);
+        failed.push({ line: entry.line, question: entry.question, message: error.message || 'Gagal menyimpan soal' });
+      }
+      setProgress(prev => prev + 1);
+    }
+
+    setFailures(failed);
+    setStep('done');
+    if (onImported) onImported(validEntries.length - failed.length);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-8 max-w-4xl w-full max-h-[90vh] overflow-y-auto animate-scale-in">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-slate-800">Impor Soal</h2>
+          <button
+            onClick={handleClose}
+            disabled={step === 'importing'}
+            className="w-8 h-8 bg-slate-100 hover:bg-slate-200 rounded-lg flex items-center justify-center transition-colors duration-200 disabled:opacity-50"
+          >
+            <svg className="w-5 h-5 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {step === 'input' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-semibold text-slate-700 mb-2">Format</label>
+                <select
+                  value={format}
+                  onChange={(e) => setFormat(e.target.value)}
+                  className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                >
+                  {Object.values(QUESTION_FORMATS).map(value => (
+                    <option key={value} value={value}>{QUESTION_FORMAT_INFO[value].label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-slate-700 mb-2">File</label>
+                <input
+                  type="file"
+                  accept=".csv,.json,.gift,.txt"
+                  onChange={handleFileChange}
+                  className="w-full px-4 py-2.5 border border-slate-200 rounded-xl text-sm text-slate-600"
+                />
+              </div>
+            </div>
+
+            <p className="text-sm text-slate-500">{FORMAT_HINTS[format]}</p>
+
+            <div>
+              <label className="block text-sm font-semibold text-slate-700 mb-2">Isi File</label>
+              <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                className="w-full px-4 py-3 border border-slate-200 rounded-xl font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                rows="10"
+                placeholder="Pilih file di atas atau tempel isi soal di sini"
+              />
+            </div>
+
+            {parseError && (
+              <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 text-sm">
+                {parseError}
+              </div>
+            )}
+
+            <div className="flex space-x-4 pt-2">
+              <button type="button" onClick={handleClose} className="flex-1 btn-outline">
+                Batal
+              </button>
+              <button type="button" onClick={handlePreview} className="flex-1 btn-primary">
+                Pratinjau
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div className="space-y-6">
+            <div className="flex flex-wrap gap-3">
+              <span className="px-3 py-1 rounded-full bg-green-100 text-green-700 text-sm font-semibold">
+                {validEntries.length} soal siap diimpor
+              </span>
+              {invalidCount > 0 && (
+                <span className="px-3 py-1 rounded-full bg-red-100 text-red-700 text-sm font-semibold">
+                  {invalidCount} soal bermasalah (dilewati)
+                </span>
+              )}
+            </div>
+
+            <div className="border border-slate-200 rounded-xl overflow-hidden">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-slate-600">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold">Baris</th>
+                    <th className="px-4 py-3 text-left font-semibold">Tipe</th>
+                    <th className="px-4 py-3 text-left font-semibold">Pertanyaan</th>
+                    <th className="px-4 py-3 text-left font-semibold">Jawaban</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry, index) => (
+                    <tr
+                      key={index}
+                      className={`border-t border-slate-200 align-top ${entry.errors.length > 0 ? 'bg-red-50' : ''}`}
+                    >
+                      <td className="px-4 py-3 text-slate-500">{entry.line}</td>
+                      <td className="px-4 py-3 text-slate-700 whitespace-nowrap">{QUESTION_TYPE_LABELS[entry.type]}</td>
+                      <td className="px-4 py-3 text-slate-800">
+                        <p>{entry.question || <span className="italic text-slate-400">(kosong)</span>}</p>
+                        {entry.errors.length > 0 && (
+                          <ul className="mt-1 text-xs text-red-600 list-disc list-inside">
+                            {entry.errors.map((error, errorIndex) => (
+                              <li key={errorIndex}>{error}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">{formatCorrectAnswer(entry)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex space-x-4 pt-2">
+              <button type="button" onClick={() => setStep('input')} className="flex-1 btn-outline">
+                Kembali
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={validEntries.length === 0}
+                className="flex-1 btn-primary disabled:opacity-50"
+              >
+                Impor {validEntries.length} Soal
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'importing' && (
+          <div className="text-center py-8">
+            <div className="w-16 h-16 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+            <p className="text-slate-600 font-medium mb-4">
+              Menyimpan soal {progress} / {validEntries.length}...
+            </p>
+            <div className="w-full bg-slate-200 rounded-full h-2">
+              <div
+                className="bg-gradient-to-r from-blue-500 to-indigo-600 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${(progress / Math.max(validEntries.length, 1)) * 100}%` }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {step === 'done' && (
+          <div className="space-y-6">
+            <div className="p-4 bg-green-50 border border-green-200 rounded-xl text-green-700">
+              {validEntries.length - failures.length} soal berhasil diimpor.
+              {invalidCount > 0 && ` ${invalidCount} soal dilewati karena tidak valid.`}
+            </div>
+
+            {failures.length > 0 && (
+              <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">
+                <p className="font-semibold mb-2">{failures.length} soal gagal disimpan:</p>
+                <ul className="list-disc list-inside space-y-1">
+                  {failures.map((failure, index) => (
+                    <li key={index}>Baris {failure.line}: {failure.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <button type="button" onClick={handleClose} className="w-full btn-primary">
+              Selesai
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionImportModal;
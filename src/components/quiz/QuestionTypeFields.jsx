@@ -0,0 +1,286 @@
+import React from 'react';
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  getEmptyQuestionForm,
+  parseMultiSelectAnswer,
+  serializeMultiSelectAnswer
+} from '../../utils/questionTypes';
+import { getOptionLetter, renameOptionKey } from '../../utils/optionsParser';
+import { DEFAULT_POINTS } from '../../utils/scoring';
+
+const MIN_CHOICES = 2;
+const MAX_CHOICES = 8;
+
+/**
+ * Authoring fields for a soal: type picker and point weight plus the options / answer inputs for that type
+ * @param {Object} value - {type, options, correct_answer, points}
+ * @param {Function} onChange - Receives the updated {type, options, correct_answer, points}
+ * @param {string} inputClassName - Class for text inputs and selects
+ */
+const QuestionTypeFields = ({
+  value,
+  onChange,
+  inputClassName = 'w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200'
+}) => {
+  const { type, options = [], correct_answer = '', points = DEFAULT_POINTS } = value;
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const handleTypeChange = (newType) => {
+    const empty = getEmptyQuestionForm(newType);
+    // Keep already typed choices when switching between choice types
+    const keepChoices = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.MULTIPLE_SELECT].includes(newType) &&
+      [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.MULTIPLE_SELECT].includes(type);
+    onChange({ ...value, ...empty, options: keepChoices ? options : empty.options });
+  };
+
+  const updateOption = (index, text) => {
+    const newOptions = [...options];
+    const previous = newOptions[index];
+    newOptions[index] = text;
+    const optionExtras = {
+      option_feedback: renameOptionKey(value.option_feedback, previous, text),
+      option_media: renameOptionKey(value.option_media, previous, text)
+    };
+
+    // Keep the correct answer, feedback and media pointing at the edited option
+    if (type === QUESTION_TYPES.MULTIPLE_SELECT) {
+      const selected = parseMultiSelectAnswer(correct_answer).map(option => option === previous ? text : option);
+      update({ options: newOptions, correct_answer: serializeMultiSelectAnswer(selected, newOptions), ...optionExtras });
+    } else {
+      update({ options: newOptions, correct_answer: correct_answer === previous ? text : correct_answer, ...optionExtras });
+    }
+  };
+
+  const addOption = () => update({ options: [...options, ''] });
+
+  const removeOption = (index) => {
+    const removed = options[index];
+    const newOptions = options.filter((_, i) => i !== index);
+    if (type === QUESTION_TYPES.MULTIPLE_SELECT) {
+      const selected = parseMultiSelectAnswer(correct_answer).filter(option => option !== removed);
+      update({ options: newOptions, correct_answer: serializeMultiSelectAnswer(selected, newOptions) });
+    } else {
+      update({ options: newOptions, correct_answer: correct_answer === removed ? '' : correct_answer });
+    }
+  };
+
+  const toggleCorrectOption = (option) => {
+    const selected = parseMultiSelectAnswer(correct_answer);
+    const next = selected.includes(option)
+      ? selected.filter(item => item !== option)
+      : [...selected, option];
+    update({ correct_answer: serializeMultiSelectAnswer(next, options) });
+  };
+
+  const renderChoiceOptions = () => (
+    <div>
+      <label className="block text-sm font-semibold text-slate-700 mb-4">Pilihan Jawaban</label>
+      <div className="space-y-3">
+        {options.map((option, index) => (
+          <div key={index} className="flex items-center space-x-3">
+            <span className="w-8 h-8 bg-slate-100 rounded-full flex items-center justify-center text-sm font-semibold flex-shrink-0">
+              {getOptionLetter(index)}
+            </span>
+            <input
+              type="text"
+              value={option}
+              onChange={(e) => updateOption(index, e.target.value)}
+              className={`flex-1 ${inputClassName}`}
+              placeholder={`Pilihan ${getOptionLetter(index)}`}
+              required
+            />
+            {type === QUESTION_TYPES.MULTIPLE_SELECT && (
+              <label className="flex items-center space-x-2 text-sm text-slate-600 flex-shrink-0">
+                <input
+                  type="checkbox"
+                  checked={parseMultiSelectAnswer(correct_answer).includes(option)}
+                  onChange={() => toggleCorrectOption(option)}
+                  disabled={!option.trim()}
+                  className="w-4 h-4 text-green-600 border-slate-300 rounded focus:ring-green-500"
+                />
+                <span>Benar</span>
+              </label>
+            )}
+            {options.length > MIN_CHOICES && (
+              <button
+                type="button"
+                onClick={() => removeOption(index)}
+                className="w-8 h-8 bg-red-50 hover:bg-red-100 text-red-600 rounded-lg flex items-center justify-center flex-shrink-0"
+                title="Hapus pilihan"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {options.length < MAX_CHOICES && (
+        <button
+          type="button"
+          onClick={addOption}
+          className="mt-3 text-sm font-semibold text-blue-600 hover:text-blue-800"
+        >
+          + Tambah Pilihan
+        </button>
+      )}
+    </div>
+  );
+
+  const renderSingleCorrectSelect = () => (
+    <div>
+      <label className="block text-sm font-semibold text-slate-700 mb-2">Jawaban Benar</label>
+      <select
+        value={correct_answer}
+        onChange={(e) => update({ correct_answer: e.target.value })}
+        className={inputClassName}
+        required
+      >
+        <option value="">Pilih jawaban yang benar</option>
+        {options.map((option, index) => (
+          option.trim() && (
+            <option key={index} value={option}>
+              {getOptionLetter(index)}. {option}
+            </option>
+          )
+        ))}
+      </select>
+    </div>
+  );
+
+  const renderShortAnswer = () => (
+    <>
+      <div>
+        <label className="block text-sm font-semibold text-slate-700 mb-2">Jawaban Benar</label>
+        <input
+          type="text"
+          value={correct_answer}
+          onChange={(e) => update({ correct_answer: e.target.value })}
+          className={inputClassName}
+          placeholder="Jawaban utama"
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-semibold text-slate-700 mb-2">Variasi Jawaban yang Diterima</label>
+        <p className="text-xs text-slate-500 mb-3">
+          Huruf besar/kecil dan spasi berlebih diabaikan saat pencocokan.
+        </p>
+        <div className="space-y-3">
+          {options.map((variant, index) => (
+            <div key={index} className="flex items-center space-x-3">
+              <input
+                type="text"
+                value={variant}
+                onChange={(e) => updateOption(index, e.target.value)}
+                className={`flex-1 ${inputClassName}`}
+                placeholder={`Variasi ${index + 1}`}
+                required
+              />
+              <button
+                type="button"
+                onClick={() => removeOption(index)}
+                className="w-8 h-8 bg-red-50 hover:bg-red-100 text-red-600 rounded-lg flex items-center justify-center flex-shrink-0"
+                title="Hapus variasi"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={addOption}
+          className="mt-3 text-sm font-semibold text-blue-600 hover:text-blue-800"
+        >
+          + Tambah Variasi
+        </button>
+      </div>
+    </>
+  );
+
+  const renderNumeric = () => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label className="block text-sm font-semibold text-slate-700 mb-2">Jawaban Benar</label>
+        <input
+          type="number"
+          step="any"
+          value={correct_answer}
+          onChange={(e) => update({ correct_answer: e.target.value })}
+          className={inputClassName}
+          placeholder="Contoh: 3.14"
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-semibold text-slate-700 mb-2">Toleransi (±)</label>
+        <input
+          type="number"
+          step="any"
+          min="0"
+          value={options[0] ?? '0'}
+          onChange={(e) => update({ options: [e.target.value] })}
+          className={inputClassName}
+          placeholder="0"
+          required
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="sm:col-span-2">
+          <label className="block text-sm font-semibold text-slate-700 mb-2">Tipe Soal</label>
+          <select
+            value={type}
+            onChange={(e) => handleTypeChange(e.target.value)}
+            className={inputClassName}
+          >
+            {Object.values(QUESTION_TYPES).map(questionType => (
+              <option key={questionType} value={questionType}>
+                {QUESTION_TYPE_LABELS[questionType]}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-slate-700 mb-2">Bobot (poin)</label>
+          <input
+            type="number"
+            min="0.5"
+            step="0.5"
+            value={points}
+            onChange={(e) => update({ points: e.target.value })}
+            className={inputClassName}
+            required
+          />
+        </div>
+      </div>
+
+      {type === QUESTION_TYPES.MULTIPLE_CHOICE && (
+        <>
+          {renderChoiceOptions()}
+          {renderSingleCorrectSelect()}
+        </>
+      )}
+
+      {type === QUESTION_TYPES.TRUE_FALSE && renderSingleCorrectSelect()}
+
+      {type === QUESTION_TYPES.MULTIPLE_SELECT && renderChoiceOptions()}
+
+      {type === QUESTION_TYPES.SHORT_ANSWER && renderShortAnswer()}
+
+      {type === QUESTION_TYPES.NUMERIC && renderNumeric()}
+    </div>
+  );
+};
+
+export default QuestionTypeFields;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { isAnswered as hasAnswer } from '../../utils/questionTypes';
 
 const QuizProgress = ({ 
   currentQuestion, 
@@ -39,7 +40,7 @@ const QuizProgress = ({
       {/* Question Navigation */}
       <div className="flex flex-wrap gap-2 justify-center">
         {questions.map((question, index) => {
-          const isAnswered = answers[question.ID] !== undefined && answers[question.ID] !== '';
+          const isAnswered = hasAnswer(answers[question.ID]);
           const isCurrent = index === currentQuestion;
           
           return (
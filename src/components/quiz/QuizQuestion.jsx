@@ -1,10 +1,32 @@
 import React from 'react';
+import {
+  QUESTION_TYPES,
+  formatCorrectAnswer,
+  getQuestionType,
+  isAnswerCorrect,
+  isCorrectOption,
+  parseMultiSelectAnswer
+} from '../../utils/questionTypes';
+import { SCORE_STATUS } from '../../utils/scoring';
+import QuestionExplanation from './QuestionExplanation';
+import RichText from '../common/RichText';
+import MediaList from './MediaList';
+import { getOptionMedia, getQuestionMedia } from '../../utils/questionMedia';
 
+const FEEDBACK_MESSAGES = {
+  [SCORE_STATUS.CORRECT]: { text: 'Benar! 🎉', className: 'bg-green-50 border-green-200 text-green-800' },
+  [SCORE_STATUS.PARTIAL]: { text: 'Sebagian benar', className: 'bg-blue-50 border-blue-200 text-blue-800' },
+  [SCORE_STATUS.WRONG]: { text: 'Kurang tepat', className: 'bg-red-50 border-red-200 text-red-800' },
+  [SCORE_STATUS.UNANSWERED]: { text: 'Belum dijawab', className: 'bg-slate-50 border-slate-200 text-slate-700' },
+};
+
+// feedback ({status} from scoreQuestion) reveals correctness and locks the answer, used in practice mode
 const QuizQuestion = ({ 
   question, 
   questionNumber, 
   selectedAnswer, 
   onAnswerChange,
+  feedback = null,
   className = '' 
 }) => {
   // Parse options from various possible formats
@@ -77,6 +99,45 @@ const QuizQuestion = ({
                      ].filter(Boolean);
 
   const options = parseOptions(optionsData);
+  const type = getQuestionType(question);
+  const locked = Boolean(feedback);
+  const correctLabels = [];
+  const optionMedia = getOptionMedia(question);
+
+  const getOptionClass = (isSelected, isCorrect) => {
+    if (locked && isCorrect) return 'border-green-500 bg-green-50';
+    if (locked && isSelected) return 'border-red-500 bg-red-50';
+    if (locked) return 'border-slate-200';
+    return isSelected
+      ? 'border-blue-500 bg-blue-50'
+      : 'border-slate-200 hover:border-slate-300 hover:bg-slate-50';
+  };
+
+  const toggleMultiSelect = (value) => {
+    if (!onAnswerChange || locked) return;
+    const selected = parseMultiSelectAnswer(selectedAnswer);
+    const next = selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value];
+    onAnswerChange(question.ID, next);
+  };
+
+  const renderTextAnswer = () => (
+    <div className="space-y-2">
+      <input
+        type={type === QUESTION_TYPES.NUMERIC ? 'number' : 'text'}
+        step={type === QUESTION_TYPES.NUMERIC ? 'any' : undefined}
+        value={selectedAnswer ?? ''}
+        onChange={(e) => onAnswerChange && onAnswerChange(question.ID, e.target.value)}
+        disabled={locked}
+        className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+        placeholder={type === QUESTION_TYPES.NUMERIC ? 'Masukkan jawaban berupa angka' : 'Ketik jawaban Anda'}
+      />
+      {type === QUESTION_TYPES.NUMERIC && (
+        <p className="text-sm text-slate-500">Gunakan titik untuk bilangan desimal, contoh: 3.14</p>
+      )}
+    </div>
+  );
 
   return (
     <div className={`bg-white/60 backdrop-blur-sm rounded-2xl p-8 shadow-lg animate-slide-up ${className}`}>
@@ -85,36 +146,71 @@ const QuizQuestion = ({
           {questionNumber}
         </div>
         <div className="flex-1">
-          <h2 className="text-xl font-bold text-slate-800 mb-4">{question.question}</h2>
+          <RichText text={question.question} className="text-xl font-bold text-slate-800 mb-4" />
+          <MediaList media={getQuestionMedia(question)} className="mb-4" />
+          {type === QUESTION_TYPES.MULTIPLE_SELECT && (
+            <p className="text-sm text-slate-500 -mt-2 mb-4">Pilih semua jawaban yang benar.</p>
+          )}
           
           {/* Options */}
           <div className="space-y-3">
-            {options && options.length > 0 ? (
+            {type === QUESTION_TYPES.SHORT_ANSWER || type === QUESTION_TYPES.NUMERIC ? (
+              renderTextAnswer()
+            ) : options && options.length > 0 ? (
               options.map((option, index) => {
                 // Handle both string options and object options
-                const optionKey = option.key || String.fromCharCode(65 + index); // A, B, C, D
+                // Letters follow the displayed order; a shuffled option keeps its original key only as the answer
+                const displayKey = String.fromCharCode(65 + index); // A, B, C, D
                 const optionValue = option.value || option;
-                const optionLabel = option.label || `${optionKey}. ${optionValue}`;
+                const optionLabel = option.label || `${displayKey}. ${optionValue}`;
                 const optionForAnswer = option.key || optionValue; // Use key for answer if available
 
+                if (type === QUESTION_TYPES.MULTIPLE_SELECT) {
+                  // Multi-select answers are kept as arrays of option texts
+                  const isChecked = parseMultiSelectAnswer(selectedAnswer).includes(optionValue);
+                  const isCorrect = locked && isCorrectOption(question, optionValue);
+                  if (isCorrect) correctLabels.push(optionLabel);
+                  return (
+                    <label
+                      key={index}
+                      className={`flex items-center p-4 rounded-xl border-2 cursor-pointer transition-all duration-200 ${getOptionClass(isChecked, isCorrect)}`}
+                    >
+                      <input
+                        type="checkbox"
+                        value={optionValue}
+                        checked={isChecked}
+                        disabled={locked}
+                        onChange={() => toggleMultiSelect(optionValue)}
+                        className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+                      />
+                      <span className="ml-3 text-slate-700 font-medium">
+                        {displayKey}. <RichText text={String(optionValue)} inline />
+                        <MediaList media={optionMedia[optionValue]} compact className="mt-2" />
+                      </span>
+                    </label>
+                  );
+                }
+
+                const isCorrect = locked && isAnswerCorrect(question, optionForAnswer);
+                if (isCorrect) correctLabels.push(optionLabel);
                 return (
                   <label
                     key={index}
-                    className={`flex items-center p-4 rounded-xl border-2 cursor-pointer transition-all duration-200 ${
-                      selectedAnswer === optionForAnswer
-                        ? 'border-blue-500 bg-blue-50'
-                        : 'border-slate-200 hover:border-slate-300 hover:bg-slate-50'
-                    }`}
+                    className={`flex items-center p-4 rounded-xl border-2 cursor-pointer transition-all duration-200 ${getOptionClass(selectedAnswer === optionForAnswer, isCorrect)}`}
                   >
                     <input
                       type="radio"
                       name={`question-${question.ID}`}
                       value={optionForAnswer}
                       checked={selectedAnswer === optionForAnswer}
+                      disabled={locked}
                       onChange={(e) => onAnswerChange && onAnswerChange(question.ID, e.target.value)}
                       className="w-4 h-4 text-blue-600 border-slate-300 focus:ring-blue-500"
                     />
-                    <span className="ml-3 text-slate-700 font-medium">{optionLabel}</span>
+                    <span className="ml-3 text-slate-700 font-medium">
+                      {displayKey}. <RichText text={String(optionValue)} inline />
+                      <MediaList media={optionMedia[optionValue]} compact className="mt-2" />
+                    </span>
                   </label>
                 );
               })
@@ -146,6 +242,28 @@ const QuizQuestion = ({
               </div>
             )}
           </div>
+
+          {/* Instant feedback */}
+          {locked && (
+            <div className={`mt-4 p-4 border rounded-xl ${FEEDBACK_MESSAGES[feedback.status]?.className || ''}`}>
+              <p className="font-semibold">{FEEDBACK_MESSAGES[feedback.status]?.text}</p>
+              {feedback.status !== SCORE_STATUS.CORRECT && (
+                <p className="text-sm mt-1">
+                  Jawaban benar: <span className="font-semibold">
+                    {correctLabels.length > 0
+                      ? correctLabels.map((label, index) => (
+                        <React.Fragment key={index}>
+                          {index > 0 && ', '}
+                          <RichText text={label} inline />
+                        </React.Fragment>
+                      ))
+                      : formatCorrectAnswer(question)}
+                  </span>
+                </p>
+              )}
+              <QuestionExplanation soal={question} answer={selectedAnswer} className="mt-3" />
+            </div>
+          )}
         </div>
       </div>
     </div>
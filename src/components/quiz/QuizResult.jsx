@@ -1,7 +1,8 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
+import ScoreBreakdown from './ScoreBreakdown';
 
-const QuizResult = ({ result, className = '' }) => {
+const QuizResult = ({ result, scoringSettings, className = '' }) => {
   const navigate = useNavigate();
 
   if (!result) {
@@ -18,8 +19,12 @@ const QuizResult = ({ result, className = '' }) => {
             </svg>
           </div>
           
-          <h2 className="text-3xl font-bold text-slate-800 mb-4">Kuis Selesai! 🎉</h2>
-          <p className="text-xl text-slate-600 mb-8">Terima kasih telah mengerjakan kuis ini.</p>
+          <h2 className="text-3xl font-bold text-slate-800 mb-4">{result.practice ? 'Latihan Selesai! 💪' : 'Kuis Selesai! 🎉'}</h2>
+          <p className="text-xl text-slate-600 mb-8">
+            {result.practice
+              ? 'Hasil latihan tidak dicatat sebagai nilai resmi.'
+              : 'Terima kasih telah mengerjakan kuis ini.'}
+          </p>
           
           {/* Score Display */}
           <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
@@ -43,6 +48,22 @@ const QuizResult = ({ result, className = '' }) => {
             </div>
           </div>
 
+          <ScoreBreakdown scoring={result.scoring} settings={scoringSettings} className="mb-8" />
+
+          {result.late && (
+            <p className="mb-4 text-sm font-semibold text-orange-700">
+              ⏰ Jawaban dikirim setelah kuis ditutup (terlambat)
+            </p>
+          )}
+
+          {/* Passing status against the kuis' grading scheme */}
+          {result.passingScore !== undefined && (
+            <p className={`mb-6 font-semibold ${result.passed ? 'text-green-700' : 'text-red-700'}`}>
+              {result.passed ? 'Tuntas' : 'Belum tuntas'} • KKM {result.passingScore}
+              {result.schemeName && <span className="text-slate-500 font-normal"> ({result.schemeName})</span>}
+            </p>
+          )}
+
           {/* Performance Message */}
           <div className="mb-8">
             {result.percentage >= 90 && (
@@ -70,10 +91,10 @@ const QuizResult = ({ result, className = '' }) => {
           {/* Action Buttons */}
           <div className="flex flex-col sm:flex-row gap-4 justify-center">
             <button
-              onClick={() => navigate('/hasil-kuis')}
+              onClick={() => navigate(result.practice ? '/study-planner' : '/hasil-kuis')}
               className="btn-primary"
             >
-              Lihat Semua Hasil
+              {result.practice ? 'Lihat Rencana Belajar' : 'Lihat Semua Hasil'}
             </button>
             <button
               onClick={() => navigate('/ambil-kuis')}
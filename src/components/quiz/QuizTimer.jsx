@@ -1,6 +1,7 @@
 import React from 'react';
 
-const QuizTimer = ({ timeLeft, status = 'normal', className = '' }) => {
+// questionTimeLeft (seconds) shows the per-soal countdown when the kuis has one
+const QuizTimer = ({ timeLeft, status = 'normal', questionTimeLeft = null, className = '' }) => {
   const formatTime = (seconds) => {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
@@ -47,6 +48,11 @@ const QuizTimer = ({ timeLeft, status = 'normal', className = '' }) => {
           <span className="text-xs text-red-600 font-medium">Waktu Habis!</span>
         )}
       </div>
+      {questionTimeLeft !== null && (
+        <div className={`text-xs font-medium mt-0.5 ${questionTimeLeft <= 10 ? 'text-red-500' : 'text-slate-500'}`}>
+          Soal: <span className="font-mono">{formatTime(questionTimeLeft)}</span>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import {
+  dismissRejectedSubmission,
+  getRejectedSubmissions,
+  subscribeToSubmissions
+} from '../../services/submissionQueue';
+
+// Queued answers the server refused, shown on every page until the student dismisses them
+const RejectedSubmissionsNotice = () => {
+  const { userId } = useAuth();
+  const [rejected, setRejected] = useState(() => getRejectedSubmissions(userId));
+
+  useEffect(() => {
+    setRejected(getRejectedSubmissions(userId));
+    return subscribeToSubmissions(() => setRejected(getRejectedSubmissions(userId)));
+  }, [userId]);
+
+  if (rejected.length === 0) return null;
+
+  return (
+    <div className="p-4 space-y-2">
+      {rejected.map((entry) => (
+        <div
+          key={`${entry.userId}-${entry.kuisId}`}
+          className="flex items-start justify-between gap-4 bg-red-50 border border-red-200 rounded-xl p-4"
+        >
+          <div>
+            <p className="font-semibold text-red-800">
+              Jawaban kuis {entry.kuisTitle || `#${entry.kuisId}`} yang tersimpan offline ditolak server
+            </p>
+            <p className="text-sm text-red-700">{entry.message}</p>
+          </div>
+          <button
+            onClick={() => dismissRejectedSubmission(entry)}
+            className="text-sm font-medium text-red-700 hover:text-red-900"
+          >
+            Tutup
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RejectedSubmissionsNotice;
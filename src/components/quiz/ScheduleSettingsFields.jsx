@@ -0,0 +1,56 @@
+import React from 'react';
+
+/**
+ * Kuis availability window: open / close datetimes and late grace minutes
+ * @param {Object} value - {open_at, close_at, late_minutes} as datetime-local values
+ * @param {Function} onChange - Receives the changed fields
+ * @param {string} inputClassName - Class for the inputs
+ * @param {string} labelClassName - Class for the labels
+ */
+const ScheduleSettingsFields = ({
+  value,
+  onChange,
+  inputClassName = 'w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200',
+  labelClassName = 'block text-sm font-semibold text-slate-700 mb-2'
+}) => (
+  <div>
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div>
+        <label className={labelClassName}>Dibuka</label>
+        <input
+          type="datetime-local"
+          value={value.open_at || ''}
+          onChange={(e) => onChange({ open_at: e.target.value })}
+          className={inputClassName}
+        />
+      </div>
+      <div>
+        <label className={labelClassName}>Ditutup</label>
+        <input
+          type="datetime-local"
+          value={value.close_at || ''}
+          min={value.open_at || undefined}
+          onChange={(e) => onChange({ close_at: e.target.value })}
+          className={inputClassName}
+        />
+      </div>
+      <div>
+        <label className={labelClassName}>Toleransi Terlambat (menit)</label>
+        <input
+          type="number"
+          min="0"
+          value={value.late_minutes ?? 0}
+          onChange={(e) => onChange({ late_minutes: e.target.value })}
+          className={inputClassName}
+          disabled={!value.close_at}
+        />
+      </div>
+    </div>
+    <p className="mt-1 text-xs text-slate-500">
+      Kosongkan untuk membuka kuis tanpa batas waktu. Pengerjaan yang masih berjalan saat kuis ditutup
+      dikirim otomatis setelah toleransi berakhir.
+    </p>
+  </div>
+);
+
+export default ScheduleSettingsFields;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+const formatPoints = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+
+/**
+ * Points earned and answer counts of a weighted attempt (from scoreQuiz)
+ */
+const ScoreBreakdown = ({ scoring, settings, className = '' }) => {
+  if (!scoring) {
+    return null;
+  }
+
+  const items = [
+    { label: 'Benar', value: scoring.correct, className: 'text-green-600' },
+    { label: 'Sebagian', value: scoring.partial, className: 'text-blue-600' },
+    { label: 'Salah', value: scoring.wrong, className: 'text-red-600' },
+    { label: 'Kosong', value: scoring.unanswered, className: 'text-slate-500' },
+  ];
+
+  return (
+    <div className={`bg-slate-50 rounded-2xl p-6 text-left ${className}`}>
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+        <h3 className="text-lg font-bold text-slate-800">Rincian Poin</h3>
+        <p className="text-2xl font-black text-slate-800">
+          {formatPoints(Math.max(scoring.earned, 0))} <span className="text-base font-semibold text-slate-500">/ {formatPoints(scoring.max)} poin</span>
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {items.map(item => (
+          <div key={item.label} className="bg-white rounded-xl p-3 text-center">
+            <p className={`text-xl font-bold ${item.className}`}>{item.value}</p>
+            <p className="text-xs font-medium text-slate-500">{item.label}</p>
+          </div>
+        ))}
+      </div>
+
+      {(scoring.penalty < 0 || settings?.negativeMarking > 0) && (
+        <p className="mt-4 text-sm text-red-600">
+          Pengurangan jawaban salah: {formatPoints(scoring.penalty)} poin
+          {settings?.negativeMarking > 0 && ` (${settings.negativeMarking * 100}% poin soal)`}
+        </p>
+      )}
+      {scoring.partial > 0 && (
+        <p className="mt-1 text-sm text-blue-600">
+          Soal pilihan ganda kompleks dinilai sebagian sesuai pilihan yang benar.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { NEGATIVE_MARKING_OPTIONS } from '../../utils/scoring';
+
+/**
+ * Kuis scoring options: negative marking and partial credit
+ * @param {Object} value - {negative_marking, partial_credit}
+ * @param {Function} onChange - Receives the changed fields
+ */
+const ScoringSettingsFields = ({
+  value,
+  onChange,
+  inputClassName = 'w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200'
+}) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+    <div>
+      <label className="block text-sm font-semibold text-slate-700 mb-2">Pengurangan Jawaban Salah</label>
+      <select
+        value={Number(value.negative_marking) || 0}
+        onChange={(e) => onChange({ negative_marking: Number(e.target.value) })}
+        className={inputClassName}
+      >
+        {NEGATIVE_MARKING_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <p className="mt-1 text-xs text-slate-500">Soal yang tidak dijawab tidak dikurangi.</p>
+    </div>
+
+    <div>
+      <label className="block text-sm font-semibold text-slate-700 mb-2">Nilai Sebagian</label>
+      <label className="flex items-start p-3 border border-slate-200 rounded-xl cursor-pointer hover:bg-slate-50">
+        <input
+          type="checkbox"
+          checked={value.partial_credit !== false}
+          onChange={(e) => onChange({ partial_credit: e.target.checked })}
+          className="mt-1 mr-3"
+        />
+        <span className="text-sm text-slate-600">
+          Pilihan ganda kompleks mendapat poin sebagian untuk setiap pilihan benar (dikurangi pilihan salah)
+        </span>
+      </label>
+    </div>
+  </div>
+);
+
+export default ScoringSettingsFields;
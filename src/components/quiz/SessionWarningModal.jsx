@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useNow } from '../../hooks/useNow';
+import { API_CONFIG } from '../../config/apiConfig';
+import { getSessionExpiresAt, getSessionTimeLeft, refreshSession } from '../../services/session';
+
+const formatTimeLeft = (ms) => {
+  const seconds = Math.max(Math.ceil(ms / 1000), 0);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Shown during a quiz when the silent refresh has not extended the session in time
+const SessionWarningModal = () => {
+  const now = useNow();
+  const [dismissedFor, setDismissedFor] = useState(null);
+  const [extending, setExtending] = useState(false);
+  const [error, setError] = useState('');
+
+  const timeLeft = getSessionTimeLeft(now);
+  const expiresAt = getSessionExpiresAt();
+
+  if (
+    timeLeft === null ||
+    timeLeft <= 0 ||
+    timeLeft > API_CONFIG.SESSION.WARNING_MARGIN ||
+    dismissedFor === expiresAt
+  ) {
+    return null;
+  }
+
+  const handleExtend = async () => {
+    setExtending(true);
+    setError('');
+    const refreshed = await refreshSession();
+    setExtending(false);
+    if (!refreshed) {
+      setError('Sesi belum dapat diperpanjang. Periksa koneksi internet Anda lalu coba lagi.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-8 max-w-md w-full animate-scale-in">
+        <div className="text-center">
+          <div className="w-16 h-16 bg-amber-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <svg className="w-8 h-8 text-amber-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          </div>
+
+          <h3 className="text-xl font-bold text-slate-800 mb-2">Sesi Akan Berakhir</h3>
+          <p className="text-slate-600 mb-2">
+            Sesi login Anda berakhir dalam <span className="font-mono font-bold text-amber-700">{formatTimeLeft(timeLeft)}</span>.
+          </p>
+          <p className="text-sm text-slate-500 mb-6">
+            Jawaban tetap tersimpan di perangkat ini. Jika sesi berakhir, login kembali untuk melanjutkan kuis ini.
+          </p>
+
+          {error && (
+            <p className="mb-4 text-sm text-red-600">{error}</p>
+          )}
+
+          <div className="flex space-x-4">
+            <button
+              onClick={() => setDismissedFor(expiresAt)}
+              className="flex-1 btn-outline"
+              disabled={extending}
+            >
+              Nanti
+            </button>
+            <button
+              onClick={handleExtend}
+              className="flex-1 btn-primary"
+              disabled={extending}
+            >
+              {extending ? 'Memperpanjang...' : 'Perpanjang Sesi'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionWarningModal;
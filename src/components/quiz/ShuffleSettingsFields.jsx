@@ -0,0 +1,46 @@
+import React from 'react';
+
+const SHUFFLE_OPTIONS = [
+  {
+    field: 'shuffle_questions',
+    label: 'Acak urutan soal',
+    description: 'Setiap siswa mendapat urutan soal yang berbeda'
+  },
+  {
+    field: 'shuffle_options',
+    label: 'Acak urutan pilihan jawaban',
+    description: 'Berlaku untuk pilihan ganda dan pilihan ganda kompleks'
+  },
+];
+
+/**
+ * Kuis shuffle options, the order stays the same for one attempt
+ * @param {Object} value - {shuffle_questions, shuffle_options}
+ * @param {Function} onChange - Receives the changed fields
+ */
+const ShuffleSettingsFields = ({ value, onChange }) => (
+  <div>
+    <label className="block text-sm font-semibold text-slate-700 mb-2">Pengacakan</label>
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {SHUFFLE_OPTIONS.map(option => (
+        <label
+          key={option.field}
+          className="flex items-start p-3 border border-slate-200 rounded-xl cursor-pointer hover:bg-slate-50"
+        >
+          <input
+            type="checkbox"
+            checked={Boolean(value[option.field])}
+            onChange={(e) => onChange({ [option.field]: e.target.checked })}
+            className="mt-1 mr-3"
+          />
+          <span>
+            <span className="block text-sm font-medium text-slate-900">{option.label}</span>
+            <span className="block text-xs text-slate-500">{option.description}</span>
+          </span>
+        </label>
+      ))}
+    </div>
+  </div>
+);
+
+export default ShuffleSettingsFields;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { DIFFICULTY_LABELS, getSoalDifficulty, getSoalTags, getSourceSoalId, isReferenceSoal } from '../../utils/questionBank';
+
+/**
+ * Difficulty and tags of a soal and where it came from in the question bank
+ * @param {Object} soal
+ * @param {Function} onTagClick - Optional, makes the tags clickable (e.g. to filter)
+ */
+const SoalBankBadges = ({ soal, onTagClick, className = '' }) => {
+  const tags = getSoalTags(soal);
+  const sourceId = getSourceSoalId(soal);
+  const difficulty = getSoalDifficulty(soal);
+
+  if (tags.length === 0 && !sourceId && !difficulty) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+      {difficulty && (
+        <span className="inline-block px-3 py-1 text-xs font-semibold text-rose-700 bg-rose-100 rounded-full">
+          {DIFFICULTY_LABELS[difficulty]}
+        </span>
+      )}
+      {sourceId && (
+        <span className="inline-block px-3 py-1 text-xs font-semibold text-amber-700 bg-amber-100 rounded-full">
+          {isReferenceSoal(soal) ? `🔗 Referensi soal #${sourceId}` : `Salinan soal #${sourceId}`}
+        </span>
+      )}
+      {tags.map(tag => (
+        onTagClick ? (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => onTagClick(tag)}
+            className="px-3 py-1 text-xs font-semibold text-purple-700 bg-purple-100 hover:bg-purple-200 rounded-full transition-colors duration-200"
+          >
+            #{tag}
+          </button>
+        ) : (
+          <span key={tag} className="inline-block px-3 py-1 text-xs font-semibold text-purple-700 bg-purple-100 rounded-full">
+            #{tag}
+          </span>
+        )
+      ))}
+    </div>
+  );
+};
+
+export default SoalBankBadges;
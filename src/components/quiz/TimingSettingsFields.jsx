@@ -0,0 +1,49 @@
+import React from 'react';
+import { MAX_DURATION_MINUTES } from '../../utils/quizTiming';
+
+/**
+ * Attempt duration and optional per-soal time limit of a kuis
+ * @param {Object} value - {duration_minutes, question_time_limit}
+ * @param {Function} onChange - Receives the changed fields
+ * @param {string} inputClassName - Class for the inputs
+ * @param {string} labelClassName - Class for the labels
+ */
+const TimingSettingsFields = ({
+  value,
+  onChange,
+  inputClassName = 'w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200',
+  labelClassName = 'block text-sm font-semibold text-slate-700 mb-2'
+}) => (
+  <div>
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label className={labelClassName}>Durasi (menit)</label>
+        <input
+          type="number"
+          min="1"
+          max={MAX_DURATION_MINUTES}
+          value={value.duration_minutes ?? ''}
+          onChange={(e) => onChange({ duration_minutes: e.target.value })}
+          className={inputClassName}
+          required
+        />
+      </div>
+      <div>
+        <label className={labelClassName}>Batas Waktu per Soal (detik)</label>
+        <input
+          type="number"
+          min="0"
+          value={value.question_time_limit ?? 0}
+          onChange={(e) => onChange({ question_time_limit: e.target.value })}
+          className={inputClassName}
+        />
+      </div>
+    </div>
+    <p className="mt-1 text-xs text-slate-500">
+      Isi 0 untuk menonaktifkan batas per soal. Dengan batas per soal, siswa tidak bisa kembali
+      ke soal sebelumnya.
+    </p>
+  </div>
+);
+
+export default TimingSettingsFields;
@@ -8,7 +8,9 @@ export const API_CONFIG = {
   CACHE: {
     ENABLED: import.meta.env.VITE_ENABLE_CACHE !== 'false',
     DURATION: parseInt(import.meta.env.VITE_CACHE_DURATION) || 5 * 60 * 1000, // 5 minutes
+    STALE_DURATION: 24 * 60 * 60 * 1000, // Stale entries are served while revalidating for a day
     MAX_SIZE: 100, // Maximum number of cached items
+    PERSIST: import.meta.env.VITE_PERSIST_CACHE !== 'false', // Keep the cache in IndexedDB across reloads
   },
   
   // Rate limiting configuration
@@ -20,6 +22,24 @@ export const API_CONFIG = {
     RETRY_DELAY: 1000,
   },
   
+  // Local mocks for endpoints the backend does not provide yet
+  MOCKS: {
+    ENABLED: import.meta.env.VITE_USE_MOCKS === 'true',
+  },
+
+  // Where the signed-in session is kept: session, memory, cookie or local
+  AUTH: {
+    STORAGE: import.meta.env.VITE_AUTH_STORAGE || 'session',
+  },
+
+  // Session lifetime handling
+  SESSION: {
+    REFRESH_MARGIN: 5 * 60 * 1000, // Refresh the token silently once less than this is left
+    WARNING_MARGIN: 2 * 60 * 1000, // Warn during a quiz once less than this is left
+    CHECK_INTERVAL: 30 * 1000,
+    MOCK_DURATION: (parseInt(import.meta.env.VITE_MOCK_SESSION_MINUTES) || 60) * 60 * 1000,
+  },
+  
   // Debug configuration
   DEBUG: {
     API: import.meta.env.VITE_DEBUG_API === 'true',
@@ -44,6 +64,13 @@ export const API_CONFIG = {
     '/soal/get-soal',
   ],
   
+  // Records a cached response is about, besides its resource: the captured ID becomes `${tag}:${id}`
+  CACHE_TAG_RULES: [
+    { pattern: /^\/soal\/get-soal\/(\d+)/, tag: 'kuis' },
+    { pattern: /^\/kuis\/get-kuis\/(\d+)/, tag: 'kuis' },
+    { pattern: /[?&]kelas_id=(\d+)/, tag: 'kelas' },
+  ],
+
   // Endpoints that should not be cached
   NON_CACHEABLE_ENDPOINTS: [
     '/user/login',
@@ -88,6 +115,24 @@ export const getCacheKey = (url, options = {}) => {
   return baseKey;
 };
 
+/**
+ * Tags of a cached response: its resource, plus the records it is about or
+ * `${resource}:list` for the unfiltered list
+ * e.g. '/soal/get-soal/5' -> ['soal', 'kuis:5'], '/soal/get-soal' -> ['soal', 'soal:list']
+ */
+export const getCacheTags = (url) => {
+  const endpoint = url.replace(API_CONFIG.BASE_URL, '');
+  const resource = endpoint.split('/')[1];
+  const recordTags = API_CONFIG.CACHE_TAG_RULES
+    .map(({ pattern, tag }) => {
+      const match = endpoint.match(pattern);
+      return match ? `${tag}:${match[1]}` : null;
+    })
+    .filter(Boolean);
+
+  return [resource, ...(recordTags.length > 0 ? recordTags : [`${resource}:list`])];
+};
+
 // Helper function to check if request should be rate limited
 export const shouldRateLimit = (url) => {
   // Always rate limit to prevent server overload
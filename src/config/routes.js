@@ -0,0 +1,64 @@
+import LoginPage from '../pages/auth/LoginPage';
+import SignupPage from '../pages/auth/SignupPage';
+import DashboardPage from '../pages/DashboardPage';
+import KategoriPage from '../pages/management/KategoriPage';
+import TingkatanPage from '../pages/management/TingkatanPage';
+import PendidikanPage from '../pages/management/PendidikanPage';
+import KelasPage from '../pages/management/KelasPage';
+import MyClassesPage from '../pages/teacher/MyClassesPage';
+import DetailKelas from '../pages/teacher/DetailKelas';
+import ClassGradebookPage from '../pages/teacher/ClassGradebookPage';
+import ItemAnalysisPage from '../pages/teacher/ItemAnalysisPage';
+import JoinKelasPage from '../pages/student/JoinKelasPage';
+import KuisPage from '../pages/KuisPage';
+import ManageSoalPage from '../pages/teacher/ManageSoalPage';
+import AmbilKuisPage from '../pages/student/AmbilKuisPage';
+import JawabKuisPage from '../pages/quiz/JawabKuisPage';
+import HasilKuisPage from '../pages/student/HasilKuisPage';
+import DetailHasilKuisPage from '../pages/student/DetailHasilKuisPage';
+import ProfilPage from '../pages/ProfilPage';
+import SoalManagementPage from '../pages/admin/SoalManagementPage';
+import KuisManagementPage from '../pages/admin/KuisManagementPage';
+import AnalyticsPage from '../pages/admin/AnalyticsPage';
+import GradingSchemesPage from '../pages/admin/GradingSchemesPage';
+import RecommendationPage from '../pages/admin/RecommendationPage';
+import LeaderboardPage from '../pages/student/LeaderboardPage';
+import AchievementsPage from '../pages/student/AchievementsPage';
+import StudyPlannerPage from '../pages/student/StudyPlannerPage';
+
+/**
+ * Every route App.jsx renders
+ * Who may open each one is declared in ROUTE_PERMISSIONS (utils/roleUtils);
+ * routes.test.jsx checks that the two lists match.
+ */
+export const APP_ROUTES = [
+  { path: '/login', page: LoginPage },
+  { path: '/register', page: SignupPage },
+  { path: '/dashboard', page: DashboardPage },
+  { path: '/daftar-kategori', page: KategoriPage },
+  { path: '/daftar-tingkatan', page: TingkatanPage },
+  { path: '/daftar-pendidikan', page: PendidikanPage },
+  { path: '/daftar-kelas', page: KelasPage },
+  { path: '/my-classes', page: MyClassesPage },
+  { path: '/kelas/:id', page: DetailKelas },
+  { path: '/kelas/:id/nilai', page: ClassGradebookPage },
+  { path: '/join-kelas', page: JoinKelasPage },
+  { path: '/daftar-kuis', page: KuisPage },
+  { path: '/kuis/:kuisId/manage-soal', page: ManageSoalPage },
+  { path: '/kuis/:kuisId/analisis', page: ItemAnalysisPage },
+  { path: '/ambil-kuis', page: AmbilKuisPage },
+  { path: '/kuis/:kuisId/jawab', page: JawabKuisPage },
+  { path: '/hasil-kuis', page: HasilKuisPage },
+  { path: '/hasil-kuis/:kuisId/detail', page: DetailHasilKuisPage },
+  { path: '/profil', page: ProfilPage },
+  { path: '/admin/manage-soal', page: SoalManagementPage },
+  { path: '/admin/manage-kuis', page: KuisManagementPage },
+  { path: '/admin/grading-schemes', page: GradingSchemesPage },
+  { path: '/analytics', page: AnalyticsPage },
+  { path: '/recommendations', page: RecommendationPage },
+  { path: '/leaderboard', page: LeaderboardPage },
+  { path: '/achievements', page: AchievementsPage },
+  { path: '/study-planner', page: StudyPlannerPage }
+];
+
+export default APP_ROUTES;
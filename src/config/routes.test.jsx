@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom/server';
+import { APP_ROUTES } from './routes';
+import { AuthContext } from '../context/AuthContext';
+import RouteGuard from '../components/RouteGuard';
+import {
+  PUBLIC_ACCESS,
+  ROUTE_PERMISSIONS,
+  canAccessRoute,
+  checkRoutePermissions,
+  isOpenToAllRoles
+} from '../utils/roleUtils';
+
+const paths = APP_ROUTES.map(({ path }) => path);
+
+const renderGuarded = (path, auth) => renderToStaticMarkup(
+  <StaticRouter location={path}>
+    <AuthContext.Provider value={auth}>
+      <RouteGuard path={path}>
+        <p>Halaman terlindungi</p>
+      </RouteGuard>
+    </AuthContext.Provider>
+  </StaticRouter>
+);
+
+describe('route permissions', () => {
+  it('declares a permission for every route of the app', () => {
+    expect(checkRoutePermissions(paths).undeclared).toEqual([]);
+  });
+
+  it('has no permission for a route the app does not render', () => {
+    expect(checkRoutePermissions(paths).unused).toEqual([]);
+  });
+
+  it('renders each route once', () => {
+    expect(new Set(paths).size).toBe(paths.length);
+  });
+
+  it('only uses known roles', () => {
+    Object.values(ROUTE_PERMISSIONS)
+      .filter((permission) => permission !== PUBLIC_ACCESS)
+      .forEach((roles) => {
+        expect(roles.length).toBeGreaterThan(0);
+        roles.forEach((role) => expect(['student', 'teacher', 'admin']).toContain(role));
+      });
+  });
+
+  it('keeps admin pages from teachers and students', () => {
+    expect(canAccessRoute('/admin/grading-schemes', 'admin')).toBe(true);
+    expect(canAccessRoute('/admin/grading-schemes', 'teacher')).toBe(false);
+    expect(canAccessRoute('/daftar-kategori', 'student')).toBe(false);
+  });
+
+  it('matches concrete paths against route patterns', () => {
+    expect(canAccessRoute('/kelas/12/nilai', 'teacher')).toBe(true);
+    expect(canAccessRoute('/kelas/12/nilai', 'student')).toBe(false);
+    expect(canAccessRoute('/kelas/12', 'student')).toBe(true);
+  });
+
+  it('treats the legacy user role as a student', () => {
+    expect(canAccessRoute('/join-kelas', 'user')).toBe(true);
+    expect(canAccessRoute('/daftar-kuis', 'user')).toBe(false);
+  });
+
+  it('closes routes that are not declared', () => {
+    expect(canAccessRoute('/tambah-kategori', 'admin')).toBe(false);
+  });
+});
+
+describe('RouteGuard', () => {
+  const path = '/admin/grading-schemes';
+
+  it('renders the page for an allowed verified role', () => {
+    const html = renderGuarded(path, { verifiedRole: 'admin', roleVerified: true });
+    expect(html).toContain('Halaman terlindungi');
+  });
+
+  it('renders a 403 for a denied verified role', () => {
+    const html = renderGuarded(path, { verifiedRole: 'student', roleVerified: true, userRole: 'admin' });
+    expect(html).toContain('403');
+    expect(html).toContain('Akses Ditolak');
+    expect(html).not.toContain('Halaman terlindungi');
+  });
+
+  it('renders a 403 when the backend could not verify the role', () => {
+    const html = renderGuarded(path, { verifiedRole: null, roleVerified: true });
+    expect(html).toContain('Akses Ditolak');
+    expect(html).not.toContain('Halaman terlindungi');
+  });
+
+  it('waits for the verification before rendering the page', () => {
+    const html = renderGuarded(path, { verifiedRole: null, roleVerified: false });
+    expect(html).toContain('Memeriksa hak akses');
+    expect(html).not.toContain('Halaman terlindungi');
+  });
+
+  it('needs no verification for pages open to every role', () => {
+    expect(isOpenToAllRoles('/kuis/:kuisId/jawab')).toBe(true);
+    const html = renderGuarded('/kuis/:kuisId/jawab', { verifiedRole: null, roleVerified: false });
+    expect(html).toContain('Halaman terlindungi');
+  });
+});
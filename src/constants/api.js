@@ -1,3 +1,5 @@
+import { getAuthToken } from '../services/authStorage.js';
+
 // API Configuration Constants - Railway Deployment
 export const BASE_URL = import.meta.env.VITE_API_URL ||
   (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
@@ -91,7 +93,7 @@ export const HTTP_METHODS = {
 
 // Request Headers
 export const getAuthHeaders = () => {
-  const token = localStorage.getItem('token');
+  const token = getAuthToken();
   const headers = {
     'Content-Type': 'application/json',
   };
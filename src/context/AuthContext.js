@@ -0,0 +1,27 @@
+import { createContext } from 'react';
+import { decodeToken } from '../utils/token';
+
+/**
+ * Auth state of the app, provided by AuthProvider and read through useAuth
+ * Value: { user, userId, userName, userRole, isAuthenticated, verifiedRole, roleVerified,
+ *   loading, endReason, login, logout }
+ * userRole is the stored role for display; access checks use verifiedRole.
+ */
+export const AuthContext = createContext(null);
+
+/**
+ * Profile of the signed-in user, the token payload fills what the login response left out
+ * @param {Object|null} state - Auth store state
+ * @returns {Object|null} - {userId, userName, userRole}
+ */
+export const toAuthUser = (state) => {
+  if (!state) return null;
+  const payload = decodeToken(state.token) || {};
+  return {
+    userId: state.userId || payload.iss || payload.user_id || payload.id || payload.sub || null,
+    userName: state.userName || payload.name || 'User',
+    userRole: state.userRole || payload.role || 'student'
+  };
+};
+
+export default AuthContext;
@@ -1,7 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { responseCache, CACHE_UPDATED_EVENT } from '../services/responseCache';
 
-// Global cache for API responses
-const globalCache = new Map();
+// Hook results live in the same (persisted) cache as the HTTP client's responses
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
 // Request deduplication
@@ -9,18 +9,22 @@ const pendingRequests = new Map();
 
 /**
  * Custom hook for caching API responses and preventing duplicate requests
+ * Stale results are shown at once and refreshed in the background.
  * @param {Function} apiFunction - The API function to call
  * @param {Array} dependencies - Dependencies that trigger refetch
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options, `tags` let mutations invalidate the result,
+ *   `fresh` never shows a stale result (data an attempt depends on)
  */
 export const useApiCache = (apiFunction, dependencies = [], options = {}) => {
   const {
     cacheKey,
     cacheDuration = CACHE_DURATION,
+    tags = [],
+    fresh = false,
     enabled = true,
     onSuccess,
     onError,
-    retryCount = 3,
+    retryCount = 0, // httpClient already retries failed GET requests
     retryDelay = 1000
   } = options;
 
@@ -33,17 +37,44 @@ export const useApiCache = (apiFunction, dependencies = [], options = {}) => {
   // Generate cache key if not provided
   const finalCacheKey = cacheKey || `${apiFunction.name}_${JSON.stringify(dependencies)}`;
 
+  const tagsKey = tags.join(',');
+
   const fetchData = useCallback(async (isRetry = false) => {
     if (!enabled) return;
 
-    // Check cache first
-    const cached = globalCache.get(finalCacheKey);
-    const now = Date.now();
-    
-    if (cached && (now - cached.timestamp) < cacheDuration && !isRetry) {
-      setData(cached.data);
-      setLoading(false);
-      setError(null);
+    const cacheTags = tagsKey ? tagsKey.split(',') : [];
+
+    // Check cache first, persisted entries load asynchronously
+    await responseCache.ready;
+    const cached = isRetry ? undefined : responseCache.lookup(finalCacheKey, cacheDuration);
+
+    if (cached && !(fresh && cached.stale)) {
+      if (mountedRef.current) {
+        setData(cached.data);
+        setLoading(false);
+        setError(null);
+      }
+      if (!cached.stale || pendingRequests.has(finalCacheKey)) {
+        return cached.data;
+      }
+
+      // Stale: keep showing it while a fresh copy loads, failures keep the stale data
+      responseCache.recordRevalidation();
+      const revalidation = apiFunction()
+        .then(result => {
+          responseCache.set(finalCacheKey, result, { tags: cacheTags });
+          if (onSuccess) {
+            onSuccess(result);
+          }
+          return result;
+        })
+        .finally(() => pendingRequests.delete(finalCacheKey));
+      pendingRequests.set(finalCacheKey, revalidation);
+      revalidation.catch(err => {
+        if (import.meta.env.DEV) {
+          console.warn(`Revalidating ${finalCacheKey} failed:`, err.message);
+        }
+      });
       return cached.data;
     }
 
@@ -77,10 +108,7 @@ export const useApiCache = (apiFunction, dependencies = [], options = {}) => {
         const result = await apiFunction();
         
         // Cache successful response
-        globalCache.set(finalCacheKey, {
-          data: result,
-          timestamp: now
-        });
+        responseCache.set(finalCacheKey, result, { tags: cacheTags });
 
         retryCountRef.current = 0; // Reset retry count on success
         
@@ -131,7 +159,7 @@ export const useApiCache = (apiFunction, dependencies = [], options = {}) => {
       // Remove from pending requests
       pendingRequests.delete(finalCacheKey);
     }
-  }, [apiFunction, finalCacheKey, cacheDuration, enabled, onSuccess, onError, retryCount, retryDelay]);
+  }, [apiFunction, finalCacheKey, cacheDuration, tagsKey, fresh, enabled, onSuccess, onError, retryCount, retryDelay]);
 
   // Fetch data when dependencies change
   useEffect(() => {
@@ -140,6 +168,17 @@ export const useApiCache = (apiFunction, dependencies = [], options = {}) => {
     }
   }, [fetchData, ...dependencies]);
 
+  // Pick up new data written under the same key, e.g. by a background revalidation
+  useEffect(() => {
+    const handleUpdate = (event) => {
+      if (event.detail.key === finalCacheKey && mountedRef.current) {
+        setData(event.detail.data);
+      }
+    };
+    window.addEventListener(CACHE_UPDATED_EVENT, handleUpdate);
+    return () => window.removeEventListener(CACHE_UPDATED_EVENT, handleUpdate);
+  }, [finalCacheKey]);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -150,13 +189,13 @@ export const useApiCache = (apiFunction, dependencies = [], options = {}) => {
   // Manual refetch function
   const refetch = useCallback(() => {
     // Clear cache for this key
-    globalCache.delete(finalCacheKey);
+    responseCache.delete(finalCacheKey);
     return fetchData();
   }, [finalCacheKey, fetchData]);
 
   // Clear cache function
   const clearCache = useCallback(() => {
-    globalCache.delete(finalCacheKey);
+    responseCache.delete(finalCacheKey);
   }, [finalCacheKey]);
 
   return {
@@ -256,15 +295,16 @@ export const useBatchApi = (apiCalls = [], options = {}) => {
 
 // Utility function to clear all cache
 export const clearAllCache = () => {
-  globalCache.clear();
+  responseCache.clear();
   pendingRequests.clear();
 };
 
-// Utility function to get cache stats
+// Utility function to get cache stats, including hit / miss counters
 export const getCacheStats = () => {
   return {
-    cacheSize: globalCache.size,
+    ...responseCache.getStats(),
+    cacheSize: responseCache.size,
     pendingRequests: pendingRequests.size,
-    cacheKeys: Array.from(globalCache.keys())
+    cacheKeys: responseCache.keys()
   };
 };
@@ -1,104 +1,13 @@
-import { useState, useEffect } from 'react';
+import { useContext } from 'react';
+import { AuthContext } from '../context/AuthContext';
 
-// Custom hook for authentication and user management
+// Auth state and actions from the AuthProvider
 export const useAuth = () => {
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  // Get user info from localStorage and token
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const storedUserName = localStorage.getItem('userName');
-    const storedUserRole = localStorage.getItem('userRole');
-
-    if (storedUserId && storedUserRole) {
-      return {
-        userId: storedUserId,
-        userName: storedUserName || 'User',
-        userRole: storedUserRole
-      };
-    }
-
-    const token = localStorage.getItem('token');
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return {
-          userId: payload.iss || payload.user_id || payload.id || payload.sub,
-          userName: payload.name || storedUserName || 'User',
-          userRole: payload.role || storedUserRole || 'student'
-        };
-      } catch (error) {
-        console.error('Error decoding token:', error);
-      }
-    }
-
-    return {
-      userId: null,
-      userName: storedUserName || 'User',
-      userRole: storedUserRole || 'student'
-    };
-  };
-
-  // Check if user is authenticated
-  const isAuthenticated = () => {
-    const token = localStorage.getItem('token');
-    const userId = localStorage.getItem('userId');
-    return !!(token && userId);
-  };
-
-  // Login function
-  const login = (userData, token) => {
-    const userRole = userData.role || userData.userRole;
-
-    // Debug login data
-    console.log('useAuth Login Debug:', {
-      userData,
-      userRole,
-      token: token ? 'exists' : 'missing'
-    });
-
-    localStorage.setItem('token', token);
-    localStorage.setItem('userId', userData.id || userData.userId);
-    localStorage.setItem('userName', userData.name || userData.userName);
-    localStorage.setItem('userRole', userRole);
-    // Also store as 'role' for backward compatibility
-    localStorage.setItem('role', userRole);
-
-    setUser({
-      userId: userData.id || userData.userId,
-      userName: userData.name || userData.userName,
-      userRole: userRole
-    });
-  };
-
-  // Logout function
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('userId');
-    localStorage.removeItem('userName');
-    localStorage.removeItem('userRole');
-    localStorage.removeItem('role'); // Remove both keys
-    setUser(null);
-  };
-
-  // Initialize user on component mount
-  useEffect(() => {
-    const userInfo = getUserInfo();
-    if (userInfo.userId) {
-      setUser(userInfo);
-    }
-    setLoading(false);
-  }, []);
-
-  return {
-    user,
-    loading,
-    isAuthenticated: isAuthenticated(),
-    login,
-    logout,
-    getUserInfo
-  };
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
 };
 
 // Custom hook for user role checking
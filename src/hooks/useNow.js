@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+import { serverNow } from '../services/serverClock';
+
+// Current server time, refreshed on an interval for countdowns
+export const useNow = (intervalMs = 1000) => {
+  const [now, setNow] = useState(() => serverNow());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(serverNow()), intervalMs);
+    return () => clearInterval(interval);
+  }, [intervalMs]);
+
+  return now;
+};
@@ -1,40 +1,30 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { serverNow } from '../services/serverClock';
 
 // Custom hook for quiz timer functionality
-export const useTimer = (initialTime = 1800, onTimeUp = null) => {
-  const [timeLeft, setTimeLeft] = useState(initialTime);
+// Counts down to a wall-clock end time, so reloads and throttled tabs stay accurate
+export const useTimer = (endsAt = null, onTimeUp = null) => {
+  const [now, setNow] = useState(() => serverNow());
   const [isRunning, setIsRunning] = useState(false);
-  const [isPaused, setIsPaused] = useState(false);
+  const onTimeUpRef = useRef(onTimeUp);
+
+  // Always call the latest callback without restarting the interval
+  useEffect(() => {
+    onTimeUpRef.current = onTimeUp;
+  }, [onTimeUp]);
+
+  const timeLeft = endsAt ? Math.max(Math.ceil((endsAt - now) / 1000), 0) : null;
 
   // Start timer
   const startTimer = useCallback(() => {
     setIsRunning(true);
-    setIsPaused(false);
-  }, []);
-
-  // Pause timer
-  const pauseTimer = useCallback(() => {
-    setIsPaused(true);
-  }, []);
-
-  // Resume timer
-  const resumeTimer = useCallback(() => {
-    setIsPaused(false);
   }, []);
 
   // Stop timer
   const stopTimer = useCallback(() => {
     setIsRunning(false);
-    setIsPaused(false);
   }, []);
 
-  // Reset timer
-  const resetTimer = useCallback((newTime = initialTime) => {
-    setTimeLeft(newTime);
-    setIsRunning(false);
-    setIsPaused(false);
-  }, [initialTime]);
-
   // Format time to MM:SS
   const formatTime = useCallback((seconds) => {
     const minutes = Math.floor(seconds / 60);
@@ -44,48 +34,43 @@ export const useTimer = (initialTime = 1800, onTimeUp = null) => {
 
   // Get time status
   const getTimeStatus = useCallback(() => {
+    if (timeLeft === null) return 'normal';
     if (timeLeft <= 0) return 'expired';
     if (timeLeft <= 300) return 'warning'; // 5 minutes
     if (timeLeft <= 600) return 'caution'; // 10 minutes
     return 'normal';
   }, [timeLeft]);
 
-  // Timer effect
+  // Timer effect, fires onTimeUp once per end time
   useEffect(() => {
-    let interval = null;
+    if (!isRunning || !endsAt) return undefined;
+
+    let fired = false;
+    const tick = () => {
+      const current = serverNow();
+      setNow(current);
+      if (!fired && current >= endsAt) {
+        fired = true;
+        clearInterval(interval);
+        if (onTimeUpRef.current) {
+          onTimeUpRef.current();
+        }
+      }
+    };
 
-    if (isRunning && !isPaused && timeLeft > 0) {
-      interval = setInterval(() => {
-        setTimeLeft(prevTime => {
-          const newTime = prevTime - 1;
-          if (newTime <= 0) {
-            setIsRunning(false);
-            if (onTimeUp) {
-              onTimeUp();
-            }
-            return 0;
-          }
-          return newTime;
-        });
-      }, 1000);
-    } else {
-      clearInterval(interval);
-    }
+    const interval = setInterval(tick, 1000);
+    tick();
 
     return () => clearInterval(interval);
-  }, [isRunning, isPaused, timeLeft, onTimeUp]);
+  }, [isRunning, endsAt]);
 
   return {
     timeLeft,
     isRunning,
-    isPaused,
     startTimer,
-    pauseTimer,
-    resumeTimer,
     stopTimer,
-    resetTimer,
-    formatTime: formatTime(timeLeft),
+    formatTime: formatTime(timeLeft ?? 0),
     getTimeStatus: getTimeStatus(),
-    formattedTime: formatTime(timeLeft)
+    formattedTime: formatTime(timeLeft ?? 0)
   };
 };
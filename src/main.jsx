@@ -1,7 +1,14 @@
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import AuthProvider from './components/AuthProvider.jsx'
+import { startSubmissionSync } from './services/submissionQueue'
+
+// Send quiz submissions queued while offline
+startSubmissionSync()
 
 createRoot(document.getElementById('root')).render(
-  <App />
+  <AuthProvider>
+    <App />
+  </AuthProvider>
 )
@@ -1,12 +1,14 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect, useMemo, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import { api } from "../services/api";
-import { getConsistentScoreInfo } from '../utils/gradeUtils';
+import { loadMyResults } from "../services/quizResults";
+import { getCompleteGradeInfo } from '../utils/gradeUtils';
+import { buildResultEntries, summarizeResultEntries } from '../utils/resultStats';
 import { useApiCache, useBatchApi } from '../hooks/useApiCache';
+import { useAuth } from '../hooks/useAuth';
 
 const DashboardPage = () => {
   const navigate = useNavigate();
-  const [totalSoal, setTotalSoal] = useState(0);
   const [userStats, setUserStats] = useState({
     completedQuizzes: 0,
     totalScore: 0,
@@ -17,11 +19,8 @@ const DashboardPage = () => {
   });
   const [recentActivity, setRecentActivity] = useState([]);
   const [currentTime, setCurrentTime] = useState(new Date());
-  const [loading, setLoading] = useState(true);
 
-  // Get user info from localStorage directly
-  const userName = localStorage.getItem('userName') || 'User';
-  const role = localStorage.getItem('userRole') || localStorage.getItem('role') || 'student';
+  const { userId, userName, userRole: role } = useAuth();
 
 
 
@@ -29,31 +28,37 @@ const DashboardPage = () => {
   const { data: kategoriData, loading: kategoriLoading } = useApiCache(
     api.getKategori,
     [],
-    { cacheKey: 'dashboard_kategori' }
+    { cacheKey: 'dashboard_kategori', tags: ['kategori'] }
   );
 
   const { data: tingkatanData, loading: tingkatanLoading } = useApiCache(
     api.getTingkatan,
     [],
-    { cacheKey: 'dashboard_tingkatan' }
+    { cacheKey: 'dashboard_tingkatan', tags: ['tingkatan'] }
   );
 
   const { data: pendidikanData, loading: pendidikanLoading } = useApiCache(
     api.getPendidikan,
     [],
-    { cacheKey: 'dashboard_pendidikan' }
+    { cacheKey: 'dashboard_pendidikan', tags: ['pendidikan'] }
   );
 
   const { data: kelasData, loading: kelasLoading } = useApiCache(
     api.getKelas,
     [],
-    { cacheKey: 'dashboard_kelas' }
+    { cacheKey: 'dashboard_kelas', tags: ['kelas'] }
   );
 
   const { data: kuisData, loading: kuisLoading } = useApiCache(
     api.getKuis,
     [],
-    { cacheKey: 'dashboard_kuis' }
+    { cacheKey: 'dashboard_kuis', tags: ['kuis'] }
+  );
+
+  const { data: soalCountsData, loading: soalCountsLoading } = useApiCache(
+    api.getSoalCounts,
+    [],
+    { cacheKey: 'dashboard_soal_counts', tags: ['soal', 'soal:list'] }
   );
 
   // Calculate stats from cached data
@@ -64,21 +69,15 @@ const DashboardPage = () => {
       totalPendidikan: pendidikanData?.success ? pendidikanData.data.length : 0,
       totalKelas: kelasData?.success ? kelasData.data.length : 0,
       totalKuis: kuisData?.success ? kuisData.data.length : 0,
-      totalSoal: totalSoal, // Will be calculated separately
+      totalSoal: soalCountsData?.success
+        ? Object.values(soalCountsData.data).reduce((sum, count) => sum + count, 0)
+        : 0,
     };
-  }, [kategoriData, tingkatanData, pendidikanData, kelasData, kuisData, totalSoal]);
+  }, [kategoriData, tingkatanData, pendidikanData, kelasData, kuisData, soalCountsData]);
 
   // Check if main data is loading
   const mainDataLoading = kategoriLoading || tingkatanLoading || pendidikanLoading || kelasLoading || kuisLoading;
 
-  useEffect(() => {
-    // Fetch user stats if we have userId
-    const currentUserId = localStorage.getItem('userId');
-    if (currentUserId) {
-      fetchUserStats();
-    }
-  }, []);
-
   // Separate useEffect for timer to avoid interference with navigation
   useEffect(() => {
     const timer = setInterval(() => {
@@ -88,62 +87,9 @@ const DashboardPage = () => {
     return () => clearInterval(timer);
   }, []);
 
-  // Calculate total soal count with optimized batching
-  useEffect(() => {
-    const calculateTotalSoal = async () => {
-      if (!kuisData?.success || !kuisData.data) return;
-
-      try {
-        setLoading(true);
-        let totalSoal = 0;
-
-        // Process in smaller batches to prevent server overload
-        const batchSize = 2;
-        const kuisList = kuisData.data;
-
-        for (let i = 0; i < kuisList.length; i += batchSize) {
-          const batch = kuisList.slice(i, i + batchSize);
-
-          const batchPromises = batch.map(async (kuis) => {
-            try {
-              // Add delay to prevent overwhelming server
-              await new Promise(resolve => setTimeout(resolve, Math.random() * 300 + 200));
-              const soalRes = await api.getSoalByKuisID(kuis.ID || kuis.id);
-              return soalRes.success ? soalRes.data.length : 0;
-            } catch (error) {
-              console.warn(`Failed to get soal count for kuis ${kuis.ID}:`, error);
-              return 0;
-            }
-          });
-
-          const batchResults = await Promise.all(batchPromises);
-          totalSoal += batchResults.reduce((sum, count) => sum + count, 0);
-
-          // Delay between batches
-          if (i + batchSize < kuisList.length) {
-            await new Promise(resolve => setTimeout(resolve, 800));
-          }
-        }
-
-        setTotalSoal(totalSoal);
-      } catch (error) {
-        console.error("Error calculating total soal:", error);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    if (kuisData?.success && kuisData.data.length > 0) {
-      calculateTotalSoal();
-    }
-  }, [kuisData]);
-
-  const fetchUserStats = async () => {
+  const fetchUserStats = useCallback(async () => {
     try {
-      const token = localStorage.getItem('token');
-      const currentUserId = localStorage.getItem('userId');
-
-      if (!token || !currentUserId) {
+      if (!userId) {
         // Set default values for guests
         setUserStats({
           completedQuizzes: 0,
@@ -156,56 +102,22 @@ const DashboardPage = () => {
         return;
       }
 
-      // OPTIMIZED: Use single API call to get all quiz results
+      // Results, kuis and soal counts in one round-trip
       try {
-        const hasilResponse = await api.getMyHasilKuis();
-
-        if (!hasilResponse.success) {
-          // No results yet - set default values
-          setUserStats({
-            completedQuizzes: 0,
-            totalScore: 0,
-            averageScore: 0,
-            accuracy: 0,
-            currentStreak: 0,
-            achievements: 0
-          });
-          return;
-        }
-
-        const hasilKuisList = hasilResponse.data || [];
-        let completedQuizzes = hasilKuisList.length;
-        let totalScore = 0;
-        let totalCorrectAnswers = 0;
-        let totalQuestions = 0;
-        const recentResults = [];
-
-        // Process results from optimized endpoint
-        for (const hasil of hasilKuisList) {
-          const scoreInfo = getConsistentScoreInfo(
-            hasil.score,
-            hasil.correct_answer || 0,
-            1 // We'll get actual question count separately if needed
-          );
-
-          totalScore += scoreInfo.score;
-          totalCorrectAnswers += scoreInfo.correctAnswers;
-          totalQuestions += 1; // Default for now
-
-          recentResults.push({
-            kuisTitle: hasil.Kuis?.title || 'Unknown Quiz',
+        const { hasilList, kuisList, questionCounts } = await loadMyResults();
+        const entries = buildResultEntries(hasilList, kuisList, questionCounts);
+        const { completedQuizzes, totalScore, averageScore, accuracy } = summarizeResultEntries(entries);
+
+        // Last 5 attempts
+        const recentResults = entries
+          .flatMap(({ kuis, attempts }) => attempts.map(({ scoreInfo, date }) => ({
+            kuisTitle: kuis.title || 'Unknown Quiz',
             score: scoreInfo.score,
             grade: scoreInfo.grade,
-            date: hasil.updated_at || hasil.UpdatedAt || new Date().toISOString()
-          });
-        }
-
-        // Calculate stats
-        const averageScore = completedQuizzes > 0 ? Math.round(totalScore / completedQuizzes) : 0;
-        const accuracy = totalQuestions > 0 ? Math.round((totalCorrectAnswers / totalQuestions) * 100) : 0;
-
-        // Sort recent results by date and take last 5
-        recentResults.sort((a, b) => new Date(b.date) - new Date(a.date));
+            gradeColor: scoreInfo.color,
+            date: date || new Date().toISOString()
+          })))
+          .sort((a, b) => new Date(b.date) - new Date(a.date));
         setRecentActivity(recentResults.slice(0, 5));
 
         setUserStats({
@@ -232,7 +144,14 @@ const DashboardPage = () => {
     } catch (error) {
       console.error("Error fetching user stats:", error);
     }
-  };
+  }, [userId]);
+
+  useEffect(() => {
+    // Fetch user stats if we have userId
+    if (userId) {
+      fetchUserStats();
+    }
+  }, [userId, fetchUserStats]);
 
   const getGreeting = () => {
     const hour = currentTime.getHours();
@@ -418,8 +337,8 @@ const DashboardPage = () => {
                 <p className="text-sm font-semibold text-slate-600">Rata-rata Skor</p>
                 <div className="flex items-center space-x-2">
                   <p className="text-2xl font-bold text-slate-800">{userStats.averageScore}%</p>
-                  <span className={`text-sm font-bold px-2 py-1 rounded-full ${getConsistentScoreInfo(userStats.averageScore, 0, 1).color}`}>
-                    {getConsistentScoreInfo(userStats.averageScore, 0, 1).grade}
+                  <span className={`text-sm font-bold px-2 py-1 rounded-full ${getCompleteGradeInfo(userStats.averageScore).color}`}>
+                    {getCompleteGradeInfo(userStats.averageScore).grade}
                   </span>
                 </div>
               </div>
@@ -461,7 +380,7 @@ const DashboardPage = () => {
             { name: "Total Pendidikan", value: mainDataLoading ? "..." : dashboardStats.totalPendidikan, icon: "🎓", color: "from-purple-500 to-purple-600" },
             { name: "Total Kelas", value: mainDataLoading ? "..." : dashboardStats.totalKelas, icon: "🏫", color: "from-orange-500 to-orange-600" },
             { name: "Total Kuis", value: mainDataLoading ? "..." : dashboardStats.totalKuis, icon: "📝", color: "from-pink-500 to-pink-600" },
-            { name: "Total Soal", value: (mainDataLoading || loading) ? "..." : dashboardStats.totalSoal, icon: "❓", color: "from-indigo-500 to-indigo-600" },
+            { name: "Total Soal", value: (mainDataLoading || soalCountsLoading) ? "..." : dashboardStats.totalSoal, icon: "❓", color: "from-indigo-500 to-indigo-600" },
           ].map((stat, index) => (
             <div
               key={stat.name}
@@ -474,7 +393,7 @@ const DashboardPage = () => {
                 </div>
                 <p className="text-xs sm:text-sm font-semibold text-slate-600 mb-1 lg:mb-2 text-center leading-tight">{stat.name}</p>
                 <div className="text-lg sm:text-xl lg:text-3xl font-bold text-slate-800">
-                  {(mainDataLoading || (stat.name === "Total Soal" && loading)) ? (
+                  {(mainDataLoading || (stat.name === "Total Soal" && soalCountsLoading)) ? (
                     <div className="w-4 h-4 sm:w-5 sm:h-5 lg:w-6 lg:h-6 border-2 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
                   ) : (
                     stat.value
@@ -540,7 +459,7 @@ const DashboardPage = () => {
                   </div>
                   <div className="flex items-center space-x-3">
                     <span className="text-lg font-bold text-slate-800">{activity.score}%</span>
-                    <span className={`px-3 py-1 rounded-full text-sm font-bold ${getConsistentScoreInfo(activity.score, 0, 1).color}`}>
+                    <span className={`px-3 py-1 rounded-full text-sm font-bold ${activity.gradeColor}`}>
                       {activity.grade}
                     </span>
                   </div>
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+const ROLE_NAMES = {
+  admin: 'Administrator',
+  teacher: 'Guru',
+  student: 'Siswa'
+};
+
+// 403 - rendered in place of a page the verified role may not open
+const ForbiddenPage = ({ allowedRoles = [], role = null }) => {
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 text-center">
+        <div className="w-16 h-16 bg-gradient-to-br from-red-500 to-orange-500 rounded-2xl flex items-center justify-center mx-auto mb-6">
+          <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+          </svg>
+        </div>
+
+        <p className="text-sm font-semibold text-red-600 mb-2">403</p>
+        <h2 className="text-2xl font-bold text-gray-800 mb-4">
+          Akses Ditolak
+        </h2>
+
+        <p className="text-gray-600 mb-6">
+          {role
+            ? `Halaman ini tidak tersedia untuk akun ${ROLE_NAMES[role] || role}.`
+            : 'Hak akses akun Anda belum dapat diverifikasi. Periksa koneksi internet Anda lalu muat ulang halaman.'}
+          {allowedRoles.length > 0 && (
+            <> Halaman ini hanya untuk {allowedRoles.map((allowed) => ROLE_NAMES[allowed] || allowed).join(', ')}.</>
+          )}
+        </p>
+
+        <Link
+          to="/dashboard"
+          className="block w-full bg-gradient-to-r from-blue-500 to-blue-600 text-white font-semibold py-3 px-4 rounded-xl hover:from-blue-600 hover:to-blue-700 transition-all duration-200"
+        >
+          🏠 Kembali ke Dashboard
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForbiddenPage;
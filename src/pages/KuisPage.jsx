@@ -1,9 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-
-// Use the same BASE_URL logic as other components
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
+import { useAuth } from '../hooks/useAuth';
+import { api } from '../services/api';
+import ScoringSettingsFields from '../components/quiz/ScoringSettingsFields';
+import ShuffleSettingsFields from '../components/quiz/ShuffleSettingsFields';
+import ScheduleSettingsFields from '../components/quiz/ScheduleSettingsFields';
+import TimingSettingsFields from '../components/quiz/TimingSettingsFields';
+import AttemptSettingsFields from '../components/quiz/AttemptSettingsFields';
+import PoolSettingsFields from '../components/quiz/PoolSettingsFields';
+import { ATTEMPT_POLICIES, ATTEMPT_SCORING_RULES, getAttemptSettings, validateAttempts } from '../utils/attempts';
+import { toDateTimeLocalValue, validateSchedule } from '../utils/quizSchedule';
+import { DEFAULT_DURATION_MINUTES, getDurationSeconds, getQuestionTimeLimit, validateTiming } from '../utils/quizTiming';
+import { getPoolSettings, isPoolKuis, validatePoolSettings } from '../utils/questionPool';
 
 const KuisPage = () => {
   const [kuisList, setKuisList] = useState([]);
@@ -26,42 +34,28 @@ const KuisPage = () => {
     kategori_id: '',
     tingkatan_id: '',
     kelas_id: '',
-    pendidikan_id: ''
+    pendidikan_id: '',
+    negative_marking: 0,
+    partial_credit: true,
+    shuffle_questions: false,
+    shuffle_options: false,
+    open_at: '',
+    close_at: '',
+    late_minutes: 0,
+    duration_minutes: DEFAULT_DURATION_MINUTES,
+    question_time_limit: 0,
+    attempt_policy: ATTEMPT_POLICIES.UNLIMITED,
+    max_attempts: '',
+    attempt_scoring: ATTEMPT_SCORING_RULES.LATEST,
+    pool_size: 0,
+    pool_kategori_id: '',
+    pool_tingkatan_id: '',
+    pool_difficulty: '',
+    pool_tag: ''
   });
   const navigate = useNavigate();
 
-  // Get user info
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const storedUserName = localStorage.getItem('userName');
-    
-    if (storedUserId) {
-      return {
-        userId: storedUserId,
-        userName: storedUserName || 'User'
-      };
-    }
-    
-    const token = localStorage.getItem('token');
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return {
-          userId: payload.iss || payload.user_id || payload.id || payload.sub,
-          userName: payload.name || storedUserName || 'User'
-        };
-      } catch (error) {
-        console.error('Error decoding token:', error);
-      }
-    }
-    
-    return {
-      userId: null,
-      userName: storedUserName || 'User'
-    };
-  };
-
-  const { userId, userName } = getUserInfo();
+  const { userId, userName } = useAuth();
 
   useEffect(() => {
     fetchKuis();
@@ -75,21 +69,8 @@ const KuisPage = () => {
 
   const fetchKuis = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/kuis/get-kuis`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setKuisList(data.data || []);
-      } else {
-        console.error('Failed to fetch kuis');
-      }
+      const data = await api.getKuis();
+      setKuisList(data.data || []);
     } catch (error) {
       console.error('Error fetching kuis:', error);
     } finally {
@@ -99,46 +80,14 @@ const KuisPage = () => {
 
   const fetchFilterOptions = async () => {
     try {
-      const token = localStorage.getItem('token');
-      
-      // Fetch kategoris
-      const kategoriResponse = await fetch(`${BASE_URL}/kategori/get-kategori`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-      if (kategoriResponse.ok) {
-        const kategoriData = await kategoriResponse.json();
-        setKategoris(kategoriData.data || []);
-      }
-
-      // Fetch tingkatans
-      const tingkatanResponse = await fetch(`${BASE_URL}/tingkatan/get-tingkatan`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-      if (tingkatanResponse.ok) {
-        const tingkatanData = await tingkatanResponse.json();
-        setTingkatans(tingkatanData.data || []);
-      }
-
-      // Fetch pendidikans
-      const pendidikanResponse = await fetch(`${BASE_URL}/pendidikan/get-pendidikan`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-      if (pendidikanResponse.ok) {
-        const pendidikanData = await pendidikanResponse.json();
-        setPendidikans(pendidikanData.data || []);
-      }
+      const [kategoriData, tingkatanData, pendidikanData] = await Promise.all([
+        api.getKategori(),
+        api.getTingkatan(),
+        api.getPendidikan()
+      ]);
+      setKategoris(kategoriData.data || []);
+      setTingkatans(tingkatanData.data || []);
+      setPendidikans(pendidikanData.data || []);
     } catch (error) {
       console.error('Error fetching filter options:', error);
     }
@@ -146,18 +95,8 @@ const KuisPage = () => {
 
   const fetchKelas = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/kelas/get-kelas`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-      if (response.ok) {
-        const data = await response.json();
-        setKelasList(data.data || []);
-      }
+      const data = await api.getKelas();
+      setKelasList(data.data || []);
     } catch (error) {
       console.error('Error fetching kelas:', error);
     }
@@ -172,12 +111,31 @@ const KuisPage = () => {
       kategori_id: '',
       tingkatan_id: '',
       kelas_id: '',
-      pendidikan_id: ''
+      pendidikan_id: '',
+      negative_marking: 0,
+      partial_credit: true,
+      shuffle_questions: false,
+      shuffle_options: false,
+      open_at: '',
+      close_at: '',
+      late_minutes: 0,
+      duration_minutes: DEFAULT_DURATION_MINUTES,
+      question_time_limit: 0,
+      attempt_policy: ATTEMPT_POLICIES.UNLIMITED,
+      max_attempts: '',
+      attempt_scoring: ATTEMPT_SCORING_RULES.LATEST,
+      pool_size: 0,
+      pool_kategori_id: '',
+      pool_tingkatan_id: '',
+      pool_difficulty: '',
+      pool_tag: ''
     });
     setShowModal(true);
   };
 
   const handleEditKuis = (kuis) => {
+    const attemptSettings = getAttemptSettings(kuis);
+    const poolSettings = getPoolSettings(kuis);
     setModalMode('edit');
     setSelectedKuis(kuis);
     setFormData({
@@ -187,7 +145,24 @@ const KuisPage = () => {
       kategori_id: kuis.kategori_id,
       tingkatan_id: kuis.tingkatan_id,
       kelas_id: kuis.kelas_id,
-      pendidikan_id: kuis.pendidikan_id
+      pendidikan_id: kuis.pendidikan_id,
+      negative_marking: kuis.negative_marking || 0,
+      partial_credit: kuis.partial_credit !== false,
+      shuffle_questions: Boolean(kuis.shuffle_questions),
+      shuffle_options: Boolean(kuis.shuffle_options),
+      open_at: toDateTimeLocalValue(kuis.open_at),
+      close_at: toDateTimeLocalValue(kuis.close_at),
+      late_minutes: kuis.late_minutes || 0,
+      duration_minutes: getDurationSeconds(kuis) / 60,
+      question_time_limit: getQuestionTimeLimit(kuis),
+      attempt_policy: attemptSettings.policy,
+      max_attempts: attemptSettings.maxAttempts,
+      attempt_scoring: attemptSettings.scoringRule,
+      pool_size: poolSettings.size,
+      pool_kategori_id: poolSettings.kategoriId || '',
+      pool_tingkatan_id: poolSettings.tingkatanId || '',
+      pool_difficulty: poolSettings.difficulty,
+      pool_tag: poolSettings.tag
     });
     setShowModal(true);
   };
@@ -196,69 +171,65 @@ const KuisPage = () => {
     if (!confirm('Apakah Anda yakin ingin menghapus kuis ini?')) return;
 
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/kuis/delete-kuis/${kuisId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        alert('Kuis berhasil dihapus!');
-        fetchKuis();
-      } else {
-        const data = await response.json();
-        alert(data.message || 'Gagal menghapus kuis');
-      }
+      await api.deleteKuis(kuisId);
+      alert('Kuis berhasil dihapus!');
+      fetchKuis();
     } catch (error) {
       console.error('Error deleting kuis:', error);
-      alert('Terjadi kesalahan saat menghapus kuis');
+      alert(error.message || 'Gagal menghapus kuis');
     }
   };
 
   const handleSubmitKuis = async (e) => {
     e.preventDefault();
 
+    const settingsError = validateSchedule(formData) || validateTiming(formData) || validateAttempts(formData) ||
+      validatePoolSettings(formData);
+    if (settingsError) {
+      alert(settingsError);
+      return;
+    }
+
     try {
-      const token = localStorage.getItem('token');
-      const url = modalMode === 'add'
-        ? `${BASE_URL}/kuis/add-kuis`
-        : `${BASE_URL}/kuis/update-kuis/${selectedKuis.ID}`;
-
-      const method = modalMode === 'add' ? 'POST' : 'PATCH';
-
-      const response = await fetch(url, {
-        method,
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-        body: JSON.stringify({
-          title: formData.title,
-          description: formData.description,
-          is_private: formData.is_private,
-          kategori_id: parseInt(formData.kategori_id),
-          tingkatan_id: parseInt(formData.tingkatan_id),
-          kelas_id: parseInt(formData.kelas_id),
-          pendidikan_id: parseInt(formData.pendidikan_id)
-        }),
-      });
-
-      if (response.ok) {
-        alert(`Kuis berhasil ${modalMode === 'add' ? 'ditambahkan' : 'diupdate'}!`);
-        setShowModal(false);
-        fetchKuis();
+      const kuisData = {
+        title: formData.title,
+        description: formData.description,
+        is_private: formData.is_private,
+        kategori_id: parseInt(formData.kategori_id),
+        tingkatan_id: parseInt(formData.tingkatan_id),
+        kelas_id: parseInt(formData.kelas_id),
+        pendidikan_id: parseInt(formData.pendidikan_id),
+        negative_marking: formData.negative_marking,
+        partial_credit: formData.partial_credit,
+        shuffle_questions: formData.shuffle_questions,
+        shuffle_options: formData.shuffle_options,
+        open_at: formData.open_at,
+        close_at: formData.close_at,
+        late_minutes: formData.late_minutes,
+        duration_minutes: formData.duration_minutes,
+        question_time_limit: formData.question_time_limit,
+        attempt_policy: formData.attempt_policy,
+        max_attempts: formData.max_attempts,
+        attempt_scoring: formData.attempt_scoring,
+        pool_size: formData.pool_size,
+        pool_kategori_id: formData.pool_kategori_id,
+        pool_tingkatan_id: formData.pool_tingkatan_id,
+        pool_difficulty: formData.pool_difficulty,
+        pool_tag: formData.pool_tag
+      };
+
+      if (modalMode === 'add') {
+        await api.addKuis(kuisData);
       } else {
-        const data = await response.json();
-        alert(data.message || `Gagal ${modalMode === 'add' ? 'menambahkan' : 'mengupdate'} kuis`);
+        await api.updateKuis(selectedKuis.ID, kuisData);
       }
+
+      alert(`Kuis berhasil ${modalMode === 'add' ? 'ditambahkan' : 'diupdate'}!`);
+      setShowModal(false);
+      fetchKuis();
     } catch (error) {
       console.error('Error submitting kuis:', error);
-      alert('Terjadi kesalahan saat menyimpan kuis');
+      alert(error.message || `Gagal ${modalMode === 'add' ? 'menambahkan' : 'mengupdate'} kuis`);
     }
   };
 
@@ -266,6 +237,10 @@ const KuisPage = () => {
     navigate(`/kuis/${kuis.ID}/manage-soal`);
   };
 
+  const handleItemAnalysis = (kuis) => {
+    navigate(`/kuis/${kuis.ID}/analisis`);
+  };
+
   const filterKuis = () => {
     let filtered = kuisList;
 
@@ -495,6 +470,11 @@ const KuisPage = () => {
                       {kuis.Tingkatan.name}
                     </span>
                   )}
+                  {isPoolKuis(kuis) && (
+                    <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+                      🎲 {getPoolSettings(kuis).size} soal acak
+                    </span>
+                  )}
                 </div>
 
                 {/* Join Code untuk Private Quiz */}
@@ -578,6 +558,12 @@ const KuisPage = () => {
                 >
                   Kelola Soal
                 </button>
+                <button
+                  onClick={() => handleItemAnalysis(kuis)}
+                  className="w-full btn-outline text-sm py-2"
+                >
+                  Analisis Butir Soal
+                </button>
               </div>
             </div>
           </div>
@@ -764,6 +750,38 @@ const KuisPage = () => {
                 </div>
               </div>
 
+              <ScoringSettingsFields
+                value={formData}
+                onChange={(fields) => setFormData({ ...formData, ...fields })}
+              />
+
+              <ShuffleSettingsFields
+                value={formData}
+                onChange={(fields) => setFormData({ ...formData, ...fields })}
+              />
+
+              <PoolSettingsFields
+                value={formData}
+                onChange={(fields) => setFormData({ ...formData, ...fields })}
+                kategoriList={kategoris}
+                tingkatanList={tingkatans}
+              />
+
+              <ScheduleSettingsFields
+                value={formData}
+                onChange={(fields) => setFormData({ ...formData, ...fields })}
+              />
+
+              <TimingSettingsFields
+                value={formData}
+                onChange={(fields) => setFormData({ ...formData, ...fields })}
+              />
+
+              <AttemptSettingsFields
+                value={formData}
+                onChange={(fields) => setFormData({ ...formData, ...fields })}
+              />
+
               <div className="flex space-x-4 pt-4">
                 <button
                   type="button"
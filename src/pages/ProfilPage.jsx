@@ -1,9 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-
-// Use the same BASE_URL logic as other components
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
+import { useAuth } from '../hooks/useAuth';
+import { api } from '../services/api';
 
 const ProfilPage = () => {
   const [userData, setUserData] = useState(null);
@@ -11,6 +9,7 @@ const ProfilPage = () => {
   const [showLogoutModal, setShowLogoutModal] = useState(false);
   const [loggingOut, setLoggingOut] = useState(false);
   const navigate = useNavigate();
+  const { logout } = useAuth();
 
   useEffect(() => {
     fetchUserData();
@@ -18,25 +17,9 @@ const ProfilPage = () => {
 
   const fetchUserData = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/user/get-user`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setUserData(data.data);
-      } else {
-        console.error('Failed to fetch user data');
-        // If unauthorized, redirect to login
-        if (response.status === 401) {
-          handleLogout();
-        }
-      }
+      // 401 responses are redirected to login by the HTTP client
+      const data = await api.getCurrentUser();
+      setUserData(data.data);
     } catch (error) {
       console.error('Error fetching user data:', error);
     } finally {
@@ -47,26 +30,14 @@ const ProfilPage = () => {
   const handleLogout = async () => {
     setLoggingOut(true);
     try {
-      const token = localStorage.getItem('token');
-      
       // Call logout endpoint
-      await fetch(`${BASE_URL}/user/logout`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
+      await api.logout();
     } catch (error) {
       console.error('Error during logout:', error);
     } finally {
-      // Clear localStorage regardless of API call result
-      localStorage.removeItem('token');
-      localStorage.removeItem('userName');
-      localStorage.removeItem('role');
-      localStorage.removeItem('userId');
-      
+      // Clear stored session regardless of API call result
+      logout();
+
       setLoggingOut(false);
       setShowLogoutModal(false);
       navigate('/login');
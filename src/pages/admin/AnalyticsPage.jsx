@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { api } from '../../services/api';
-import { getGradeFromScore, getGradeColor, getScoreColor, getConsistentScoreInfo } from '../../utils/gradeUtils';
+import { useAuth } from '../../hooks/useAuth';
+import { loadMyResults } from '../../services/quizResults';
+import { getGradeFromScore, getGradeColor, getScoreColor } from '../../utils/gradeUtils';
+import { buildResultEntries, summarizeResultEntries } from '../../utils/resultStats';
+import { buildStudentReport, exportReport } from '../../utils/resultExport';
+import ExportButton from '../../components/common/ExportButton';
 
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
 
 const AnalyticsPage = () => {
   const [analytics, setAnalytics] = useState({
@@ -12,29 +14,13 @@ const AnalyticsPage = () => {
     averageScore: 0,
     categoryStats: [],
     recentResults: [],
+    allResults: [],
     performanceTrend: []
   });
   const [loading, setLoading] = useState(true);
   const [timeRange, setTimeRange] = useState('all');
 
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const token = localStorage.getItem('token');
-    
-    if (storedUserId) return storedUserId;
-    
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return payload.iss || payload.user_id || payload.id || payload.sub;
-      } catch (error) {
-        console.error('Error decoding token:', error);
-      }
-    }
-    return null;
-  };
-
-  const userId = getUserInfo();
+  const { userId, userName } = useAuth();
 
   useEffect(() => {
     if (userId) {
@@ -46,15 +32,10 @@ const AnalyticsPage = () => {
     try {
       setLoading(true);
 
-      // OPTIMIZED: Fetch all required data including hasil kuis in single call
-      const [kuisRes, kategoriRes, hasilRes] = await Promise.all([
-        api.getKuis(),
-        api.getKategori(),
-        api.getMyHasilKuis()
-      ]);
-
-      if (kuisRes.success && kategoriRes.success) {
-        await calculateAnalytics(kuisRes.data, kategoriRes.data, hasilRes.success ? hasilRes.data : []);
+      // Kuis, kategori, results and soal counts in one round-trip
+      const data = await loadMyResults();
+      if (data.success) {
+        calculateAnalytics(data);
       }
     } catch (error) {
       console.error('Error fetching analytics:', error);
@@ -63,9 +44,7 @@ const AnalyticsPage = () => {
     }
   };
 
-  const calculateAnalytics = async (allKuis, allKategori, hasilKuisList) => {
-    let completedQuizzes = 0;
-    let totalScore = 0;
+  const calculateAnalytics = ({ kuisList: allKuis, kategoriList: allKategori, hasilList, questionCounts }) => {
     let categoryStats = {};
     let recentResults = [];
 
@@ -87,53 +66,33 @@ const AnalyticsPage = () => {
       }
     });
 
-    // OPTIMIZED: Process results from single API call
-    for (const hasil of hasilKuisList) {
-      try {
-        // Find the corresponding quiz
-        const kuis = allKuis.find(k => k.ID === hasil.kuis_id);
-        if (!kuis) continue;
-
-        completedQuizzes++;
-        const rawScore = hasil.score || 0;
-        const correctAnswers = hasil.correct_answer || 0;
-
-        // Get question count for this quiz
-        let questionCount = 1; // Default fallback
-        try {
-          const soalRes = await api.getSoalByKuisID(kuis.ID);
-          questionCount = soalRes.success ? soalRes.data.length : 1;
-        } catch (soalError) {
-          console.warn(`Failed to get question count for quiz ${kuis.ID}:`, soalError.message);
-        }
-
-        // Get consistent score info
-        const scoreInfo = getConsistentScoreInfo(rawScore, correctAnswers, questionCount);
-
-        totalScore += scoreInfo.score;
-
-        // Add to category stats
-        if (categoryStats[kuis.kategori_id]) {
-          categoryStats[kuis.kategori_id].completed++;
-          categoryStats[kuis.kategori_id].totalScore += scoreInfo.score;
-        }
-
-        // Add to recent results
+    // The kuis counts once, with the result its scoring rule selects
+    const entries = buildResultEntries(hasilList, allKuis, questionCounts);
+    const { completedQuizzes, averageScore } = summarizeResultEntries(entries);
+
+    entries.forEach(({ kuis, summary, scoreInfo, attempts }) => {
+      // Add to category stats
+      if (categoryStats[kuis.kategori_id]) {
+        categoryStats[kuis.kategori_id].completed++;
+        categoryStats[kuis.kategori_id].totalScore += scoreInfo.score;
+      }
+
+      // Every attempt shows up in the history
+      attempts.forEach((attempt, index) => {
         recentResults.push({
           kuisTitle: kuis.title,
-          score: scoreInfo.score,
-          correctAnswers: correctAnswers,
-          date: hasil.updated_at || hasil.UpdatedAt || new Date().toISOString(),
+          attempt: index + 1,
+          attempts: summary.count,
+          score: attempt.scoreInfo.score,
+          grade: attempt.scoreInfo.grade,
+          gradeColor: attempt.scoreInfo.color,
+          correctAnswers: attempt.hasil.correct_answer || 0,
+          totalQuestions: attempt.questionCount,
+          date: attempt.hasil.updated_at || attempt.hasil.UpdatedAt || new Date().toISOString(),
           kategori: allKategori.find(k => k.ID === kuis.kategori_id)?.name || 'Unknown'
         });
-
-        // Small delay to prevent overwhelming the server
-        await new Promise(resolve => setTimeout(resolve, 50));
-      } catch (error) {
-        console.error(`Error processing quiz result ${hasil.kuis_id}:`, error);
-        // Continue with next result
-      }
-    }
+      });
+    });
 
     // Calculate category averages
     Object.keys(categoryStats).forEach(categoryId => {
@@ -145,14 +104,16 @@ const AnalyticsPage = () => {
 
     // Sort recent results by date
     recentResults.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const allResults = recentResults; // Full history for export
     recentResults = recentResults.slice(0, 10); // Keep only 10 most recent
 
     setAnalytics({
       totalQuizzes: allKuis.length,
       completedQuizzes,
-      averageScore: completedQuizzes > 0 ? Math.round(totalScore / completedQuizzes) : 0,
+      averageScore,
       categoryStats: Object.values(categoryStats).filter(stat => stat.total > 0),
       recentResults,
+      allResults,
       performanceTrend: generatePerformanceTrend(recentResults)
     });
   };
@@ -186,6 +147,16 @@ const AnalyticsPage = () => {
 
   // Use utility functions for consistent grade calculation
 
+  const handleExport = (format) => {
+    const entries = analytics.allResults.map(result => ({
+      ...result,
+      kuisTitle: result.attempts > 1 ? `${result.kuisTitle} (percobaan ${result.attempt})` : result.kuisTitle,
+      completed: true
+    }));
+
+    exportReport(buildStudentReport({ studentName: userName, entries }), format, `riwayat_${userName}`);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
@@ -200,13 +171,20 @@ const AnalyticsPage = () => {
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8">
       {/* Header */}
-      <div className="mb-8 animate-fade-in">
-        <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-4">
-          📊 Analytics Dashboard
-        </h1>
-        <p className="text-xl text-slate-600 font-medium">
-          Analisis mendalam performa belajar Anda
-        </p>
+      <div className="mb-8 animate-fade-in flex flex-col lg:flex-row lg:items-end lg:justify-between gap-4">
+        <div>
+          <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-4">
+            📊 Analytics Dashboard
+          </h1>
+          <p className="text-xl text-slate-600 font-medium">
+            Analisis mendalam performa belajar Anda
+          </p>
+        </div>
+        <ExportButton
+          onExport={handleExport}
+          label="Ekspor Riwayat"
+          disabled={analytics.allResults.length === 0}
+        />
       </div>
 
       {/* Overview Cards */}
@@ -310,8 +288,8 @@ const AnalyticsPage = () => {
               <div key={index} className="bg-slate-50 rounded-xl p-4 hover:bg-slate-100 transition-colors">
                 <div className="flex justify-between items-start mb-2">
                   <h3 className="font-semibold text-slate-800 text-sm">{result.kuisTitle}</h3>
-                  <span className={`font-bold text-lg ${getScoreColor(result.score)}`}>
-                    {result.score}
+                  <span className={`font-bold text-lg px-2 rounded-lg ${result.gradeColor}`}>
+                    {result.score} <span className="text-xs">({result.grade})</span>
                   </span>
                 </div>
                 <div className="flex justify-between text-xs text-slate-500">
@@ -320,6 +298,7 @@ const AnalyticsPage = () => {
                 </div>
                 <div className="mt-2 text-xs text-slate-600">
                   Benar: {result.correctAnswers} jawaban
+                  {result.attempts > 1 && ` • Percobaan ${result.attempt} dari ${result.attempts}`}
                 </div>
               </div>
             ))}
@@ -0,0 +1,426 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../../services/api';
+import {
+  getGradingSettings,
+  setGradingSettings,
+  getGradingSchemes,
+  isBuiltInScheme,
+  getBandTone,
+  validateGradingScheme
+} from '../../utils/gradingSchemes';
+
+const getEmptyScheme = () => ({
+  id: `custom_${Date.now()}`,
+  name: '',
+  passing_score: 70,
+  bands: [
+    { min: 70, label: 'Lulus', points: 1 },
+    { min: 0, label: 'Tidak Lulus', points: 0 }
+  ]
+});
+
+const GradingSchemesPage = () => {
+  const [settings, setSettings] = useState(getGradingSettings());
+  const [kelasList, setKelasList] = useState([]);
+  const [kuisList, setKuisList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [loadWarning, setLoadWarning] = useState('');
+  const [editingScheme, setEditingScheme] = useState(null);
+  const [editorError, setEditorError] = useState('');
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+
+        const [kelasRes, kuisRes] = await Promise.all([api.getKelas(), api.getKuis()]);
+        setKelasList(kelasRes.data || []);
+        setKuisList(kuisRes.data || []);
+
+        try {
+          const settingsRes = await api.getGradingSettings();
+          if (settingsRes.success && settingsRes.data) {
+            setSettings(setGradingSettings(settingsRes.data));
+          }
+        } catch (error) {
+          console.error('Error fetching grading settings:', error);
+          setLoadWarning('Pengaturan penilaian tidak dapat dimuat dari server, menampilkan salinan lokal.');
+        }
+      } catch (error) {
+        console.error('Error fetching data:', error);
+        alert('Gagal memuat data kelas dan kuis');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  // Built-in schemes plus the (possibly unsaved) custom schemes being edited here
+  const schemes = [
+    ...getGradingSchemes().filter(scheme => isBuiltInScheme(scheme.id)),
+    ...settings.schemes
+  ];
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await api.saveGradingSettings(settings);
+      setSettings(setGradingSettings(response.data || settings));
+      alert('Pengaturan penilaian berhasil disimpan');
+    } catch (error) {
+      console.error('Error saving grading settings:', error);
+      alert(error.message || 'Gagal menyimpan pengaturan penilaian');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSchemeSubmit = (e) => {
+    e.preventDefault();
+
+    const scheme = {
+      ...editingScheme,
+      name: editingScheme.name.trim(),
+      passing_score: Number(editingScheme.passing_score),
+      bands: editingScheme.bands
+        .map(band => ({ label: band.label.trim(), min: Number(band.min), points: Number(band.points) || 0 }))
+        .sort((a, b) => b.min - a.min)
+    };
+
+    const validationError = validateGradingScheme(scheme);
+    if (validationError) {
+      setEditorError(validationError);
+      return;
+    }
+
+    setSettings(prev => ({
+      ...prev,
+      schemes: prev.schemes.some(item => item.id === scheme.id)
+        ? prev.schemes.map(item => (item.id === scheme.id ? scheme : item))
+        : [...prev.schemes, scheme]
+    }));
+    setEditingScheme(null);
+    setEditorError('');
+  };
+
+  const handleDeleteScheme = (schemeId) => {
+    if (!window.confirm('Hapus skema ini? Kelas dan kuis yang memakainya kembali ke skema default.')) return;
+
+    // Drop assignments that point at the deleted scheme
+    const withoutScheme = (map) =>
+      Object.fromEntries(Object.entries(map).filter(([, value]) => value !== schemeId));
+
+    setSettings(prev => ({
+      ...prev,
+      schemes: prev.schemes.filter(item => item.id !== schemeId),
+      default_scheme_id: prev.default_scheme_id === schemeId ? 'standard' : prev.default_scheme_id,
+      assignments: {
+        kelas: withoutScheme(prev.assignments.kelas),
+        kuis: withoutScheme(prev.assignments.kuis)
+      }
+    }));
+  };
+
+  const handleDuplicate = (scheme) => {
+    setEditingScheme({
+      ...scheme,
+      id: `custom_${Date.now()}`,
+      name: `${scheme.name} (salinan)`,
+      bands: scheme.bands.map(band => ({ ...band }))
+    });
+    setEditorError('');
+  };
+
+  const handleAssign = (target, targetId, schemeId) => {
+    setSettings(prev => {
+      const next = { ...prev.assignments[target] };
+      if (schemeId) {
+        next[targetId] = schemeId;
+      } else {
+        delete next[targetId];
+      }
+      return { ...prev, assignments: { ...prev.assignments, [target]: next } };
+    });
+  };
+
+  const updateBand = (index, field, value) => {
+    setEditingScheme(prev => ({
+      ...prev,
+      bands: prev.bands.map((band, bandIndex) => (bandIndex === index ? { ...band, [field]: value } : band))
+    }));
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
+        <div className="text-center">
+          <div className="w-16 h-16 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-slate-600 font-medium">Memuat skema penilaian...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8">
+      {/* Header */}
+      <div className="mb-8 animate-fade-in flex flex-col lg:flex-row lg:items-end lg:justify-between gap-4">
+        <div>
+          <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-4">
+            Skema Penilaian
+          </h1>
+          <p className="text-xl text-slate-600 font-medium">
+            Atur skala nilai, KKM, dan skema yang dipakai tiap kelas atau kuis
+          </p>
+        </div>
+        <button onClick={handleSave} disabled={saving} className="btn-primary disabled:opacity-50">
+          {saving ? 'Menyimpan...' : 'Simpan Pengaturan'}
+        </button>
+      </div>
+
+      {loadWarning && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-xl text-yellow-800 text-sm">
+          {loadWarning}
+        </div>
+      )}
+
+      {/* Schemes */}
+      <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 shadow-lg mb-8 animate-slide-up">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-slate-800">Daftar Skema</h2>
+          <div className="flex items-center space-x-3">
+            <label className="text-sm font-semibold text-slate-600">Default</label>
+            <select
+              value={settings.default_scheme_id}
+              onChange={(e) => setSettings(prev => ({ ...prev, default_scheme_id: e.target.value }))}
+              className="px-4 py-2 border border-slate-200 rounded-xl text-sm"
+            >
+              {schemes.map(scheme => (
+                <option key={scheme.id} value={scheme.id}>{scheme.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => {
+                setEditingScheme(getEmptyScheme());
+                setEditorError('');
+              }}
+              className="btn-outline"
+            >
+              + Skema Baru
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {schemes.map(scheme => (
+            <div key={scheme.id} className="p-4 border border-slate-200 rounded-xl bg-white">
+              <div className="flex items-start justify-between mb-3">
+                <div>
+                  <h3 className="font-semibold text-slate-800">{scheme.name}</h3>
+                  <p className="text-xs text-slate-500">
+                    KKM {scheme.passing_score}
+                    {isBuiltInScheme(scheme.id) && ' • Bawaan'}
+                    {settings.default_scheme_id === scheme.id && ' • Default'}
+                  </p>
+                </div>
+                <div className="flex space-x-2 text-sm">
+                  <button onClick={() => handleDuplicate(scheme)} className="text-blue-600 hover:text-blue-800">
+                    Duplikat
+                  </button>
+                  {!isBuiltInScheme(scheme.id) && (
+                    <>
+                      <button
+                        onClick={() => {
+                          setEditingScheme({ ...scheme, bands: scheme.bands.map(band => ({ ...band })) });
+                          setEditorError('');
+                        }}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Edit
+                      </button>
+                      <button onClick={() => handleDeleteScheme(scheme.id)} className="text-red-600 hover:text-red-800">
+                        Hapus
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {scheme.bands.map(band => (
+                  <span
+                    key={band.label}
+                    className={`px-2 py-1 rounded-lg text-xs font-semibold ${getBandTone(band, scheme).badge}`}
+                  >
+                    {band.label} ≥ {band.min}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Assignments */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 shadow-lg animate-scale-in">
+          <h2 className="text-2xl font-bold text-slate-800 mb-2">Skema per Kelas</h2>
+          <p className="text-sm text-slate-500 mb-6">Berlaku untuk semua kuis di kelas, kecuali kuis yang punya skema sendiri.</p>
+          <div className="space-y-3 max-h-96 overflow-y-auto">
+            {kelasList.map(kelas => (
+              <div key={kelas.ID} className="flex items-center justify-between gap-4">
+                <span className="font-medium text-slate-700">{kelas.name}</span>
+                <select
+                  value={settings.assignments.kelas[kelas.ID] || ''}
+                  onChange={(e) => handleAssign('kelas', kelas.ID, e.target.value)}
+                  className="px-3 py-2 border border-slate-200 rounded-xl text-sm"
+                >
+                  <option value="">Ikuti default</option>
+                  {schemes.map(scheme => (
+                    <option key={scheme.id} value={scheme.id}>{scheme.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            {kelasList.length === 0 && <p className="text-slate-500 text-sm">Belum ada kelas</p>}
+          </div>
+        </div>
+
+        <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 shadow-lg animate-scale-in">
+          <h2 className="text-2xl font-bold text-slate-800 mb-2">Skema per Kuis</h2>
+          <p className="text-sm text-slate-500 mb-6">Menimpa skema kelas untuk kuis tertentu.</p>
+          <div className="space-y-3 max-h-96 overflow-y-auto">
+            {kuisList.map(kuis => (
+              <div key={kuis.ID} className="flex items-center justify-between gap-4">
+                <span className="font-medium text-slate-700">{kuis.title}</span>
+                <select
+                  value={settings.assignments.kuis[kuis.ID] || ''}
+                  onChange={(e) => handleAssign('kuis', kuis.ID, e.target.value)}
+                  className="px-3 py-2 border border-slate-200 rounded-xl text-sm"
+                >
+                  <option value="">{kuis.kelas_id ? 'Ikuti kelas' : 'Ikuti default'}</option>
+                  {schemes.map(scheme => (
+                    <option key={scheme.id} value={scheme.id}>{scheme.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            {kuisList.length === 0 && <p className="text-slate-500 text-sm">Belum ada kuis</p>}
+          </div>
+        </div>
+      </div>
+
+      {/* Scheme editor */}
+      {editingScheme && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto animate-scale-in">
+            <h2 className="text-2xl font-bold text-slate-800 mb-6">
+              {settings.schemes.some(item => item.id === editingScheme.id) ? 'Edit Skema' : 'Skema Baru'}
+            </h2>
+
+            <form onSubmit={handleSchemeSubmit} className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-semibold text-slate-700 mb-2">Nama Skema</label>
+                  <input
+                    type="text"
+                    value={editingScheme.name}
+                    onChange={(e) => setEditingScheme(prev => ({ ...prev, name: e.target.value }))}
+                    className="w-full px-4 py-3 border border-slate-200 rounded-xl"
+                    placeholder="Contoh: Skala SMA 2024"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-slate-700 mb-2">KKM</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={editingScheme.passing_score}
+                    onChange={(e) => setEditingScheme(prev => ({ ...prev, passing_score: e.target.value }))}
+                    className="w-full px-4 py-3 border border-slate-200 rounded-xl"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <div className="grid grid-cols-12 gap-3 text-sm font-semibold text-slate-700 mb-2">
+                  <span className="col-span-5">Label</span>
+                  <span className="col-span-3">Nilai minimum</span>
+                  <span className="col-span-3">Bobot (IPK)</span>
+                </div>
+                <div className="space-y-2">
+                  {editingScheme.bands.map((band, index) => (
+                    <div key={index} className="grid grid-cols-12 gap-3 items-center">
+                      <input
+                        type="text"
+                        value={band.label}
+                        onChange={(e) => updateBand(index, 'label', e.target.value)}
+                        className="col-span-5 px-3 py-2 border border-slate-200 rounded-xl"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={band.min}
+                        onChange={(e) => updateBand(index, 'min', e.target.value)}
+                        className="col-span-3 px-3 py-2 border border-slate-200 rounded-xl"
+                      />
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={band.points ?? ''}
+                        onChange={(e) => updateBand(index, 'points', e.target.value)}
+                        className="col-span-3 px-3 py-2 border border-slate-200 rounded-xl"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setEditingScheme(prev => ({
+                          ...prev,
+                          bands: prev.bands.filter((_, bandIndex) => bandIndex !== index)
+                        }))}
+                        className="col-span-1 text-red-500 hover:text-red-700"
+                        title="Hapus rentang"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setEditingScheme(prev => ({
+                    ...prev,
+                    bands: [...prev.bands, { min: '', label: '', points: 0 }]
+                  }))}
+                  className="mt-3 text-sm font-semibold text-blue-600 hover:text-blue-800"
+                >
+                  + Tambah Rentang
+                </button>
+              </div>
+
+              {editorError && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 text-sm">
+                  {editorError}
+                </div>
+              )}
+
+              <div className="flex space-x-4 pt-2">
+                <button type="button" onClick={() => setEditingScheme(null)} className="flex-1 btn-outline">
+                  Batal
+                </button>
+                <button type="submit" className="flex-1 btn-primary">
+                  Terapkan
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GradingSchemesPage;
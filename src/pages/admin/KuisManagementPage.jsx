@@ -1,6 +1,22 @@
 import React, { useState, useEffect } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
 import { api } from "../../services/api";
+import {
+  SCHEDULE_STATUS_INFO,
+  getKuisSchedule,
+  getScheduleStatus,
+  formatScheduleDate,
+  toDateTimeLocalValue,
+  validateSchedule,
+} from "../../utils/quizSchedule";
+import ScheduleSettingsFields from "../../components/quiz/ScheduleSettingsFields";
+import TimingSettingsFields from "../../components/quiz/TimingSettingsFields";
+import { DEFAULT_DURATION_MINUTES, validateTiming } from "../../utils/quizTiming";
+import AttemptSettingsFields from "../../components/quiz/AttemptSettingsFields";
+import { ATTEMPT_POLICIES, ATTEMPT_SCORING_RULES, validateAttempts } from "../../utils/attempts";
+
+const SCHEDULE_INPUT_CLASS = "w-full p-2 border rounded";
+const SCHEDULE_LABEL_CLASS = "block text-sm font-medium text-gray-700 mb-1";
 
 const ManageKuis = () => {
   const location = useLocation();
@@ -10,6 +26,7 @@ const ManageKuis = () => {
 
   const [kuisList, setKuisList] = useState([]);
   const [selectedKuis, setSelectedKuis] = useState(null);
+  const [scheduleForm, setScheduleForm] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [kategoriList, setKategoriList] = useState([]);
@@ -24,6 +41,14 @@ const ManageKuis = () => {
     tingkatan_id: "",
     kelas_id: kelasId || "",
     pendidikan_id: "",
+    open_at: "",
+    close_at: "",
+    late_minutes: 0,
+    duration_minutes: DEFAULT_DURATION_MINUTES,
+    question_time_limit: 0,
+    attempt_policy: ATTEMPT_POLICIES.UNLIMITED,
+    max_attempts: "",
+    attempt_scoring: ATTEMPT_SCORING_RULES.LATEST,
     soal: [
       {
         question: "",
@@ -122,8 +147,51 @@ const ManageKuis = () => {
     }));
   };
 
+  const handleEditSchedule = (kuis) => {
+    setSelectedKuis(kuis);
+    setScheduleForm({
+      open_at: toDateTimeLocalValue(kuis.open_at),
+      close_at: toDateTimeLocalValue(kuis.close_at),
+      late_minutes: kuis.late_minutes || 0,
+    });
+  };
+
+  const handleCancelSchedule = () => {
+    setSelectedKuis(null);
+    setScheduleForm(null);
+  };
+
+  const handleSaveSchedule = async () => {
+    const scheduleError = validateSchedule(scheduleForm);
+    if (scheduleError) {
+      alert(scheduleError);
+      return;
+    }
+
+    try {
+      const kuisResponse = await api.updateKuis(selectedKuis.ID, {
+        ...selectedKuis,
+        ...scheduleForm,
+      });
+      if (!kuisResponse.success) {
+        throw new Error(kuisResponse.message);
+      }
+      handleCancelSchedule();
+      fetchData();
+    } catch (err) {
+      alert(err.message || "Gagal menyimpan jadwal kuis");
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    const settingsError = validateSchedule(formData) || validateTiming(formData) || validateAttempts(formData);
+    if (settingsError) {
+      alert(settingsError);
+      return;
+    }
+
     try {
       setLoading(true);
       setError(null);
@@ -137,6 +205,14 @@ const ManageKuis = () => {
         tingkatan_id: parseInt(formData.tingkatan_id),
         kelas_id: parseInt(formData.kelas_id),
         pendidikan_id: parseInt(formData.pendidikan_id),
+        open_at: formData.open_at,
+        close_at: formData.close_at,
+        late_minutes: formData.late_minutes,
+        duration_minutes: formData.duration_minutes,
+        question_time_limit: formData.question_time_limit,
+        attempt_policy: formData.attempt_policy,
+        max_attempts: formData.max_attempts,
+        attempt_scoring: formData.attempt_scoring,
       };
 
       const kuisResponse = await api.addKuis(kuisData);
@@ -170,6 +246,14 @@ const ManageKuis = () => {
         tingkatan_id: "",
         kelas_id: "",
         pendidikan_id: "",
+        open_at: "",
+        close_at: "",
+        late_minutes: 0,
+        duration_minutes: DEFAULT_DURATION_MINUTES,
+        question_time_limit: 0,
+        attempt_policy: ATTEMPT_POLICIES.UNLIMITED,
+        max_attempts: "",
+        attempt_scoring: ATTEMPT_SCORING_RULES.LATEST,
         soal: [
           {
             question: "",
@@ -206,6 +290,74 @@ const ManageKuis = () => {
         </button>
       </div>
 
+      {/* Jadwal kuis yang sudah ada */}
+      {kuisList.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-xl font-semibold mb-4">Jadwal Kuis</h2>
+          <div className="divide-y">
+            {kuisList.map((kuis) => {
+              const { opensAt, closesAt } = getKuisSchedule(kuis);
+              const statusInfo = SCHEDULE_STATUS_INFO[getScheduleStatus(kuis)];
+              const isEditing = selectedKuis?.ID === kuis.ID;
+
+              return (
+                <div key={kuis.ID} className="py-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <span className="font-medium">{kuis.title}</span>
+                      <span className={`ml-2 px-2 py-1 text-xs font-semibold rounded-full ${statusInfo.badge}`}>
+                        {statusInfo.label}
+                      </span>
+                      <p className="text-sm text-gray-500">
+                        {opensAt ? formatScheduleDate(opensAt) : "Langsung dibuka"}
+                        {" – "}
+                        {closesAt ? formatScheduleDate(closesAt) : "tanpa batas"}
+                      </p>
+                    </div>
+                    {!isEditing && (
+                      <button
+                        type="button"
+                        onClick={() => handleEditSchedule(kuis)}
+                        className="px-3 py-1 text-sm text-blue-600 border border-blue-200 rounded hover:bg-blue-50"
+                      >
+                        Ubah Jadwal
+                      </button>
+                    )}
+                  </div>
+
+                  {isEditing && (
+                    <div className="mt-3 space-y-3">
+                      <ScheduleSettingsFields
+                        value={scheduleForm}
+                        onChange={(fields) => setScheduleForm({ ...scheduleForm, ...fields })}
+                        inputClassName={SCHEDULE_INPUT_CLASS}
+                        labelClassName={SCHEDULE_LABEL_CLASS}
+                      />
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          type="button"
+                          onClick={handleCancelSchedule}
+                          className="px-4 py-2 text-gray-600 border rounded hover:bg-gray-50"
+                        >
+                          Batal
+                        </button>
+                        <button
+                          type="button"
+                          onClick={handleSaveSchedule}
+                          className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+                        >
+                          Simpan Jadwal
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-6">
         {/* Informasi Kuis */}
         <div className="bg-white rounded-lg shadow p-6">
@@ -397,6 +549,30 @@ const ManageKuis = () => {
               </select>
             </div>
           </div>
+
+          <h3 className="text-lg font-medium mt-6 mb-2">Jadwal</h3>
+          <ScheduleSettingsFields
+            value={formData}
+            onChange={(fields) => setFormData({ ...formData, ...fields })}
+            inputClassName={SCHEDULE_INPUT_CLASS}
+            labelClassName={SCHEDULE_LABEL_CLASS}
+          />
+
+          <h3 className="text-lg font-medium mt-6 mb-2">Waktu Pengerjaan</h3>
+          <TimingSettingsFields
+            value={formData}
+            onChange={(fields) => setFormData({ ...formData, ...fields })}
+            inputClassName={SCHEDULE_INPUT_CLASS}
+            labelClassName={SCHEDULE_LABEL_CLASS}
+          />
+
+          <h3 className="text-lg font-medium mt-6 mb-2">Percobaan</h3>
+          <AttemptSettingsFields
+            value={formData}
+            onChange={(fields) => setFormData({ ...formData, ...fields })}
+            inputClassName={SCHEDULE_INPUT_CLASS}
+            labelClassName={SCHEDULE_LABEL_CLASS}
+          />
         </div>
 
         {/* Daftar Soal */}
@@ -0,0 +1,412 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { api } from '../../services/api';
+import { addSoalToKuis } from '../../services/questionBank';
+import { QUESTION_TYPE_LABELS, isChoiceType, isCorrectOption, formatCorrectAnswer } from '../../utils/questionTypes';
+import { parseOptions, getOptionLetter } from '../../utils/optionsParser';
+import { getQuestionPoints } from '../../utils/scoring';
+import {
+  REUSE_MODES,
+  REUSE_MODE_LABELS,
+  REUSE_MODE_DESCRIPTIONS,
+  DIFFICULTY_LABELS,
+  toBankEntries,
+  filterBankEntries,
+  collectTags,
+  isInKuis
+} from '../../utils/questionBank';
+import SoalBankBadges from '../../components/quiz/SoalBankBadges';
+import RichText from '../../components/common/RichText';
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = { search: '', kategoriId: '', tingkatanId: '', type: '', difficulty: '', tag: '' };
+
+const QuestionBankPage = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const initialTarget = new URLSearchParams(location.search).get('target_kuis_id') || '';
+
+  const [soalList, setSoalList] = useState([]);
+  const [kuisList, setKuisList] = useState([]);
+  const [kategoriList, setKategoriList] = useState([]);
+  const [tingkatanList, setTingkatanList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [targetKuisId, setTargetKuisId] = useState(initialTarget);
+  const [mode, setMode] = useState(REUSE_MODES.COPY);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [adding, setAdding] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [soalRes, kuisRes, kategoriRes, tingkatanRes] = await Promise.all([
+        api.getSoal(),
+        api.getKuis(),
+        api.getKategori(),
+        api.getTingkatan()
+      ]);
+      setSoalList(soalRes.data || []);
+      setKuisList(kuisRes.data || []);
+      setKategoriList(kategoriRes.data || []);
+      setTingkatanList(tingkatanRes.data || []);
+    } catch (error) {
+      console.error('Error fetching question bank:', error);
+      alert('Gagal memuat bank soal');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const entries = useMemo(() => toBankEntries(soalList, kuisList), [soalList, kuisList]);
+  const filteredEntries = useMemo(() => filterBankEntries(entries, filters), [entries, filters]);
+  const tags = useMemo(() => collectTags(entries), [entries]);
+
+  const targetKuis = kuisList.find(kuis => String(kuis.ID) === String(targetKuisId));
+  const getName = (list, id) => list.find(item => item.ID === id)?.name || '-';
+
+  const updateFilters = (fields) => {
+    setFilters(prev => ({ ...prev, ...fields }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const handleTargetChange = (kuisId) => {
+    setTargetKuisId(kuisId);
+    // Soal already in the new target cannot be added again
+    setSelectedIds(prev => prev.filter(id => {
+      const entry = entries.find(item => item.id === id);
+      return entry && !isInKuis(entry, kuisId);
+    }));
+    setMessage('');
+  };
+
+  const handleAdd = async () => {
+    if (!targetKuis || selectedIds.length === 0) return;
+
+    setAdding(true);
+    setMessage('');
+    let added = 0;
+    try {
+      for (const id of selectedIds) {
+        const entry = entries.find(item => item.id === id);
+        await addSoalToKuis(entry.soal, targetKuis.ID, mode);
+        added += 1;
+      }
+      setMessage(`${added} soal ditambahkan ke kuis "${targetKuis.title}" sebagai ${REUSE_MODE_LABELS[mode].toLowerCase()}.`);
+      setSelectedIds([]);
+    } catch (error) {
+      console.error('Error adding soal from bank:', error);
+      alert(`${added} soal berhasil ditambahkan. ${error.message || 'Gagal menambahkan soal berikutnya'}`);
+    } finally {
+      setAdding(false);
+      fetchData();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50 flex items-center justify-center">
+        <div className="text-center space-y-4">
+          <div className="spinner w-12 h-12 mx-auto"></div>
+          <p className="text-gray-600 font-medium">Memuat bank soal...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8 animate-fade-in">
+          {initialTarget && (
+            <button
+              onClick={() => navigate(-1)}
+              className="flex items-center space-x-2 text-indigo-600 hover:text-indigo-800 mb-6 transition-colors duration-200"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              <span className="font-medium">Kembali ke kuis</span>
+            </button>
+          )}
+
+          <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 border border-white/20">
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-indigo-600 to-purple-600 bg-clip-text text-transparent">
+              Bank Soal
+            </h1>
+            <p className="text-gray-600 mt-1">
+              {entries.length} soal dari {kuisList.length} kuis. Cari soal berdasarkan kategori, tingkatan dan tag, lalu pakai ulang di kuis lain.
+            </p>
+          </div>
+        </div>
+
+        {/* Target kuis */}
+        <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-6 border border-white/20 mb-6 animate-slide-up">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Tambahkan ke Kuis</label>
+              <select
+                value={targetKuisId}
+                onChange={(e) => handleTargetChange(e.target.value)}
+                className="input-modern"
+              >
+                <option value="">Pilih kuis tujuan</option>
+                {kuisList.map(kuis => (
+                  <option key={kuis.ID} value={kuis.ID}>{kuis.title}</option>
+                ))}
+              </select>
+            </div>
+            <div className="lg:col-span-2">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Cara Menambahkan</label>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {Object.values(REUSE_MODES).map(value => (
+                  <label
+                    key={value}
+                    className={`flex items-start space-x-3 p-3 rounded-xl border-2 cursor-pointer transition-colors duration-200 ${
+                      mode === value ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200 hover:border-indigo-200'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="reuse-mode"
+                      checked={mode === value}
+                      onChange={() => setMode(value)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="block font-semibold text-gray-800">{REUSE_MODE_LABELS[value]}</span>
+                      <span className="block text-xs text-gray-500">{REUSE_MODE_DESCRIPTIONS[value]}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-6 pt-4 border-t border-gray-200">
+            <p className="text-sm text-gray-600">
+              {selectedIds.length} soal dipilih
+              {!targetKuis && selectedIds.length > 0 && ' — pilih kuis tujuan terlebih dahulu'}
+            </p>
+            <button
+              onClick={handleAdd}
+              disabled={!targetKuis || selectedIds.length === 0 || adding}
+              className="btn-primary disabled:opacity-50"
+            >
+              {adding ? 'Menambahkan...' : `Tambahkan ${selectedIds.length || ''} Soal`}
+            </button>
+          </div>
+
+          {message && (
+            <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-xl text-green-800 text-sm">
+              {message}
+            </div>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-6 border border-white/20 mb-6 animate-slide-up">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => updateFilters({ search: e.target.value })}
+              className="input-modern md:col-span-3 lg:col-span-5"
+              placeholder="Cari pertanyaan, pilihan, kuis atau tag..."
+            />
+            <select
+              value={filters.kategoriId}
+              onChange={(e) => updateFilters({ kategoriId: e.target.value })}
+              className="input-modern"
+            >
+              <option value="">Semua Kategori</option>
+              {kategoriList.map(kategori => (
+                <option key={kategori.ID} value={kategori.ID}>{kategori.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.tingkatanId}
+              onChange={(e) => updateFilters({ tingkatanId: e.target.value })}
+              className="input-modern"
+            >
+              <option value="">Semua Tingkatan</option>
+              {tingkatanList.map(tingkatan => (
+                <option key={tingkatan.ID} value={tingkatan.ID}>{tingkatan.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.type}
+              onChange={(e) => updateFilters({ type: e.target.value })}
+              className="input-modern"
+            >
+              <option value="">Semua Tipe</option>
+              {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.difficulty}
+              onChange={(e) => updateFilters({ difficulty: e.target.value })}
+              className="input-modern"
+            >
+              <option value="">Semua Kesulitan</option>
+              {Object.entries(DIFFICULTY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {tags.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mt-4">
+              <span className="text-sm font-semibold text-gray-600 mr-1">Tag:</span>
+              {tags.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  onClick={() => updateFilters({ tag: filters.tag.toLowerCase() === tag.toLowerCase() ? '' : tag })}
+                  className={`px-3 py-1 text-xs font-semibold rounded-full transition-colors duration-200 ${
+                    filters.tag.toLowerCase() === tag.toLowerCase()
+                      ? 'bg-purple-600 text-white'
+                      : 'bg-purple-100 text-purple-700 hover:bg-purple-200'
+                  }`}
+                >
+                  #{tag} ({count})
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+            <span>Menampilkan {Math.min(visibleCount, filteredEntries.length)} dari {filteredEntries.length} soal</span>
+            {JSON.stringify(filters) !== JSON.stringify(EMPTY_FILTERS) && (
+              <button
+                onClick={() => updateFilters(EMPTY_FILTERS)}
+                className="font-semibold text-indigo-600 hover:text-indigo-800"
+              >
+                Reset filter
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Soal */}
+        {filteredEntries.length === 0 ? (
+          <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-12 border border-white/20 text-center">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Tidak Ada Soal</h3>
+            <p className="text-gray-500">
+              {entries.length === 0 ? 'Bank soal masih kosong. Tambahkan soal melalui halaman kelola soal kuis.' : 'Tidak ada soal yang cocok dengan filter.'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {filteredEntries.slice(0, visibleCount).map(entry => {
+              const { soal, id, kuis, type } = entry;
+              const inTarget = Boolean(targetKuis) && isInKuis(entry, targetKuis.ID);
+              const selected = selectedIds.includes(id);
+              const options = parseOptions(soal.options_json || soal.Options);
+
+              return (
+                <div
+                  key={id}
+                  className={`bg-white/80 backdrop-blur-lg rounded-2xl shadow-lg p-6 border-2 transition-all duration-300 ${
+                    selected ? 'border-indigo-400' : 'border-white/20'
+                  }`}
+                >
+                  <div className="flex items-start space-x-4">
+                    <input
+                      type="checkbox"
+                      checked={selected}
+                      onChange={() => toggleSelected(id)}
+                      disabled={inTarget}
+                      className="mt-1.5 w-5 h-5 flex-shrink-0"
+                      aria-label={`Pilih soal #${id}`}
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap gap-2 mb-2">
+                        <span className="inline-block px-3 py-1 text-xs font-semibold text-indigo-700 bg-indigo-100 rounded-full">
+                          {QUESTION_TYPE_LABELS[type]}
+                        </span>
+                        <span className="inline-block px-3 py-1 text-xs font-semibold text-slate-600 bg-slate-100 rounded-full">
+                          {getQuestionPoints(soal)} poin
+                        </span>
+                        <span className="inline-block px-3 py-1 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full">
+                          {getName(kategoriList, entry.kategoriId)}
+                        </span>
+                        <span className="inline-block px-3 py-1 text-xs font-semibold text-emerald-700 bg-emerald-100 rounded-full">
+                          {getName(tingkatanList, entry.tingkatanId)}
+                        </span>
+                        {inTarget && (
+                          <span className="inline-block px-3 py-1 text-xs font-semibold text-green-700 bg-green-100 rounded-full">
+                            ✓ Sudah ada di kuis tujuan
+                          </span>
+                        )}
+                      </div>
+
+                      <RichText text={soal.question || soal.Question} className="text-lg font-semibold text-gray-800 mb-3" />
+
+                      {isChoiceType(type) ? (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+                          {options.map((option, index) => (
+                            <div
+                              key={index}
+                              className={`px-3 py-2 rounded-lg text-sm ${
+                                isCorrectOption(soal, option) ? 'bg-green-50 text-green-800' : 'bg-gray-50 text-gray-700'
+                              }`}
+                            >
+                              {getOptionLetter(index)}. <RichText text={option} inline />
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="text-sm text-gray-600 mb-3">
+                          <span className="font-medium">Jawaban:</span> {formatCorrectAnswer(soal)}
+                        </p>
+                      )}
+
+                      <SoalBankBadges soal={soal} onTagClick={(tag) => updateFilters({ tag })} className="mb-3" />
+
+                      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+                        <span>
+                          Soal #{id} · Kuis asal: {kuis?.title || '-'} · Dipakai di {entry.kuisIds.length} kuis
+                        </span>
+                        {kuis && (
+                          <button
+                            onClick={() => navigate(`/admin/manage-soal?kuis_id=${kuis.ID}`)}
+                            className="font-semibold text-indigo-600 hover:text-indigo-800"
+                          >
+                            Edit di kuis asal
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+
+            {visibleCount < filteredEntries.length && (
+              <div className="text-center">
+                <button onClick={() => setVisibleCount(count => count + PAGE_SIZE)} className="btn-outline">
+                  Tampilkan lebih banyak
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionBankPage;
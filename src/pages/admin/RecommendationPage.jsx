@@ -1,9 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
 import { api } from '../../services/api';
-
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
+import { summarizeAttemptsByKuis } from '../../utils/attempts';
 
 const RecommendationPage = () => {
   const navigate = useNavigate();
@@ -16,24 +15,7 @@ const RecommendationPage = () => {
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('notCompleted');
 
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const token = localStorage.getItem('token');
-    
-    if (storedUserId) return storedUserId;
-    
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return payload.iss || payload.user_id || payload.id || payload.sub;
-      } catch (error) {
-        console.error('Error decoding token:', error);
-      }
-    }
-    return null;
-  };
-
-  const userId = getUserInfo();
+  const { userId } = useAuth();
 
   // Handle navigation
   const handleNavigate = (path) => {
@@ -71,6 +53,7 @@ const RecommendationPage = () => {
 
   const generateRecommendations = async (allKuis, allKategori, allTingkatan, hasilKuisList) => {
     const completedQuizIds = new Set();
+    const retryQuizIds = new Set();
     const categoryPerformance = {};
 
     // Initialize category performance tracking
@@ -83,26 +66,26 @@ const RecommendationPage = () => {
       };
     });
 
-    // OPTIMIZED: Process results from single API call
-    for (const hasil of hasilKuisList) {
+    // OPTIMIZED: Process results from single API call, one counted result per kuis
+    for (const [kuisId, attemptSummary] of summarizeAttemptsByKuis(hasilKuisList, allKuis)) {
       try {
         // Find the corresponding quiz
-        const kuis = allKuis.find(k => k.ID === hasil.kuis_id);
+        const kuis = allKuis.find(k => k.ID === kuisId);
         if (!kuis) continue;
 
         completedQuizIds.add(kuis.ID);
 
         // Track category performance
-        const score = hasil.score || 0;
+        const score = attemptSummary.result.score || 0;
+        if (score < 70 && attemptSummary.canAttempt) {
+          retryQuizIds.add(kuis.ID);
+        }
         if (categoryPerformance[kuis.kategori_id]) {
           categoryPerformance[kuis.kategori_id].totalScore += score;
           categoryPerformance[kuis.kategori_id].count++;
         }
-
-        // Small delay to prevent overwhelming the server
-        await new Promise(resolve => setTimeout(resolve, 50));
       } catch (error) {
-        console.error(`Error processing quiz result ${hasil.kuis_id}:`, error);
+        console.error(`Error processing quiz result ${kuisId}:`, error);
         // Continue with next result
       }
     }
@@ -130,13 +113,18 @@ const RecommendationPage = () => {
       .filter(([_, perf]) => perf.count > 0 && perf.averageScore < 70)
       .map(([categoryId, _]) => parseInt(categoryId));
 
+    // Low-scoring kuis that still allow another attempt come first
     const weakCategories = allKuis
-      .filter(kuis => weakCategoryIds.includes(kuis.kategori_id) && !completedQuizIds.has(kuis.ID))
+      .filter(kuis => retryQuizIds.has(kuis.ID) ||
+        (weakCategoryIds.includes(kuis.kategori_id) && !completedQuizIds.has(kuis.ID)))
+      .sort((a, b) => retryQuizIds.has(b.ID) - retryQuizIds.has(a.ID))
       .map(kuis => ({
         ...kuis,
         kategoriName: allKategori.find(k => k.ID === kuis.kategori_id)?.name || 'Unknown',
         tingkatanName: allTingkatan.find(t => t.ID === kuis.tingkatan_id)?.name || 'Unknown',
-        reason: `Tingkatkan performa di ${allKategori.find(k => k.ID === kuis.kategori_id)?.name}`
+        reason: retryQuizIds.has(kuis.ID)
+          ? 'Coba lagi untuk memperbaiki nilai'
+          : `Tingkatkan performa di ${allKategori.find(k => k.ID === kuis.kategori_id)?.name}`
       }))
       .slice(0, 8);
 
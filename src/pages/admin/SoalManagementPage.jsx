@@ -1,6 +1,34 @@
 import React, { useState, useEffect } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
 import { api } from "../../services/api";
+import { deleteSoal, saveSoal } from "../../services/questionBank";
+import { parseOptions, normalizeOptionsForForm, getOptionLetter } from "../../utils/optionsParser";
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  getQuestionType,
+  isChoiceType,
+  isCorrectOption,
+  formatCorrectAnswer,
+  getEmptyQuestionForm,
+  validateQuestionForm,
+} from "../../utils/questionTypes";
+import { getQuestionPoints } from "../../utils/scoring";
+import { getExplanation, getOptionFeedback } from "../../utils/questionFeedback";
+import { getOptionMedia, getQuestionMedia } from "../../utils/questionMedia";
+import { getBankFields } from "../../utils/questionBank";
+import QuestionTypeFields from "../../components/quiz/QuestionTypeFields";
+import ExplanationFields from "../../components/quiz/ExplanationFields";
+import MediaFields from "../../components/quiz/MediaFields";
+import BankFields from "../../components/quiz/BankFields";
+import SoalBankBadges from "../../components/quiz/SoalBankBadges";
+import QuestionBankPage from "./QuestionBankPage";
+
+const getEmptyForm = (kuisId) => ({
+  question: "",
+  ...getEmptyQuestionForm(QUESTION_TYPES.MULTIPLE_CHOICE),
+  kuis_id: kuisId,
+});
 
 const ManageSoal = () => {
   const location = useLocation();
@@ -12,23 +40,9 @@ const ManageSoal = () => {
   const [selectedSoal, setSelectedSoal] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [formData, setFormData] = useState({
-    question: "",
-    options: {
-      A: "",
-      B: "",
-      C: "",
-      D: "",
-    },
-    correct_answer: "",
-    kuis_id: kuisId,
-  });
+  const [formData, setFormData] = useState(getEmptyForm(kuisId));
 
   useEffect(() => {
-    if (!kuisId) {
-      navigate("/daftar-kelas");
-      return;
-    }
     fetchSoal();
   }, [kuisId]);
 
@@ -38,24 +52,12 @@ const ManageSoal = () => {
       const response = await api.getSoalByKuisID(kuisId);
       console.log("Response getSoalByKuisID:", response);
       if (response.success) {
-        const soalList = response.data.map((soal) => {
-          try {
-            let options = {};
-            if (soal.Options || soal.options_json) {
-              options = JSON.parse(soal.Options || soal.options_json);
-            }
-            console.log("Options untuk soal", soal.ID, ":", options);
-            return {
-              ...soal,
-              parsedOptions: options,
-              question: soal.Question || soal.question,
-              correct_answer: soal.Correct_answer || soal.correct_answer,
-            };
-          } catch (e) {
-            console.error("Error parsing options untuk soal", soal.ID, ":", e);
-            return soal;
-          }
-        });
+        const soalList = response.data.map((soal) => ({
+          ...soal,
+          parsedOptions: parseOptions(soal.Options || soal.options_json),
+          question: soal.Question || soal.question,
+          correct_answer: soal.Correct_answer || soal.correct_answer,
+        }));
         console.log("Soal list setelah parsing:", soalList);
         setSoalList(soalList);
       }
@@ -69,26 +71,22 @@ const ManageSoal = () => {
 
   const handleEdit = (soal) => {
     setSelectedSoal(soal);
-    let options = {
-      A: "",
-      B: "",
-      C: "",
-      D: "",
-    };
-    try {
-      if (soal.Options) {
-        const parsedOptions = JSON.parse(soal.Options);
-        if (parsedOptions && typeof parsedOptions === "object") {
-          options = parsedOptions;
-        }
-      }
-    } catch (e) {
-      console.error("Error parsing options:", e);
-    }
+    const type = getQuestionType(soal);
+    const rawOptions = soal.Options || soal.options_json;
+    const options = isChoiceType(type)
+      ? normalizeOptionsForForm(rawOptions, type === QUESTION_TYPES.TRUE_FALSE ? 2 : 4)
+      : parseOptions(rawOptions);
     setFormData({
       question: soal.Question || soal.question || "",
+      type,
       options: options,
       correct_answer: soal.Correct_answer || soal.correct_answer || "",
+      points: getQuestionPoints(soal),
+      explanation: getExplanation(soal),
+      option_feedback: getOptionFeedback(soal),
+      media: getQuestionMedia(soal),
+      option_media: getOptionMedia(soal),
+      ...getBankFields(soal),
       kuis_id: soal.Kuis_id || soal.kuis_id || kuisId,
     });
   };
@@ -105,46 +103,40 @@ const ManageSoal = () => {
         return;
       }
 
-      if (!formData.correct_answer) {
-        setError("Pilih jawaban yang benar");
-        return;
-      }
-
-      // Validasi semua opsi jawaban harus diisi
-      const allOptionsFilled = Object.values(formData.options).every(
-        (option) => option.trim() !== ""
-      );
-      if (!allOptionsFilled) {
-        setError("Semua opsi jawaban harus diisi");
+      // Validasi opsi dan jawaban sesuai tipe soal
+      const validationError = validateQuestionForm(formData);
+      if (validationError) {
+        setError(validationError);
         return;
       }
 
       const soalData = {
+        type: formData.type,
         question: formData.question,
         options: formData.options,
         correct_answer: formData.correct_answer,
+        points: formData.points,
+        explanation: formData.explanation,
+        option_feedback: formData.option_feedback,
+        media: formData.media,
+        option_media: formData.option_media,
+        tags: formData.tags,
+        difficulty: formData.difficulty,
+        source_soal_id: formData.source_soal_id,
+        is_reference: formData.is_reference,
         kuis_id: parseInt(kuisId),
       };
 
       console.log("Mengirim data soal:", soalData);
 
       if (selectedSoal) {
-        await api.updateSoal(selectedSoal.ID, soalData);
+        await saveSoal(selectedSoal.ID, soalData);
       } else {
         await api.addSoal(soalData);
       }
 
       // Reset form
-      setFormData({
-        question: "",
-        options: {
-          A: "",
-          B: "",
-          C: "",
-          D: "",
-        },
-        correct_answer: "",
-      });
+      setFormData(getEmptyForm(kuisId));
       setSelectedSoal(null);
       fetchSoal();
     } catch (error) {
@@ -159,7 +151,7 @@ const ManageSoal = () => {
     if (window.confirm("Apakah Anda yakin ingin menghapus soal ini?")) {
       try {
         setLoading(true);
-        await api.deleteSoal(id);
+        await deleteSoal(id);
         fetchSoal();
       } catch (error) {
         setError(error.message);
@@ -224,7 +216,7 @@ const ManageSoal = () => {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                 </svg>
               </div>
-              <div>
+              <div className="flex-1">
                 <h1 className="text-3xl font-bold bg-gradient-to-r from-indigo-600 to-purple-600 bg-clip-text text-transparent">
                   {selectedSoal ? "Edit Soal" : "Kelola Soal Kuis"}
                 </h1>
@@ -232,6 +224,12 @@ const ManageSoal = () => {
                   {selectedSoal ? "Perbarui soal yang sudah ada" : "Tambah dan kelola soal untuk kuis ini"}
                 </p>
               </div>
+              <button
+                onClick={() => navigate(`/admin/manage-soal?target_kuis_id=${kuisId}`)}
+                className="btn-outline"
+              >
+                Ambil dari Bank Soal
+              </button>
             </div>
           </div>
         </div>
@@ -270,59 +268,28 @@ const ManageSoal = () => {
               />
             </div>
 
-            <div>
-              <label className="block text-sm font-semibold text-gray-700 mb-4">
-                Pilihan Jawaban
-              </label>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {Object.entries(formData.options || {}).map(([key, value]) => (
-                  <div key={key} className="space-y-2">
-                    <label className="text-sm font-medium text-gray-600">
-                      Pilihan {key}
-                    </label>
-                    <input
-                      type="text"
-                      value={value}
-                      onChange={(e) =>
-                        setFormData({
-                          ...formData,
-                          options: {
-                            ...formData.options,
-                            [key]: e.target.value,
-                          },
-                        })
-                      }
-                      placeholder={`Masukkan pilihan ${key}`}
-                      className="input-modern"
-                      required
-                    />
-                  </div>
-                ))}
-              </div>
-            </div>
+            <QuestionTypeFields
+              value={formData}
+              onChange={(fields) => setFormData({ ...formData, ...fields })}
+              inputClassName="input-modern"
+            />
 
-            <div>
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Jawaban Benar
-              </label>
-              <select
-                value={formData.correct_answer}
-                onChange={(e) =>
-                  setFormData({ ...formData, correct_answer: e.target.value })
-                }
-                className="input-modern"
-                required
-              >
-                <option value="">Pilih jawaban yang benar</option>
-                {Object.entries(formData.options || {}).map(([key, value]) => (
-                  value.trim() && (
-                    <option key={key} value={value}>
-                      Pilihan {key} - {value}
-                    </option>
-                  )
-                ))}
-              </select>
-            </div>
+            <MediaFields
+              value={formData}
+              onChange={(fields) => setFormData({ ...formData, ...fields })}
+            />
+
+            <ExplanationFields
+              value={formData}
+              onChange={(fields) => setFormData({ ...formData, ...fields })}
+              inputClassName="input-modern"
+            />
+
+            <BankFields
+              value={formData}
+              onChange={(fields) => setFormData({ ...formData, ...fields })}
+              inputClassName="input-modern"
+            />
 
             <div className="flex flex-col sm:flex-row justify-end space-y-3 sm:space-y-0 sm:space-x-3 pt-6 border-t border-gray-200">
               {selectedSoal && (
@@ -330,12 +297,7 @@ const ManageSoal = () => {
                   type="button"
                   onClick={() => {
                     setSelectedSoal(null);
-                    setFormData({
-                      question: "",
-                      options: { A: "", B: "", C: "", D: "" },
-                      correct_answer: "",
-                      kuis_id: kuisId,
-                    });
+                    setFormData(getEmptyForm(kuisId));
                   }}
                   className="btn-outline"
                 >
@@ -396,21 +358,8 @@ const ManageSoal = () => {
           ) : (
             <div className="space-y-6">
               {soalList.map((soal, index) => {
-                let options = {};
-                try {
-                  if (soal.Options || soal.options_json) {
-                    options = JSON.parse(soal.Options || soal.options_json);
-                  }
-                } catch (e) {
-                  console.error(
-                    "Error parsing options untuk soal",
-                    soal.ID,
-                    ":",
-                    e
-                  );
-                }
-
-                const correctAnswer = soal.Correct_answer || soal.correct_answer;
+                const options = soal.parsedOptions || [];
+                const type = getQuestionType(soal);
 
                 return (
                   <div
@@ -424,29 +373,42 @@ const ManageSoal = () => {
                           <span className="font-bold">{index + 1}</span>
                         </div>
                         <div className="flex-1">
+                          <span className="inline-block px-3 py-1 mb-2 text-xs font-semibold text-indigo-700 bg-indigo-100 rounded-full">
+                            {QUESTION_TYPE_LABELS[type]}
+                          </span>
+                          <span className="inline-block px-3 py-1 mb-2 ml-2 text-xs font-semibold text-slate-600 bg-slate-100 rounded-full">
+                            {getQuestionPoints(soal)} poin
+                          </span>
+                          <SoalBankBadges soal={soal} className="mb-2" />
                           <h3 className="text-lg font-semibold text-gray-800 mb-3">
                             {soal.Question || soal.question}
                           </h3>
+                          {!isChoiceType(type) ? (
+                            <div className="p-3 rounded-xl border-2 border-green-300 bg-green-50">
+                              <span className="text-sm font-medium text-gray-600 mr-2">Jawaban:</span>
+                              <span className="text-gray-700">{formatCorrectAnswer(soal)}</span>
+                            </div>
+                          ) : (
                           <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                            {Object.entries(options).map(([key, value]) => (
+                            {options.map((value, optIndex) => (
                               <div
-                                key={key}
+                                key={optIndex}
                                 className={`p-3 rounded-xl border-2 transition-colors duration-200 ${
-                                  value === correctAnswer
+                                  isCorrectOption(soal, value)
                                     ? "border-green-300 bg-green-50"
                                     : "border-gray-200 bg-gray-50"
                                 }`}
                               >
                                 <div className="flex items-center space-x-2">
                                   <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-bold ${
-                                    value === correctAnswer
+                                    isCorrectOption(soal, value)
                                       ? "bg-green-500 text-white"
                                       : "bg-gray-300 text-gray-600"
                                   }`}>
-                                    {key}
+                                    {getOptionLetter(optIndex)}
                                   </span>
                                   <span className="text-gray-700 flex-1">{value}</span>
-                                  {value === correctAnswer && (
+                                  {isCorrectOption(soal, value) && (
                                     <svg className="w-5 h-5 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                                     </svg>
@@ -455,6 +417,7 @@ const ManageSoal = () => {
                               </div>
                             ))}
                           </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -490,4 +453,11 @@ const ManageSoal = () => {
   );
 };
 
-export default ManageSoal;
+// Without a kuis the route browses the question bank
+const SoalManagementPage = () => {
+  const location = useLocation();
+  const kuisId = new URLSearchParams(location.search).get("kuis_id");
+  return kuisId ? <ManageSoal /> : <QuestionBankPage />;
+};
+
+export default SoalManagementPage;
@@ -1,7 +1,7 @@
 import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useLocation } from "react-router-dom";
 import { useAuth } from "../../hooks/useAuth";
-import { userAPI } from "../../services/quizApi";
+import { userAPI } from "../../services/api";
 import Button from "../../components/UI/Button";
 import Input from "../../components/UI/Input";
 
@@ -11,8 +11,14 @@ const LoginPage = () => {
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
   const { login } = useAuth();
 
+  // Page the user was on when the session ended or that sent them here
+  const from = location.state?.from;
+  const returnTo = from && from.pathname !== "/login" ? `${from.pathname}${from.search || ""}${from.hash || ""}` : "/dashboard";
+  const sessionEnded = Boolean(location.state?.reason);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
@@ -30,7 +36,7 @@ const LoginPage = () => {
       }
 
       if (response.success && response.data) {
-        const { token, role, user_id, name } = response.data;
+        const { token, role, user_id, name, expires_at } = response.data;
 
         // Use the login function from useAuth hook
         login({
@@ -40,10 +46,9 @@ const LoginPage = () => {
           userName: name,
           role: role,
           userRole: role
-        }, token);
+        }, token, expires_at);
 
-        // Redirect to dashboard
-        navigate("/dashboard");
+        navigate(returnTo, { replace: true });
       } else {
         setError(response.message || "Format response tidak valid");
       }
@@ -91,6 +96,12 @@ const LoginPage = () => {
 
         {/* Revolutionary Login Form */}
         <div className="card-glass rounded-3xl shadow-ultra p-10 border border-white/30 animate-slide-up backdrop-ultra">
+          {sessionEnded && !error && (
+            <div className="bg-amber-50 border-2 border-amber-200 text-amber-800 px-6 py-4 rounded-2xl mb-8 animate-fade-in font-medium shadow-lg">
+              Sesi Anda telah berakhir. Silakan login kembali untuk melanjutkan.
+            </div>
+          )}
+
           {error && (
             <div className="bg-gradient-to-r from-red-50 to-pink-50 border-2 border-red-200 text-red-700 px-6 py-4 rounded-2xl mb-8 animate-fade-in flex items-center space-x-3 shadow-lg">
               <div className="w-8 h-8 bg-red-500 rounded-full flex items-center justify-center animate-pulse">
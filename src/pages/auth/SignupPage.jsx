@@ -1,7 +1,7 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../hooks/useAuth";
-import { userAPI } from "../../services/quizApi";
+import { userAPI } from "../../services/api";
 
 import Button from "../../components/UI/Button";
 import Input from "../../components/UI/Input";
@@ -1,7 +1,6 @@
 import React from "react";
 import DataTable from "../../components/DataTable";
 import { api } from "../../services/api";
-import { BASE_URL } from "../../constants/api";
 
 const DaftarKategori = () => {
   const fields = [
@@ -88,7 +87,7 @@ const DaftarKategori = () => {
   return (
     <DataTable
       title="Daftar Kategori"
-      endpoint={`${BASE_URL}/kategori/get-kategori`}
+      fetchItems={api.getKategori}
       fields={fields}
       onAdd={handleAdd}
       onEdit={handleEdit}
@@ -1,7 +1,6 @@
 import React from "react";
 import DataTable from "../../components/DataTable";
 import { api } from "../../services/api";
-import { BASE_URL } from "../../constants/api";
 
 const DaftarKelas = () => {
   const fields = [
@@ -111,7 +110,7 @@ const DaftarKelas = () => {
   return (
     <DataTable
       title="Daftar Kelas"
-      endpoint={`${BASE_URL}/kelas/get-kelas`}
+      fetchItems={api.getKelas}
       fields={fields}
       onAdd={handleAdd}
       onEdit={handleEdit}
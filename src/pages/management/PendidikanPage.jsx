@@ -1,7 +1,6 @@
 import React from "react";
 import DataTable from "../../components/DataTable";
 import { api } from "../../services/api";
-import { BASE_URL } from "../../constants/api";
 
 const DaftarPendidikan = () => {
   const fields = [
@@ -88,7 +87,7 @@ const DaftarPendidikan = () => {
   return (
     <DataTable
       title="Daftar Pendidikan"
-      endpoint={`${BASE_URL}/pendidikan/get-pendidikan`}
+      fetchItems={api.getPendidikan}
       fields={fields}
       onAdd={handleAdd}
       onEdit={handleEdit}
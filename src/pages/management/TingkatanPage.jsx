@@ -1,7 +1,6 @@
 import React from "react";
 import DataTable from "../../components/DataTable";
 import { api } from "../../services/api";
-import { BASE_URL } from "../../constants/api";
 
 const DaftarTingkatan = () => {
   const fields = [
@@ -88,7 +87,7 @@ const DaftarTingkatan = () => {
   return (
     <DataTable
       title="Daftar Tingkatan"
-      endpoint={`${BASE_URL}/tingkatan/get-tingkatan`}
+      fetchItems={api.getTingkatan}
       fields={fields}
       onAdd={handleAdd}
       onEdit={handleEdit}
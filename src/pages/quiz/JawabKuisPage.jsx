@@ -1,38 +1,96 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { useTimer } from '../../hooks/useTimer';
-import { getConsistentScoreInfo } from '../../utils/gradeUtils';
-import { quizAPI, questionAPI, quizResultAPI } from '../../services/quizApi';
+import { useNow } from '../../hooks/useNow';
+import { getResultScoreInfo, getScoringGradeInfo } from '../../utils/gradeUtils';
+import { resolveGradingScheme } from '../../utils/gradingSchemes';
+import { quizAPI, questionAPI, quizResultAPI } from '../../services/api';
+import {
+  enqueueSubmission,
+  getPendingSubmission,
+  subscribeToSubmissions,
+  flushSubmissions,
+  dismissRejectedSubmission
+} from '../../services/submissionQueue';
+import { loadQuizDraft, saveQuizDraft, clearQuizDraft } from '../../utils/quizDraft';
+import { QUESTION_TYPES, getQuestionType, isAnswered, toSubmittedAnswer } from '../../utils/questionTypes';
+import { getScoringSettings, scoreQuestion, scoreQuiz } from '../../utils/scoring';
+import { createShuffleSeed, getShuffleSettings, shuffleQuiz } from '../../utils/shuffle';
+import {
+  SCHEDULE_STATUS,
+  getKuisSchedule,
+  getScheduleStatus,
+  getScheduleCountdown,
+  isLateSubmission,
+  formatScheduleDate
+} from '../../utils/quizSchedule';
+import { getAttemptEndsAt, getDurationSeconds, getQuestionTimeLimit } from '../../utils/quizTiming';
+import { serverNow } from '../../services/serverClock';
+import { formatAttemptLimit, summarizeAttempts } from '../../utils/attempts';
+import { canPractice, isPracticeMode, recordPracticeSession } from '../../utils/practice';
+import { isPoolKuis } from '../../utils/questionPool';
 import QuizTimer from '../../components/quiz/QuizTimer';
 import QuizProgress from '../../components/quiz/QuizProgress';
 import QuizQuestion from '../../components/quiz/QuizQuestion';
 import QuizNavigation from '../../components/quiz/QuizNavigation';
 import QuizResult from '../../components/quiz/QuizResult';
+import SessionWarningModal from '../../components/quiz/SessionWarningModal';
+
+// Soal with a single choice get feedback as soon as an option is picked
+const INSTANT_FEEDBACK_TYPES = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.TRUE_FALSE];
 
 const JawabKuisPage = () => {
   const { kuisId } = useParams();
+  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const { user, getUserInfo } = useAuth();
+  const isPractice = isPracticeMode(searchParams);
+  const { userId, userName } = useAuth();
+
+  // Restore any attempt saved on this device, practice sessions are not saved
+  const [draft] = useState(() => (isPractice ? null : loadQuizDraft(userId, kuisId)));
+  const [seed] = useState(() => draft?.seed ?? createShuffleSeed());
   
   // State management
   const [quiz, setQuiz] = useState(null);
   const [questions, setQuestions] = useState([]);
-  const [answers, setAnswers] = useState({});
-  const [currentQuestion, setCurrentQuestion] = useState(0);
+  const [answers, setAnswers] = useState(draft?.answers || {});
+  const [currentQuestion, setCurrentQuestion] = useState(draft?.currentQuestion || 0);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [showResult, setShowResult] = useState(false);
   const [result, setResult] = useState(null);
+  const [submitError, setSubmitError] = useState('');
+  const [pendingSubmission, setPendingSubmission] = useState(() => !isPractice && !!getPendingSubmission(userId, kuisId));
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [scheduleBlocked, setScheduleBlocked] = useState(false);
+  const [practiceBlocked, setPracticeBlocked] = useState(false);
+  const [attemptSummary, setAttemptSummary] = useState(null);
+  const [revealed, setRevealed] = useState({});
+  const [startedAt, setStartedAt] = useState(draft?.startedAt ?? null);
+  const [questionTimer, setQuestionTimer] = useState(draft?.questionTimer ?? null);
+  const now = useNow();
 
-  // Timer hook with auto-submit on time up
+  // Practice runs without time limits and does not use up attempts
+  const questionTimeLimit = isPractice ? 0 : getQuestionTimeLimit(quiz);
+  // A saved attempt may still be finished after the limit is reached
+  const attemptsExhausted = !isPractice && !draft && attemptSummary !== null && !attemptSummary.canAttempt;
+
+  // Timer hook with auto-submit on time up, counted from the attempt start
   const {
     timeLeft,
     startTimer,
     stopTimer,
     getTimeStatus,
     formattedTime
-  } = useTimer(1800, handleAutoSubmit); // 30 minutes
+  } = useTimer(getAttemptEndsAt(startedAt, quiz), handleAutoSubmit);
+
+  // Optional per-soal limit
+  const {
+    timeLeft: questionTimeLeft,
+    startTimer: startQuestionTimer,
+    stopTimer: stopQuestionTimer
+  } = useTimer(questionTimeLimit ? questionTimer?.endsAt : null, handleQuestionTimeUp);
 
   // Auto-submit when time runs out
   function handleAutoSubmit() {
@@ -41,8 +99,15 @@ const JawabKuisPage = () => {
     }
   }
 
-  // Get user info
-  const { userId, userName } = getUserInfo();
+  // Move on when the soal's own time is up, the last soal submits the attempt
+  function handleQuestionTimeUp() {
+    if (showResult || submitting || pendingSubmission) return;
+    if (currentQuestion < questions.length - 1) {
+      setCurrentQuestion(currentQuestion + 1);
+    } else {
+      handleSubmit();
+    }
+  }
 
   // Load quiz and questions on mount
   useEffect(() => {
@@ -51,30 +116,114 @@ const JawabKuisPage = () => {
     }
   }, [kuisId]);
 
-  // Start timer when questions are loaded
+  // Start the attempt clock when questions are loaded, a restored attempt keeps its start time
   useEffect(() => {
-    if (questions.length > 0 && !showResult) {
+    if (questions.length > 0 && !isPractice && !showResult && !pendingSubmission && !scheduleBlocked && !attemptsExhausted) {
+      setStartedAt(prev => prev ?? serverNow());
       startTimer();
+      startQuestionTimer();
     }
-  }, [questions, showResult, startTimer]);
+  }, [questions, isPractice, showResult, pendingSubmission, scheduleBlocked, attemptsExhausted, startTimer, startQuestionTimer]);
+
+  // Each soal gets its own deadline the first time it is shown
+  useEffect(() => {
+    if (!questionTimeLimit || startedAt === null) return;
+    setQuestionTimer(prev => (
+      prev?.index === currentQuestion
+        ? prev
+        : { index: currentQuestion, endsAt: serverNow() + questionTimeLimit * 1000 }
+    ));
+  }, [questionTimeLimit, startedAt, currentQuestion]);
+
+  // Persist progress so the attempt survives a refresh or lost connection
+  useEffect(() => {
+    if (isPractice || loading || showResult || pendingSubmission || questions.length === 0) return;
+    saveQuizDraft(userId, kuisId, {
+      answers,
+      currentQuestion,
+      seed,
+      startedAt,
+      questionTimer,
+      // The drawn sample of a pool kuis, so a refresh serves the same soal
+      soalIds: isPoolKuis(quiz) ? questions.map(question => question.ID) : null
+    });
+  }, [userId, kuisId, isPractice, quiz, answers, currentQuestion, seed, startedAt, questionTimer, loading, showResult, pendingSubmission, questions]);
+
+  // Display order of this attempt; answers and submission stay on the original soal
+  const displayQuestions = useMemo(
+    () => shuffleQuiz(questions, seed, getShuffleSettings(quiz)),
+    [questions, seed, quiz]
+  );
+
+  // Track connectivity for the offline banner
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Show the result once a queued submission for this attempt goes through
+  useEffect(() => {
+    if (isPractice) return undefined;
+    return subscribeToSubmissions(({ type, entry, response, error }) => {
+      if (type === 'dismissed') return;
+      if (String(entry.userId) !== String(userId) || String(entry.kuisId) !== String(kuisId)) return;
+
+      setPendingSubmission(false);
+      if (type === 'submitted') {
+        showSubmissionResult(response, entry.totalQuestions, entry.answers, entry.queuedAt);
+      } else {
+        setSubmitError(error.message || 'Gagal mengirim jawaban');
+        // Shown here, so the notice on other pages is not needed
+        dismissRejectedSubmission(entry);
+      }
+    });
+  }, [userId, kuisId, isPractice]);
 
   // Load quiz and questions data
   const loadQuizData = async () => {
     try {
       setLoading(true);
       
-      // Load quiz details and questions in parallel
-      const [quizResponse, questionsResponse] = await Promise.all([
-        quizAPI.getAll(),
-        questionAPI.getByQuizId(kuisId)
+      // Load quiz details and earlier attempts in parallel; schedule and attempt
+      // limits must not come from a stale cache entry
+      const [quizResponse, resultsResponse] = await Promise.all([
+        quizAPI.getAll({ cache: 'fresh' }),
+        quizResultAPI.getMine({ cache: 'fresh' }).catch(() => null)
       ]);
 
       // Find the specific quiz
       const quizDetail = quizResponse.data?.find(q => q.ID === parseInt(kuisId));
       setQuiz(quizDetail);
+
+      // The kuis' soal, or the sample drawn from its pool for this attempt
+      const questionsResponse = quizDetail
+        ? await questionAPI.getForAttempt(quizDetail, { seed, soalIds: draft?.soalIds })
+        : { data: [] };
+
+      const previousAttempts = (resultsResponse?.data || [])
+        .filter(hasil => Number(hasil.kuis_id ?? hasil.Kuis_id) === parseInt(kuisId));
+      const summary = summarizeAttempts(previousAttempts, quizDetail);
+      setAttemptSummary(summary);
+
+      // A new attempt can only start while the kuis is open, a saved one may be finished.
+      // Practice reveals the answers and waits until the kuis is closed or no attempts
+      // are left; attempts that failed to load count as not used up
+      if (isPractice) {
+        setPracticeBlocked(!canPractice(quizDetail, resultsResponse ? summary : null, serverNow()));
+      } else if (!draft && getScheduleStatus(quizDetail, serverNow()) !== SCHEDULE_STATUS.OPEN) {
+        setScheduleBlocked(true);
+      }
       
       // Set questions
-      setQuestions(questionsResponse.data || []);
+      const loadedQuestions = questionsResponse.data || [];
+      setQuestions(loadedQuestions);
+      setCurrentQuestion(prev => Math.min(prev, Math.max(0, loadedQuestions.length - 1)));
       
     } catch (error) {
       console.error('Error loading quiz data:', error);
@@ -86,10 +235,62 @@ const JawabKuisPage = () => {
 
   // Handle answer change
   const handleAnswerChange = (questionId, answer) => {
+    // Checked practice answers are locked
+    if (revealed[questionId]) return;
+
     setAnswers(prev => ({
       ...prev,
       [questionId]: answer
     }));
+
+    // Single-choice soal are checked as soon as an option is picked
+    const soal = questions.find(question => question.ID === questionId);
+    if (isPractice && INSTANT_FEEDBACK_TYPES.includes(getQuestionType(soal))) {
+      revealAnswer(questionId);
+    }
+  };
+
+  const revealAnswer = (questionId) => {
+    setRevealed(prev => ({ ...prev, [questionId]: true }));
+  };
+
+  // Practice answers are graded locally and never reach the official results
+  const finishPractice = (formattedAnswers) => {
+    const scoring = scoreQuiz(
+      questions,
+      Object.fromEntries(formattedAnswers.map(answer => [answer.Soal_id, answer.Answer])),
+      getScoringSettings(quiz)
+    );
+    recordPracticeSession(userId, {
+      kuisId,
+      kuisTitle: quiz?.title,
+      score: scoring.score,
+      correct: scoring.correct,
+      total: questions.length
+    });
+
+    setResult({
+      practice: true,
+      totalQuestions: questions.length,
+      submittedAnswers: formattedAnswers,
+      submittedAt: serverNow()
+    });
+    setShowResult(true);
+  };
+
+  // Process submit response into the result screen
+  const showSubmissionResult = (response, totalQuestions, submittedAnswers, submittedAt) => {
+    const resultData = response?.data || response || {};
+    const scoreInfo = getResultScoreInfo(resultData, { totalQuestions });
+
+    setResult({
+      ...resultData,
+      ...scoreInfo,
+      totalQuestions,
+      submittedAnswers,
+      submittedAt
+    });
+    setShowResult(true);
   };
 
   // Handle quiz submission
@@ -99,41 +300,54 @@ const JawabKuisPage = () => {
       return;
     }
 
+    // Format answers according to backend expectation, Kuis_id tells the backend
+    // which kuis soal drawn from the bank were answered for
+    const formattedAnswers = questions.map(question => ({
+      Soal_id: question.ID,
+      Answer: toSubmittedAnswer(question, answers[question.ID]),
+      User_id: parseInt(userId),
+      Kuis_id: parseInt(kuisId)
+    }));
+
+    if (isPractice) {
+      finishPractice(formattedAnswers);
+      return;
+    }
+
     setSubmitting(true);
+    setSubmitError('');
     stopTimer();
+    stopQuestionTimer();
 
     try {
-      // Format answers according to backend expectation
-      const formattedAnswers = questions.map(question => ({
-        Soal_id: question.ID,
-        Answer: answers[question.ID] || '',
-        User_id: parseInt(userId)
-      }));
-
       console.log('Submitting answers:', formattedAnswers);
 
       const response = await quizResultAPI.submit(formattedAnswers);
       console.log('Submit response:', response);
 
-      if (response) {
-        // Process result data
-        const resultData = response.data || response;
-        const totalQuestions = questions.length;
-        const rawScore = resultData.score || resultData.Score || 0;
-        const correctAnswers = resultData.correct_answer || resultData.Correct_Answer || 0;
-
-        const scoreInfo = getConsistentScoreInfo(rawScore, correctAnswers, totalQuestions);
+      clearQuizDraft(userId, kuisId);
+      showSubmissionResult(response, questions.length, formattedAnswers, serverNow());
+    } catch (error) {
+      console.error('Error submitting answers:', error);
 
-        setResult({
-          ...resultData,
-          ...scoreInfo,
-          totalQuestions
+      if (error.isNetworkError) {
+        // Keep the answers and send them automatically once back online
+        enqueueSubmission({
+          userId,
+          kuisId,
+          kuisTitle: quiz?.title,
+          answers: formattedAnswers,
+          totalQuestions: questions.length
         });
-        setShowResult(true);
+        clearQuizDraft(userId, kuisId);
+        setPendingSubmission(true);
+      } else {
+        setSubmitError(error.message || 'Terjadi kesalahan saat mengirim jawaban');
+        if (timeLeft > 0) {
+          startTimer();
+          startQuestionTimer();
+        }
       }
-    } catch (error) {
-      console.error('Error submitting answers:', error);
-      alert('Terjadi kesalahan saat mengirim jawaban: ' + error.message);
     } finally {
       setSubmitting(false);
     }
@@ -149,12 +363,14 @@ const JawabKuisPage = () => {
   };
 
   const handleQuestionSelect = (index) => {
+    // With a per-soal limit soal are answered in order
+    if (questionTimeLimit) return;
     setCurrentQuestion(index);
   };
 
   // Get answered count
   const getAnsweredCount = () => {
-    return Object.keys(answers).filter(key => answers[key] !== '').length;
+    return Object.keys(answers).filter(key => isAnswered(answers[key])).length;
   };
 
   // Loading state
@@ -171,7 +387,48 @@ const JawabKuisPage = () => {
 
   // Show result
   if (showResult) {
-    return <QuizResult result={result} />;
+    // Grade with the kuis' own scheme, the kuis details may load after a queued submission
+    const scheme = resolveGradingScheme({ kuis: quiz, kuisId });
+    const scoringSettings = getScoringSettings(quiz);
+
+    // Weights, negative marking and partial credit are applied to the submitted answers
+    const scoring = result.submittedAnswers && questions.length > 0
+      ? scoreQuiz(
+        questions,
+        Object.fromEntries(result.submittedAnswers.map(answer => [answer.Soal_id, answer.Answer])),
+        scoringSettings
+      )
+      : null;
+
+    const gradedResult = {
+      ...result,
+      late: !result.practice && isLateSubmission(quiz, result.submittedAt),
+      ...(scoring
+        ? getScoringGradeInfo(scoring, scheme)
+        : getResultScoreInfo(result, { correctAnswers: result.correctAnswers, totalQuestions: result.totalQuestions }, scheme))
+    };
+    return <QuizResult result={gradedResult} scoringSettings={scoringSettings} />;
+  }
+
+  // Submission waiting for connectivity
+  if (pendingSubmission) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="w-16 h-16 border-4 border-amber-500 border-t-transparent rounded-full animate-spin mx-auto mb-6"></div>
+          <h3 className="text-xl font-bold text-slate-800 mb-2">Menunggu koneksi internet</h3>
+          <p className="text-slate-600 mb-6">
+            Jawaban Anda sudah tersimpan di perangkat ini dan akan dikirim otomatis begitu koneksi kembali.
+          </p>
+          <button
+            onClick={flushSubmissions}
+            className="btn-primary"
+          >
+            Coba Kirim Sekarang
+          </button>
+        </div>
+      </div>
+    );
   }
 
   // No quiz or questions found
@@ -197,23 +454,125 @@ const JawabKuisPage = () => {
     );
   }
 
-  const currentQuestionData = questions[currentQuestion];
+  // Practice before the kuis is over for this student
+  if (practiceBlocked) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-5xl mb-6">📘</div>
+          <h3 className="text-xl font-bold text-slate-800 mb-2">Latihan belum tersedia</h3>
+          <p className="text-slate-600 mb-6">
+            Latihan kuis {quiz.title} dapat dikerjakan setelah kuis ditutup atau percobaan Anda habis.
+          </p>
+          <button
+            onClick={() => navigate('/ambil-kuis')}
+            className="btn-primary"
+          >
+            Kembali ke Daftar Kuis
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // No attempts left
+  if (attemptsExhausted) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-5xl mb-6">🔁</div>
+          <h3 className="text-xl font-bold text-slate-800 mb-2">Batas percobaan tercapai</h3>
+          <p className="text-slate-600 mb-6">
+            Kuis ini hanya dapat dikerjakan {formatAttemptLimit(attemptSummary.settings)}.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-4 justify-center">
+            <button
+              onClick={() => navigate(`/hasil-kuis/${kuisId}/detail`)}
+              className="btn-primary"
+            >
+              Lihat Hasil
+            </button>
+            <button
+              onClick={() => navigate('/ambil-kuis')}
+              className="btn-outline"
+            >
+              Kembali ke Daftar Kuis
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const scheduleStatus = getScheduleStatus(quiz, now);
+  const { closesAt } = getKuisSchedule(quiz);
+
+  // Outside the availability window
+  if (scheduleBlocked) {
+    const isUpcoming = scheduleStatus === SCHEDULE_STATUS.UPCOMING;
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-5xl mb-6">{scheduleStatus === SCHEDULE_STATUS.CLOSED ? '🔒' : '⏳'}</div>
+          <h3 className="text-xl font-bold text-slate-800 mb-2">
+            {scheduleStatus === SCHEDULE_STATUS.OPEN
+              ? 'Kuis sudah dibuka'
+              : isUpcoming ? 'Kuis belum dibuka' : 'Kuis sudah ditutup'}
+          </h3>
+          <p className="text-slate-600 mb-6">{getScheduleCountdown(quiz, now) || quiz.title}</p>
+          <div className="flex flex-col sm:flex-row gap-4 justify-center">
+            {scheduleStatus === SCHEDULE_STATUS.OPEN && (
+              <button
+                onClick={() => setScheduleBlocked(false)}
+                className="btn-primary"
+              >
+                Mulai Kuis
+              </button>
+            )}
+            <button
+              onClick={() => navigate('/ambil-kuis')}
+              className="btn-outline"
+            >
+              Kembali ke Daftar Kuis
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const currentQuestionData = displayQuestions[currentQuestion];
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8">
+      <SessionWarningModal />
+
       {/* Header */}
       <div className="mb-8 animate-fade-in">
         <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
           <div>
             <h1 className="text-3xl font-bold text-slate-800 mb-2">{quiz.title}</h1>
             <p className="text-slate-600">{quiz.description}</p>
+            {!isPractice && attemptSummary && attemptSummary.limit > 1 && (
+              <p className="text-sm text-slate-500 mt-1">
+                Percobaan ke-{attemptSummary.count + 1}
+                {Number.isFinite(attemptSummary.limit) && ` dari ${attemptSummary.limit}`}
+              </p>
+            )}
           </div>
           
           <div className="flex items-center space-x-4 mt-4 md:mt-0">
-            <QuizTimer 
-              timeLeft={timeLeft} 
-              status={getTimeStatus} 
-            />
+            {isPractice ? (
+              <span className="px-4 py-2 rounded-xl bg-emerald-100 text-emerald-800 font-semibold shadow-lg">
+                Mode Latihan
+              </span>
+            ) : (
+              <QuizTimer 
+                timeLeft={timeLeft ?? getDurationSeconds(quiz)} 
+                status={getTimeStatus} 
+                questionTimeLeft={questionTimeLimit ? questionTimeLeft ?? questionTimeLimit : null}
+              />
+            )}
             
             <QuizProgress 
               currentQuestion={currentQuestion}
@@ -221,12 +580,42 @@ const JawabKuisPage = () => {
               answeredCount={getAnsweredCount()}
               onQuestionSelect={handleQuestionSelect}
               answers={answers}
-              questions={questions}
+              questions={displayQuestions}
               className="hidden md:block"
             />
           </div>
         </div>
 
+        {!isOnline && (
+          <div className="mb-4 p-4 bg-amber-50 border border-amber-200 rounded-xl text-amber-800 text-sm font-medium">
+            Anda sedang offline. Jawaban tetap tersimpan di perangkat ini dan bisa dikirim saat koneksi kembali.
+          </div>
+        )}
+
+        {isPractice && (
+          <div className="mb-4 p-4 bg-emerald-50 border border-emerald-200 rounded-xl text-emerald-800 text-sm font-medium">
+            Latihan tanpa batas waktu. Jawaban langsung diperiksa dan tidak dicatat sebagai nilai resmi.
+          </div>
+        )}
+
+        {!isPractice && closesAt !== null && (
+          <div className={`mb-4 p-4 border rounded-xl text-sm font-medium ${
+            scheduleStatus === SCHEDULE_STATUS.CLOSED
+              ? 'bg-red-50 border-red-200 text-red-700'
+              : 'bg-slate-50 border-slate-200 text-slate-700'
+          }`}>
+            {scheduleStatus === SCHEDULE_STATUS.CLOSED
+              ? 'Kuis sudah ditutup. Selesaikan sebelum masa toleransi habis, jawaban akan dikirim otomatis dan ditandai terlambat.'
+              : `Kuis ditutup ${formatScheduleDate(closesAt)}. Jawaban dikirim otomatis jika belum dikumpulkan.`}
+          </div>
+        )}
+
+        {draft && (
+          <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-xl text-blue-800 text-sm font-medium">
+            Jawaban sebelumnya berhasil dipulihkan. Lanjutkan dari soal terakhir Anda.
+          </div>
+        )}
+
         {/* Progress Bar */}
         <div className="w-full bg-slate-200 rounded-full h-2">
           <div 
@@ -243,14 +632,39 @@ const JawabKuisPage = () => {
           questionNumber={currentQuestion + 1}
           selectedAnswer={answers[currentQuestionData.ID]}
           onAnswerChange={handleAnswerChange}
+          feedback={revealed[currentQuestionData.ID]
+            ? scoreQuestion(
+              questions.find(question => question.ID === currentQuestionData.ID),
+              answers[currentQuestionData.ID],
+              getScoringSettings(quiz)
+            )
+            : null}
         />
+        {isPractice && !revealed[currentQuestionData.ID] &&
+          !INSTANT_FEEDBACK_TYPES.includes(getQuestionType(currentQuestionData)) && (
+          <div className="mt-4 flex justify-end">
+            <button
+              onClick={() => revealAnswer(currentQuestionData.ID)}
+              disabled={!isAnswered(answers[currentQuestionData.ID])}
+              className="btn-outline disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Periksa Jawaban
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Navigation */}
       <div className="max-w-4xl mx-auto">
+        {submitError && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 text-sm font-medium">
+            Terjadi kesalahan saat mengirim jawaban: {submitError}
+          </div>
+        )}
         <QuizNavigation
           currentQuestion={currentQuestion}
           totalQuestions={questions.length}
+          canGoPrevious={!questionTimeLimit}
           onPrevious={handlePrevious}
           onNext={handleNext}
           onSubmit={handleSubmit}
@@ -266,7 +680,7 @@ const JawabKuisPage = () => {
           answeredCount={getAnsweredCount()}
           onQuestionSelect={handleQuestionSelect}
           answers={answers}
-          questions={questions}
+          questions={displayQuestions}
         />
       </div>
     </div>
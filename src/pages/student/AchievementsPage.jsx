@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { api } from '../../services/api';
-import { getConsistentScoreInfo } from '../../utils/gradeUtils';
+import { useAuth } from '../../hooks/useAuth';
+import { loadMyResults } from '../../services/quizResults';
+import { buildResultEntries } from '../../utils/resultStats';
 
 
 
@@ -19,24 +20,7 @@ const AchievementsPage = () => {
   });
   const [loading, setLoading] = useState(true);
 
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const token = localStorage.getItem('token');
-    
-    if (storedUserId) return storedUserId;
-    
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return payload.iss || payload.user_id || payload.id || payload.sub;
-      } catch (error) {
-        console.error('Error decoding token:', error);
-      }
-    }
-    return null;
-  };
-
-  const userId = getUserInfo();
+  const { userId } = useAuth();
 
   useEffect(() => {
     if (userId) {
@@ -48,15 +32,10 @@ const AchievementsPage = () => {
     try {
       setLoading(true);
 
-      // OPTIMIZED: Get all data using optimized endpoints
-      const [kuisRes, kategoriRes, hasilRes] = await Promise.all([
-        api.getKuis(),
-        api.getKategori(),
-        api.getMyHasilKuis()
-      ]);
-
-      if (kuisRes.success && kategoriRes.success) {
-        await calculateUserStats(kuisRes.data, kategoriRes.data, hasilRes.success ? hasilRes.data : []);
+      // Kuis, kategori, results and soal counts in one round-trip
+      const data = await loadMyResults();
+      if (data.success) {
+        calculateUserStats(data);
       }
     } catch (error) {
       console.error('Error fetching achievements:', error);
@@ -65,7 +44,7 @@ const AchievementsPage = () => {
     }
   };
 
-  const calculateUserStats = async (allKuis, allKategori, hasilKuisList) => {
+  const calculateUserStats = ({ kuisList: allKuis, kategoriList: allKategori, hasilList, questionCounts }) => {
     const stats = {
       totalScore: 0,
       completedQuizzes: 0,
@@ -80,49 +59,22 @@ const AchievementsPage = () => {
       quizDates: []
     };
 
-    // OPTIMIZED: Process results from single API call
-    for (const hasil of hasilKuisList) {
-      try {
-        // Get question count for this quiz
-        let questionCount = 1; // Default fallback
-        try {
-          const soalRes = await api.getSoalByKuisID(hasil.kuis_id);
-          questionCount = soalRes.success ? soalRes.data.length : 1;
-        } catch (soalError) {
-          console.warn(`Failed to get question count for quiz ${hasil.kuis_id}:`, soalError.message);
-        }
-
-        const rawScore = hasil.score || 0;
-        const correctAnswers = hasil.correct_answer || 0;
-        const quizDate = hasil.created_at || hasil.CreatedAt || new Date().toISOString();
-
-        // Get consistent score info
-        const scoreInfo = getConsistentScoreInfo(rawScore, correctAnswers, questionCount);
+    // Every attempt counts towards the achievements
+    buildResultEntries(hasilList, allKuis, questionCounts).forEach(({ kuis, attempts }) => {
+      stats.categoriesCompleted.add(kuis.kategori_id);
 
+      attempts.forEach(({ hasil, questionCount, scoreInfo }) => {
         stats.totalScore += scoreInfo.score;
         stats.completedQuizzes++;
-        stats.correctAnswers += correctAnswers;
+        stats.correctAnswers += scoreInfo.correctAnswers;
         stats.totalQuestions += questionCount;
-
-        // Get category from quiz data
-        const kuis = allKuis.find(k => k.ID === hasil.kuis_id);
-        if (kuis) {
-          stats.categoriesCompleted.add(kuis.kategori_id);
-        }
-
-        stats.quizDates.push(new Date(quizDate));
+        stats.quizDates.push(new Date(hasil.created_at || hasil.CreatedAt || new Date().toISOString()));
 
         if (scoreInfo.score === 100) {
           stats.perfectScores++;
         }
-
-        // Small delay to prevent overwhelming the server
-        await new Promise(resolve => setTimeout(resolve, 50));
-      } catch (error) {
-        console.error(`Error processing quiz result ${hasil.kuis_id}:`, error);
-        // Continue with next result
-      }
-    }
+      });
+    });
 
     if (stats.completedQuizzes > 0) {
       stats.averageScore = Math.round(stats.totalScore / stats.completedQuizzes);
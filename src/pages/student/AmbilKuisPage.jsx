@@ -1,11 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
 import JoinClassModal from '../../components/JoinClassModal';
 import { useApiCache } from '../../hooks/useApiCache';
+import { useNow } from '../../hooks/useNow';
+import {
+  SCHEDULE_STATUS,
+  SCHEDULE_STATUS_INFO,
+  getScheduleStatus,
+  getScheduleCountdown
+} from '../../utils/quizSchedule';
+import { canPractice, getPracticePath } from '../../utils/practice';
+import { summarizeAttempts, summarizeAttemptsByKuis } from '../../utils/attempts';
 import { api } from '../../services/api';
 
-// Use Railway deployment URL
-const BASE_URL = import.meta.env.VITE_API_URL || "https://brainquiz0.up.railway.app";
+const fetchFreshKuis = () => api.getKuis({ cache: 'fresh' });
 
 const AmbilKuisPage = () => {
   const [filteredKuis, setFilteredKuis] = useState([]);
@@ -14,31 +23,34 @@ const AmbilKuisPage = () => {
   const [selectedTingkatan, setSelectedTingkatan] = useState('');
   const [selectedPendidikan, setSelectedPendidikan] = useState('');
   const [showJoinModal, setShowJoinModal] = useState(false);
+  const [myResults, setMyResults] = useState(null); // null until the attempts are known
   const navigate = useNavigate();
+  const now = useNow();
 
-  // Use cached API calls for better performance
+  // Use cached API calls for better performance; schedules decide what can be
+  // started, so the kuis list is never shown from a stale entry
   const { data: kuisData, loading: kuisLoading, refetch: refetchKuis } = useApiCache(
-    api.getKuis,
+    fetchFreshKuis,
     [],
-    { cacheKey: 'ambil_kuis_list' }
+    { cacheKey: 'ambil_kuis_list', tags: ['kuis'], fresh: true }
   );
 
   const { data: kategoriData, loading: kategoriLoading } = useApiCache(
     api.getKategori,
     [],
-    { cacheKey: 'ambil_kuis_kategori' }
+    { cacheKey: 'ambil_kuis_kategori', tags: ['kategori'] }
   );
 
   const { data: tingkatanData, loading: tingkatanLoading } = useApiCache(
     api.getTingkatan,
     [],
-    { cacheKey: 'ambil_kuis_tingkatan' }
+    { cacheKey: 'ambil_kuis_tingkatan', tags: ['tingkatan'] }
   );
 
   const { data: pendidikanData, loading: pendidikanLoading } = useApiCache(
     api.getPendidikan,
     [],
-    { cacheKey: 'ambil_kuis_pendidikan' }
+    { cacheKey: 'ambil_kuis_pendidikan', tags: ['pendidikan'] }
   );
 
   // Extract data from API responses
@@ -50,42 +62,30 @@ const AmbilKuisPage = () => {
   // Check if any data is still loading
   const loading = kuisLoading || kategoriLoading || tingkatanLoading || pendidikanLoading;
 
-  // Get user info
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const storedUserName = localStorage.getItem('userName');
-    
-    if (storedUserId) {
-      return {
-        userId: storedUserId,
-        userName: storedUserName || 'User'
-      };
-    }
-    
-    const token = localStorage.getItem('token');
-    if (token) {
+  const { userId, userName } = useAuth();
+
+  useEffect(() => {
+    filterKuis();
+  }, [kuisList, searchTerm, selectedKategori, selectedTingkatan, selectedPendidikan]);
+
+  useEffect(() => {
+    const fetchMyResults = async () => {
       try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return {
-          userId: payload.iss || payload.user_id || payload.id || payload.sub,
-          userName: payload.name || storedUserName || 'User'
-        };
+        const response = await api.getMyHasilKuis({ cache: 'fresh' });
+        setMyResults(Array.isArray(response.data) ? response.data : []);
       } catch (error) {
-        console.error('Error decoding token:', error);
+        console.error('Error fetching results:', error);
       }
-    }
-    
-    return {
-      userId: null,
-      userName: storedUserName || 'User'
     };
-  };
 
-  const { userId, userName } = getUserInfo();
+    fetchMyResults();
+  }, [userId]);
 
-  useEffect(() => {
-    filterKuis();
-  }, [kuisList, searchTerm, selectedKategori, selectedTingkatan, selectedPendidikan]);
+  const attemptsByKuis = myResults ? summarizeAttemptsByKuis(myResults, kuisList) : null;
+
+  // Attempts of a kuis, null while unknown
+  const getAttemptSummary = (kuis) =>
+    attemptsByKuis ? attemptsByKuis.get(kuis.ID) ?? summarizeAttempts([], kuis) : null;
 
   const filterKuis = () => {
     let filtered = kuisList;
@@ -117,12 +117,25 @@ const AmbilKuisPage = () => {
   };
 
   const handleStartKuis = (kuis) => {
+    if (getScheduleStatus(kuis) !== SCHEDULE_STATUS.OPEN) {
+      alert('Kuis ini sedang tidak dibuka.');
+      return;
+    }
     if (!confirm(`Apakah Anda yakin ingin memulai kuis "${kuis.title}"? Waktu akan dimulai setelah Anda mengklik OK.`)) {
       return;
     }
     navigate(`/kuis/${kuis.ID}/jawab`);
   };
 
+  // Practice gives instant feedback and is not recorded as an official result
+  const handlePracticeKuis = (kuis) => {
+    if (!canPractice(kuis, getAttemptSummary(kuis))) {
+      alert('Latihan tersedia setelah kuis ditutup atau percobaan Anda habis.');
+      return;
+    }
+    navigate(getPracticePath(kuis.ID));
+  };
+
   const clearFilters = () => {
     setSearchTerm('');
     setSelectedKategori('');
@@ -292,83 +305,110 @@ const AmbilKuisPage = () => {
 
       {/* Kuis Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 animate-bounce-in">
-        {filteredKuis.map((kuis, index) => (
-          <div
-            key={kuis.ID}
-            className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition-all duration-300 animate-scale-in"
-            style={{ animationDelay: `${index * 0.1}s` }}
-          >
-            <div className="flex flex-col h-full">
-              {/* Kuis Header */}
-              <div className="flex items-start justify-between mb-4">
-                <div className="w-12 h-12 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-xl flex items-center justify-center">
-                  <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                  </svg>
-                </div>
+        {filteredKuis.map((kuis, index) => {
+          const scheduleStatus = getScheduleStatus(kuis, now);
+          const scheduleInfo = SCHEDULE_STATUS_INFO[scheduleStatus];
+          const countdown = getScheduleCountdown(kuis, now);
+          const isOpen = scheduleStatus === SCHEDULE_STATUS.OPEN;
+
+          return (
+            <div
+              key={kuis.ID}
+              className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition-all duration-300 animate-scale-in"
+              style={{ animationDelay: `${index * 0.1}s` }}
+            >
+              <div className="flex flex-col h-full">
+                {/* Kuis Header */}
+                <div className="flex items-start justify-between mb-4">
+                  <div className="w-12 h-12 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-xl flex items-center justify-center">
+                    <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                    </svg>
+                  </div>
                 
-                <div className="flex flex-wrap gap-2">
-                  {/* Privacy Badge */}
-                  <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
-                    kuis.is_private
-                      ? 'bg-orange-100 text-orange-800'
-                      : 'bg-green-100 text-green-800'
-                  }`}>
-                    {kuis.is_private ? '🔒 Private' : '🌍 Public'}
-                  </span>
-
-                  {kuis.Kategori && (
-                    <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs font-semibold rounded-full">
-                      {kuis.Kategori.name}
+                  <div className="flex flex-wrap gap-2">
+                    {/* Privacy Badge */}
+                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
+                      kuis.is_private
+                        ? 'bg-orange-100 text-orange-800'
+                        : 'bg-green-100 text-green-800'
+                    }`}>
+                      {kuis.is_private ? '🔒 Private' : '🌍 Public'}
                     </span>
-                  )}
-                  {kuis.Tingkatan && (
-                    <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
-                      {kuis.Tingkatan.name}
+
+                    {/* Schedule Badge */}
+                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${scheduleInfo.badge}`}>
+                      {scheduleInfo.label}
                     </span>
-                  )}
+
+                    {kuis.Kategori && (
+                      <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs font-semibold rounded-full">
+                        {kuis.Kategori.name}
+                      </span>
+                    )}
+                    {kuis.Tingkatan && (
+                      <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+                        {kuis.Tingkatan.name}
+                      </span>
+                    )}
+                  </div>
                 </div>
-              </div>
 
-              {/* Kuis Info */}
-              <h3 className="text-xl font-bold text-slate-800 mb-2">{kuis.title}</h3>
-              <p className="text-slate-600 mb-4 flex-grow leading-relaxed">{kuis.description}</p>
+                {/* Kuis Info */}
+                <h3 className="text-xl font-bold text-slate-800 mb-2">{kuis.title}</h3>
+                <p className="text-slate-600 mb-4 flex-grow leading-relaxed">{kuis.description}</p>
+
+                {/* Kuis Details */}
+                <div className="mb-4 space-y-2">
+                  {kuis.Kelas && (
+                    <div className="flex items-center text-sm text-slate-600">
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
+                      </svg>
+                      Kelas: {kuis.Kelas.name}
+                    </div>
+                  )}
+                  {kuis.Pendidikan && (
+                    <div className="flex items-center text-sm text-slate-600">
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.746 0 3.332.477 4.5 1.253v13C19.832 18.477 18.246 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
+                      </svg>
+                      {kuis.Pendidikan.name}
+                    </div>
+                  )}
+                </div>
 
-              {/* Kuis Details */}
-              <div className="mb-4 space-y-2">
-                {kuis.Kelas && (
-                  <div className="flex items-center text-sm text-slate-600">
-                    <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
-                    </svg>
-                    Kelas: {kuis.Kelas.name}
-                  </div>
-                )}
-                {kuis.Pendidikan && (
-                  <div className="flex items-center text-sm text-slate-600">
-                    <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.746 0 3.332.477 4.5 1.253v13C19.832 18.477 18.246 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
-                    </svg>
-                    {kuis.Pendidikan.name}
-                  </div>
+                {countdown && (
+                  <p className={`mb-4 text-sm font-medium ${isOpen ? 'text-emerald-700' : 'text-slate-500'}`}>
+                    ⏰ {countdown}
+                  </p>
                 )}
-              </div>
 
-              {/* Action Button */}
-              <div className="mt-auto">
-                <button
-                  onClick={() => handleStartKuis(kuis)}
-                  className="w-full btn-primary flex items-center justify-center space-x-2"
-                >
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.828 14.828a4 4 0 01-5.656 0M9 10h1m4 0h1m-6 4h8m-9 4h10a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                  </svg>
-                  <span>Mulai Kuis</span>
-                </button>
+                {/* Action Button */}
+                <div className="mt-auto">
+                  <button
+                    onClick={() => handleStartKuis(kuis)}
+                    disabled={!isOpen}
+                    className="w-full btn-primary flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.828 14.828a4 4 0 01-5.656 0M9 10h1m4 0h1m-6 4h8m-9 4h10a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                    </svg>
+                    <span>{isOpen ? 'Mulai Kuis' : scheduleStatus === SCHEDULE_STATUS.UPCOMING ? 'Belum Dibuka' : 'Sudah Ditutup'}</span>
+                  </button>
+                  {canPractice(kuis, getAttemptSummary(kuis), now) && (
+                    <button
+                      onClick={() => handlePracticeKuis(kuis)}
+                      className="w-full btn-outline mt-2"
+                    >
+                      Latihan
+                    </button>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
 
       {/* Empty State */}
@@ -1,52 +1,38 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getConsistentScoreInfo } from '../../utils/gradeUtils';
+import { useAuth } from '../../hooks/useAuth';
+import { getResultScoreInfo } from '../../utils/gradeUtils';
+import { resolveGradingScheme } from '../../utils/gradingSchemes';
 import { parseOptions } from '../../utils/optionsParser';
-
-// Use the same BASE_URL logic as other components
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
+import { getQuestionType, isChoiceType, isCorrectOption, formatCorrectAnswer } from '../../utils/questionTypes';
+import { getQuestionPoints, getScoringSettings, SCORE_STATUS } from '../../utils/scoring';
+import { getOptionFeedback } from '../../utils/questionFeedback';
+import { getOptionMedia, getQuestionMedia } from '../../utils/questionMedia';
+import { getAttemptQuestionCount, getKuisQuestionCount, getServedSoal, isPoolKuis } from '../../utils/questionPool';
+import { ATTEMPT_SCORING_RULES, getAttemptDate, getScoringRuleLabel, summarizeAttempts } from '../../utils/attempts';
+import { api } from '../../services/api';
+import ScoreBreakdown from '../../components/quiz/ScoreBreakdown';
+import QuestionExplanation from '../../components/quiz/QuestionExplanation';
+import RichText from '../../components/common/RichText';
+import MediaList from '../../components/quiz/MediaList';
+
+const STATUS_BADGES = {
+  [SCORE_STATUS.CORRECT]: { label: 'Benar', className: 'text-green-700 bg-green-100' },
+  [SCORE_STATUS.PARTIAL]: { label: 'Sebagian', className: 'text-blue-700 bg-blue-100' },
+  [SCORE_STATUS.WRONG]: { label: 'Salah', className: 'text-red-700 bg-red-100' },
+  [SCORE_STATUS.UNANSWERED]: { label: 'Kosong', className: 'text-slate-600 bg-slate-100' },
+};
 
 const DetailHasilKuisPage = () => {
   const { kuisId } = useParams();
   const navigate = useNavigate();
   const [kuis, setKuis] = useState(null);
   const [soalList, setSoalList] = useState([]);
-  const [hasilKuis, setHasilKuis] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [selectedAttempt, setSelectedAttempt] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  // Get user info
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const storedUserName = localStorage.getItem('userName');
-    
-    if (storedUserId) {
-      return {
-        userId: storedUserId,
-        userName: storedUserName || 'User'
-      };
-    }
-    
-    const token = localStorage.getItem('token');
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return {
-          userId: payload.iss || payload.user_id || payload.id || payload.sub,
-          userName: payload.name || storedUserName || 'User'
-        };
-      } catch (error) {
-        console.error('Error decoding token:', error);
-      }
-    }
-    
-    return {
-      userId: null,
-      userName: storedUserName || 'User'
-    };
-  };
-
-  const { userId } = getUserInfo();
+  const { userId } = useAuth();
 
   useEffect(() => {
     if (userId && kuisId) {
@@ -58,11 +44,12 @@ const DetailHasilKuisPage = () => {
 
   const fetchData = async () => {
     try {
-      await Promise.all([
+      // A pool kuis needs its details first to know which soal to load
+      const [kuisDetail] = await Promise.all([
         fetchKuisDetail(),
-        fetchSoal(),
         fetchHasilKuis()
       ]);
+      await fetchSoal(kuisDetail);
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -74,40 +61,21 @@ const DetailHasilKuisPage = () => {
 
   const fetchKuisDetail = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/kuis/get-kuis`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        const kuisDetail = data.data.find(k => k.ID === parseInt(kuisId));
-        setKuis(kuisDetail);
-      }
+      const data = await api.getKuis();
+      const kuisDetail = data.data.find(k => k.ID === parseInt(kuisId));
+      setKuis(kuisDetail);
+      return kuisDetail;
     } catch (error) {
       console.error('Error fetching kuis detail:', error);
+      return null;
     }
   };
 
-  const fetchSoal = async () => {
+  // Soal drawn from a pool may belong to any kuis
+  const fetchSoal = async (kuisDetail) => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/soal/get-soal/${kuisId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setSoalList(data.data || []);
-      }
+      const data = isPoolKuis(kuisDetail) ? await api.getSoal() : await api.getSoalByKuisID(kuisId);
+      setSoalList(data.data || []);
     } catch (error) {
       console.error('Error fetching soal:', error);
     }
@@ -115,19 +83,16 @@ const DetailHasilKuisPage = () => {
 
   const fetchHasilKuis = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/hasil-kuis/${userId}/${kuisId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setHasilKuis(data.data);
+      // Every attempt of this kuis, the per-kuis endpoint may only return one row
+      const data = await api.getMyHasilKuis();
+      const rows = (data.data || []).filter(hasil => Number(hasil.kuis_id ?? hasil.Kuis_id) === parseInt(kuisId));
+      if (rows.length > 0) {
+        setAttempts(rows);
+        return;
       }
+
+      const single = await api.getHasilKuisByKuis(userId, kuisId);
+      setAttempts(single.data ? [].concat(single.data) : []);
     } catch (error) {
       console.error('Error fetching hasil kuis:', error);
     }
@@ -138,25 +103,31 @@ const DetailHasilKuisPage = () => {
 
 
   const getScoreInfo = () => {
-    if (!hasilKuis || !soalList || soalList.length === 0) {
+    if (!hasilKuis) {
       return {
         score: 0,
         percentage: 0,
         grade: 'E',
         color: 'text-red-600 bg-red-50',
         correctAnswers: 0,
-        totalQuestions: soalList?.length || 0
+        totalQuestions: getAttemptQuestionCount(hasilKuis, kuis, questionCount)
       };
     }
 
-    const rawScore = hasilKuis.score || hasilKuis.Score || 0;
-    const correctAnswers = hasilKuis.correct_answer || hasilKuis.Correct_Answer || 0;
-    const totalQuestions = soalList.length;
-
-    // Use the consistent score calculation utility
-    return getConsistentScoreInfo(rawScore, correctAnswers, totalQuestions);
+    return getAttemptScoreInfo(hasilKuis);
   };
 
+  // Weighted breakdown when the result includes the submitted answers, otherwise the stored score
+  const getAttemptScoreInfo = (attempt) => getResultScoreInfo(
+    attempt,
+    {
+      soalList: getServedSoal(attempt, kuis, soalList),
+      settings: scoringSettings,
+      totalQuestions: getAttemptQuestionCount(attempt, kuis, questionCount)
+    },
+    scheme
+  );
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
@@ -168,6 +139,12 @@ const DetailHasilKuisPage = () => {
     );
   }
 
+  // Show the attempt that counts by default, the latest one when scores are averaged
+  const attemptSummary = summarizeAttempts(attempts, kuis, (attempt) => getAttemptScoreInfo(attempt).score);
+  const countedIndex = attemptSummary.attempts.indexOf(attemptSummary.result);
+  const activeIndex = selectedAttempt ?? (countedIndex >= 0 ? countedIndex : attemptSummary.count - 1);
+  const hasilKuis = attemptSummary.attempts[activeIndex] || null;
+
   if (!hasilKuis) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
@@ -190,7 +167,13 @@ const DetailHasilKuisPage = () => {
     );
   }
 
+  // Soal this attempt was served, a pool kuis draws a different set each time
+  const servedSoal = getServedSoal(hasilKuis, kuis, soalList);
+  const questionCount = getKuisQuestionCount(kuis, soalList);
+  const scoringSettings = getScoringSettings(kuis);
+  const scheme = resolveGradingScheme({ kuis, kuisId });
   const scoreInfo = getScoreInfo();
+  const breakdownBySoal = new Map((scoreInfo.scoring?.breakdown || []).map(item => [item.soalId, item]));
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8">
@@ -223,10 +206,13 @@ const DetailHasilKuisPage = () => {
         <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-8 shadow-lg">
           <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
             <div className="text-center">
-              <div className={`inline-flex items-center justify-center w-16 h-16 rounded-2xl font-bold text-2xl ${scoreInfo.color} mb-3`}>
+              <div className={`inline-flex items-center justify-center min-w-[4rem] h-16 px-3 rounded-2xl font-bold text-2xl ${scoreInfo.color} mb-3`}>
                 {scoreInfo.grade}
               </div>
               <p className="text-sm font-semibold text-slate-600">Grade</p>
+              <p className={`text-xs font-medium ${scoreInfo.passed ? 'text-green-600' : 'text-red-600'}`}>
+                {scoreInfo.passed ? 'Tuntas' : 'Belum tuntas'} (KKM {scoreInfo.passingScore})
+              </p>
             </div>
 
             <div className="text-center">
@@ -248,16 +234,69 @@ const DetailHasilKuisPage = () => {
               <p className="text-sm font-semibold text-slate-600">Persentase</p>
             </div>
           </div>
+
+          <ScoreBreakdown scoring={scoreInfo.scoring} settings={scoringSettings} className="mt-6" />
         </div>
       </div>
 
+      {/* Attempt History */}
+      {attemptSummary.count > 1 && (
+        <div className="mb-8 animate-fade-in">
+          <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 shadow-lg">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <h2 className="text-xl font-bold text-slate-800">Riwayat Percobaan</h2>
+              <span className="text-sm text-slate-600">
+                Nilai dihitung: {getScoringRuleLabel(attemptSummary.settings.scoringRule)}
+                {attemptSummary.settings.scoringRule === ATTEMPT_SCORING_RULES.AVERAGE &&
+                  ` (${getResultScoreInfo(attemptSummary.result, { totalQuestions: getAttemptQuestionCount(attemptSummary.result, kuis, questionCount) }, scheme).score}%)`}
+              </span>
+            </div>
+            <div className="space-y-2">
+              {attemptSummary.attempts.map((attempt, index) => {
+                const attemptScore = getAttemptScoreInfo(attempt);
+                return (
+                  <button
+                    key={attempt.ID || index}
+                    onClick={() => setSelectedAttempt(index)}
+                    className={`w-full flex items-center justify-between p-3 rounded-xl border-2 text-left transition-colors ${
+                      index === activeIndex ? 'border-blue-500 bg-blue-50' : 'border-slate-200 bg-white hover:bg-slate-50'
+                    }`}
+                  >
+                    <span className="font-semibold text-slate-800">
+                      Percobaan {index + 1}
+                      {index === countedIndex && (
+                        <span className="ml-2 px-2 py-0.5 rounded-lg text-xs font-semibold text-emerald-700 bg-emerald-100">Dihitung</span>
+                      )}
+                    </span>
+                    <span className="flex items-center gap-4 text-sm text-slate-600">
+                      <span>{new Date(getAttemptDate(attempt)).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                      <span className={`px-2 py-1 rounded-lg font-bold ${attemptScore.color}`}>{attemptScore.score}%</span>
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Questions Review */}
       <div className="space-y-6 animate-bounce-in">
         <h2 className="text-2xl font-bold text-slate-800 mb-6">Review Jawaban</h2>
         
-        {soalList.map((soal, index) => {
-          const options = parseOptions(soal.options_json || soal.Options);
+        {isPoolKuis(kuis) && servedSoal.length === 0 && (
+          <p className="text-slate-600">
+            Soal kuis ini diambil acak dari bank soal, dan daftar soal yang Anda terima pada percobaan ini tidak tersedia.
+          </p>
+        )}
+
+        {servedSoal.map((soal, index) => {
+          const options = isChoiceType(getQuestionType(soal)) ? parseOptions(soal.options_json || soal.Options) : [];
           // Note: We don't have user answers from the API, so we'll show the correct answers
+          const itemScore = breakdownBySoal.get(soal.ID);
+          const badge = itemScore && STATUS_BADGES[itemScore.status];
+          const optionFeedback = getOptionFeedback(soal);
+          const optionMedia = getOptionMedia(soal);
 
           return (
             <div
@@ -270,11 +309,22 @@ const DetailHasilKuisPage = () => {
                   {index + 1}
                 </div>
                 <div className="flex-1">
-                  <h3 className="text-lg font-bold text-slate-800 mb-4">{soal.question}</h3>
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <span className="px-2 py-1 rounded-lg text-xs font-semibold text-slate-600 bg-slate-100">
+                      {itemScore ? `${itemScore.earned} / ${itemScore.max}` : getQuestionPoints(soal)} poin
+                    </span>
+                    {badge && (
+                      <span className={`px-2 py-1 rounded-lg text-xs font-semibold ${badge.className}`}>
+                        {badge.label}
+                      </span>
+                    )}
+                  </div>
+                  <RichText text={soal.question} className="text-lg font-bold text-slate-800 mb-4" />
+                  <MediaList media={getQuestionMedia(soal)} className="mb-4" />
 
                   <div className="space-y-3">
                     {Array.isArray(options) && options.length > 0 ? options.map((option, optIndex) => {
-                      const isCorrect = option === soal.correct_answer;
+                      const isCorrect = isCorrectOption(soal, option);
                       
                       return (
                         <div
@@ -288,7 +338,15 @@ const DetailHasilKuisPage = () => {
                           <span className="w-6 h-6 bg-slate-200 rounded-full flex items-center justify-center text-sm font-semibold mr-3">
                             {String.fromCharCode(65 + optIndex)}
                           </span>
-                          <span className="text-slate-700 flex-1">{option}</span>
+                          <div className="flex-1">
+                            <RichText text={option} inline className="text-slate-700" />
+                            {optionFeedback[option] && (
+                              <p className={`text-sm mt-1 ${isCorrect ? 'text-green-700' : 'text-slate-500'}`}>
+                                <RichText text={optionFeedback[option]} inline />
+                              </p>
+                            )}
+                            <MediaList media={optionMedia[option]} compact className="mt-2" />
+                          </div>
                           {isCorrect && (
                             <div className="flex items-center space-x-2">
                               <span className="text-green-600 text-sm font-semibold">Jawaban Benar</span>
@@ -299,15 +357,22 @@ const DetailHasilKuisPage = () => {
                           )}
                         </div>
                       );
-                    }) : (
+                    }) : !isChoiceType(getQuestionType(soal)) ? (
+                      <div className="flex items-center p-4 rounded-xl border-2 border-green-500 bg-green-50">
+                        <span className="text-green-600 text-sm font-semibold mr-3">Jawaban Benar:</span>
+                        <span className="text-slate-700 flex-1">{formatCorrectAnswer(soal)}</span>
+                      </div>
+                    ) : (
                       <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-xl">
                         <p className="text-yellow-800 text-sm">
                           <strong>⚠️ Data options tidak tersedia</strong><br />
-                          Jawaban benar: <span className="font-semibold">{soal.correct_answer || 'Tidak tersedia'}</span>
+                          Jawaban benar: <span className="font-semibold">{formatCorrectAnswer(soal) || 'Tidak tersedia'}</span>
                         </p>
                       </div>
                     )}
                   </div>
+
+                  <QuestionExplanation soal={soal} className="mt-4" />
                 </div>
               </div>
             </div>
@@ -323,6 +388,14 @@ const DetailHasilKuisPage = () => {
         >
           Kembali ke Hasil Kuis
         </button>
+        {attemptSummary.canAttempt && (
+          <button
+            onClick={() => navigate(`/kuis/${kuisId}/jawab`)}
+            className="btn-outline"
+          >
+            Coba Lagi{Number.isFinite(attemptSummary.remaining) ? ` (sisa ${attemptSummary.remaining})` : ''}
+          </button>
+        )}
         <button
           onClick={() => navigate('/ambil-kuis')}
           className="btn-primary"
@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { getConsistentScoreInfo } from '../../utils/gradeUtils';
-import { api } from '../../services/api';
-
-// Use the same BASE_URL logic as other components
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
+import { useAuth } from '../../hooks/useAuth';
+import { getResultScoreInfo } from '../../utils/gradeUtils';
+import { resolveGradingScheme } from '../../utils/gradingSchemes';
+import { getQuestionCount } from '../../utils/resultStats';
+import { getAttemptScore, getScoringRuleLabel, summarizeAttemptsByKuis } from '../../utils/attempts';
+import { loadMyResults } from '../../services/quizResults';
+import { buildStudentReport, exportReport } from '../../utils/resultExport';
+import ExportButton from '../../components/common/ExportButton';
 
 const HasilKuisPage = () => {
   const [hasilKuisList, setHasilKuisList] = useState([]);
@@ -15,38 +17,7 @@ const HasilKuisPage = () => {
   const [filteredHasil, setFilteredHasil] = useState([]);
   const navigate = useNavigate();
 
-  // Get user info
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const storedUserName = localStorage.getItem('userName');
-    
-    if (storedUserId) {
-      return {
-        userId: storedUserId,
-        userName: storedUserName || 'User'
-      };
-    }
-    
-    const token = localStorage.getItem('token');
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return {
-          userId: payload.iss || payload.user_id || payload.id || payload.sub,
-          userName: payload.name || storedUserName || 'User'
-        };
-      } catch (error) {
-        console.error('Error decoding token:', error);
-      }
-    }
-    
-    return {
-      userId: null,
-      userName: storedUserName || 'User'
-    };
-  };
-
-  const { userId, userName } = getUserInfo();
+  const { userId, userName } = useAuth();
 
   useEffect(() => {
     if (userId) {
@@ -58,37 +29,15 @@ const HasilKuisPage = () => {
     filterHasil();
   }, [hasilKuisList, searchTerm]);
 
-  // OPTIMIZED: Fetch all data in single API calls
+  // Kuis, results and soal counts in one round-trip
   const fetchData = async () => {
     try {
       setLoading(true);
 
-      // Fetch all kuis and hasil kuis in parallel using optimized endpoints
-      const [kuisResponse, hasilResponse] = await Promise.all([
-        api.getKuis(),
-        api.getMyHasilKuis()
-      ]);
-
-      if (kuisResponse.success) {
-        const kuisList = kuisResponse.data || [];
+      const { success, kuisList, hasilList, questionCounts } = await loadMyResults();
+      if (success) {
         setKuisList(kuisList);
-
-        if (hasilResponse.success) {
-          const hasilKuisList = hasilResponse.data || [];
-
-          // Process and combine data
-          const processedHasil = await processHasilData(kuisList, hasilKuisList);
-          setHasilKuisList(processedHasil);
-        } else {
-          // If no results yet, show all quizzes as not completed
-          const processedHasil = kuisList.map(kuis => ({
-            kuis: { ...kuis, soal_count: 1 }, // Default count
-            hasResult: false,
-            score: 0,
-            correct_answer: 0
-          }));
-          setHasilKuisList(processedHasil);
-        }
+        setHasilKuisList(processHasilData(kuisList, hasilList, questionCounts));
       }
     } catch (error) {
       console.error('Error fetching data:', error);
@@ -97,74 +46,35 @@ const HasilKuisPage = () => {
     }
   };
 
-  // OPTIMIZED: Process hasil data from single API call
-  const processHasilData = async (kuisList, hasilKuisList) => {
-    // Create a map of quiz results by kuis_id for quick lookup
-    const hasilMap = new Map();
-    hasilKuisList.forEach(hasil => {
-      hasilMap.set(hasil.kuis_id, hasil);
-    });
+  // Every kuis with its counted result, or without one when not attempted yet
+  const processHasilData = (kuisList, hasilKuisList, questionCounts) => {
+    // Attempts per kuis, the scoring rule of each kuis picks the result shown,
+    // comparing scores the way getHasilScoreInfo displays them
+    const attemptsByKuis = summarizeAttemptsByKuis(hasilKuisList, kuisList, (hasil, kuis) => getAttemptScore(hasil, {
+      correctAnswers: hasil.correct_answer || 0,
+      totalQuestions: kuis ? getQuestionCount(kuis, questionCounts) : 1
+    }));
 
-    // Process each quiz and match with results
-    const processedData = [];
-
-    // Process in smaller batches to get question counts efficiently
-    const batchSize = 5;
-    for (let i = 0; i < kuisList.length; i += batchSize) {
-      const batch = kuisList.slice(i, i + batchSize);
-
-      const batchPromises = batch.map(async (kuis) => {
-        try {
-          // Get question count for this quiz
-          let questionCount = 1; // Default fallback
-          try {
-            const soalResponse = await api.getSoalByKuisID(kuis.ID);
-            questionCount = soalResponse.success ? soalResponse.data.length : 1;
-          } catch (soalError) {
-            console.warn(`Failed to get question count for quiz ${kuis.ID}:`, soalError.message);
-          }
-
-          // Check if user has completed this quiz
-          const hasilKuis = hasilMap.get(kuis.ID);
-
-          if (hasilKuis) {
-            // User has completed this quiz
-            return {
-              ...hasilKuis,
-              kuis: { ...kuis, soal_count: questionCount },
-              hasResult: true
-            };
-          } else {
-            // User hasn't completed this quiz
-            return {
-              kuis: { ...kuis, soal_count: questionCount },
-              hasResult: false,
-              score: 0,
-              correct_answer: 0
-            };
-          }
-        } catch (error) {
-          console.error(`Error processing quiz ${kuis.ID}:`, error);
-          return {
-            kuis: { ...kuis, soal_count: 1 },
-            hasResult: false,
-            score: 0,
-            correct_answer: 0,
-            error: error.message
-          };
-        }
-      });
-
-      const batchResults = await Promise.all(batchPromises);
-      processedData.push(...batchResults);
-
-      // Small delay between batches to prevent overwhelming the server
-      if (i + batchSize < kuisList.length) {
-        await new Promise(resolve => setTimeout(resolve, 200));
+    return kuisList.map(kuis => {
+      const questionCount = getQuestionCount(kuis, questionCounts);
+      const attemptSummary = attemptsByKuis.get(kuis.ID);
+
+      if (attemptSummary) {
+        return {
+          ...attemptSummary.result,
+          kuis: { ...kuis, soal_count: questionCount },
+          attemptSummary,
+          hasResult: true
+        };
       }
-    }
 
-    return processedData;
+      return {
+        kuis: { ...kuis, soal_count: questionCount },
+        hasResult: false,
+        score: 0,
+        correct_answer: 0
+      };
+    });
   };
 
   const filterHasil = () => {
@@ -180,11 +90,16 @@ const HasilKuisPage = () => {
     setFilteredHasil(filtered);
   };
 
-  // This function is no longer needed - using getConsistentScoreInfo instead
+  // Stored (weighted) score of the counted result, graded with the kuis' scheme
+  const getHasilScoreInfo = (hasil) => getResultScoreInfo(
+    hasil,
+    { correctAnswers: hasil.correct_answer || 0, totalQuestions: hasil.kuis?.soal_count || 1 },
+    resolveGradingScheme({ kuis: hasil.kuis })
+  );
 
   const calculateStats = () => {
     const completedQuizzes = filteredHasil.filter(h => h.hasResult);
-    const totalScore = completedQuizzes.reduce((sum, h) => sum + h.score, 0);
+    const totalScore = completedQuizzes.reduce((sum, h) => sum + getHasilScoreInfo(h).score, 0);
     const averageScore = completedQuizzes.length > 0 ? totalScore / completedQuizzes.length : 0;
     
     return {
@@ -196,6 +111,23 @@ const HasilKuisPage = () => {
 
   const stats = calculateStats();
 
+  const handleExport = (format) => {
+    const entries = filteredHasil.map(hasil => {
+      const scoreInfo = getHasilScoreInfo(hasil);
+      return {
+        kuisTitle: hasil.kuis.title,
+        completed: hasil.hasResult,
+        date: hasil.updated_at || hasil.UpdatedAt,
+        score: scoreInfo.score,
+        grade: scoreInfo.grade,
+        correctAnswers: scoreInfo.correctAnswers,
+        totalQuestions: scoreInfo.totalQuestions
+      };
+    });
+
+    exportReport(buildStudentReport({ studentName: userName, entries }), format, `rapor_${userName}`);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
@@ -227,8 +159,8 @@ const HasilKuisPage = () => {
 
       {/* Search */}
       <div className="mb-6 sm:mb-8 animate-slide-up">
-        <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-4 sm:p-6 shadow-lg">
-          <div className="relative max-w-md mx-auto sm:mx-0">
+        <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-4 sm:p-6 shadow-lg flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="relative max-w-md w-full mx-auto sm:mx-0">
             <svg className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 sm:w-5 sm:h-5 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
             </svg>
@@ -240,6 +172,11 @@ const HasilKuisPage = () => {
               className="w-full pl-9 sm:pl-10 pr-4 py-2 sm:py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/80 backdrop-blur-sm text-sm sm:text-base"
             />
           </div>
+          <ExportButton
+            onExport={handleExport}
+            label="Unduh Rapor"
+            disabled={stats.completedQuizzes === 0}
+          />
         </div>
       </div>
 
@@ -291,12 +228,7 @@ const HasilKuisPage = () => {
       {/* Hasil Kuis List */}
       <div className="space-y-6 animate-bounce-in">
         {filteredHasil.map((hasil, index) => {
-          // Get consistent score info for both legacy and new data
-          const scoreInfo = getConsistentScoreInfo(
-            hasil.score,
-            hasil.correct_answer || 0,
-            hasil.kuis?.soal_count || 1 // Now we have the actual question count
-          );
+          const scoreInfo = getHasilScoreInfo(hasil);
           
           return (
             <div
@@ -366,15 +298,32 @@ const HasilKuisPage = () => {
                           </svg>
                           <span>Grade: {scoreInfo.grade}</span>
                         </div>
+                        {hasil.attemptSummary.count > 1 && (
+                          <div className="flex items-center justify-center lg:justify-end space-x-2">
+                            <span>
+                              {hasil.attemptSummary.count} percobaan · {getScoringRuleLabel(hasil.attemptSummary.settings.scoringRule)}
+                            </span>
+                          </div>
+                        )}
                       </div>
 
                       {/* Button - Full width on mobile */}
-                      <button
-                        onClick={() => navigate(`/hasil-kuis/${hasil.kuis.ID}/detail`)}
-                        className="btn-outline text-sm px-3 py-2 w-full lg:w-auto lg:px-4"
-                      >
-                        Lihat Detail
-                      </button>
+                      <div className="flex flex-col sm:flex-row gap-2 lg:justify-end">
+                        <button
+                          onClick={() => navigate(`/hasil-kuis/${hasil.kuis.ID}/detail`)}
+                          className="btn-outline text-sm px-3 py-2 w-full lg:w-auto lg:px-4"
+                        >
+                          Lihat Detail
+                        </button>
+                        {hasil.attemptSummary.canAttempt && (
+                          <button
+                            onClick={() => navigate(`/kuis/${hasil.kuis.ID}/jawab`)}
+                            className="btn-primary text-sm px-3 py-2 w-full lg:w-auto lg:px-4"
+                          >
+                            Coba Lagi{Number.isFinite(hasil.attemptSummary.remaining) ? ` (sisa ${hasil.attemptSummary.remaining})` : ''}
+                          </button>
+                        )}
+                      </div>
                     </div>
                   ) : (
                     <div className="space-y-3">
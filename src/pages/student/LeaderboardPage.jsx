@@ -1,63 +1,104 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '../../hooks/useAuth';
 import { api } from '../../services/api';
-import { getGradeFromScore, getGradeColor, getScoreColor, getConsistentScoreInfo } from '../../utils/gradeUtils';
-
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
+import { loadMyResults } from '../../services/quizResults';
+import { getGradeColor, getScoreColor } from '../../utils/gradeUtils';
+import { resolveGradingScheme } from '../../utils/gradingSchemes';
+import { buildResultEntries, summarizeResultEntries } from '../../utils/resultStats';
+import {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_TIME_WINDOWS,
+  buildLeaderboard,
+  getWindowStart
+} from '../../utils/leaderboard';
+
+const TIME_WINDOW_LABELS = {
+  [LEADERBOARD_TIME_WINDOWS.ALL]: 'Sepanjang Waktu',
+  [LEADERBOARD_TIME_WINDOWS.MONTH]: '30 Hari Terakhir',
+  [LEADERBOARD_TIME_WINDOWS.WEEK]: '7 Hari Terakhir',
+};
 
 const LeaderboardPage = () => {
-  const [leaderboard, setLeaderboard] = useState([]);
   const [userStats, setUserStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
   const [categories, setCategories] = useState([]);
+  const [kuisList, setKuisList] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [scope, setScope] = useState('global'); // 'global' or kelas ID
+  const [timeWindow, setTimeWindow] = useState(LEADERBOARD_TIME_WINDOWS.ALL);
+  const [metric, setMetric] = useState(LEADERBOARD_METRICS.TOTAL);
+  const [resultRows, setResultRows] = useState([]);
+  const [rankingLoading, setRankingLoading] = useState(true);
+  const [rankingError, setRankingError] = useState('');
+  const [optOut, setOptOut] = useState(null); // null until the server's setting is known
+  const [savingPrivacy, setSavingPrivacy] = useState(false);
+
+  const { userId, userName } = useAuth();
 
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const storedUserName = localStorage.getItem('userName');
-    const token = localStorage.getItem('token');
-    
-    if (storedUserId) {
-      return {
-        userId: storedUserId,
-        userName: storedUserName || 'User'
-      };
-    }
-    
-    if (token) {
+  useEffect(() => {
+    fetchLeaderboard();
+  }, [filter, timeWindow]);
+
+  useEffect(() => {
+    const fetchClasses = async () => {
       try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return {
-          userId: payload.iss || payload.user_id || payload.id || payload.sub,
-          userName: payload.name || storedUserName || 'User'
-        };
+        const response = await api.getJoinedClasses();
+        setClasses(response.success && Array.isArray(response.data) ? response.data : []);
       } catch (error) {
-        console.error('Error decoding token:', error);
+        console.error('Error fetching classes:', error);
       }
-    }
-    return { userId: null, userName: 'User' };
-  };
+    };
 
-  const { userId, userName } = getUserInfo();
+    fetchClasses();
+  }, []);
 
   useEffect(() => {
-    fetchLeaderboard();
-  }, [filter]);
+    const fetchPrivacy = async () => {
+      try {
+        const response = await api.getLeaderboardPrivacy();
+        setOptOut(Boolean(response.data?.leaderboard_opt_out));
+      } catch (error) {
+        console.error('Error fetching leaderboard privacy:', error);
+      }
+    };
+
+    fetchPrivacy();
+  }, [userId]);
+
+  useEffect(() => {
+    const fetchRanking = async () => {
+      try {
+        setRankingLoading(true);
+        setRankingError('');
+
+        const response = scope === 'global'
+          ? await api.getAllHasilKuis()
+          : await api.getHasilKuisByKelas(scope);
+
+        setResultRows(response.success && Array.isArray(response.data) ? response.data : []);
+      } catch (error) {
+        console.error('Error fetching ranking:', error);
+        setResultRows([]);
+        setRankingError(error.message || 'Gagal memuat peringkat');
+      } finally {
+        setRankingLoading(false);
+      }
+    };
+
+    fetchRanking();
+  }, [scope]);
 
   const fetchLeaderboard = async () => {
     try {
       setLoading(true);
 
-      // OPTIMIZED: Fetch all required data including hasil kuis in single call
-      const [kuisRes, kategoriRes, hasilRes] = await Promise.all([
-        api.getKuis(),
-        api.getKategori(),
-        api.getMyHasilKuis()
-      ]);
-
-      if (kuisRes.success && kategoriRes.success) {
-        setCategories(kategoriRes.data);
-        await calculateLeaderboard(kuisRes.data, kategoriRes.data, hasilRes.success ? hasilRes.data : []);
+      // Kuis, kategori, results and soal counts in one round-trip
+      const data = await loadMyResults();
+      if (data.success) {
+        setCategories(data.kategoriList);
+        setKuisList(data.kuisList);
+        calculateLeaderboard(data);
       }
     } catch (error) {
       console.error('Error fetching leaderboard:', error);
@@ -66,111 +107,73 @@ const LeaderboardPage = () => {
     }
   };
 
-  const calculateLeaderboard = async (allKuis, allKategori, hasilKuisList) => {
+  const calculateLeaderboard = ({ kuisList: allKuis, kategoriList: allKategori, hasilList, questionCounts }) => {
     // Filter quizzes by category if needed
     const filteredKuis = filter === 'all'
       ? allKuis
       : allKuis.filter(kuis => kuis.kategori_id === parseInt(filter));
 
-    // OPTIMIZED: Only show current user's performance using single API call data
+    // Attempts inside the time window, grouped per kuis; each kuis' scoring rule picks its result
+    const windowStart = getWindowStart(timeWindow);
+    const windowResults = hasilList.filter(hasil => {
+      const date = new Date(hasil.updated_at || hasil.UpdatedAt || 0);
+      return !windowStart || date >= windowStart;
+    });
+    const entries = buildResultEntries(windowResults, filteredKuis, questionCounts);
+
+    // Only the current user's performance, the rank comes from the class/global ranking
     const userStats = {
       name: userName,
-      totalScore: 0,
-      completedQuizzes: 0,
-      averageScore: 0,
-      correctAnswers: 0,
-      totalQuestions: 0,
-      accuracy: 0,
-      quizDetails: []
+      ...summarizeResultEntries(entries),
+      quizDetails: entries.map(({ kuis, summary, result, scoreInfo, questionCount }) => ({
+        kuisTitle: kuis.title,
+        kategoriName: allKategori.find(k => k.ID === kuis.kategori_id)?.name || 'Unknown',
+        score: scoreInfo.score,
+        grade: scoreInfo.grade,
+        scoreColor: getScoreColor(scoreInfo.score, resolveGradingScheme({ kuis })),
+        correctAnswers: result.correct_answer || 0,
+        totalQuestions: questionCount,
+        accuracy: scoreInfo.percentage,
+        attempts: summary.count,
+        date: result.updated_at || result.UpdatedAt || new Date().toISOString()
+      }))
     };
 
-    // Create a map of quiz results by kuis_id for quick lookup
-    const hasilMap = new Map();
-    hasilKuisList.forEach(hasil => {
-      hasilMap.set(hasil.kuis_id, hasil);
-    });
-
-    // OPTIMIZED: Process results from single API call
-    for (const kuis of filteredKuis) {
-      try {
-        // Check if user has completed this quiz
-        const hasilKuis = hasilMap.get(kuis.ID);
-
-        if (hasilKuis) {
-          // Get number of questions in this quiz
-          let questionCount = 1; // Default fallback
-          try {
-            const soalRes = await api.getSoalByKuisID(kuis.ID);
-            questionCount = soalRes.success ? soalRes.data.length : 1;
-          } catch (soalError) {
-            console.warn(`Failed to get question count for quiz ${kuis.ID}:`, soalError.message);
-          }
-
-          const rawScore = hasilKuis.score || 0;
-          const correctAnswers = hasilKuis.correct_answer || 0;
-
-          // Get consistent score info
-          const scoreInfo = getConsistentScoreInfo(rawScore, correctAnswers, questionCount);
-
-          userStats.totalScore += scoreInfo.score;
-          userStats.completedQuizzes++;
-          userStats.correctAnswers += correctAnswers;
-          userStats.totalQuestions += questionCount;
-
-          // Store quiz details for analysis
-          userStats.quizDetails.push({
-            kuisTitle: kuis.title,
-            kategoriName: allKategori.find(k => k.ID === kuis.kategori_id)?.name || 'Unknown',
-            score: scoreInfo.score,
-            correctAnswers: correctAnswers,
-            totalQuestions: questionCount,
-            accuracy: scoreInfo.percentage,
-            date: hasilKuis.updated_at || hasilKuis.UpdatedAt || new Date().toISOString()
-          });
-
-          // Small delay to prevent overwhelming the server
-          await new Promise(resolve => setTimeout(resolve, 50));
-        }
-      } catch (error) {
-        console.error(`Error processing quiz ${kuis.ID}:`, error);
-        // Continue with next quiz
-      }
-    }
-
-    // Calculate averages and accuracy
-    if (userStats.completedQuizzes > 0) {
-      userStats.averageScore = Math.round(userStats.totalScore / userStats.completedQuizzes);
-      userStats.accuracy = userStats.totalQuestions > 0
-        ? Math.round((userStats.correctAnswers / userStats.totalQuestions) * 100)
-        : 0;
-    }
-
     // Sort quiz details by score (best first)
     userStats.quizDetails.sort((a, b) => b.score - a.score);
 
-    // For leaderboard, we only show current user
-    const personalLeaderboard = userStats.completedQuizzes > 0 ? [
-      {
-        id: userId,
-        name: userName,
-        totalScore: userStats.totalScore,
-        completedQuizzes: userStats.completedQuizzes,
-        averageScore: userStats.averageScore,
-        correctAnswers: userStats.correctAnswers,
-        totalQuestions: userStats.totalQuestions,
-        accuracy: userStats.accuracy,
-        quizDetails: userStats.quizDetails
-      }
-    ] : [];
+    // Set current user stats; the rank comes from the class/global ranking
+    setUserStats(userStats.completedQuizzes > 0 ? { id: userId, ...userStats } : null);
+  };
 
-    setLeaderboard(personalLeaderboard);
+  const leaderboard = useMemo(() => {
+    const kuisMap = new Map(kuisList.map(kuis => [kuis.ID, kuis]));
+    return buildLeaderboard(resultRows, {
+      kuisMap,
+      kategoriId: filter,
+      timeWindow,
+      metric,
+      currentUserId: userId
+    }).map(entry => (
+      // Apply the local privacy choice right away, before the backend reflects it
+      entry.isCurrentUser && optOut !== null ? { ...entry, optedOut: optOut } : entry
+    ));
+  }, [resultRows, kuisList, filter, timeWindow, metric, userId, optOut]);
+
+  const currentUserEntry = leaderboard.find(entry => entry.isCurrentUser);
+
+  const handlePrivacyChange = async (e) => {
+    const nextOptOut = e.target.checked;
+    setSavingPrivacy(true);
 
-    // Set current user stats
-    if (personalLeaderboard.length > 0) {
-      setUserStats({
-        ...personalLeaderboard[0],
-        rank: 1 // Always rank 1 since it's personal view
-      });
+    try {
+      await api.updateLeaderboardPrivacy(nextOptOut);
+      setOptOut(nextOptOut);
+    } catch (error) {
+      console.error('Error updating leaderboard privacy:', error);
+      alert(error.message || 'Gagal menyimpan pengaturan privasi');
+    } finally {
+      setSavingPrivacy(false);
     }
   };
 
@@ -188,14 +191,6 @@ const LeaderboardPage = () => {
     return 'text-slate-600 bg-slate-50';
   };
 
-  const getScoreColor = (score) => {
-    if (score >= 90) return 'text-green-600';
-    if (score >= 80) return 'text-blue-600';
-    if (score >= 70) return 'text-yellow-600';
-    if (score >= 60) return 'text-orange-600';
-    return 'text-red-600';
-  };
-
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 p-8 flex items-center justify-center">
@@ -212,13 +207,46 @@ const LeaderboardPage = () => {
       {/* Header */}
       <div className="mb-8 animate-fade-in">
         <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-4">
-          🏆 Performance Dashboard
+          🏆 Leaderboard
         </h1>
         <p className="text-xl text-slate-600 font-medium">
-          Analisis mendalam performa kuis Anda
+          Bandingkan performa Anda dengan peserta lain
         </p>
       </div>
 
+      {/* Scope, time window and metric */}
+      <div className="mb-4 flex flex-wrap gap-3">
+        <select
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          className="px-4 py-2 rounded-xl font-semibold bg-white/60 text-slate-700 border border-slate-200 focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="global">🌍 Global</option>
+          {classes.map(kelas => (
+            <option key={kelas.ID || kelas.id} value={String(kelas.ID || kelas.id)}>
+              🏫 {kelas.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={timeWindow}
+          onChange={(e) => setTimeWindow(e.target.value)}
+          className="px-4 py-2 rounded-xl font-semibold bg-white/60 text-slate-700 border border-slate-200 focus:ring-2 focus:ring-blue-500"
+        >
+          {Object.values(LEADERBOARD_TIME_WINDOWS).map(value => (
+            <option key={value} value={value}>{TIME_WINDOW_LABELS[value]}</option>
+          ))}
+        </select>
+        <select
+          value={metric}
+          onChange={(e) => setMetric(e.target.value)}
+          className="px-4 py-2 rounded-xl font-semibold bg-white/60 text-slate-700 border border-slate-200 focus:ring-2 focus:ring-blue-500"
+        >
+          <option value={LEADERBOARD_METRICS.TOTAL}>Urutkan: Total Skor</option>
+          <option value={LEADERBOARD_METRICS.AVERAGE}>Urutkan: Rata-rata Skor</option>
+        </select>
+      </div>
+
       {/* Filter */}
       <div className="mb-8">
         <div className="flex flex-wrap gap-2">
@@ -255,6 +283,14 @@ const LeaderboardPage = () => {
             <div>
               <h2 className="text-2xl font-bold mb-2">Ringkasan Performa Anda</h2>
               <div className="flex items-center space-x-6">
+                <div className="text-center">
+                  <div className="text-3xl font-bold">
+                    {currentUserEntry ? `#${currentUserEntry.rank}` : '-'}
+                  </div>
+                  <div className="text-sm opacity-80">
+                    Peringkat{currentUserEntry && ` dari ${leaderboard.length}`}
+                  </div>
+                </div>
                 <div className="text-center">
                   <div className="text-3xl font-bold">{userStats.totalScore}</div>
                   <div className="text-sm opacity-80">Total Skor</div>
@@ -282,6 +318,77 @@ const LeaderboardPage = () => {
         </div>
       )}
 
+      {/* Ranking */}
+      <div className="bg-white/60 backdrop-blur-sm rounded-2xl shadow-lg overflow-hidden mb-8 animate-slide-up">
+        <div className="p-6 border-b border-slate-200 flex flex-wrap items-center justify-between gap-4">
+          <h2 className="text-2xl font-bold text-slate-800">
+            Peringkat {scope === 'global' ? 'Global' : classes.find(kelas => String(kelas.ID || kelas.id) === scope)?.name}
+          </h2>
+          <label className="flex items-center space-x-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={Boolean(optOut)}
+              onChange={handlePrivacyChange}
+              disabled={savingPrivacy || optOut === null}
+              className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+            />
+            <span>Sembunyikan nama saya dari peserta lain</span>
+          </label>
+        </div>
+
+        {rankingLoading ? (
+          <div className="p-8 text-center text-slate-600">
+            <div className="w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto mb-3"></div>
+            Memuat peringkat...
+          </div>
+        ) : rankingError ? (
+          <div className="p-8 text-center text-red-600">{rankingError}</div>
+        ) : leaderboard.length === 0 ? (
+          <div className="p-8 text-center text-slate-600">Belum ada hasil kuis untuk filter ini.</div>
+        ) : (
+          <div className="divide-y divide-slate-200">
+            {leaderboard.map(entry => (
+              <div
+                key={entry.id}
+                className={`p-4 flex items-center justify-between ${
+                  entry.isCurrentUser ? 'bg-blue-50 border-l-4 border-blue-500' : 'hover:bg-slate-50'
+                }`}
+              >
+                <div className="flex items-center space-x-4">
+                  <div className={`w-12 h-12 rounded-xl flex items-center justify-center font-bold text-lg ${getRankColor(entry.rank)}`}>
+                    {getRankIcon(entry.rank)}
+                  </div>
+                  <div>
+                    <h3 className="font-bold text-slate-800">
+                      {entry.displayName}
+                      {entry.isCurrentUser && (
+                        <span className="ml-2 text-sm font-semibold text-blue-600">
+                          (Anda{entry.optedOut ? ', tersembunyi' : ''})
+                        </span>
+                      )}
+                    </h3>
+                    <p className="text-slate-500 text-sm">
+                      {entry.completedQuizzes} kuis selesai
+                      {entry.isTied && ' • Peringkat sama'}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-6">
+                  <div className="text-center">
+                    <div className="text-xl font-bold text-slate-800">{entry.totalScore}</div>
+                    <div className="text-xs text-slate-500">Total Skor</div>
+                  </div>
+                  <div className="text-center">
+                    <div className={`text-xl font-bold ${getScoreColor(entry.averageScore)}`}>{entry.averageScore}</div>
+                    <div className="text-xs text-slate-500">Rata-rata</div>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Quiz Performance Details */}
       <div className="bg-white/60 backdrop-blur-sm rounded-2xl shadow-lg overflow-hidden animate-slide-up">
         <div className="p-6 border-b border-slate-200">
@@ -312,13 +419,14 @@ const LeaderboardPage = () => {
                     </h3>
                     <p className="text-slate-600 text-sm">
                       {quiz.kategoriName} • {new Date(quiz.date).toLocaleDateString('id-ID')}
+                      {quiz.attempts > 1 && ` • ${quiz.attempts} percobaan`}
                     </p>
                   </div>
                 </div>
 
                 <div className="flex items-center space-x-6">
                   <div className="text-center">
-                    <div className={`text-2xl font-bold ${getScoreColor(quiz.score)}`}>
+                    <div className={`text-2xl font-bold ${quiz.scoreColor}`}>
                       {quiz.score}
                     </div>
                     <div className="text-xs text-slate-500">Skor</div>
@@ -336,8 +444,8 @@ const LeaderboardPage = () => {
                     <div className="text-xs text-slate-500">Akurasi</div>
                   </div>
                   <div className="text-center">
-                    <div className={`text-lg font-bold ${getScoreColor(quiz.score)}`}>
-                      {getGradeFromScore(quiz.score)}
+                    <div className={`text-lg font-bold ${quiz.scoreColor}`}>
+                      {quiz.grade}
                     </div>
                     <div className="text-xs text-slate-500">Grade</div>
                   </div>
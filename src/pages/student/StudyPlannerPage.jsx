@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../hooks/useAuth';
 import { api } from '../../services/api';
 import { getConsistentScoreInfo } from '../../utils/gradeUtils';
+import { summarizeAttemptsByKuis } from '../../utils/attempts';
+import { loadPracticeSessions, summarizePractice } from '../../utils/practice';
 
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
 
 const StudyPlannerPage = () => {
   const [studyPlan, setStudyPlan] = useState({
@@ -23,24 +24,10 @@ const StudyPlannerPage = () => {
   const [plannedQuizzes, setPlannedQuizzes] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  const getUserInfo = () => {
-    const storedUserId = localStorage.getItem('userId');
-    const token = localStorage.getItem('token');
-    
-    if (storedUserId) return storedUserId;
-    
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        return payload.iss || payload.user_id || payload.id || payload.sub;
-      } catch (error) {
-        console.error('Error decoding token:', error);
-      }
-    }
-    return null;
-  };
+  const { userId } = useAuth();
 
-  const userId = getUserInfo();
+  // Practice sessions are kept on this device, apart from the official results
+  const [practiceStats] = useState(() => summarizePractice(loadPracticeSessions(userId)));
 
   useEffect(() => {
     // Load saved goals from localStorage
@@ -94,25 +81,28 @@ const StudyPlannerPage = () => {
     let needsReview = 0;
     let perfectScores = 0;
 
-    // OPTIMIZED: Process results from single API call
+    // Scores count once per kuis, with the result its scoring rule selects
+    summarizeAttemptsByKuis(hasilKuisList, allKuis).forEach(({ result }) => {
+      totalQuizzesCompleted++;
+
+      const score = result.score || 0;
+      totalScore += score;
+
+      if (score === 100) {
+        perfectScores++;
+      }
+
+      if (score < 80) {
+        needsReview++;
+      }
+    });
+
+    // OPTIMIZED: Every attempt counts as study activity
     for (const hasil of hasilKuisList) {
       try {
         // Parse completion date from CreatedAt
         const completionDate = new Date(hasil.CreatedAt || hasil.created_at || new Date());
         completedDates.push(completionDate);
-        totalQuizzesCompleted++;
-
-        // Calculate score statistics
-        const score = hasil.score || 0;
-        totalScore += score;
-
-        if (score === 100) {
-          perfectScores++;
-        }
-
-        if (score < 80) {
-          needsReview++;
-        }
 
         // Check if completed today
         if (completionDate.toDateString() === today.toDateString()) {
@@ -123,9 +113,6 @@ const StudyPlannerPage = () => {
         if (completionDate >= thisWeekStart) {
           weekCompleted++;
         }
-
-        // Small delay to prevent overwhelming the server
-        await new Promise(resolve => setTimeout(resolve, 50));
       } catch (error) {
         console.error(`Error processing quiz result ${hasil.kuis_id}:`, error);
         // Continue with next result
@@ -205,10 +192,10 @@ const StudyPlannerPage = () => {
   };
 
   const generateStudyPlan = async (allKuis, allKategori, hasilKuisList) => {
-    // OPTIMIZED: Create completion status from single API call data
+    // OPTIMIZED: Create completion status from single API call data, one counted result per kuis
     const quizCompletionStatus = {};
-    hasilKuisList.forEach(hasil => {
-      quizCompletionStatus[hasil.kuis_id] = hasil;
+    summarizeAttemptsByKuis(hasilKuisList, allKuis).forEach((summary, kuisId) => {
+      quizCompletionStatus[kuisId] = { ...summary.result, canAttempt: summary.canAttempt };
     });
 
     // Filter quizzes based on selected category
@@ -225,7 +212,7 @@ const StudyPlannerPage = () => {
       ...uncompletedQuizzes,
       ...completedQuizzes.filter(kuis => {
         const result = quizCompletionStatus[kuis.ID];
-        return result && result.score < 80; // Add low-scoring quizzes for review
+        return result && result.score < 80 && result.canAttempt; // Add low-scoring quizzes that can be retaken
       })
     ];
 
@@ -399,6 +386,38 @@ const StudyPlannerPage = () => {
         </div>
       </div>
 
+      {/* Practice Stats */}
+      <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 shadow-lg mb-8 animate-scale-in">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-xl font-bold text-slate-800">🏋️ Latihan</h2>
+          <p className="text-sm text-slate-500">
+            {practiceStats.lastPracticedAt
+              ? `Terakhir latihan ${new Date(practiceStats.lastPracticedAt).toLocaleDateString('id-ID')}`
+              : 'Belum ada latihan. Pilih "Latihan" di halaman Ambil Kuis.'}
+          </p>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+          <div>
+            <div className="text-2xl font-bold text-emerald-600">{practiceStats.sessions}</div>
+            <p className="text-sm font-semibold text-slate-600">Sesi Latihan</p>
+          </div>
+          <div>
+            <div className="text-2xl font-bold text-emerald-600">{practiceStats.weekSessions}</div>
+            <p className="text-sm font-semibold text-slate-600">Minggu Ini</p>
+          </div>
+          <div>
+            <div className="text-2xl font-bold text-emerald-600">{practiceStats.averageScore}%</div>
+            <p className="text-sm font-semibold text-slate-600">Rata-rata Skor</p>
+          </div>
+          <div>
+            <div className="text-2xl font-bold text-emerald-600">{practiceStats.accuracy}%</div>
+            <p className="text-sm font-semibold text-slate-600">
+              Akurasi ({practiceStats.questionsAnswered} soal)
+            </p>
+          </div>
+        </div>
+      </div>
+
       {/* Goals & Progress */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
         {/* Daily & Weekly Goals */}
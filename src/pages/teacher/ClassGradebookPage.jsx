@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { api } from '../../services/api';
+import {
+  GRADEBOOK_SORT_KEYS,
+  getKuisSortKey,
+  buildGradebook,
+  sortGradebookRows
+} from '../../utils/gradebook';
+import { buildClassReport, buildKuisReport, exportReport } from '../../utils/resultExport';
+import { getKuisQuestionCount } from '../../utils/questionPool';
+import StudentResultModal from '../../components/gradebook/StudentResultModal';
+import ExportButton from '../../components/common/ExportButton';
+
+const SortIndicator = ({ active, direction }) => (
+  <span className={`ml-1 text-xs ${active ? 'text-blue-600' : 'text-slate-300'}`}>
+    {active && direction === 'desc' ? '▼' : '▲'}
+  </span>
+);
+
+const ClassGradebookPage = () => {
+  const { id } = useParams();
+  const [kelas, setKelas] = useState(null);
+  const [kuisList, setKuisList] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [results, setResults] = useState([]);
+  const [soalCounts, setSoalCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: GRADEBOOK_SORT_KEYS.NAME, direction: 'asc' });
+  const [selectedStudent, setSelectedStudent] = useState(null);
+  const [exportScope, setExportScope] = useState('kelas');
+
+  useEffect(() => {
+    const fetchGradebook = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        // Question counts of every kuis come from a single soal request
+        const [kelasRes, kuisRes, studentsRes, resultsRes, countsRes] = await Promise.all([
+          api.getKelas(),
+          api.getKuisByKelasId(id),
+          api.getStudentsByKelasId(id),
+          api.getHasilKuisByKelas(id),
+          api.getSoalCounts().catch((err) => {
+            if (import.meta.env.DEV) {
+              console.warn('Soal counts unavailable:', err.message);
+            }
+            return { data: {} };
+          })
+        ]);
+
+        const kelasData = (kelasRes.data || []).find(k => String(k.ID ?? k.id) === String(id));
+        if (!kelasData) {
+          throw new Error('Kelas tidak ditemukan');
+        }
+
+        setKelas(kelasData);
+        setKuisList(kuisRes.data || []);
+        setStudents(studentsRes.data || []);
+        setResults(resultsRes.data || []);
+        setSoalCounts(countsRes.data || {});
+      } catch (err) {
+        console.error('Error fetching gradebook:', err);
+        setError(err.message || 'Gagal memuat buku nilai');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchGradebook();
+  }, [id]);
+
+  const gradebook = useMemo(() => {
+    const questionCounts = Object.fromEntries(
+      kuisList.map(kuis => [kuis.ID, getKuisQuestionCount(kuis, soalCounts[kuis.ID])])
+    );
+    return buildGradebook({ students, kuisList, results, questionCounts, kelasId: id });
+  }, [students, kuisList, results, soalCounts, id]);
+
+  const sortedRows = useMemo(() => sortGradebookRows(gradebook.rows, sort), [gradebook.rows, sort]);
+
+  const handleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const handleExport = (format) => {
+    const kuis = kuisList.find(item => String(item.ID) === exportScope);
+
+    if (kuis) {
+      exportReport(
+        buildKuisReport({ kelas, kuis, gradebook, rows: sortedRows }),
+        format,
+        `${kelas.name}_${kuis.title}_hasil`
+      );
+      return;
+    }
+
+    exportReport(
+      buildClassReport({ kelas, kuisList, gradebook, rows: sortedRows }),
+      format,
+      `${kelas.name}_buku_nilai`
+    );
+  };
+
+  const renderHeader = (key, label, className = '') => (
+    <th className={`px-4 py-3 font-semibold ${className}`}>
+      <button
+        onClick={() => handleSort(key)}
+        className="inline-flex items-center hover:text-blue-600 transition-colors duration-200"
+      >
+        {label}
+        <SortIndicator active={sort.key === key} direction={sort.direction} />
+      </button>
+    </th>
+  );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center">
+        <div className="text-center space-y-4">
+          <div className="spinner w-12 h-12 mx-auto"></div>
+          <p className="text-gray-600 font-medium">Memuat buku nilai...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-red-50 to-pink-50 flex items-center justify-center">
+        <div className="text-center space-y-4 p-8">
+          <h3 className="text-xl font-semibold text-gray-900">Terjadi Kesalahan</h3>
+          <p className="text-red-600">{error}</p>
+          <Link to={`/kelas/${id}`} className="btn-primary">
+            Kembali ke Kelas
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8 animate-fade-in">
+          <Link
+            to={`/kelas/${id}`}
+            className="inline-flex items-center space-x-2 text-blue-600 hover:text-blue-800 mb-6 transition-colors duration-200"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            <span className="font-medium">Kembali ke Kelas</span>
+          </Link>
+
+          <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 border border-white/20">
+            <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+              <div>
+                <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent mb-2">
+                  Buku Nilai
+                </h1>
+                <p className="text-gray-600 text-lg">{kelas.name}</p>
+              </div>
+              <div className="flex flex-col sm:flex-row gap-3">
+                <select
+                  value={exportScope}
+                  onChange={(e) => setExportScope(e.target.value)}
+                  className="px-4 py-3 bg-white/60 rounded-xl shadow-lg text-sm font-medium text-slate-700 focus:outline-none"
+                  title="Data yang diekspor"
+                >
+                  <option value="kelas">Seluruh kelas</option>
+                  {kuisList.map(kuis => (
+                    <option key={kuis.ID} value={String(kuis.ID)}>Kuis: {kuis.title}</option>
+                  ))}
+                </select>
+                <ExportButton onExport={handleExport} disabled={gradebook.rows.length === 0} />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
+              <div className="p-4 bg-blue-50 rounded-xl">
+                <p className="text-sm text-blue-600 font-medium">Siswa</p>
+                <p className="text-2xl font-bold text-blue-800">{gradebook.rows.length}</p>
+              </div>
+              <div className="p-4 bg-indigo-50 rounded-xl">
+                <p className="text-sm text-indigo-600 font-medium">Kuis</p>
+                <p className="text-2xl font-bold text-indigo-800">{kuisList.length}</p>
+              </div>
+              <div className="p-4 bg-green-50 rounded-xl">
+                <p className="text-sm text-green-600 font-medium">Rata-rata Kelas</p>
+                <p className="text-2xl font-bold text-green-800">{gradebook.classAverage ?? '-'}</p>
+              </div>
+              <div className="p-4 bg-red-50 rounded-xl">
+                <p className="text-sm text-red-600 font-medium">Belum Dikerjakan</p>
+                <p className="text-2xl font-bold text-red-800">
+                  {gradebook.rows.reduce((sum, row) => sum + row.missing, 0)}
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Matrix */}
+        <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl border border-white/20 overflow-x-auto animate-slide-up">
+          {gradebook.rows.length === 0 || kuisList.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              {kuisList.length === 0 ? 'Belum ada kuis di kelas ini' : 'Belum ada siswa atau hasil kuis di kelas ini'}
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 text-slate-600">
+                <tr>
+                  {renderHeader(GRADEBOOK_SORT_KEYS.NAME, 'Siswa', 'text-left sticky left-0 bg-slate-50')}
+                  {kuisList.map(kuis => (
+                    <React.Fragment key={kuis.ID}>
+                      {renderHeader(getKuisSortKey(kuis.ID), kuis.title, 'text-center whitespace-nowrap')}
+                    </React.Fragment>
+                  ))}
+                  {renderHeader(GRADEBOOK_SORT_KEYS.AVERAGE, 'Rata-rata', 'text-center')}
+                  {renderHeader(GRADEBOOK_SORT_KEYS.MISSING, 'Belum', 'text-center')}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedRows.map(row => (
+                  <tr key={row.id} className="border-t border-slate-200 hover:bg-blue-50/50">
+                    <td className="px-4 py-3 sticky left-0 bg-white">
+                      <button
+                        onClick={() => setSelectedStudent(row)}
+                        className="font-semibold text-blue-600 hover:text-blue-800 text-left"
+                      >
+                        {row.name}
+                      </button>
+                    </td>
+                    {kuisList.map(kuis => {
+                      const cell = row.cells[kuis.ID];
+                      return (
+                        <td key={kuis.ID} className="px-4 py-3 text-center">
+                          {cell ? (
+                            <span
+                              className={`inline-block px-2 py-1 rounded-lg font-bold ${cell.color}`}
+                              title={`${cell.grade} • ${cell.correctAnswers}/${cell.totalQuestions} benar`}
+                            >
+                              {cell.score}
+                            </span>
+                          ) : (
+                            <span className="text-xs text-red-400" title="Belum mengerjakan">—</span>
+                          )}
+                        </td>
+                      );
+                    })}
+                    <td className="px-4 py-3 text-center font-bold text-slate-800">{row.average ?? '-'}</td>
+                    <td className={`px-4 py-3 text-center font-semibold ${row.missing > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {row.missing}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-slate-50 text-slate-700 border-t-2 border-slate-200">
+                <tr>
+                  <td className="px-4 py-3 font-semibold sticky left-0 bg-slate-50">Rata-rata kuis</td>
+                  {kuisList.map(kuis => {
+                    const stats = gradebook.kuisStats[kuis.ID];
+                    return (
+                      <td key={kuis.ID} className="px-4 py-3 text-center">
+                        <p className="font-bold">{stats.average ?? '-'}</p>
+                        <p className="text-xs text-slate-500">
+                          {stats.submitted} masuk
+                          {stats.missing > 0 && <span className="text-red-500"> • {stats.missing} belum</span>}
+                        </p>
+                        <Link to={`/kuis/${kuis.ID}/analisis`} className="text-xs font-medium text-blue-600 hover:text-blue-800">
+                          Analisis butir
+                        </Link>
+                      </td>
+                    );
+                  })}
+                  <td className="px-4 py-3 text-center font-bold">{gradebook.classAverage ?? '-'}</td>
+                  <td className="px-4 py-3"></td>
+                </tr>
+              </tfoot>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {selectedStudent && (
+        <StudentResultModal
+          student={selectedStudent}
+          kelasId={id}
+          kelasName={kelas.name}
+          kuisList={kuisList}
+          onClose={() => setSelectedStudent(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ClassGradebookPage;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { useParams, useNavigate, Link } from "react-router-dom";
+import { useAuth } from "../../hooks/useAuth";
 import { api } from "../../services/api";
 import JoinCodeDisplay from "../../components/JoinCodeDisplay";
 import { parseOptionsWithKeys } from "../../utils/optionsParser";
@@ -17,7 +18,7 @@ const DetailKelas = () => {
   const [showResults, setShowResults] = useState(false);
   const [score, setScore] = useState(null);
   const [correctAnswers, setCorrectAnswers] = useState({});
-  const [userRole, setUserRole] = useState(null);
+  const { userRole } = useAuth();
 
   useEffect(() => {
     const fetchData = async () => {
@@ -46,10 +47,6 @@ const DetailKelas = () => {
           (kuis) => kuis.kelas_id === parseInt(id)
         );
         setKuisList(filteredKuis);
-
-        // Ambil role dari localStorage
-        const userRole = localStorage.getItem("role");
-        setUserRole(userRole);
       } catch (error) {
         console.error("Error fetching data:", error);
         setError(error.message || "Terjadi kesalahan saat mengambil data");
@@ -263,6 +260,15 @@ const DetailKelas = () => {
                     </svg>
                     <span>Tambah Kuis</span>
                   </Link>
+                  <Link
+                    to={`/kelas/${id}/nilai`}
+                    className="btn-secondary flex items-center space-x-2"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                    </svg>
+                    <span>Buku Nilai</span>
+                  </Link>
                   {selectedKuis && (
                     <Link
                       to={`/admin/manage-soal?kuis_id=${selectedKuis.ID || selectedKuis.id}`}
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { api } from '../../services/api';
+import { analyzeItems, countFlags, ITEM_FLAGS, ITEM_FLAG_LABELS, ITEM_THRESHOLDS } from '../../utils/itemAnalysis';
+import { isPoolKuis } from '../../utils/questionPool';
+import { getQuestionType, QUESTION_TYPE_LABELS, formatCorrectAnswer } from '../../utils/questionTypes';
+import RichText from '../../components/common/RichText';
+
+const FLAG_CLASSES = {
+  [ITEM_FLAGS.MISKEYED]: 'text-red-700 bg-red-100',
+  [ITEM_FLAGS.LOW_DISCRIMINATION]: 'text-orange-700 bg-orange-100',
+  [ITEM_FLAGS.TOO_EASY]: 'text-sky-700 bg-sky-100',
+  [ITEM_FLAGS.TOO_HARD]: 'text-purple-700 bg-purple-100',
+};
+
+const formatPercent = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`);
+
+const getDiscriminationColor = (value) => {
+  if (value === null) return 'text-slate-400';
+  if (value < 0) return 'text-red-600';
+  if (value < ITEM_THRESHOLDS.DISCRIMINATION) return 'text-orange-600';
+  return 'text-green-600';
+};
+
+const ItemAnalysisPage = () => {
+  const { kuisId } = useParams();
+  const [kuis, setKuis] = useState(null);
+  const [analysis, setAnalysis] = useState({ respondents: 0, items: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const fetchAnalysis = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const kuisRes = await api.getKuis();
+        const kuisDetail = (kuisRes.data || []).find(k => k.ID === parseInt(kuisId));
+        if (!kuisDetail) {
+          throw new Error('Kuis tidak ditemukan');
+        }
+
+        // Soal drawn from a pool may belong to any kuis
+        const [soalRes, resultsRes] = await Promise.all([
+          isPoolKuis(kuisDetail) ? api.getSoal() : api.getSoalByKuisID(kuisDetail.ID),
+          api.getHasilKuisResponses(kuisDetail)
+        ]);
+
+        setKuis(kuisDetail);
+        setAnalysis(analyzeItems({ soalList: soalRes.data || [], results: resultsRes.data || [], kuis: kuisDetail }));
+      } catch (err) {
+        console.error('Error fetching item analysis:', err);
+        setError(err.message || 'Gagal memuat analisis butir soal');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAnalysis();
+  }, [kuisId]);
+
+  const flagCounts = useMemo(() => countFlags(analysis.items), [analysis.items]);
+  const visibleItems = flaggedOnly ? analysis.items.filter(item => item.flags.length > 0) : analysis.items;
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center">
+        <div className="text-center space-y-4">
+          <div className="spinner w-12 h-12 mx-auto"></div>
+          <p className="text-gray-600 font-medium">Memuat analisis butir soal...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-red-50 to-pink-50 flex items-center justify-center">
+        <div className="text-center space-y-4 p-8">
+          <h3 className="text-xl font-semibold text-gray-900">Terjadi Kesalahan</h3>
+          <p className="text-red-600">{error}</p>
+          <Link to="/daftar-kuis" className="btn-primary">
+            Kembali ke Daftar Kuis
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8 animate-fade-in">
+          <Link
+            to="/daftar-kuis"
+            className="inline-flex items-center space-x-2 text-blue-600 hover:text-blue-800 mb-6 transition-colors duration-200"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            <span className="font-medium">Kembali ke Daftar Kuis</span>
+          </Link>
+
+          <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 border border-white/20">
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent mb-2">
+              Analisis Butir Soal
+            </h1>
+            <p className="text-gray-600 text-lg">{kuis.title}</p>
+            <p className="text-sm text-slate-500 mt-2">
+              Dihitung dari percobaan pertama setiap siswa. Daya beda adalah korelasi point-biserial antara skor soal
+              dan skor soal lainnya.
+            </p>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-6">
+              <div className="p-4 bg-blue-50 rounded-xl">
+                <p className="text-sm text-blue-600 font-medium">Siswa</p>
+                <p className="text-2xl font-bold text-blue-800">{analysis.respondents}</p>
+              </div>
+              {Object.values(ITEM_FLAGS).map(flag => (
+                <div key={flag} className={`p-4 rounded-xl ${FLAG_CLASSES[flag]}`}>
+                  <p className="text-sm font-medium">{ITEM_FLAG_LABELS[flag]}</p>
+                  <p className="text-2xl font-bold">{flagCounts[flag]}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {analysis.respondents > 0 && analysis.respondents < ITEM_THRESHOLDS.MIN_RESPONDENTS && (
+          <div className="mb-6 p-4 rounded-xl bg-amber-50 border border-amber-200 text-sm text-amber-800">
+            Baru {analysis.respondents} siswa mengerjakan kuis ini. Tanda pada soal muncul setelah minimal{' '}
+            {ITEM_THRESHOLDS.MIN_RESPONDENTS} siswa.
+          </div>
+        )}
+
+        <div className="flex items-center justify-end mb-4">
+          <label className="inline-flex items-center text-sm text-slate-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={flaggedOnly}
+              onChange={(e) => setFlaggedOnly(e.target.checked)}
+              className="mr-2"
+            />
+            Hanya soal yang ditandai
+          </label>
+        </div>
+
+        <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl border border-white/20 overflow-x-auto animate-slide-up">
+          {visibleItems.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              {analysis.respondents === 0
+                ? 'Belum ada jawaban siswa untuk kuis ini'
+                : 'Tidak ada soal yang ditandai'}
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 text-slate-600">
+                <tr>
+                  <th className="px-4 py-3 font-semibold text-left">Soal</th>
+                  <th className="px-4 py-3 font-semibold text-center whitespace-nowrap">% Benar</th>
+                  <th className="px-4 py-3 font-semibold text-center whitespace-nowrap">Daya Beda</th>
+                  <th className="px-4 py-3 font-semibold text-center">Siswa</th>
+                  <th className="px-4 py-3 font-semibold text-left">Tanda</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleItems.map(item => {
+                  const expanded = expandedId === item.soalId;
+                  const number = analysis.items.indexOf(item) + 1;
+
+                  return (
+                    <React.Fragment key={item.soalId}>
+                      <tr
+                        className="border-t border-slate-200 hover:bg-blue-50/50 cursor-pointer"
+                        onClick={() => setExpandedId(expanded ? null : item.soalId)}
+                      >
+                        <td className="px-4 py-3">
+                          <p className="text-xs text-slate-500 mb-1">
+                            {number}. {QUESTION_TYPE_LABELS[getQuestionType(item.soal)]}
+                          </p>
+                          <div className="line-clamp-2 text-slate-800">
+                            <RichText text={item.soal.question} inline />
+                          </div>
+                        </td>
+                        <td className="px-4 py-3 text-center font-bold text-slate-800">{formatPercent(item.difficulty)}</td>
+                        <td className={`px-4 py-3 text-center font-bold ${getDiscriminationColor(item.discrimination)}`}>
+                          {item.discrimination ?? '-'}
+                        </td>
+                        <td className="px-4 py-3 text-center text-slate-600">
+                          {item.correct}/{item.respondents}
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="flex flex-wrap gap-1">
+                            {item.flags.map(flag => (
+                              <span key={flag} className={`px-2 py-1 text-xs font-semibold rounded-full ${FLAG_CLASSES[flag]}`}>
+                                {ITEM_FLAG_LABELS[flag]}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+
+                      {expanded && (
+                        <tr className="bg-slate-50/60">
+                          <td colSpan={5} className="px-4 py-4">
+                            <p className="text-sm text-slate-700 mb-3">
+                              Kunci: <span className="font-semibold text-green-700">{formatCorrectAnswer(item.soal)}</span>
+                              {item.unanswered > 0 && <span className="text-slate-500"> • {item.unanswered} tidak menjawab</span>}
+                            </p>
+
+                            {item.options.length === 0 ? (
+                              <p className="text-sm text-slate-500">Soal isian tidak memiliki pengecoh.</p>
+                            ) : (
+                              <div className="space-y-2">
+                                {item.options.map(option => (
+                                  <div key={option.option} className="grid grid-cols-12 gap-3 items-center">
+                                    <div className="col-span-5 text-sm text-slate-800">
+                                      <RichText text={option.option} inline />
+                                      {option.isKey && <span className="ml-2 text-xs font-semibold text-green-700">✓ kunci</span>}
+                                      {option.nonFunctioning && (
+                                        <span className="ml-2 text-xs text-slate-400">pengecoh tidak berfungsi</span>
+                                      )}
+                                    </div>
+                                    <div className="col-span-4 h-3 bg-slate-200 rounded-full overflow-hidden">
+                                      <div
+                                        className={`h-full ${option.isKey ? 'bg-green-500' : 'bg-slate-400'}`}
+                                        style={{ width: formatPercent(option.rate) }}
+                                      />
+                                    </div>
+                                    <div className="col-span-1 text-sm text-right text-slate-700">{formatPercent(option.rate)}</div>
+                                    <div className="col-span-2 text-xs text-right text-slate-500" title="Rata-rata skor soal lainnya dari siswa yang memilih">
+                                      skor lain {formatPercent(option.restScore)}
+                                    </div>
+                                  </div>
+                                ))}
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ItemAnalysisPage;
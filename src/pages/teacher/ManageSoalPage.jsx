@@ -1,10 +1,33 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { parseOptions, normalizeOptionsForForm } from '../../utils/optionsParser';
-
-// Use the same BASE_URL logic as other components
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "http://localhost:8000" : "https://brainquiz0.up.railway.app");
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  getQuestionType,
+  isChoiceType,
+  isCorrectOption,
+  formatCorrectAnswer,
+  getEmptyQuestionForm,
+  validateQuestionForm
+} from '../../utils/questionTypes';
+import { getQuestionPoints } from '../../utils/scoring';
+import { getExplanation, getOptionFeedback } from '../../utils/questionFeedback';
+import { getOptionMedia, getQuestionMedia } from '../../utils/questionMedia';
+import { getBankFields } from '../../utils/questionBank';
+import { QUESTION_FORMATS, QUESTION_FORMAT_INFO, getExportWarnings, serializeQuestions } from '../../utils/questionFormats';
+import { downloadFile, toSafeFilename } from '../../utils/fileDownload';
+import { api } from '../../services/api';
+import { deleteSoal, saveSoal } from '../../services/questionBank';
+import QuestionTypeFields from '../../components/quiz/QuestionTypeFields';
+import QuestionImportModal from '../../components/quiz/QuestionImportModal';
+import ExplanationFields from '../../components/quiz/ExplanationFields';
+import MediaFields from '../../components/quiz/MediaFields';
+import BankFields from '../../components/quiz/BankFields';
+import SoalBankBadges from '../../components/quiz/SoalBankBadges';
+import MediaList from '../../components/quiz/MediaList';
+import RichText from '../../components/common/RichText';
+import { CODE_LANGUAGES } from '../../utils/codeHighlight';
 
 const ManageSoalPage = () => {
   const { kuisId } = useParams();
@@ -15,10 +38,11 @@ const ManageSoalPage = () => {
   const [showModal, setShowModal] = useState(false);
   const [modalMode, setModalMode] = useState('add'); // 'add' or 'edit'
   const [selectedSoal, setSelectedSoal] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [exportFormat, setExportFormat] = useState(QUESTION_FORMATS.CSV);
   const [formData, setFormData] = useState({
     question: '',
-    options: ['', '', '', ''],
-    correct_answer: ''
+    ...getEmptyQuestionForm(QUESTION_TYPES.MULTIPLE_CHOICE)
   });
 
   useEffect(() => {
@@ -28,20 +52,9 @@ const ManageSoalPage = () => {
 
   const fetchKuisDetail = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/kuis/get-kuis`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        const kuisDetail = data.data.find(k => k.ID === parseInt(kuisId));
-        setKuis(kuisDetail);
-      }
+      const data = await api.getKuis();
+      const kuisDetail = data.data.find(k => k.ID === parseInt(kuisId));
+      setKuis(kuisDetail);
     } catch (error) {
       console.error('Error fetching kuis detail:', error);
     }
@@ -49,19 +62,8 @@ const ManageSoalPage = () => {
 
   const fetchSoal = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/soal/get-soal/${kuisId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setSoalList(data.data || []);
-      }
+      const data = await api.getSoalByKuisID(kuisId);
+      setSoalList(data.data || []);
     } catch (error) {
       console.error('Error fetching soal:', error);
     } finally {
@@ -73,8 +75,7 @@ const ManageSoalPage = () => {
     setModalMode('add');
     setFormData({
       question: '',
-      options: ['', '', '', ''],
-      correct_answer: ''
+      ...getEmptyQuestionForm(QUESTION_TYPES.MULTIPLE_CHOICE)
     });
     setShowModal(true);
   };
@@ -84,12 +85,22 @@ const ManageSoalPage = () => {
     setSelectedSoal(soal);
 
     // Parse options using utility function
-    const normalizedOptions = normalizeOptionsForForm(soal.options_json || soal.Options);
+    const type = getQuestionType(soal);
+    const normalizedOptions = isChoiceType(type)
+      ? normalizeOptionsForForm(soal.options_json || soal.Options, type === QUESTION_TYPES.TRUE_FALSE ? 2 : 4)
+      : parseOptions(soal.options_json || soal.Options);
 
     setFormData({
       question: soal.question || '',
+      type,
       options: normalizedOptions,
-      correct_answer: soal.correct_answer || ''
+      correct_answer: soal.correct_answer || '',
+      points: getQuestionPoints(soal),
+      explanation: getExplanation(soal),
+      option_feedback: getOptionFeedback(soal),
+      media: getQuestionMedia(soal),
+      option_media: getOptionMedia(soal),
+      ...getBankFields(soal)
     });
     setShowModal(true);
   };
@@ -98,99 +109,79 @@ const ManageSoalPage = () => {
     if (!confirm('Apakah Anda yakin ingin menghapus soal ini?')) return;
 
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${BASE_URL}/soal/delete-soal/${soalId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-      });
-
-      if (response.ok) {
-        alert('Soal berhasil dihapus!');
-        fetchSoal();
-      } else {
-        const data = await response.json();
-        alert(data.message || 'Gagal menghapus soal');
-      }
+      await deleteSoal(soalId);
+      alert('Soal berhasil dihapus!');
+      fetchSoal();
     } catch (error) {
       console.error('Error deleting soal:', error);
-      alert('Terjadi kesalahan saat menghapus soal');
+      alert(error.message || 'Gagal menghapus soal');
     }
   };
 
   const handleSubmitSoal = async (e) => {
     e.preventDefault();
     
-    // Validate that options is an array
-    if (!Array.isArray(formData.options)) {
-      alert('Error: Format pilihan jawaban tidak valid');
-      return;
-    }
-
-    // Validate that all options are filled
-    if (formData.options.some(option => !option.trim())) {
-      alert('Semua pilihan jawaban harus diisi');
-      return;
-    }
-
-    // Validate that correct answer is one of the options
-    if (!formData.options.includes(formData.correct_answer)) {
-      alert('Jawaban benar harus salah satu dari pilihan jawaban');
+    const validationError = validateQuestionForm(formData);
+    if (validationError) {
+      alert(validationError);
       return;
     }
 
     try {
-      const token = localStorage.getItem('token');
-      const url = modalMode === 'add' 
-        ? `${BASE_URL}/soal/add-soal`
-        : `${BASE_URL}/soal/update-soal/${selectedSoal.ID}`;
-      
-      const method = modalMode === 'add' ? 'POST' : 'PATCH';
-
       const requestData = {
+        type: formData.type,
         question: formData.question,
-        options_json: JSON.stringify(formData.options),  // Use correct field name
+        options: formData.options,
         correct_answer: formData.correct_answer,
-        kuis_id: parseInt(kuisId)
+        points: formData.points,
+        explanation: formData.explanation,
+        option_feedback: formData.option_feedback,
+        media: formData.media,
+        option_media: formData.option_media,
+        tags: formData.tags,
+        difficulty: formData.difficulty,
+        source_soal_id: formData.source_soal_id,
+        is_reference: formData.is_reference,
+        kuis_id: kuisId
       };
 
       console.log('Submitting soal:', requestData);
 
-      const response = await fetch(url, {
-        method,
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-        body: JSON.stringify(requestData),
-      });
-
-      if (response.ok) {
-        alert(`Soal berhasil ${modalMode === 'add' ? 'ditambahkan' : 'diupdate'}!`);
-        setShowModal(false);
-        fetchSoal();
+      if (modalMode === 'add') {
+        await api.addSoal(requestData);
       } else {
-        const data = await response.json();
-        alert(data.message || `Gagal ${modalMode === 'add' ? 'menambahkan' : 'mengupdate'} soal`);
+        await saveSoal(selectedSoal.ID, requestData);
       }
+
+      alert(`Soal berhasil ${modalMode === 'add' ? 'ditambahkan' : 'diupdate'}!`);
+      setShowModal(false);
+      fetchSoal();
     } catch (error) {
       console.error('Error submitting soal:', error);
-      alert('Terjadi kesalahan saat menyimpan soal');
+      alert(error.message || `Gagal ${modalMode === 'add' ? 'menambahkan' : 'mengupdate'} soal`);
     }
   };
 
-  const updateOption = (index, value) => {
-    if (!Array.isArray(formData.options)) {
-      console.error('formData.options is not an array:', formData.options);
+  const handleExport = () => {
+    if (soalList.length === 0) {
+      alert('Belum ada soal untuk diekspor');
+      return;
+    }
+
+    const warnings = getExportWarnings(soalList, exportFormat);
+    if (warnings.length > 0 && !confirm(`${warnings.join('\n')}\n\nLanjutkan?`)) {
       return;
     }
-    const newOptions = [...formData.options];
-    newOptions[index] = value;
-    setFormData({...formData, options: newOptions});
+
+    const { extension, mimeType } = QUESTION_FORMAT_INFO[exportFormat];
+    const filename = `${toSafeFilename(kuis?.title, `kuis_${kuisId}`)}_soal.${extension}`;
+    downloadFile(serializeQuestions(soalList, exportFormat), filename, mimeType);
+  };
+
+  const handleImported = (count) => {
+    if (count > 0) {
+      fetchSoal();
+    }
   };
 
   // parseOptions function moved to utils/optionsParser.js
@@ -229,6 +220,42 @@ const ManageSoalPage = () => {
               </p>
             )}
           </div>
+          <div className="flex items-center bg-white/60 backdrop-blur-sm rounded-xl shadow-lg">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="bg-transparent pl-4 pr-2 py-3 text-sm font-medium text-slate-700 rounded-l-xl focus:outline-none"
+              title="Format ekspor"
+            >
+              {Object.values(QUESTION_FORMATS).map(value => (
+                <option key={value} value={value}>{QUESTION_FORMAT_INFO[value].label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleExport}
+              className="px-4 py-3 text-sm font-semibold text-blue-600 hover:text-blue-800 border-l border-slate-200"
+            >
+              Ekspor
+            </button>
+          </div>
+          <button
+            onClick={() => navigate(`/admin/manage-soal?target_kuis_id=${kuisId}`)}
+            className="btn-outline flex items-center space-x-2"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
+            </svg>
+            <span>Bank Soal</span>
+          </button>
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="btn-outline flex items-center space-x-2"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+            </svg>
+            <span>Impor Soal</span>
+          </button>
           <button
             onClick={handleAddSoal}
             className="btn-primary flex items-center space-x-2"
@@ -290,6 +317,10 @@ const ManageSoalPage = () => {
       <div className="space-y-6 animate-bounce-in">
         {soalList.map((soal, index) => {
           const options = parseOptions(soal.options_json || soal.Options);
+          const type = getQuestionType(soal);
+          const optionFeedback = getOptionFeedback(soal);
+          const optionMedia = getOptionMedia(soal);
+          const explanation = getExplanation(soal);
           
           return (
             <div
@@ -303,14 +334,28 @@ const ManageSoalPage = () => {
                     {index + 1}
                   </div>
                   <div className="flex-1">
-                    <h3 className="text-lg font-bold text-slate-800 mb-4">{soal.question}</h3>
+                    <span className="inline-block px-3 py-1 mb-2 text-xs font-semibold text-indigo-700 bg-indigo-100 rounded-full">
+                      {QUESTION_TYPE_LABELS[type]}
+                    </span>
+                    <span className="inline-block px-3 py-1 mb-2 ml-2 text-xs font-semibold text-slate-600 bg-slate-100 rounded-full">
+                      {getQuestionPoints(soal)} poin
+                    </span>
+                    <SoalBankBadges soal={soal} className="mb-3" />
+                    <RichText text={soal.question} className="text-lg font-bold text-slate-800 mb-4" />
+                    <MediaList media={getQuestionMedia(soal)} className="mb-4" />
                     
+                    {!isChoiceType(type) ? (
+                      <div className="flex items-center p-3 mb-4 rounded-xl border-2 border-green-500 bg-green-50">
+                        <span className="text-sm font-semibold text-slate-600 mr-3">Jawaban:</span>
+                        <span className="text-slate-700">{formatCorrectAnswer(soal)}</span>
+                      </div>
+                    ) : (
                     <div className="space-y-2 mb-4">
                       {Array.isArray(options) && options.length > 0 ? options.map((option, optIndex) => (
                         <div
                           key={optIndex}
                           className={`flex items-center p-3 rounded-xl border-2 ${
-                            option === soal.correct_answer
+                            isCorrectOption(soal, option)
                               ? 'border-green-500 bg-green-50'
                               : 'border-slate-200 bg-slate-50'
                           }`}
@@ -318,8 +363,16 @@ const ManageSoalPage = () => {
                           <span className="w-6 h-6 bg-slate-200 rounded-full flex items-center justify-center text-sm font-semibold mr-3">
                             {String.fromCharCode(65 + optIndex)}
                           </span>
-                          <span className="text-slate-700">{option}</span>
-                          {option === soal.correct_answer && (
+                          <div className="flex-1">
+                            <RichText text={option} inline className="text-slate-700" />
+                            {optionFeedback[option] && (
+                              <p className="text-xs text-slate-500 mt-1">
+                                <RichText text={optionFeedback[option]} inline />
+                              </p>
+                            )}
+                            <MediaList media={optionMedia[option]} compact className="mt-2" />
+                          </div>
+                          {isCorrectOption(soal, option) && (
                             <svg className="w-5 h-5 text-green-500 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                             </svg>
@@ -329,6 +382,14 @@ const ManageSoalPage = () => {
                         <div className="text-slate-500 text-sm">Tidak ada pilihan jawaban</div>
                       )}
                     </div>
+                    )}
+
+                    {explanation && (
+                      <div className="p-3 rounded-xl bg-indigo-50 text-sm text-slate-700">
+                        <p className="font-semibold text-indigo-800 mb-1">Pembahasan</p>
+                        <RichText text={explanation} />
+                      </div>
+                    )}
                   </div>
                 </div>
                 
@@ -377,6 +438,13 @@ const ManageSoalPage = () => {
         </div>
       )}
 
+      <QuestionImportModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        kuisId={kuisId}
+        onImported={handleImported}
+      />
+
       {/* Modal Add/Edit Soal */}
       {showModal && (
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
@@ -406,49 +474,60 @@ const ManageSoalPage = () => {
                   rows="3"
                   required
                 />
+                <p className="mt-1 text-xs text-slate-500">
+                  Mendukung Markdown (**tebal**, *miring*, daftar), rumus LaTeX ($x^2$ atau $$...$$) dan
+                  blok kode (```python). Bahasa kode: {CODE_LANGUAGES.join(', ')}.
+                </p>
               </div>
 
-              <div>
-                <label className="block text-sm font-semibold text-slate-700 mb-4">Pilihan Jawaban</label>
-                <div className="space-y-3">
-                  {Array.isArray(formData.options) ? formData.options.map((option, index) => (
-                    <div key={index} className="flex items-center space-x-3">
-                      <span className="w-8 h-8 bg-slate-100 rounded-full flex items-center justify-center text-sm font-semibold">
-                        {String.fromCharCode(65 + index)}
-                      </span>
-                      <input
-                        type="text"
-                        value={option}
-                        onChange={(e) => updateOption(index, e.target.value)}
-                        className="flex-1 px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-                        placeholder={`Pilihan ${String.fromCharCode(65 + index)}`}
-                        required
-                      />
-                    </div>
-                  )) : (
-                    <div className="text-red-500 text-sm">Error: Options tidak valid</div>
-                  )}
+              <QuestionTypeFields
+                value={formData}
+                onChange={(fields) => setFormData({...formData, ...fields})}
+              />
+
+              <MediaFields
+                value={formData}
+                onChange={(fields) => setFormData({...formData, ...fields})}
+              />
+
+              <ExplanationFields
+                value={formData}
+                onChange={(fields) => setFormData({...formData, ...fields})}
+              />
+
+              <BankFields
+                value={formData}
+                onChange={(fields) => setFormData({...formData, ...fields})}
+              />
+
+              {/* Live preview */}
+              {formData.question.trim() && (
+                <div>
+                  <label className="block text-sm font-semibold text-slate-700 mb-2">Pratinjau</label>
+                  <div className="p-4 border border-dashed border-slate-300 rounded-xl bg-slate-50 space-y-3">
+                    <RichText text={formData.question} className="text-lg font-bold text-slate-800" />
+                    <MediaList media={formData.media} />
+                    {isChoiceType(formData.type) && (
+                      <div className="space-y-2">
+                        {formData.options.map((option, index) => (
+                          option.trim() && (
+                            <div key={index} className="p-3 rounded-xl border-2 border-slate-200 bg-white text-slate-700">
+                              {String.fromCharCode(65 + index)}. <RichText text={option} inline />
+                              <MediaList media={formData.option_media?.[option]} compact className="mt-2" />
+                            </div>
+                          )
+                        ))}
+                      </div>
+                    )}
+                    {formData.explanation?.trim() && (
+                      <div className="p-3 rounded-xl bg-indigo-50 text-sm text-slate-700">
+                        <p className="font-semibold text-indigo-800 mb-1">Pembahasan</p>
+                        <RichText text={formData.explanation} />
+                      </div>
+                    )}
+                  </div>
                 </div>
-              </div>
-
-              <div>
-                <label className="block text-sm font-semibold text-slate-700 mb-2">Jawaban Benar</label>
-                <select
-                  value={formData.correct_answer}
-                  onChange={(e) => setFormData({...formData, correct_answer: e.target.value})}
-                  className="w-full px-4 py-3 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-                  required
-                >
-                  <option value="">Pilih jawaban yang benar</option>
-                  {Array.isArray(formData.options) ? formData.options.map((option, index) => (
-                    option.trim() && (
-                      <option key={index} value={option}>
-                        {String.fromCharCode(65 + index)}. {option}
-                      </option>
-                    )
-                  )) : null}
-                </select>
-              </div>
+              )}
 
               <div className="flex space-x-4 pt-4">
                 <button
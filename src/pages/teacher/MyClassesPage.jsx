@@ -46,13 +46,9 @@ const MyClassesPage = () => {
 
         const kuisCount = kuisResponse.success ? (kuisResponse.data || []).length : 0;
 
-        // TODO: Fetch student count when backend implements /kelas/get-students/{kelasId}
-        // For now, set to 0 since the endpoint doesn't exist yet
-        const studentCount = 0;
-
-        // Future implementation:
-        // const studentsResponse = await api.getStudentsByKelasId(kelasId);
-        // const studentCount = studentsResponse.success ? (studentsResponse.data || []).length : 0;
+        // Student list is mocked until backend implements /kelas/get-students/{kelasId}
+        const studentsResponse = await api.getStudentsByKelasId(kelasId);
+        const studentCount = studentsResponse.success ? (studentsResponse.data || []).length : 0;
 
         stats[kelasId] = {
           kuisCount,
@@ -1,505 +1,199 @@
-const BASE_URL = import.meta.env.VITE_API_URL ||
-  (import.meta.env.DEV ? "/api" : "https://brainquiz0.up.railway.app");
-
-// Debug logging for development only
-if (import.meta.env.DEV) {
-  console.log('API Configuration (api.js):', {
-    VITE_API_URL: import.meta.env.VITE_API_URL,
-    BASE_URL: BASE_URL,
-    isDev: import.meta.env.DEV
-  });
-}
-
-// Request cache to prevent duplicate requests
-const requestCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-
-// Rate limiting
-const requestQueue = [];
-const MAX_CONCURRENT_REQUESTS = 3;
-let activeRequests = 0;
-
-const processQueue = async () => {
-  if (activeRequests >= MAX_CONCURRENT_REQUESTS || requestQueue.length === 0) {
-    return;
+import { httpClient } from "./httpClient";
+import { getAuthState } from "./authStorage";
+import { API_CONFIG } from "../config/apiConfig";
+import { QUESTION_TYPES } from "../utils/questionTypes";
+import { fromDateTimeLocalValue } from "../utils/quizSchedule";
+import { DEFAULT_DURATION_MINUTES } from "../utils/quizTiming";
+import { getAttemptSettings } from "../utils/attempts";
+import { parseOptions } from "../utils/optionsParser";
+import { toOptionFeedbackJson } from "../utils/questionFeedback";
+import { toMediaJson, toOptionMediaJson } from "../utils/questionMedia";
+import { getSoalDifficulty, getSourceSoalId, isReferenceSoal, toTagsJson } from "../utils/questionBank";
+import { getPoolSettings, isPoolKuis, pickSoalByIds } from "../utils/questionPool";
+import {
+  getMockHasilKuisResults,
+  getMockKelasStudents,
+  getMockLeaderboardOptOut,
+  setMockLeaderboardOptOut,
+} from "./mocks/leaderboardMock";
+import { getMockGradingSettings, saveMockGradingSettings } from "./mocks/gradingSchemeMock";
+import { saveMockMedia } from "./mocks/mediaMock";
+import { drawMockPoolSoal } from "./mocks/questionPoolMock";
+import { getMockKuisResponses } from "./mocks/itemAnalysisMock";
+import { countSoalByKuis } from "../utils/resultStats";
+
+const getStoredUser = () => ({
+  userId: getAuthState()?.userId ?? null,
+  userName: getAuthState()?.userName ?? null,
+});
+
+// Ensure options is properly formatted as JSON string
+const toOptionsJson = (data) => {
+  if (typeof data.options === "string") {
+    return data.options;
   }
-
-  const { resolve, reject, requestFn } = requestQueue.shift();
-  activeRequests++;
-
-  try {
-    const result = await requestFn();
-    resolve(result);
-  } catch (error) {
-    reject(error);
-  } finally {
-    activeRequests--;
-    // Process next request after a small delay
-    setTimeout(processQueue, 100);
+  if (data.options && typeof data.options === "object") {
+    return JSON.stringify(data.options);
+  }
+  if (data.options_json) {
+    return data.options_json;
   }
+  throw new Error("Options data is required");
 };
 
-const queueRequest = (requestFn) => {
-  return new Promise((resolve, reject) => {
-    requestQueue.push({ resolve, reject, requestFn });
-    processQueue();
-  });
-};
+// A soal change affects the full soal list and whatever is cached for its kuis
+const getSoalCacheTags = (data) =>
+  data.kuis_id ? ["soal:list", `kuis:${data.kuis_id}`] : ["soal"];
 
-// Helper function to clear cache for specific endpoints
-const clearCacheForEndpoint = (endpoint) => {
-  const keysToDelete = [];
-  for (const [key] of requestCache) {
-    if (key.includes(endpoint)) {
-      keysToDelete.push(key);
-    }
-  }
-  keysToDelete.forEach(key => requestCache.delete(key));
+const toAttemptPayload = (data) => {
+  const { policy, maxAttempts, scoringRule } = getAttemptSettings(data);
+  return { attempt_policy: policy, max_attempts: maxAttempts, attempt_scoring: scoringRule };
 };
 
-const getAuthHeader = () => {
-  const token = localStorage.getItem("token");
-  const headers = {
-    "Content-Type": "application/json",
+const toPoolPayload = (data) => {
+  const { size, kategoriId, tingkatanId, difficulty, tag } = getPoolSettings(data);
+  return {
+    pool_size: size,
+    pool_kategori_id: kategoriId,
+    pool_tingkatan_id: tingkatanId,
+    pool_difficulty: difficulty,
+    pool_tag: tag,
   };
-
-  if (token) {
-    headers.Authorization = `Bearer ${token}`;
-  }
-
-  return headers;
 };
 
-const handleResponse = async (response) => {
-  const contentType = response.headers.get("content-type");
-  if (!contentType || !contentType.includes("application/json")) {
-    throw new Error("Terjadi kesalahan pada server");
-  }
-
-  const data = await response.json();
-
-  if (!response.ok) {
-    throw new Error(data.message || `Server error: ${response.status}`);
-  }
-  return data;
+const toKuisPayload = (data) => ({
+  title: data.title,
+  description: data.description,
+  is_private: data.is_private,
+  kategori_id: data.kategori_id,
+  tingkatan_id: data.tingkatan_id,
+  kelas_id: data.kelas_id,
+  pendidikan_id: data.pendidikan_id,
+  negative_marking: Number(data.negative_marking) || 0,
+  partial_credit: data.partial_credit !== false,
+  shuffle_questions: Boolean(data.shuffle_questions),
+  shuffle_options: Boolean(data.shuffle_options),
+  open_at: fromDateTimeLocalValue(data.open_at),
+  close_at: fromDateTimeLocalValue(data.close_at),
+  late_minutes: Math.max(Number(data.late_minutes) || 0, 0),
+  duration_minutes: Number(data.duration_minutes) > 0 ? Number(data.duration_minutes) : DEFAULT_DURATION_MINUTES,
+  question_time_limit: Math.max(Math.round(Number(data.question_time_limit) || 0), 0),
+  ...toAttemptPayload(data),
+  ...toPoolPayload(data),
+});
+
+const toSoalPayload = (data) => {
+  const optionsJson = toOptionsJson(data);
+  return {
+    type: data.type || QUESTION_TYPES.MULTIPLE_CHOICE,
+    question: data.question,
+    options_json: optionsJson, // This will be mapped to Options field in backend
+    correct_answer: data.correct_answer,
+    points: Number(data.points) > 0 ? Number(data.points) : 1,
+    explanation: String(data.explanation ?? "").trim(),
+    option_feedback: toOptionFeedbackJson(data.option_feedback, parseOptions(optionsJson)),
+    media: toMediaJson(data.media),
+    option_media: toOptionMediaJson(data.option_media, parseOptions(optionsJson)),
+    tags: toTagsJson(data.tags),
+    difficulty: getSoalDifficulty(data),
+    source_soal_id: getSourceSoalId(data),
+    is_reference: isReferenceSoal(data),
+    kuis_id: parseInt(data.kuis_id),
+  };
 };
 
-// Enhanced fetch with caching and rate limiting
-const cachedFetch = async (url, options = {}) => {
-  const cacheKey = `${url}_${JSON.stringify(options)}`;
-  const now = Date.now();
-
-  // Check cache for GET requests
-  if (!options.method || options.method === 'GET') {
-    const cached = requestCache.get(cacheKey);
-    if (cached && (now - cached.timestamp) < CACHE_DURATION) {
-      return cached.data;
-    }
-  }
+export const api = {
+  // User
+  login: (credentials) => httpClient.post("/user/login", credentials),
 
-  // Use rate limiting for all requests
-  const requestFn = async () => {
-    const response = await fetch(url, options);
-    const data = await handleResponse(response);
-
-    // Cache successful GET responses
-    if ((!options.method || options.method === 'GET') && data.success) {
-      requestCache.set(cacheKey, {
-        data,
-        timestamp: now
-      });
-    }
+  register: (userData) => httpClient.post("/user/register", userData),
 
-    return data;
-  };
+  getCurrentUser: () => httpClient.get("/user/get-user"),
 
-  return queueRequest(requestFn);
-};
+  logout: () => httpClient.get("/user/logout", { retry: false, sessionRefresh: false }),
 
-export const api = {
-  // Kategori
-  getKategori: async () => {
-    try {
-      return await cachedFetch(`${BASE_URL}/kategori/get-kategori`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-    } catch (error) {
-      console.error("Error fetching kategori:", error);
-      throw error;
+  // The stored setting is part of the user: {leaderboard_opt_out}
+  getLeaderboardPrivacy: () => {
+    if (API_CONFIG.MOCKS.ENABLED) {
+      return Promise.resolve(getMockLeaderboardOptOut());
     }
+    return httpClient.get("/user/get-user", { cache: false });
   },
 
-  addKategori: async (data) => {
-    try {
-      const kategoriData = {
-        name: data.name,
-        description: data.description,
-      };
-
-      const response = await fetch(`${BASE_URL}/kategori/add-kategori`, {
-        method: "POST",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(kategoriData),
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error adding kategori:", error);
-      throw error;
+  updateLeaderboardPrivacy: (optOut) => {
+    if (API_CONFIG.MOCKS.ENABLED) {
+      return Promise.resolve(setMockLeaderboardOptOut(optOut));
     }
+    return httpClient.patch("/user/leaderboard-privacy", {
+      leaderboard_opt_out: Boolean(optOut),
+    });
   },
 
-  updateKategori: async (id, data) => {
-    try {
-      const kategoriData = {
-        name: data.name,
-        description: data.description,
-      };
-
-      const response = await fetch(
-        `${BASE_URL}/kategori/update-kategori/${id}`,
-        {
-          method: "PATCH",
-          headers: getAuthHeader(),
-          credentials: 'include',
-          body: JSON.stringify(kategoriData),
-        }
-      );
-
-      const result = await handleResponse(response);
-
-      // Clear cache after successful update
-      if (result.success) {
-        clearCacheForEndpoint('/kategori/get-kategori');
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Error updating kategori:", error);
-      throw error;
-    }
-  },
+  // Kategori
+  getKategori: () => httpClient.get("/kategori/get-kategori"),
 
-  deleteKategori: async (id) => {
-    try {
-      const response = await fetch(
-        `${BASE_URL}/kategori/delete-kategori/${id}`,
-        {
-          method: "DELETE",
-          headers: getAuthHeader(),
-          credentials: 'include',
-        }
-      );
-
-      const result = await handleResponse(response);
-
-      // Clear cache after successful delete
-      if (result.success) {
-        clearCacheForEndpoint('/kategori/get-kategori');
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Error deleting kategori:", error);
-      throw error;
-    }
-  },
+  addKategori: (data) =>
+    httpClient.post("/kategori/add-kategori", {
+      name: data.name,
+      description: data.description,
+    }),
+
+  updateKategori: (id, data) =>
+    httpClient.patch(`/kategori/update-kategori/${id}`, {
+      name: data.name,
+      description: data.description,
+    }),
+
+  deleteKategori: (id) => httpClient.delete(`/kategori/delete-kategori/${id}`),
 
   // Tingkatan
-  getTingkatan: async () => {
-    try {
-      return await cachedFetch(`${BASE_URL}/tingkatan/get-tingkatan`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-    } catch (error) {
-      console.error("Error fetching tingkatan:", error);
-      throw error;
-    }
-  },
+  getTingkatan: () => httpClient.get("/tingkatan/get-tingkatan"),
 
-  addTingkatan: async (data) => {
-    try {
-      const response = await fetch(`${BASE_URL}/tingkatan/add-tingkatan`, {
-        method: "POST",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(data),
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error adding tingkatan:", error);
-      throw error;
-    }
-  },
+  addTingkatan: (data) => httpClient.post("/tingkatan/add-tingkatan", data),
 
-  updateTingkatan: async (id, data) => {
-    try {
-      const response = await fetch(
-        `${BASE_URL}/tingkatan/update-tingkatan/${id}`,
-        {
-          method: "PATCH",
-          headers: getAuthHeader(),
-          credentials: 'include',
-          body: JSON.stringify(data),
-        }
-      );
-
-      const result = await handleResponse(response);
-
-      // Clear cache after successful update
-      if (result.success) {
-        clearCacheForEndpoint('/tingkatan/get-tingkatan');
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Error updating tingkatan:", error);
-      throw error;
-    }
-  },
+  updateTingkatan: (id, data) =>
+    httpClient.patch(`/tingkatan/update-tingkatan/${id}`, data),
 
-  deleteTingkatan: async (id) => {
-    try {
-      const response = await fetch(
-        `${BASE_URL}/tingkatan/delete-tingkatan/${id}`,
-        {
-          method: "DELETE",
-          headers: getAuthHeader(),
-          credentials: 'include',
-        }
-      );
-
-      const result = await handleResponse(response);
-
-      // Clear cache after successful delete
-      if (result.success) {
-        clearCacheForEndpoint('/tingkatan/get-tingkatan');
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Error deleting tingkatan:", error);
-      throw error;
-    }
-  },
+  deleteTingkatan: (id) =>
+    httpClient.delete(`/tingkatan/delete-tingkatan/${id}`),
 
   // Pendidikan
-  getPendidikan: async () => {
-    try {
-      return await cachedFetch(`${BASE_URL}/pendidikan/get-pendidikan`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-    } catch (error) {
-      console.error("Error fetching pendidikan:", error);
-      throw error;
-    }
-  },
+  getPendidikan: () => httpClient.get("/pendidikan/get-pendidikan"),
 
-  addPendidikan: async (data) => {
-    try {
-      const response = await fetch(`${BASE_URL}/pendidikan/add-pendidikan`, {
-        method: "POST",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(data),
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error adding pendidikan:", error);
-      throw error;
-    }
-  },
+  addPendidikan: (data) => httpClient.post("/pendidikan/add-pendidikan", data),
 
-  updatePendidikan: async (id, data) => {
-    try {
-      const response = await fetch(
-        `${BASE_URL}/pendidikan/update-pendidikan/${id}`,
-        {
-          method: "PATCH",
-          headers: getAuthHeader(),
-          credentials: 'include',
-          body: JSON.stringify(data),
-        }
-      );
-
-      const result = await handleResponse(response);
-
-      // Clear cache after successful update
-      if (result.success) {
-        clearCacheForEndpoint('/pendidikan/get-pendidikan');
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Error updating pendidikan:", error);
-      throw error;
-    }
-  },
+  updatePendidikan: (id, data) =>
+    httpClient.patch(`/pendidikan/update-pendidikan/${id}`, data),
 
-  deletePendidikan: async (id) => {
-    try {
-      const response = await fetch(
-        `${BASE_URL}/pendidikan/delete-pendidikan/${id}`,
-        {
-          method: "DELETE",
-          headers: getAuthHeader(),
-          credentials: 'include',
-        }
-      );
-
-      const result = await handleResponse(response);
-
-      // Clear cache after successful delete
-      if (result.success) {
-        clearCacheForEndpoint('/pendidikan/get-pendidikan');
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Error deleting pendidikan:", error);
-      throw error;
-    }
-  },
+  deletePendidikan: (id) =>
+    httpClient.delete(`/pendidikan/delete-pendidikan/${id}`),
 
   // Kelas
-  getKelas: async () => {
-    try {
-      return await cachedFetch(`${BASE_URL}/kelas/get-kelas`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-    } catch (error) {
-      console.error("Error fetching kelas:", error);
-      throw error;
-    }
-  },
+  getKelas: () => httpClient.get("/kelas/get-kelas"),
 
-  getKelasById: async (id) => {
-    try {
-      return await cachedFetch(`${BASE_URL}/kelas/get-kelas/${id}`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-    } catch (error) {
-      console.error("Error fetching kelas by id:", error);
-      throw error;
-    }
-  },
+  getKelasById: (id) => httpClient.get(`/kelas/get-kelas/${id}`),
 
-  addKelas: async (data) => {
-    try {
-      const response = await fetch(`${BASE_URL}/kelas/add-kelas`, {
-        method: "POST",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(data),
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error adding kelas:", error);
-      throw error;
-    }
-  },
+  addKelas: (data) => httpClient.post("/kelas/add-kelas", data),
 
-  updateKelas: async (id, data) => {
-    try {
-      const response = await fetch(`${BASE_URL}/kelas/update-kelas/${id}`, {
-        method: "PATCH",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(data),
-      });
-
-      const result = await handleResponse(response);
-
-      // Clear cache after successful update
-      if (result.success) {
-        clearCacheForEndpoint('/kelas/get-kelas');
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Error updating kelas:", error);
-      throw error;
-    }
-  },
+  updateKelas: (id, data) => httpClient.patch(`/kelas/update-kelas/${id}`, data),
 
-  deleteKelas: async (id) => {
-    try {
-      const response = await fetch(`${BASE_URL}/kelas/delete-kelas/${id}`, {
-        method: "DELETE",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-
-      const result = await handleResponse(response);
-
-      // Clear cache after successful delete
-      if (result.success) {
-        clearCacheForEndpoint('/kelas/get-kelas');
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Error deleting kelas:", error);
-      throw error;
-    }
-  },
+  deleteKelas: (id) => httpClient.delete(`/kelas/delete-kelas/${id}`),
 
   // Join Class with Code - USING CORRECT BACKEND ENDPOINTS
-  getJoinedClasses: async () => {
-    try {
-      const response = await fetch(`${BASE_URL}/kelas/get-kelas-by-user`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error fetching joined classes:", error);
-      throw error;
-    }
-  },
+  getJoinedClasses: () =>
+    httpClient.get("/kelas/get-kelas-by-user", { cache: false }),
 
-  joinClassWithCode: async (joinCode) => {
-    try {
-      const response = await fetch(`${BASE_URL}/kelas/join-by-code`, {
-        method: "POST",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify({ join_code: joinCode }),
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error joining class with code:", error);
-      throw error;
-    }
-  },
+  joinClassWithCode: (joinCode) =>
+    httpClient.post("/kelas/join-by-code", { join_code: joinCode }),
 
-  leaveClass: async (kelasId) => {
-    try {
-      const response = await fetch(`${BASE_URL}/kelas/leave-class/${kelasId}`, {
-        method: "DELETE",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error leaving class:", error);
-      throw error;
-    }
-  },
+  leaveClass: (kelasId) => httpClient.delete(`/kelas/leave-class/${kelasId}`),
 
   // Get students in a class (API not implemented yet - return mock data)
   getStudentsByKelasId: async (kelasId) => {
+    if (API_CONFIG.MOCKS.ENABLED) {
+      return getMockKelasStudents(getStoredUser());
+    }
+
     // API endpoint belum diimplementasi di backend
     // Return mock response tanpa melakukan HTTP request
     console.log(`getStudentsByKelasId(${kelasId}): API not implemented, returning mock data`);
@@ -510,248 +204,168 @@ export const api = {
     };
   },
 
-  // Kuis
-  getKuis: async () => {
-    try {
-      return await cachedFetch(`${BASE_URL}/kuis/get-kuis`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-    } catch (error) {
-      console.error("Error fetching kuis:", error);
-      throw error;
+  // Grading schemes: custom schemes, default scheme and kelas / kuis assignments
+  getGradingSettings: () => {
+    if (API_CONFIG.MOCKS.ENABLED) {
+      return Promise.resolve(getMockGradingSettings());
     }
+    return httpClient.get("/grading-scheme/settings");
   },
 
-  getKuisByKelasId: async (kelasId) => {
-    try {
-      const response = await fetch(
-        `${BASE_URL}/kuis/filter-kuis?kelas_id=${kelasId}`,
-        {
-          method: "GET",
-          headers: getAuthHeader(),
-          credentials: 'include',
-        }
-      );
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error fetching kuis by kelas id:", error);
-      throw error;
+  saveGradingSettings: (settings) => {
+    if (API_CONFIG.MOCKS.ENABLED) {
+      return Promise.resolve(saveMockGradingSettings(settings));
     }
+    return httpClient.put("/grading-scheme/settings", settings);
   },
 
-  addKuis: async (data) => {
-    try {
-      const kuisData = {
-        title: data.title,
-        description: data.description,
-        kategori_id: data.kategori_id,
-        tingkatan_id: data.tingkatan_id,
-        kelas_id: data.kelas_id,
-        pendidikan_id: data.pendidikan_id,
-      };
-
-      const response = await fetch(`${BASE_URL}/kuis/add-kuis`, {
-        method: "POST",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(kuisData),
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error adding kuis:", error);
-      throw error;
-    }
-  },
+  // Kuis
+  getKuis: (options) => httpClient.get("/kuis/get-kuis", options),
 
-  updateKuis: async (id, data) => {
-    try {
-      const kuisData = {
-        title: data.title,
-        description: data.description,
-        kategori_id: data.kategori_id,
-        tingkatan_id: data.tingkatan_id,
-        kelas_id: data.kelas_id,
-        pendidikan_id: data.pendidikan_id,
-      };
-
-      const response = await fetch(`${BASE_URL}/kuis/update-kuis/${id}`, {
-        method: "PATCH",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(kuisData),
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error updating kuis:", error);
-      throw error;
-    }
-  },
+  getKuisByKelasId: (kelasId) =>
+    httpClient.get(`/kuis/filter-kuis?kelas_id=${kelasId}`),
 
-  deleteKuis: async (id) => {
-    try {
-      const response = await fetch(`${BASE_URL}/kuis/delete-kuis/${id}`, {
-        method: "DELETE",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error deleting kuis:", error);
-      throw error;
-    }
-  },
+  addKuis: (data) => httpClient.post("/kuis/add-kuis", toKuisPayload(data)),
+
+  updateKuis: (id, data) =>
+    httpClient.patch(`/kuis/update-kuis/${id}`, toKuisPayload(data)),
+
+  deleteKuis: (id) => httpClient.delete(`/kuis/delete-kuis/${id}`, { invalidates: ["kuis", `kuis:${id}`] }),
 
   // Soal
-  getSoal: async () => {
-    try {
-      return await cachedFetch(`${BASE_URL}/soal/get-soal`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-    } catch (error) {
-      console.error("Error fetching soal:", error);
-      throw error;
-    }
+  getSoal: (options) => httpClient.get("/soal/get-soal", options),
+
+  getSoalByKuisID: (kuisId, options) => httpClient.get(`/soal/get-soal/${kuisId}`, options),
+
+  // Number of soal per kuis from one request, responds with { [kuisId]: count }
+  getSoalCounts: async () => {
+    const soalRes = await api.getSoal();
+    return { ...soalRes, data: countSoalByKuis(soalRes.data || []) };
   },
 
-  getSoalByKuisID: async (kuisId) => {
-    try {
-      return await cachedFetch(`${BASE_URL}/soal/get-soal/${kuisId}`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-    } catch (error) {
-      console.error("Error fetching soal by kuis ID:", error);
-      throw error;
+  addSoal: async (data) =>
+    httpClient.post("/soal/add-soal", toSoalPayload(data), { invalidates: getSoalCacheTags(data) }),
+
+  updateSoal: async (id, data) =>
+    httpClient.patch(`/soal/update-soal/${id}`, toSoalPayload(data), { invalidates: getSoalCacheTags(data) }),
+
+  deleteSoal: (id) => httpClient.delete(`/soal/delete-soal/${id}`),
+
+  // Soal served in an attempt: the kuis' own soal, or a sample of its pool.
+  // A restored attempt passes the IDs it was served to get the same set again.
+  // Never answered from a stale cache entry
+  getAttemptSoal: async (kuis, { seed, soalIds } = {}) => {
+    const kuisId = kuis.ID ?? kuis.id;
+    const options = { cache: "fresh" };
+    if (!isPoolKuis(kuis)) {
+      return api.getSoalByKuisID(kuisId, options);
+    }
+    if (soalIds?.length) {
+      const soalRes = await api.getSoal(options);
+      return { ...soalRes, data: pickSoalByIds(soalRes.data || [], soalIds) };
     }
+    if (API_CONFIG.MOCKS.ENABLED) {
+      const [soalRes, kuisRes] = await Promise.all([api.getSoal(options), api.getKuis(options)]);
+      return drawMockPoolSoal(kuis, soalRes.data, kuisRes.data, seed);
+    }
+    return httpClient.get(`/kuis/draw-soal/${kuisId}?seed=${seed}`, options);
   },
 
-  addSoal: async (data) => {
-    try {
-      // Ensure options is properly formatted as JSON string
-      let optionsJson;
-      if (typeof data.options === 'string') {
-        optionsJson = data.options;
-      } else if (data.options && typeof data.options === 'object') {
-        optionsJson = JSON.stringify(data.options);
-      } else if (data.options_json) {
-        optionsJson = data.options_json;
-      } else {
-        throw new Error('Options data is required');
-      }
-
-      const soalData = {
-        question: data.question,
-        options_json: optionsJson,  // This will be mapped to Options field in backend
-        correct_answer: data.correct_answer,
-        kuis_id: parseInt(data.kuis_id),
-      };
-
-      const response = await fetch(`${BASE_URL}/soal/add-soal`, {
-        method: "POST",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(soalData),
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error adding soal:", error);
-      throw error;
+  // Media attachments of soal, responds with { url, type, name }
+  uploadMedia: (file) => {
+    if (API_CONFIG.MOCKS.ENABLED) {
+      return saveMockMedia(file);
     }
+    const formData = new FormData();
+    formData.append("file", file);
+    return httpClient.upload("/media/upload", formData);
   },
 
-  updateSoal: async (id, data) => {
-    try {
-      // Ensure options is properly formatted as JSON string
-      let optionsJson;
-      if (typeof data.options === 'string') {
-        optionsJson = data.options;
-      } else if (data.options && typeof data.options === 'object') {
-        optionsJson = JSON.stringify(data.options);
-      } else if (data.options_json) {
-        optionsJson = data.options_json;
-      } else {
-        throw new Error('Options data is required');
-      }
-
-      const soalData = {
-        question: data.question,
-        options_json: optionsJson,
-        correct_answer: data.correct_answer,
-        kuis_id: parseInt(data.kuis_id),
-      };
-
-      const response = await fetch(`${BASE_URL}/soal/update-soal/${id}`, {
-        method: "PATCH",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(soalData),
-      });
-      return await handleResponse(response);
-    } catch (error) {
-      console.error("Error in updateSoal:", error);
-      throw error;
-    }
+  // Hasil Kuis
+  submitJawaban: (answers) => {
+    // Format answers according to backend SoalAnswer model
+    const formattedAnswers = answers.map((answer) => ({
+      Soal_id: parseInt(answer.soal_id),      // Backend expects Soal_id
+      Answer: answer.selected_answer,         // Backend expects Answer
+      User_id: parseInt(answer.user_id),      // Backend expects User_id
+    }));
+
+    // Send array directly, not wrapped in object
+    return httpClient.post("/hasil-kuis/submit-jawaban", formattedAnswers);
   },
 
-  deleteSoal: async (id) => {
-    try {
-      const response = await fetch(`${BASE_URL}/soal/delete-soal/${id}`, {
-        method: "DELETE",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error deleting soal:", error);
-      throw error;
+  // OPTIMIZED: Get all quiz results for current user in single API call
+  getMyHasilKuis: (options) => httpClient.get("/hasil-kuis/my-results", options),
+
+  getHasilKuisByKuis: (userId, kuisId) =>
+    httpClient.get(`/hasil-kuis/${userId}/${kuisId}`),
+
+  // Results of every student in a kelas, with User and Kuis preloaded
+  getHasilKuisByKelas: async (kelasId) => {
+    if (API_CONFIG.MOCKS.ENABLED) {
+      const kuisRes = await api.getKuisByKelasId(kelasId);
+      return getMockHasilKuisResults(kelasId, kuisRes.data || [], getStoredUser());
     }
+    return httpClient.get(`/hasil-kuis/kelas/${kelasId}`);
   },
 
-  // Hasil Kuis
-  submitJawaban: async (answers) => {
-    try {
-      // Format answers according to backend SoalAnswer model
-      const formattedAnswers = answers.map((answer) => ({
-        Soal_id: parseInt(answer.soal_id),      // Backend expects Soal_id
-        Answer: answer.selected_answer,         // Backend expects Answer
-        User_id: parseInt(answer.user_id),      // Backend expects User_id
-      }));
-
-      const response = await fetch(`${BASE_URL}/hasil-kuis/submit-jawaban`, {
-        method: "POST",
-        headers: getAuthHeader(),
-        credentials: 'include',
-        body: JSON.stringify(formattedAnswers),  // Send array directly, not wrapped in object
-      });
-
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.message || "Gagal mengirim jawaban");
-      }
-      return data;
-    } catch (error) {
-      console.error("Error dalam submitJawaban:", error);
-      throw error;
+  // Results of every student on one kuis with their answers, for item analysis
+  getHasilKuisResponses: async (kuis) => {
+    const kuisId = kuis.ID ?? kuis.id;
+    if (API_CONFIG.MOCKS.ENABLED) {
+      const [soalRes, kuisRes] = isPoolKuis(kuis)
+        ? await Promise.all([api.getSoal(), api.getKuis()])
+        : [await api.getSoalByKuisID(kuisId), { data: [] }];
+      return getMockKuisResponses(kuis, soalRes.data || [], kuisRes.data || [], getStoredUser());
     }
+    return httpClient.get(`/hasil-kuis/kuis/${kuisId}/answers`);
   },
 
-  // OPTIMIZED: Get all quiz results for current user in single API call
-  getMyHasilKuis: async () => {
-    try {
-      const response = await fetch(`${BASE_URL}/hasil-kuis/my-results`, {
-        method: "GET",
-        headers: getAuthHeader(),
-        credentials: 'include',
-      });
-      return handleResponse(response);
-    } catch (error) {
-      console.error("Error fetching my hasil kuis:", error);
-      throw error;
+  // Results of every student across all kuis, for the global leaderboard
+  getAllHasilKuis: async () => {
+    if (API_CONFIG.MOCKS.ENABLED) {
+      const kuisRes = await api.getKuis();
+      return getMockHasilKuisResults("global", kuisRes.data || [], getStoredUser());
     }
+    return httpClient.get("/hasil-kuis/get-hasil");
   },
 };
+
+// Quiz API
+export const quizAPI = {
+  getAll: (options) => api.getKuis(options),
+  getById: (id) => httpClient.get(`/kuis/get-kuis/${id}`),
+  create: (quizData) => api.addKuis(quizData),
+  update: (id, quizData) => api.updateKuis(id, quizData),
+  delete: (id) => api.deleteKuis(id),
+};
+
+// Question API
+export const questionAPI = {
+  getByQuizId: (quizId) => api.getSoalByKuisID(quizId),
+  getForAttempt: (quiz, options) => api.getAttemptSoal(quiz, options),
+  create: (questionData) => api.addSoal(questionData),
+  update: (id, questionData) => api.updateSoal(id, questionData),
+  delete: (id) => api.deleteSoal(id),
+};
+
+// Quiz Result API
+export const quizResultAPI = {
+  // Submit answers already in backend format ({ Soal_id, Answer, User_id })
+  submit: (answers) => httpClient.post("/hasil-kuis/submit-jawaban", answers),
+  getMine: (options) => api.getMyHasilKuis(options),
+  getByKuis: (userId, kuisId) => api.getHasilKuisByKuis(userId, kuisId),
+  getByKelas: (kelasId) => api.getHasilKuisByKelas(kelasId),
+  getResponses: (kuis) => api.getHasilKuisResponses(kuis),
+  getAll: () => api.getAllHasilKuis(),
+};
+
+// User API
+export const userAPI = {
+  login: (credentials) => api.login(credentials),
+  register: (userData) => api.register(userData),
+  getProfile: () => api.getCurrentUser(),
+  logout: () => api.logout(),
+};
+
+export default api;
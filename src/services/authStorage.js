@@ -0,0 +1,215 @@
+import { API_CONFIG } from '../config/apiConfig.js';
+
+/**
+ * Store of the signed-in session outside React
+ * AuthContext renders it for components; the HTTP client, the response cache
+ * and the session service read it directly. State is
+ * { token, expiresAt, userId, userName, userRole } or null when signed out.
+ *
+ * Where it is kept depends on API_CONFIG.AUTH.STORAGE:
+ * - session: sessionStorage, a new tab asks an open tab for the session
+ * - memory: nowhere, a reload asks an open tab for the session
+ * - cookie: the backend keeps the token in an httpOnly cookie, only the profile is stored
+ * - local: localStorage
+ *
+ * Login, token refreshes and logout are broadcast to the other tabs over a
+ * BroadcastChannel, or through storage events where only those are available.
+ */
+
+export const AUTH_STORAGE_MODES = {
+  SESSION: 'session',
+  MEMORY: 'memory',
+  COOKIE: 'cookie',
+  LOCAL: 'local',
+};
+
+const STORAGE_KEY = 'brainquizAuth';
+const CHANNEL_NAME = 'brainquiz-auth';
+// How long a new tab waits for an open tab to share its session
+const SHARE_TIMEOUT = 200;
+// Keys the session was kept under in localStorage before this store
+const LEGACY_KEYS = ['token', 'tokenExpiresAt', 'userId', 'userName', 'userRole', 'role'];
+
+const mode = Object.values(AUTH_STORAGE_MODES).includes(API_CONFIG.AUTH.STORAGE)
+  ? API_CONFIG.AUTH.STORAGE
+  : AUTH_STORAGE_MODES.SESSION;
+
+const getStorage = () => {
+  if (typeof window === 'undefined') return null;
+  if (mode === AUTH_STORAGE_MODES.SESSION) return window.sessionStorage;
+  if (mode === AUTH_STORAGE_MODES.MEMORY) return null;
+  return window.localStorage;
+};
+
+const storage = getStorage();
+const listeners = new Set();
+
+const normalize = (next) => {
+  if (!next) return null;
+  return {
+    // The cookie holds the token, the page never sees it
+    token: mode === AUTH_STORAGE_MODES.COOKIE ? null : next.token || null,
+    expiresAt: Number(next.expiresAt) || null,
+    userId: next.userId != null ? String(next.userId) : null,
+    userName: next.userName || null,
+    userRole: next.userRole || null,
+  };
+};
+
+const readStored = () => {
+  try {
+    return normalize(JSON.parse(storage?.getItem(STORAGE_KEY)));
+  } catch {
+    return null;
+  }
+};
+
+// A session stored by an older version under separate localStorage keys
+const migrateLegacy = () => {
+  if (typeof localStorage === 'undefined' || !localStorage.getItem('token')) return null;
+
+  const legacy = normalize({
+    token: localStorage.getItem('token'),
+    expiresAt: localStorage.getItem('tokenExpiresAt'),
+    userId: localStorage.getItem('userId'),
+    userName: localStorage.getItem('userName'),
+    userRole: localStorage.getItem('userRole') || localStorage.getItem('role'),
+  });
+  LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+  return legacy;
+};
+
+const write = (next) => {
+  if (!storage) return;
+  if (next) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } else {
+    storage.removeItem(STORAGE_KEY);
+  }
+};
+
+let state = readStored();
+if (!state) {
+  state = migrateLegacy();
+  write(state);
+}
+
+// Apply a change without broadcasting it, e.g. one that came from another tab
+const apply = (next, meta = {}) => {
+  state = normalize(next);
+  listeners.forEach((listener) => listener(state, meta));
+};
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+const broadcast = (message) => {
+  channel?.postMessage(message);
+};
+
+let resolveShared = null;
+
+if (channel) {
+  channel.onmessage = ({ data: message }) => {
+    if (message.type === 'set') {
+      write(normalize(message.state));
+      apply(message.state, { remote: true });
+    } else if (message.type === 'clear') {
+      write(null);
+      apply(null, { remote: true, reason: message.reason });
+    } else if (message.type === 'request' && state) {
+      broadcast({ type: 'share', state });
+    } else if (message.type === 'share' && !state && resolveShared) {
+      write(normalize(message.state));
+      apply(message.state, { remote: true });
+      resolveShared();
+    }
+  };
+} else if (storage && typeof window !== 'undefined' && storage === window.localStorage) {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    const next = readStored();
+    apply(next, { remote: true, reason: next ? undefined : 'logout' });
+  });
+}
+
+// Without a stored session, an open tab may share its own
+const canAskOtherTabs = !state && channel &&
+  (mode === AUTH_STORAGE_MODES.SESSION || mode === AUTH_STORAGE_MODES.MEMORY);
+
+export const authReady = canAskOtherTabs
+  ? new Promise((resolve) => {
+    resolveShared = () => {
+      resolveShared = null;
+      resolve();
+    };
+    setTimeout(() => resolveShared?.(), SHARE_TIMEOUT);
+    broadcast({ type: 'request' });
+  })
+  : Promise.resolve();
+
+export const getAuthMode = () => mode;
+
+/**
+ * Current session
+ * @returns {Object|null} - {token, expiresAt, userId, userName, userRole}
+ */
+export const getAuthState = () => state;
+
+export const getAuthToken = () => state?.token || null;
+
+// Signed in, whether the token is readable or kept in a cookie
+export const hasAuthSession = () =>
+  Boolean(state && (state.token || (mode === AUTH_STORAGE_MODES.COOKIE && state.userId)));
+
+/**
+ * Start a session, or replace the current one
+ * @param {Object} next - {token, expiresAt, userId, userName, userRole}
+ */
+export const setAuthState = (next) => {
+  const normalized = normalize(next);
+  write(normalized);
+  apply(normalized);
+  broadcast({ type: 'set', state: normalized });
+};
+
+/**
+ * Change part of the current session, e.g. after a token refresh
+ * @param {Object} changes
+ */
+export const updateAuthState = (changes) => {
+  if (!state) return;
+  setAuthState({ ...state, ...changes });
+};
+
+/**
+ * End the session in this tab and the others
+ * @param {string} reason - Why it ended, passed on to the listeners
+ */
+export const clearAuthState = (reason) => {
+  write(null);
+  apply(null, { reason });
+  broadcast({ type: 'clear', reason });
+};
+
+/**
+ * Listen to session changes
+ * @param {Function} listener - (state, {remote, reason}) => void
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  AUTH_STORAGE_MODES,
+  authReady,
+  getAuthMode,
+  getAuthState,
+  getAuthToken,
+  hasAuthSession,
+  setAuthState,
+  updateAuthState,
+  clearAuthState,
+  subscribeToAuth
+};
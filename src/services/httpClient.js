@@ -0,0 +1,273 @@
+import { BASE_URL, getAuthHeaders } from '../constants/api.js';
+import { API_CONFIG, shouldCache, getCacheKey, getCacheTags } from '../config/apiConfig.js';
+import { recordServerDate } from './serverClock.js';
+import { responseCache } from './responseCache.js';
+
+/**
+ * Single HTTP client used by every service in the app.
+ * Owns the auth header, the response cache, request queueing, retries,
+ * interceptors and the error shape thrown to callers.
+ * Token refresh and 401 handling are interceptors registered by session.js.
+ */
+
+/**
+ * Error thrown for every failed request
+ * @property {number} status - HTTP status (0 for network errors)
+ * @property {Object|null} data - Parsed response body, if any
+ * @property {string} endpoint - Endpoint path that was requested
+ * @property {string} method - HTTP method
+ * @property {boolean} isNetworkError - True when the server could not be reached
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, data = null, endpoint = '', method = 'GET', isNetworkError = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.isNetworkError = isNetworkError;
+  }
+}
+
+// Rate limiting
+const requestQueue = [];
+let activeRequests = 0;
+
+const processQueue = async () => {
+  if (activeRequests >= API_CONFIG.RATE_LIMIT.MAX_CONCURRENT || requestQueue.length === 0) {
+    return;
+  }
+
+  const { resolve, reject, requestFn } = requestQueue.shift();
+  activeRequests++;
+
+  try {
+    resolve(await requestFn());
+  } catch (error) {
+    reject(error);
+  } finally {
+    activeRequests--;
+    // Process next request after a small delay
+    setTimeout(processQueue, 100);
+  }
+};
+
+const queueRequest = (requestFn) => {
+  return new Promise((resolve, reject) => {
+    requestQueue.push({ resolve, reject, requestFn });
+    processQueue();
+  });
+};
+
+// Interceptors
+const createInterceptorList = () => {
+  const handlers = [];
+  return {
+    handlers,
+    // Register a handler; returns a function that removes it again
+    use: (handler) => {
+      handlers.push(handler);
+      return () => {
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+      };
+    },
+  };
+};
+
+const interceptors = {
+  request: createInterceptorList(),   // (config) => config
+  response: createInterceptorList(),  // (data, config) => data
+  error: createInterceptorList(),     // (error, config) => data | throw
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRetryable = (error) => error.isNetworkError || error.status >= 500;
+
+const parseBody = async (response) => {
+  const contentType = response.headers.get('content-type');
+  if (contentType && contentType.includes('application/json')) {
+    try {
+      return await response.json();
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+const send = async (config) => {
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}${config.endpoint}`, {
+      method: config.method,
+      headers: config.headers,
+      credentials: 'include',
+      body: config.body,
+    });
+  } catch (error) {
+    throw new ApiError(
+      'Tidak dapat terhubung ke server. Periksa koneksi internet Anda atau coba lagi nanti.',
+      { endpoint: config.endpoint, method: config.method, isNetworkError: true, data: { cause: error.message } }
+    );
+  }
+
+  recordServerDate(response.headers.get('date'), startedAt);
+  const data = await parseBody(response);
+
+  if (!response.ok) {
+    throw new ApiError(data?.message || `Server error: ${response.status}`, {
+      status: response.status,
+      data,
+      endpoint: config.endpoint,
+      method: config.method,
+    });
+  }
+
+  if (data === null) {
+    throw new ApiError('Terjadi kesalahan pada server', {
+      status: response.status,
+      endpoint: config.endpoint,
+      method: config.method,
+    });
+  }
+
+  return data;
+};
+
+const attempt = async (config, attemptNumber = 1) => {
+  const maxAttempts = config.retry ? API_CONFIG.RATE_LIMIT.RETRY_COUNT + 1 : 1;
+  try {
+    return await queueRequest(() => send(config));
+  } catch (error) {
+    if (attemptNumber < maxAttempts && isRetryable(error)) {
+      await delay(API_CONFIG.RATE_LIMIT.RETRY_DELAY * attemptNumber);
+      return attempt(config, attemptNumber + 1);
+    }
+    throw error;
+  }
+};
+
+// Send the request, run the response interceptors and cache the result
+const load = async (config) => {
+  let data = await attempt(config);
+
+  for (const handler of interceptors.response.handlers) {
+    data = (await handler(data, config)) ?? data;
+  }
+
+  if (config.cache && data.success) {
+    responseCache.set(config.cacheKey, data, { endpoint: config.endpoint, tags: getCacheTags(config.endpoint) });
+  }
+
+  // A successful mutation drops the cached reads it affects
+  if (config.method !== 'GET') {
+    responseCache.invalidateTags(config.invalidates || [config.endpoint.split('/')[1]]);
+  }
+
+  return data;
+};
+
+// Refresh a stale cache entry in the background, once per key at a time
+const revalidating = new Map();
+
+const revalidate = (config) => {
+  if (revalidating.has(config.cacheKey)) return;
+
+  responseCache.recordRevalidation();
+  const refresh = load(config)
+    .catch((error) => {
+      if (import.meta.env.DEV) {
+        console.warn('Revalidation failed, keeping the stale response:', config.endpoint, error.message);
+      }
+    })
+    .finally(() => revalidating.delete(config.cacheKey));
+  revalidating.set(config.cacheKey, refresh);
+};
+
+/**
+ * Perform a request against the backend
+ * Cached GETs answer from the cache; a stale entry is returned at once and refreshed in the background.
+ * @param {string} endpoint - Path relative to BASE_URL, e.g. '/kuis/get-kuis'
+ * @param {Object} options - { method, body, headers, cache, retry, invalidates, sessionRefresh }
+ *   cache: false skips the cache, 'fresh' never answers with a stale entry (reads an attempt depends on)
+ *   invalidates: cache tags a successful mutation drops, defaults to the endpoint's resource
+ *   sessionRefresh: false keeps the request from refreshing the session token
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+const request = async (endpoint, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  const isFormData = typeof FormData !== 'undefined' && options.body instanceof FormData;
+  const headers = { ...getAuthHeaders(), ...options.headers };
+  // The browser sets the multipart content type with its boundary
+  if (isFormData) delete headers['Content-Type'];
+
+  let config = {
+    endpoint,
+    method,
+    headers,
+    body: isFormData || options.body === undefined ? options.body : JSON.stringify(options.body),
+    cache: options.cache !== false && shouldCache(endpoint, method),
+    fresh: options.cache === 'fresh',
+    cacheKey: getCacheKey(endpoint, { method }),
+    retry: options.retry !== false && method === 'GET',
+    invalidates: options.invalidates,
+    sessionRefresh: options.sessionRefresh !== false,
+  };
+
+  for (const handler of interceptors.request.handlers) {
+    config = (await handler(config)) || config;
+  }
+
+  if (config.cache) {
+    await responseCache.ready;
+    const cached = responseCache.lookup(config.cacheKey);
+    if (cached && !(cached.stale && config.fresh)) {
+      if (cached.stale) revalidate(config);
+      return cached.data;
+    }
+  }
+
+  try {
+    return await load(config);
+  } catch (error) {
+    let currentError = error;
+    for (const handler of interceptors.error.handlers) {
+      try {
+        return await handler(currentError, config);
+      } catch (nextError) {
+        currentError = nextError;
+      }
+    }
+
+    if (import.meta.env.DEV) {
+      console.error('API Error:', {
+        endpoint,
+        method,
+        status: currentError.status,
+        message: currentError.message,
+      });
+    }
+
+    throw currentError;
+  }
+};
+
+export const httpClient = {
+  request,
+  get: (endpoint, options = {}) => request(endpoint, { ...options, method: 'GET' }),
+  post: (endpoint, body, options = {}) => request(endpoint, { ...options, method: 'POST', body }),
+  put: (endpoint, body, options = {}) => request(endpoint, { ...options, method: 'PUT', body }),
+  patch: (endpoint, body, options = {}) => request(endpoint, { ...options, method: 'PATCH', body }),
+  delete: (endpoint, options = {}) => request(endpoint, { ...options, method: 'DELETE' }),
+  upload: (endpoint, formData, options = {}) => request(endpoint, { ...options, method: 'POST', body: formData }),
+  // Send a prepared config again without the error interceptors, e.g. with a refreshed token
+  replay: load,
+  interceptors,
+  cache: responseCache,
+};
+
+export default httpClient;
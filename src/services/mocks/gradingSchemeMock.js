@@ -0,0 +1,35 @@
+/**
+ * Development mock for the grading settings endpoint
+ * Enabled with VITE_USE_MOCKS=true; settings are kept in localStorage only.
+ */
+
+const MOCK_SETTINGS_KEY = 'mockGradingSettings';
+
+export const getMockGradingSettings = () => {
+  let data = null;
+  try {
+    data = JSON.parse(localStorage.getItem(MOCK_SETTINGS_KEY));
+  } catch {
+    data = null;
+  }
+
+  return {
+    success: true,
+    data: data || { schemes: [], default_scheme_id: 'standard', assignments: { kelas: {}, kuis: {} } },
+    message: 'Mock data: endpoint grading-scheme belum tersedia di backend'
+  };
+};
+
+export const saveMockGradingSettings = (settings) => {
+  localStorage.setItem(MOCK_SETTINGS_KEY, JSON.stringify(settings));
+  return {
+    success: true,
+    data: settings,
+    message: 'Mock data: skema penilaian disimpan secara lokal'
+  };
+};
+
+export default {
+  getMockGradingSettings,
+  saveMockGradingSettings
+};
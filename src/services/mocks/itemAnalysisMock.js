@@ -0,0 +1,82 @@
+/**
+ * Development mock for the answers of every student on one kuis
+ * Enabled with VITE_USE_MOCKS=true until the backend exposes the endpoint.
+ * Answers are generated from the real soal, stronger students answer correctly more often.
+ */
+
+import { createSeededRandom } from '../../utils/shuffle';
+import { parseOptions } from '../../utils/optionsParser';
+import { getQuestionType, isChoiceType, isCorrectOption, QUESTION_TYPES } from '../../utils/questionTypes';
+import { getSoalId } from '../../utils/questionBank';
+import { drawPoolSoal, getPoolCandidates, getPoolSettings, isPoolKuis } from '../../utils/questionPool';
+import { scoreQuiz, getScoringSettings } from '../../utils/scoring';
+import { getMockKelasStudents } from './leaderboardMock';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getWrongAnswer = (soal, random) => {
+  const type = getQuestionType(soal);
+  if (!isChoiceType(type)) {
+    return type === QUESTION_TYPES.NUMERIC ? String(Math.floor(random() * 100)) : 'tidak tahu';
+  }
+
+  const distractors = parseOptions(soal.options_json || soal.Options || soal.options)
+    .filter(option => !isCorrectOption(soal, option));
+  if (distractors.length === 0) return '';
+
+  // The first distractor is the most tempting one
+  const option = random() < 0.5 ? distractors[0] : distractors[Math.floor(random() * distractors.length)];
+  return type === QUESTION_TYPES.MULTIPLE_SELECT ? JSON.stringify([option]) : option;
+};
+
+/**
+ * Mock hasil-kuis rows with answers for one kuis
+ * @param {Object} kuis
+ * @param {Array} soalList - Soal of the kuis, or all soal for a pool kuis
+ * @param {Array} kuisList - All kuis, for the pool filters
+ * @param {Object} currentUser - {userId, userName}
+ * @returns {Object} - API-shaped response {success, data, message}
+ */
+export const getMockKuisResponses = (kuis, soalList = [], kuisList = [], currentUser = {}) => {
+  const kuisId = Number(kuis.ID ?? kuis.id);
+  const random = createSeededRandom(kuisId * 7919);
+  const now = Date.now();
+  const pool = isPoolKuis(kuis);
+  const candidates = pool ? getPoolCandidates(soalList, kuisList, getPoolSettings(kuis)) : soalList;
+  const itemDifficulty = new Map(candidates.map(soal => [getSoalId(soal), 0.2 + random() * 0.6]));
+
+  const rows = getMockKelasStudents(currentUser).data.map((student, index) => {
+    const ability = random();
+    const served = pool ? drawPoolSoal(candidates, getPoolSettings(kuis).size, Number(student.ID)) : candidates;
+
+    const answers = served.map(soal => {
+      const chance = 1 / (1 + Math.exp(-6 * (ability - itemDifficulty.get(getSoalId(soal)))));
+      const answer = random() < 0.05 ? '' : random() < chance ? soal.correct_answer : getWrongAnswer(soal, random);
+      return { soal_id: getSoalId(soal), answer };
+    });
+
+    const result = scoreQuiz(served, new Map(answers.map(item => [item.soal_id, item.answer])), getScoringSettings(kuis));
+
+    return {
+      ID: index + 1,
+      user_id: student.ID,
+      kuis_id: kuisId,
+      score: result.score,
+      correct_answer: result.correct,
+      total_questions: served.length,
+      answers,
+      created_at: new Date(now - Math.floor(random() * 30) * DAY_MS).toISOString(),
+      User: { ID: student.ID, name: student.name }
+    };
+  });
+
+  return {
+    success: true,
+    data: rows,
+    message: 'Mock data: endpoint hasil-kuis per kuis belum tersedia di backend'
+  };
+};
+
+export default {
+  getMockKuisResponses
+};
@@ -0,0 +1,107 @@
+/**
+ * Development mock for class students and class / global hasil-kuis results
+ * Enabled with VITE_USE_MOCKS=true until the backend exposes these endpoints.
+ * Data is generated deterministically from the kelas ID so it stays stable between reloads.
+ */
+
+import { createSeededRandom } from '../../utils/shuffle';
+
+const MOCK_STUDENTS = [
+  'Andi Pratama', 'Budi Santoso', 'Citra Lestari', 'Dewi Anggraini', 'Eko Saputra',
+  'Fitri Handayani', 'Gilang Ramadhan', 'Hana Putri', 'Indra Wijaya', 'Joko Susilo',
+  'Kartika Sari', 'Lukman Hakim'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MOCK_OPT_OUT_KEY = 'mockLeaderboardOptOut';
+
+const getMockStudentList = (currentUser = {}) => {
+  const students = MOCK_STUDENTS.map((name, index) => ({ ID: 9000 + index, name }));
+  if (currentUser.userId) {
+    students.push({ ID: currentUser.userId, name: currentUser.userName || 'Anda' });
+  }
+  return students;
+};
+
+/**
+ * Mock students of a kelas, same people as in the mock results
+ * @param {Object} currentUser - {userId, userName}
+ * @returns {Object} - API-shaped response {success, data, message}
+ */
+export const getMockKelasStudents = (currentUser = {}) => ({
+  success: true,
+  data: getMockStudentList(currentUser),
+  message: 'Mock data: endpoint get-students belum tersedia di backend'
+});
+
+/**
+ * Build mock hasil-kuis rows for a set of kuis
+ * @param {string|number} seed - Kelas ID, or 'global'
+ * @param {Array} kuisList - Real kuis so kategori filters keep working
+ * @param {Object} currentUser - {userId, userName}, included as one of the students
+ * @returns {Object} - API-shaped response {success, data, message}
+ */
+export const getMockHasilKuisResults = (seed, kuisList = [], currentUser = {}) => {
+  const random = createSeededRandom(String(seed).split('').reduce((sum, char) => sum * 31 + char.charCodeAt(0), 7));
+  const now = Date.now();
+  const students = getMockStudentList(currentUser);
+
+  const rows = [];
+  students.forEach((student, studentIndex) => {
+    const optedOut = String(student.ID) === String(currentUser.userId)
+      ? localStorage.getItem(MOCK_OPT_OUT_KEY) === 'true'
+      : studentIndex % 7 === 3;
+
+    kuisList.forEach(kuis => {
+      // Roughly two thirds of the students attempted each kuis
+      if (random() > 0.65) return;
+
+      const totalQuestions = 5 + Math.floor(random() * 6);
+      const correctAnswers = Math.floor(random() * (totalQuestions + 1));
+
+      rows.push({
+        ID: rows.length + 1,
+        user_id: student.ID,
+        kuis_id: kuis.ID,
+        score: Math.round((correctAnswers / totalQuestions) * 100),
+        correct_answer: correctAnswers,
+        total_questions: totalQuestions,
+        updated_at: new Date(now - Math.floor(random() * 60) * DAY_MS).toISOString(),
+        User: { ID: student.ID, name: student.name, leaderboard_opt_out: optedOut },
+        Kuis: { ID: kuis.ID, title: kuis.title, kategori_id: kuis.kategori_id }
+      });
+    });
+  });
+
+  return {
+    success: true,
+    data: rows,
+    message: 'Mock data: endpoint hasil-kuis kelas belum tersedia di backend'
+  };
+};
+
+/**
+ * Mocks for the leaderboard privacy setting
+ */
+export const getMockLeaderboardOptOut = () => ({
+  success: true,
+  data: { leaderboard_opt_out: localStorage.getItem(MOCK_OPT_OUT_KEY) === 'true' },
+  message: 'Mock data: pengaturan privasi dibaca secara lokal'
+});
+
+export const setMockLeaderboardOptOut = (optOut) => {
+  localStorage.setItem(MOCK_OPT_OUT_KEY, String(Boolean(optOut)));
+  return {
+    success: true,
+    data: { leaderboard_opt_out: Boolean(optOut) },
+    message: 'Mock data: pengaturan privasi disimpan secara lokal'
+  };
+};
+
+export default {
+  getMockKelasStudents,
+  getMockHasilKuisResults,
+  getMockLeaderboardOptOut,
+  setMockLeaderboardOptOut
+};
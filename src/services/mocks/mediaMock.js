@@ -0,0 +1,48 @@
+/**
+ * Development stand-in for the media upload endpoint
+ * Enabled with VITE_USE_MOCKS=true; files are kept in localStorage as data URLs
+ * and referenced by local-media: URLs, so they only exist in this browser.
+ */
+
+import { LOCAL_MEDIA_SCHEME, getMediaType } from '../../utils/questionMedia';
+
+const MOCK_MEDIA_PREFIX = 'mockMedia:';
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Gagal membaca file'));
+  reader.readAsDataURL(file);
+});
+
+export const saveMockMedia = async (file) => {
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const dataUrl = await readAsDataUrl(file);
+
+  try {
+    localStorage.setItem(`${MOCK_MEDIA_PREFIX}${id}`, dataUrl);
+  } catch {
+    throw new Error('Penyimpanan lokal penuh. Hapus lampiran lama atau gunakan file yang lebih kecil.');
+  }
+
+  return {
+    success: true,
+    data: { url: `${LOCAL_MEDIA_SCHEME}${id}`, type: getMediaType(file.type), name: file.name },
+    message: 'Mock data: file disimpan secara lokal'
+  };
+};
+
+/**
+ * Turn a local-media: URL into the stored data URL, other URLs are returned as is
+ * @param {string} url
+ * @returns {string} - Empty when the local file is gone
+ */
+export const resolveMediaUrl = (url) => {
+  if (!String(url).startsWith(LOCAL_MEDIA_SCHEME)) return url;
+  return localStorage.getItem(`${MOCK_MEDIA_PREFIX}${url.slice(LOCAL_MEDIA_SCHEME.length)}`) || '';
+};
+
+export default {
+  saveMockMedia,
+  resolveMediaUrl
+};
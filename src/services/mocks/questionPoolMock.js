@@ -0,0 +1,19 @@
+/**
+ * Development mock for drawing the soal of a pool kuis
+ * Enabled with VITE_USE_MOCKS=true; the sample is drawn in the browser from all soal.
+ */
+
+import { drawPoolSoal, getPoolCandidates, getPoolSettings } from '../../utils/questionPool';
+
+export const drawMockPoolSoal = (kuis, soalList = [], kuisList = [], seed) => {
+  const settings = getPoolSettings(kuis);
+  return {
+    success: true,
+    data: drawPoolSoal(getPoolCandidates(soalList, kuisList, settings), settings.size, seed),
+    message: 'Mock data: endpoint draw-soal belum tersedia di backend'
+  };
+};
+
+export default {
+  drawMockPoolSoal
+};
@@ -0,0 +1,34 @@
+/**
+ * Development mock for the token refresh endpoint
+ * Enabled with VITE_USE_MOCKS=true until the backend exposes the endpoint.
+ * The token is kept as is (the backend still has to accept it), only the
+ * session expiry moves. VITE_MOCK_SESSION_MINUTES shortens the session to try
+ * the expiry warning; going offline makes the refresh fail.
+ */
+
+/**
+ * Mock refresh of the current session
+ * @param {Object|null} session - Current auth state, its token is null in cookie mode
+ * @param {number} durationMs - Length of the refreshed session
+ * @param {number} now - Current server time in ms
+ * @returns {Object} - API-shaped response {success, data, message}
+ */
+export const getMockRefreshedSession = (session, durationMs, now = Date.now()) => {
+  if (!session) {
+    return { success: false, data: null, message: 'Mock data: tidak ada sesi untuk diperbarui' };
+  }
+
+  if (typeof navigator !== 'undefined' && !navigator.onLine) {
+    return { success: false, data: null, message: 'Mock data: sesi tidak dapat diperbarui saat offline' };
+  }
+
+  return {
+    success: true,
+    data: { token: session.token, expires_at: new Date(now + durationMs).toISOString() },
+    message: 'Mock data: endpoint refresh-token belum tersedia di backend'
+  };
+};
+
+export default {
+  getMockRefreshedSession
+};
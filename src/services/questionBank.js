@@ -0,0 +1,94 @@
+import { api } from './api';
+import {
+  REUSE_MODES,
+  getSoalId,
+  getSoalKuisId,
+  getSourceSoalId,
+  isReferenceSoal,
+  toSoalData
+} from '../utils/questionBank';
+
+/**
+ * Saving soal that may be shared between kuis through the question bank.
+ * A reference is a soal row of its own kuis that mirrors its source, so every
+ * save rewrites the source and all of its references with the same content.
+ */
+
+const getAllSoal = async () => {
+  const response = await api.getSoal();
+  return response.data || [];
+};
+
+const findReferences = (soalList, sourceId) =>
+  soalList.filter(soal => isReferenceSoal(soal) && getSourceSoalId(soal) === sourceId);
+
+const updateReferences = (references, sourceId, data) => Promise.all(references.map(soal =>
+  api.updateSoal(getSoalId(soal), {
+    ...data,
+    kuis_id: getSoalKuisId(soal),
+    source_soal_id: sourceId,
+    is_reference: true,
+  })
+));
+
+/**
+ * Add a bank soal to a kuis
+ * @param {Object} soal - Stored soal; a reference adds its source instead
+ * @param {number} kuisId - Target kuis
+ * @param {string} mode - One of REUSE_MODES
+ */
+export const addSoalToKuis = (soal, kuisId, mode = REUSE_MODES.COPY) => api.addSoal({
+  ...toSoalData(soal),
+  kuis_id: kuisId,
+  source_soal_id: isReferenceSoal(soal) ? getSourceSoalId(soal) : getSoalId(soal),
+  is_reference: mode === REUSE_MODES.REFERENCE,
+});
+
+/**
+ * Update a soal and every soal sharing its content
+ * @param {number} id - Soal being edited
+ * @param {Object} data - Form data including kuis_id, source_soal_id and is_reference
+ */
+export const saveSoal = async (id, data) => {
+  const soalList = await getAllSoal();
+  const sourceId = isReferenceSoal(data) ? getSourceSoalId(data) : Number(id);
+  const source = soalList.find(soal => getSoalId(soal) === sourceId);
+
+  if (!source) {
+    // The source was deleted, keep the edit as a copy
+    return api.updateSoal(id, { ...data, is_reference: false });
+  }
+
+  const response = await api.updateSoal(sourceId, {
+    ...data,
+    kuis_id: getSoalKuisId(source) ?? data.kuis_id,
+    source_soal_id: getSourceSoalId(source),
+    is_reference: false,
+  });
+  await updateReferences(findReferences(soalList, sourceId), sourceId, data);
+  return response;
+};
+
+/**
+ * Delete a soal, references to it become copies of the last content
+ * @param {number} id
+ */
+export const deleteSoal = async (id) => {
+  const soalList = await getAllSoal();
+  const response = await api.deleteSoal(id);
+  await Promise.all(findReferences(soalList, Number(id)).map(soal =>
+    api.updateSoal(getSoalId(soal), {
+      ...toSoalData(soal),
+      kuis_id: getSoalKuisId(soal),
+      source_soal_id: Number(id),
+      is_reference: false,
+    })
+  ));
+  return response;
+};
+
+export default {
+  addSoalToKuis,
+  saveSoal,
+  deleteSoal
+};
@@ -0,0 +1,41 @@
+import { api } from './api';
+
+/**
+ * Everything the result stats of the current user are built from, in one
+ * round-trip: kuis, kategori, the user's results and the soal count per kuis.
+ * Pages pass it to buildResultEntries (utils/resultStats).
+ */
+
+const EMPTY_RESPONSE = { success: false, data: null };
+
+// A missing soal count only makes scores fall back to one soal per kuis
+const getSoalCounts = () => api.getSoalCounts().catch((error) => {
+  if (import.meta.env.DEV) {
+    console.warn('Soal counts unavailable:', error.message);
+  }
+  return EMPTY_RESPONSE;
+});
+
+/**
+ * @returns {Promise<Object>} - {success, kuisList, kategoriList, hasilList, questionCounts}
+ */
+export const loadMyResults = async () => {
+  const [kuisRes, kategoriRes, hasilRes, countsRes] = await Promise.all([
+    api.getKuis(),
+    api.getKategori(),
+    api.getMyHasilKuis(),
+    getSoalCounts()
+  ]);
+
+  return {
+    success: Boolean(kuisRes.success && kategoriRes.success),
+    kuisList: kuisRes.data || [],
+    kategoriList: kategoriRes.data || [],
+    hasilList: hasilRes.success ? hasilRes.data || [] : [],
+    questionCounts: countsRes.success ? countsRes.data || {} : {}
+  };
+};
+
+export default {
+  loadMyResults
+};
@@ -0,0 +1,217 @@
+import { API_CONFIG } from '../config/apiConfig.js';
+import { getAuthState } from './authStorage.js';
+
+/**
+ * Response cache shared by httpClient and useApiCache.
+ *
+ * Entries live in memory and are mirrored to IndexedDB, so a reload starts
+ * with the last responses. An entry is fresh for CACHE.DURATION; after that it
+ * is stale but may still be served (stale-while-revalidate) until
+ * CACHE.STALE_DURATION, while the caller fetches a new copy in the background.
+ *
+ * Every entry carries tags (e.g. 'soal', 'kuis:5') so a mutation can drop
+ * exactly the entries it affects. Entries are scoped to the signed-in user and
+ * the whole cache is cleared on logout.
+ */
+
+const DB_NAME = 'brainquiz-cache';
+const STORE_NAME = 'responses';
+const DB_VERSION = 1;
+
+// Fired on window with { key, data } whenever an entry is written
+export const CACHE_UPDATED_EVENT = 'brainquiz:cache-updated';
+
+const entries = new Map();
+
+const stats = {
+  hits: 0,
+  staleHits: 0,
+  misses: 0,
+  writes: 0,
+  invalidations: 0,
+  revalidations: 0,
+};
+
+const getScope = () => getAuthState()?.userId || '';
+
+// IndexedDB
+
+const canPersist = () =>
+  API_CONFIG.CACHE.PERSIST && typeof indexedDB !== 'undefined';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run one operation on the store, failures only cost persistence
+const withStore = async (mode, operation) => {
+  if (!canPersist()) return undefined;
+  try {
+    const db = await openDb();
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    if (API_CONFIG.DEBUG.CACHE) {
+      console.warn('Response cache persistence failed:', error);
+    }
+    return undefined;
+  }
+};
+
+const persist = (key, entry) => withStore('readwrite', store => store.put(entry, key));
+
+const unpersist = (key) => withStore('readwrite', store => store.delete(key));
+
+const isServable = (entry) => Date.now() - entry.timestamp < API_CONFIG.CACHE.STALE_DURATION;
+
+// Load the persisted entries that are still servable, expired ones are dropped
+const hydrate = async () => {
+  const persisted = [];
+  await withStore('readonly', store => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        persisted.push([cursor.key, cursor.value]);
+        cursor.continue();
+      }
+    };
+    return request;
+  });
+
+  persisted.forEach(([key, entry]) => {
+    if (!isServable(entry)) {
+      unpersist(key);
+    } else if (!entries.has(key)) {
+      // Entries written since the page loaded are newer than the persisted copy
+      entries.set(key, entry);
+    }
+  });
+};
+
+const ready = canPersist() ? hydrate() : Promise.resolve();
+
+const remove = (key) => {
+  entries.delete(key);
+  unpersist(key);
+};
+
+export const responseCache = {
+  // Resolves once persisted entries are loaded
+  ready,
+
+  /**
+   * Look up an entry without counting it in the stats
+   * @param {string} key
+   * @param {number} maxAge - How long the entry counts as fresh
+   * @returns {Object|undefined} - {data, stale}
+   */
+  peek: (key, maxAge = API_CONFIG.CACHE.DURATION) => {
+    const entry = entries.get(key);
+    if (!entry || entry.scope !== getScope() || !isServable(entry)) return undefined;
+    return { data: entry.data, stale: Date.now() - entry.timestamp >= maxAge };
+  },
+
+  /**
+   * Look up an entry, fresh or stale
+   * @param {string} key
+   * @param {number} maxAge - How long the entry counts as fresh
+   * @returns {Object|undefined} - {data, stale}
+   */
+  lookup: (key, maxAge = API_CONFIG.CACHE.DURATION) => {
+    const result = responseCache.peek(key, maxAge);
+    if (!result) {
+      stats.misses++;
+    } else if (result.stale) {
+      stats.staleHits++;
+    } else {
+      stats.hits++;
+    }
+    return result;
+  },
+
+  // Fresh data only
+  get: (key, maxAge = API_CONFIG.CACHE.DURATION) => {
+    const result = responseCache.lookup(key, maxAge);
+    return result && !result.stale ? result.data : undefined;
+  },
+
+  /**
+   * Store a response
+   * @param {string} key
+   * @param {*} data
+   * @param {Object} meta - {endpoint, tags}
+   */
+  set: (key, data, { endpoint = '', tags = [] } = {}) => {
+    const entry = { data, endpoint, tags, scope: getScope(), timestamp: Date.now() };
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.writes++;
+    persist(key, entry);
+
+    // Evict oldest entries once the cache grows past its limit
+    while (entries.size > API_CONFIG.CACHE.MAX_SIZE) {
+      remove(entries.keys().next().value);
+    }
+
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent(CACHE_UPDATED_EVENT, { detail: { key, data } }));
+    }
+  },
+
+  delete: remove,
+
+  // Drop every entry that carries one of the tags
+  invalidateTags: (tags = []) => {
+    for (const [key, entry] of entries) {
+      if (entry.tags?.some(tag => tags.includes(tag))) {
+        remove(key);
+        stats.invalidations++;
+      }
+    }
+  },
+
+  // Counted by the caller that refreshes a stale entry
+  recordRevalidation: () => {
+    stats.revalidations++;
+  },
+
+  clear: () => {
+    entries.clear();
+    withStore('readwrite', store => store.clear());
+  },
+
+  keys: () => Array.from(entries.keys()),
+
+  get size() {
+    return entries.size;
+  },
+
+  /**
+   * Hit / miss counters since the page loaded
+   * @returns {Object} - {hits, staleHits, misses, writes, invalidations, revalidations, hitRate}
+   */
+  getStats: () => {
+    const lookups = stats.hits + stats.staleHits + stats.misses;
+    return {
+      ...stats,
+      hitRate: lookups > 0 ? Math.round(((stats.hits + stats.staleHits) / lookups) * 100) : 0,
+    };
+  },
+};
+
+export default responseCache;
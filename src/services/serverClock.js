@@ -0,0 +1,37 @@
+/**
+ * Server-anchored clock
+ * The offset between the server and this device is taken from the Date header
+ * of API responses, so attempt timers and availability windows do not depend on
+ * a wrong device clock. Cross-origin deployments must list Date in
+ * Access-Control-Expose-Headers, otherwise the device clock is used as is.
+ */
+
+let offsetMs = 0;
+
+/**
+ * Record the server time of a response
+ * @param {string|null} dateHeader - Value of the Date response header
+ * @param {number} requestStartedAt - Local time the request was sent
+ */
+export const recordServerDate = (dateHeader, requestStartedAt) => {
+  const serverTime = dateHeader ? new Date(dateHeader).getTime() : NaN;
+  if (!Number.isFinite(serverTime)) return;
+
+  // The header is truncated to whole seconds, assume it was taken halfway through the request
+  const receivedAt = Date.now();
+  const localMidpoint = requestStartedAt + (receivedAt - requestStartedAt) / 2;
+  offsetMs = serverTime + 500 - localMidpoint;
+};
+
+/**
+ * Current time in ms on the server clock
+ */
+export const serverNow = () => Date.now() + offsetMs;
+
+export const getServerClockOffset = () => offsetMs;
+
+export default {
+  recordServerDate,
+  serverNow,
+  getServerClockOffset
+};
@@ -0,0 +1,203 @@
+import { API_CONFIG } from '../config/apiConfig.js';
+import { httpClient, ApiError } from './httpClient.js';
+import { responseCache } from './responseCache.js';
+import {
+  AUTH_STORAGE_MODES,
+  clearAuthState,
+  getAuthMode,
+  getAuthState,
+  getAuthToken,
+  hasAuthSession,
+  subscribeToAuth,
+  updateAuthState,
+} from './authStorage.js';
+import { serverNow } from './serverClock.js';
+import { getTokenExpiry, toExpiryTimestamp } from '../utils/token.js';
+import { normalizeRole } from '../utils/roleUtils.js';
+import { getMockRefreshedSession } from './mocks/sessionMock.js';
+
+/**
+ * Session lifetime
+ * The expiry comes from the refresh response when it names one, otherwise from
+ * the token's exp claim. Tokens are refreshed silently before they expire:
+ * before a request goes out, on a timer (keepSessionAlive) and once after a
+ * 401. A session that cannot be refreshed is cleared from the auth store,
+ * which sends every tab to login.
+ */
+
+export const SESSION_END_REASONS = {
+  EXPIRED: 'expired',
+  UNAUTHORIZED: 'unauthorized',
+  LOGOUT: 'logout',
+};
+
+// Whatever is cached belongs to the user that just left
+subscribeToAuth((state) => {
+  if (!state) responseCache.clear();
+});
+
+/**
+ * When the current session expires, on the server clock
+ * @returns {number|null} - null without a session or when the token does not expire
+ */
+export const getSessionExpiresAt = () => {
+  if (!hasAuthSession()) return null;
+  const { expiresAt, token } = getAuthState();
+  return expiresAt || getTokenExpiry(token);
+};
+
+/**
+ * Time left in the current session
+ * @param {number} now - Server time in ms
+ * @returns {number|null} - ms, negative once expired, null when unknown
+ */
+export const getSessionTimeLeft = (now = serverNow()) => {
+  const expiresAt = getSessionExpiresAt();
+  return expiresAt === null ? null : expiresAt - now;
+};
+
+/**
+ * End the session in every tab, the app then sends the user to login
+ * @param {string} reason - One of SESSION_END_REASONS
+ */
+export const endSession = (reason = SESSION_END_REASONS.EXPIRED) => {
+  clearAuthState(reason);
+};
+
+const isCookieMode = () => getAuthMode() === AUTH_STORAGE_MODES.COOKIE;
+
+const requestRefresh = () => {
+  if (API_CONFIG.MOCKS.ENABLED) {
+    return Promise.resolve(getMockRefreshedSession(getAuthState(), API_CONFIG.SESSION.MOCK_DURATION, serverNow()));
+  }
+  return httpClient.post('/user/refresh-token', {}, { retry: false, sessionRefresh: false });
+};
+
+let refreshing = null;
+
+/**
+ * Exchange the current token for a fresh one, concurrent callers share one request
+ * In cookie mode the backend sets the new cookie and the response needs no token.
+ * @returns {Promise<boolean>} - Whether the session was refreshed
+ */
+export const refreshSession = () => {
+  if (!hasAuthSession()) return Promise.resolve(false);
+
+  if (!refreshing) {
+    refreshing = requestRefresh()
+      .then((response) => {
+        if (!response.success || (!response.data?.token && !isCookieMode())) {
+          throw new Error(response.message || 'Sesi tidak dapat diperbarui');
+        }
+        // Logged out while the refresh was in flight
+        if (!hasAuthSession()) return false;
+        updateAuthState({
+          token: response.data?.token || getAuthToken(),
+          expiresAt: toExpiryTimestamp(response.data?.expires_at),
+        });
+        return true;
+      })
+      .catch((error) => {
+        if (import.meta.env.DEV) {
+          console.warn('Session refresh failed:', error.message);
+        }
+        return false;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+/**
+ * Refresh the session when it is about to expire, end it once it has
+ * Called on an interval by the app shell
+ */
+export const keepSessionAlive = async () => {
+  const timeLeft = getSessionTimeLeft();
+  if (timeLeft === null || timeLeft > API_CONFIG.SESSION.REFRESH_MARGIN) return;
+
+  const refreshed = await refreshSession();
+  if (!refreshed && getSessionTimeLeft() <= 0) {
+    endSession(SESSION_END_REASONS.EXPIRED);
+  }
+};
+
+/**
+ * Role of the signed-in user as the backend sees it
+ * The stored role and the token payload can both be edited in the browser; only
+ * the profile endpoint answers for the signed token. Without an answer, e.g.
+ * offline, the role stays unverified.
+ * @returns {Promise<string|null>} - admin, teacher or student, null when it cannot be verified
+ */
+export const verifySessionRole = async () => {
+  if (!hasAuthSession()) return null;
+
+  try {
+    const response = await httpClient.get('/user/get-user', { cache: false });
+    return response.success && response.data?.role ? normalizeRole(response.data.role) : null;
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.warn('Role verification failed:', error.message);
+    }
+    return null;
+  }
+};
+
+// Requests that carry the session, in the header or in the cookie
+const isAuthenticated = (config) =>
+  Boolean(config.headers.Authorization) || (isCookieMode() && hasAuthSession());
+
+// Same request with the current token
+const withCurrentToken = (config) => {
+  const token = getAuthToken();
+  return token ? { ...config, headers: { ...config.headers, Authorization: `Bearer ${token}` } } : config;
+};
+
+// Refresh before sending with a token that is about to expire
+httpClient.interceptors.request.use(async (config) => {
+  if (!config.sessionRefresh || !isAuthenticated(config)) return config;
+
+  const timeLeft = getSessionTimeLeft();
+  if (timeLeft === null || timeLeft > API_CONFIG.SESSION.REFRESH_MARGIN) return config;
+
+  if (await refreshSession()) return withCurrentToken(config);
+
+  if (getSessionTimeLeft() <= 0) {
+    endSession(SESSION_END_REASONS.EXPIRED);
+    throw new ApiError('Sesi Anda telah berakhir. Silakan login kembali.', {
+      status: 401,
+      endpoint: config.endpoint,
+      method: config.method,
+    });
+  }
+  return config;
+});
+
+// A 401 on an authenticated request: refresh once and replay, otherwise end the session.
+// Requests sent with sessionRefresh: false (the refresh itself, logout) handle a 401 themselves.
+httpClient.interceptors.error.use(async (error, config) => {
+  if (error.status !== 401 || !config.sessionRefresh || !isAuthenticated(config)) throw error;
+
+  if (await refreshSession()) {
+    try {
+      return await httpClient.replay(withCurrentToken(config));
+    } catch (replayError) {
+      if (replayError.status !== 401) throw replayError;
+    }
+  }
+
+  endSession(SESSION_END_REASONS.UNAUTHORIZED);
+  throw error;
+});
+
+export default {
+  SESSION_END_REASONS,
+  getSessionExpiresAt,
+  getSessionTimeLeft,
+  endSession,
+  refreshSession,
+  keepSessionAlive,
+  verifySessionRole
+};
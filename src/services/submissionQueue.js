@@ -0,0 +1,165 @@
+import { quizResultAPI } from './api';
+import { getAuthState, hasAuthSession, subscribeToAuth } from './authStorage';
+
+/**
+ * Persistent queue for quiz submissions that could not reach the server.
+ * Entries survive reloads and are sent only with their owner's session: when
+ * the browser comes back online, after that user logs in, and with backoff
+ * while the server is unavailable. Submissions the server rejects are kept
+ * aside until the student has seen them.
+ */
+
+const STORAGE_KEY = 'pendingQuizSubmissions';
+const REJECTED_KEY = 'rejectedQuizSubmissions';
+const RETRY_INTERVAL = 30 * 1000; // 30 seconds
+const MAX_RETRY_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+const listeners = new Set();
+let flushing = false;
+let retryTimer = null;
+let failedAttempts = 0;
+
+const readList = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeList = (key, list) => {
+  if (list.length === 0) {
+    localStorage.removeItem(key);
+  } else {
+    localStorage.setItem(key, JSON.stringify(list));
+  }
+};
+
+const readQueue = () => readList(STORAGE_KEY);
+const writeQueue = (queue) => writeList(STORAGE_KEY, queue);
+
+const isSameAttempt = (entry, userId, kuisId) =>
+  String(entry.userId) === String(userId) && String(entry.kuisId) === String(kuisId);
+
+const removeFromQueue = (entry) => {
+  writeQueue(readQueue().filter((item) => !isSameAttempt(item, entry.userId, entry.kuisId)));
+};
+
+// Signed-in user whose entries may be sent now
+const getCurrentUserId = () => (hasAuthSession() ? getAuthState()?.userId ?? null : null);
+
+const getOwnEntries = () => {
+  const userId = getCurrentUserId();
+  return userId === null ? [] : readQueue().filter((entry) => String(entry.userId) === String(userId));
+};
+
+// Only a definitive answer from the server drops a submission: an expired
+// session, throttling and server errors are retried
+const isRejection = (error) =>
+  error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status);
+
+const notify = (event) => {
+  listeners.forEach((listener) => listener(event));
+};
+
+const scheduleRetry = () => {
+  if (retryTimer || getOwnEntries().length === 0) return;
+  const delay = Math.min(RETRY_INTERVAL * 2 ** failedAttempts, MAX_RETRY_INTERVAL);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushSubmissions();
+  }, delay);
+};
+
+/**
+ * Queue answers for a later submit
+ * @param {Object} submission - {userId, kuisId, kuisTitle, answers, totalQuestions}
+ */
+export const enqueueSubmission = ({ userId, kuisId, kuisTitle, answers, totalQuestions }) => {
+  // Only the latest submission per attempt is kept
+  const queue = readQueue().filter((entry) => !isSameAttempt(entry, userId, kuisId));
+  queue.push({ userId, kuisId, kuisTitle, answers, totalQuestions, queuedAt: Date.now() });
+  writeQueue(queue);
+  scheduleRetry();
+};
+
+/**
+ * Get the queued submission for an attempt, if any
+ */
+export const getPendingSubmission = (userId, kuisId) => {
+  return readQueue().find((entry) => isSameAttempt(entry, userId, kuisId)) || null;
+};
+
+/**
+ * Try to send the signed-in user's queued submissions.
+ * Network failures, 401s and server errors stay queued; rejections are moved
+ * to the rejected list and reported.
+ */
+export const flushSubmissions = async () => {
+  if (flushing || !navigator.onLine || getOwnEntries().length === 0) return;
+  flushing = true;
+
+  try {
+    for (const entry of getOwnEntries()) {
+      // Signed out or switched accounts while sending
+      if (String(getCurrentUserId()) !== String(entry.userId)) break;
+
+      try {
+        const response = await quizResultAPI.submit(entry.answers);
+        removeFromQueue(entry);
+        failedAttempts = 0;
+        notify({ type: 'submitted', entry, response });
+      } catch (error) {
+        if (!isRejection(error)) {
+          failedAttempts += 1;
+          break;
+        }
+        removeFromQueue(entry);
+        writeList(REJECTED_KEY, [
+          ...readList(REJECTED_KEY).filter((item) => !isSameAttempt(item, entry.userId, entry.kuisId)),
+          { ...entry, message: error.message || 'Jawaban ditolak server', rejectedAt: Date.now() }
+        ]);
+        notify({ type: 'failed', entry, error });
+      }
+    }
+  } finally {
+    flushing = false;
+    scheduleRetry();
+  }
+};
+
+/**
+ * Submissions the server rejected for a user, kept until dismissed
+ * @param {string|number} userId
+ * @returns {Array} - Queue entries with the server's message
+ */
+export const getRejectedSubmissions = (userId) =>
+  readList(REJECTED_KEY).filter((entry) => String(entry.userId) === String(userId));
+
+export const dismissRejectedSubmission = (entry) => {
+  writeList(REJECTED_KEY, readList(REJECTED_KEY).filter((item) => !isSameAttempt(item, entry.userId, entry.kuisId)));
+  notify({ type: 'dismissed', entry });
+};
+
+/**
+ * Listen for queue results
+ * @param {Function} listener - Receives {type: 'submitted'|'failed'|'dismissed', entry, response|error}
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToSubmissions = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Flush anything left from a previous session, retry whenever connectivity
+ * returns and once the owner of queued answers logs in
+ */
+export const startSubmissionSync = () => {
+  window.addEventListener('online', flushSubmissions);
+  subscribeToAuth((state) => {
+    if (state) flushSubmissions();
+  });
+  flushSubmissions();
+};
@@ -0,0 +1,214 @@
+/**
+ * Multiple attempts per kuis
+ *
+ * Kuis fields: attempt_policy ('single' | 'limited' | 'unlimited', default 'unlimited')
+ *              max_attempts (used by 'limited')
+ *              attempt_scoring ('best' | 'latest' | 'average', default 'latest')
+ *
+ * Every submission is its own hasil-kuis row. The scoring rule decides which
+ * score stands for the kuis in results, analytics, gradebooks and rankings.
+ */
+
+import { extractCorrectAnswers } from './gradeUtils';
+import { SCORE_SCHEMES, getResultScore } from './scoring';
+
+export const ATTEMPT_POLICIES = {
+  SINGLE: 'single',
+  LIMITED: 'limited',
+  UNLIMITED: 'unlimited',
+};
+
+export const ATTEMPT_POLICY_OPTIONS = [
+  { value: ATTEMPT_POLICIES.SINGLE, label: 'Sekali' },
+  { value: ATTEMPT_POLICIES.LIMITED, label: 'Dibatasi' },
+  { value: ATTEMPT_POLICIES.UNLIMITED, label: 'Tanpa batas' },
+];
+
+export const ATTEMPT_SCORING_RULES = {
+  BEST: 'best',
+  LATEST: 'latest',
+  AVERAGE: 'average',
+};
+
+export const ATTEMPT_SCORING_OPTIONS = [
+  { value: ATTEMPT_SCORING_RULES.BEST, label: 'Nilai tertinggi' },
+  { value: ATTEMPT_SCORING_RULES.LATEST, label: 'Percobaan terakhir' },
+  { value: ATTEMPT_SCORING_RULES.AVERAGE, label: 'Rata-rata' },
+];
+
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+/**
+ * Attempt settings of a kuis
+ * @param {Object} kuis
+ * @returns {Object} - {policy, maxAttempts, scoringRule}
+ */
+export const getAttemptSettings = (kuis) => {
+  const policy = kuis?.attempt_policy ?? kuis?.Attempt_policy;
+  const scoringRule = kuis?.attempt_scoring ?? kuis?.Attempt_scoring;
+  const maxAttempts = parseInt(kuis?.max_attempts ?? kuis?.Max_attempts);
+
+  return {
+    policy: Object.values(ATTEMPT_POLICIES).includes(policy) ? policy : ATTEMPT_POLICIES.UNLIMITED,
+    maxAttempts: Number.isFinite(maxAttempts) && maxAttempts > 0 ? maxAttempts : DEFAULT_MAX_ATTEMPTS,
+    scoringRule: Object.values(ATTEMPT_SCORING_RULES).includes(scoringRule) ? scoringRule : ATTEMPT_SCORING_RULES.LATEST
+  };
+};
+
+/**
+ * Number of attempts allowed
+ * @param {Object} settings - From getAttemptSettings
+ * @returns {number} - Infinity for unlimited
+ */
+export const getAttemptLimit = ({ policy, maxAttempts }) => {
+  if (policy === ATTEMPT_POLICIES.SINGLE) return 1;
+  if (policy === ATTEMPT_POLICIES.LIMITED) return maxAttempts;
+  return Infinity;
+};
+
+export const getScoringRuleLabel = (scoringRule) =>
+  ATTEMPT_SCORING_OPTIONS.find(option => option.value === scoringRule)?.label || '';
+
+export const formatAttemptLimit = (settings) => {
+  const limit = getAttemptLimit(settings);
+  return limit === Infinity ? 'Tanpa batas' : `${limit} kali`;
+};
+
+export const getAttemptDate = (hasil) =>
+  new Date(hasil.created_at || hasil.CreatedAt || hasil.updated_at || hasil.UpdatedAt || 0).getTime();
+
+/**
+ * Percentage score of an attempt, as displayed (see getResultScore)
+ * @param {Object} hasil - Hasil-kuis row
+ * @param {Object} options - getResultScore options
+ */
+export const getAttemptScore = (hasil, options) => getResultScore(hasil, options).score;
+
+const getRowKuisId = (hasil) => Number(hasil.kuis_id ?? hasil.Kuis_id ?? hasil.Kuis?.ID);
+
+/**
+ * Attempts of one kuis, oldest first
+ * @param {Array} attempts - Hasil-kuis rows
+ * @returns {Array}
+ */
+export const sortAttempts = (attempts) =>
+  [...attempts].sort((a, b) => getAttemptDate(a) - getAttemptDate(b));
+
+/**
+ * Group hasil-kuis rows of one user by kuis
+ * @param {Array} hasilList - Hasil-kuis rows
+ * @returns {Map} - kuis ID -> attempts, oldest first
+ */
+export const groupAttemptsByKuis = (hasilList = []) => {
+  const groups = new Map();
+  hasilList.forEach(hasil => {
+    const kuisId = getRowKuisId(hasil);
+    if (!groups.has(kuisId)) groups.set(kuisId, []);
+    groups.get(kuisId).push(hasil);
+  });
+  groups.forEach((attempts, kuisId) => groups.set(kuisId, sortAttempts(attempts)));
+  return groups;
+};
+
+/**
+ * The result that counts for a kuis under a scoring rule
+ * An average is returned as a copy of the latest attempt with averaged score and correct answers;
+ * its score is final, so it carries no answers to re-score
+ * @param {Array} attempts - Attempts of one kuis, oldest first
+ * @param {string} scoringRule - One of ATTEMPT_SCORING_RULES
+ * @param {Function} getScore - hasil -> percentage, the same scoring the caller displays
+ * @returns {Object|null}
+ */
+export const selectCountedResult = (attempts, scoringRule, getScore = getAttemptScore) => {
+  if (!attempts || attempts.length === 0) return null;
+  const latest = attempts[attempts.length - 1];
+
+  switch (scoringRule) {
+    case ATTEMPT_SCORING_RULES.BEST: {
+      // Ties go to the later attempt
+      const scored = attempts.map(hasil => ({ hasil, score: getScore(hasil) }));
+      return scored.reduce((best, attempt) => (attempt.score >= best.score ? attempt : best)).hasil;
+    }
+    case ATTEMPT_SCORING_RULES.AVERAGE: {
+      const total = (getValue) => attempts.reduce((sum, hasil) => sum + getValue(hasil), 0);
+      return {
+        ...latest,
+        answers: [],
+        score: Math.round(total(hasil => getScore(hasil)) / attempts.length),
+        score_scheme: SCORE_SCHEMES.WEIGHTED,
+        correct_answer: Math.round(total(extractCorrectAnswers) / attempts.length)
+      };
+    }
+    default:
+      return latest;
+  }
+};
+
+/**
+ * Attempt summary of one kuis for a user
+ * @param {Array} attempts - Hasil-kuis rows of the kuis
+ * @param {Object} kuis
+ * @param {Function} getScore - See selectCountedResult
+ * @returns {Object} - {attempts, count, result, settings, limit, remaining, canAttempt}
+ */
+export const summarizeAttempts = (attempts = [], kuis, getScore) => {
+  const sorted = sortAttempts(attempts);
+  const settings = getAttemptSettings(kuis);
+  const limit = getAttemptLimit(settings);
+  const remaining = Math.max(limit - sorted.length, 0);
+
+  return {
+    attempts: sorted,
+    count: sorted.length,
+    result: selectCountedResult(sorted, settings.scoringRule, getScore),
+    settings,
+    limit,
+    remaining,
+    canAttempt: remaining > 0
+  };
+};
+
+/**
+ * Summaries for every kuis the user attempted
+ * @param {Array} hasilList - Hasil-kuis rows of one user
+ * @param {Array} kuisList - Kuis used to resolve each kuis' settings
+ * @param {Function} getScore - (hasil, kuis) -> percentage, see selectCountedResult
+ * @returns {Map} - kuis ID -> summary
+ */
+export const summarizeAttemptsByKuis = (hasilList = [], kuisList = [], getScore = (hasil) => getAttemptScore(hasil)) => {
+  const kuisMap = new Map(kuisList.map(kuis => [Number(kuis.ID ?? kuis.id), kuis]));
+  const summaries = new Map();
+  groupAttemptsByKuis(hasilList).forEach((attempts, kuisId) => {
+    const kuis = kuisMap.get(kuisId);
+    summaries.set(kuisId, summarizeAttempts(attempts, kuis, (hasil) => getScore(hasil, kuis)));
+  });
+  return summaries;
+};
+
+/**
+ * Validate attempt fields edited by a teacher
+ * @param {Object} form - {attempt_policy, max_attempts}
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateAttempts = ({ attempt_policy, max_attempts }) => {
+  if (attempt_policy !== ATTEMPT_POLICIES.LIMITED) return null;
+  const limit = Number(max_attempts);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return 'Jumlah percobaan harus berupa bilangan bulat minimal 1';
+  }
+  return null;
+};
+
+export default {
+  ATTEMPT_POLICIES,
+  ATTEMPT_SCORING_RULES,
+  getAttemptSettings,
+  getAttemptLimit,
+  formatAttemptLimit,
+  getScoringRuleLabel,
+  groupAttemptsByKuis,
+  selectCountedResult,
+  summarizeAttempts,
+  summarizeAttemptsByKuis,
+  validateAttempts
+};
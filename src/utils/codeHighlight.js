@@ -0,0 +1,163 @@
+/**
+ * Syntax highlighting for code blocks in soal
+ *
+ * A tokenizer, not a parser: it marks keywords, strings, comments and numbers
+ * with per-language rules, which is enough for the short snippets used in
+ * questions. Unknown or missing languages use C-like rules with a combined
+ * keyword list.
+ */
+
+const C_KEYWORDS = [
+  'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum',
+  'extern', 'float', 'for', 'goto', 'if', 'int', 'long', 'return', 'short', 'signed', 'sizeof',
+  'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while',
+  'include', 'define', 'bool', 'true', 'false', 'NULL',
+];
+
+const CPP_KEYWORDS = [
+  ...C_KEYWORDS, 'class', 'namespace', 'new', 'delete', 'public', 'private', 'protected',
+  'template', 'this', 'using', 'virtual', 'try', 'catch', 'throw', 'nullptr', 'std', 'cout', 'cin',
+  'endl', 'string', 'vector',
+];
+
+const JAVA_KEYWORDS = [
+  'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue', 'default',
+  'do', 'double', 'else', 'extends', 'final', 'finally', 'float', 'for', 'if', 'implements',
+  'import', 'instanceof', 'int', 'interface', 'long', 'new', 'package', 'private', 'protected',
+  'public', 'return', 'short', 'static', 'super', 'switch', 'this', 'throw', 'throws', 'try',
+  'void', 'while', 'true', 'false', 'null', 'String', 'var', 'namespace', 'using', 'string',
+];
+
+const JS_KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import',
+  'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield', 'interface', 'type',
+];
+
+const PYTHON_KEYWORDS = [
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+  'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is',
+  'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try', 'while',
+  'with', 'yield', 'print', 'range', 'len', 'self',
+];
+
+const GO_KEYWORDS = [
+  'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for',
+  'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select',
+  'struct', 'switch', 'type', 'var', 'true', 'false', 'nil', 'int', 'string', 'bool', 'error',
+];
+
+const PHP_KEYWORDS = [
+  'echo', 'function', 'if', 'else', 'elseif', 'foreach', 'for', 'while', 'return', 'class', 'new',
+  'public', 'private', 'protected', 'static', 'true', 'false', 'null', 'array', 'as', 'include',
+  'require',
+];
+
+const SQL_KEYWORDS = [
+  'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set',
+  'delete', 'create', 'table', 'drop', 'alter', 'join', 'inner', 'left', 'right', 'on', 'group',
+  'by', 'order', 'having', 'limit', 'as', 'distinct', 'null', 'is', 'in', 'like', 'between',
+  'primary', 'key', 'foreign', 'references', 'count', 'sum', 'avg', 'min', 'max', 'asc', 'desc',
+];
+
+const BASH_KEYWORDS = [
+  'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'do', 'done', 'case', 'esac', 'function',
+  'return', 'echo', 'export', 'local', 'in',
+];
+
+const C_COMMENTS = { lineComment: '//', blockComment: true };
+
+const LANGUAGES = {
+  c: { keywords: C_KEYWORDS, ...C_COMMENTS },
+  cpp: { keywords: CPP_KEYWORDS, ...C_COMMENTS },
+  java: { keywords: JAVA_KEYWORDS, ...C_COMMENTS },
+  csharp: { keywords: JAVA_KEYWORDS, ...C_COMMENTS },
+  javascript: { keywords: JS_KEYWORDS, ...C_COMMENTS, templateStrings: true },
+  go: { keywords: GO_KEYWORDS, ...C_COMMENTS, templateStrings: true },
+  php: { keywords: PHP_KEYWORDS, ...C_COMMENTS },
+  python: { keywords: PYTHON_KEYWORDS, lineComment: '#', tripleQuotes: true },
+  bash: { keywords: BASH_KEYWORDS, lineComment: '#' },
+  sql: { keywords: SQL_KEYWORDS, lineComment: '--', blockComment: true, ignoreCase: true },
+};
+
+const GENERIC = {
+  keywords: [...new Set([...CPP_KEYWORDS, ...JAVA_KEYWORDS, ...JS_KEYWORDS, ...PYTHON_KEYWORDS])],
+  ...C_COMMENTS,
+};
+
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', ts: 'javascript', typescript: 'javascript',
+  py: 'python', python3: 'python', 'c++': 'cpp', cs: 'csharp', 'c#': 'csharp',
+  golang: 'go', sh: 'bash', shell: 'bash', mysql: 'sql', postgresql: 'sql',
+};
+
+export const CODE_LANGUAGES = Object.keys(LANGUAGES);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getRules = (language) => {
+  const name = String(language || '').toLowerCase();
+  const resolved = ALIASES[name] || name;
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, resolved) ? LANGUAGES[resolved] : GENERIC;
+};
+
+const buildPatterns = (rules) => [
+  rules.blockComment && ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+  rules.lineComment && ['comment', new RegExp(`${escapeRegExp(rules.lineComment)}.*`, 'y')],
+  rules.tripleQuotes && ['string', /("""|''')[\s\S]*?(?:\1|$)/y],
+  ['string', /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y],
+  rules.templateStrings && ['string', /`(?:\\[\s\S]|[^`\\])*`?/y],
+  ['word', /[A-Za-z_$][\w$]*/y],
+  ['number', /\d+(?:\.\d+)?/y],
+].filter(Boolean);
+
+/**
+ * Split code into highlight tokens
+ * @param {string} code
+ * @param {string} language - Fence language, e.g. "python" or "js"
+ * @returns {Array} - [{type: 'keyword' | 'string' | 'comment' | 'number' | 'plain', text}]
+ */
+export const highlightCode = (code, language) => {
+  const text = String(code ?? '');
+  const rules = getRules(language);
+  const patterns = buildPatterns(rules);
+  const keywords = new Set(rules.ignoreCase ? rules.keywords.map(word => word.toLowerCase()) : rules.keywords);
+
+  const tokens = [];
+  const push = (type, value) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.text += value;
+    } else {
+      tokens.push({ type, text: value });
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    let matched = false;
+    for (const [type, pattern] of patterns) {
+      pattern.lastIndex = i;
+      const match = pattern.exec(text);
+      if (match && match[0]) {
+        const word = rules.ignoreCase ? match[0].toLowerCase() : match[0];
+        push(type === 'word' ? (keywords.has(word) ? 'keyword' : 'plain') : type, match[0]);
+        i += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      push('plain', text[i]);
+      i++;
+    }
+  }
+
+  return tokens;
+};
+
+export default {
+  CODE_LANGUAGES,
+  highlightCode
+};
@@ -0,0 +1,39 @@
+/**
+ * Trigger a browser download for generated content
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type used when content is a string
+ */
+export const downloadFile = (content, filename, mimeType = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Make a string safe to use as a file name
+ * @param {string} name - Raw name, e.g. a kuis title
+ * @param {string} fallback - Used when nothing usable is left
+ * @returns {string}
+ */
+export const toSafeFilename = (name, fallback = 'export') => {
+  const safe = String(name || '')
+    .trim()
+    .replace(/[\\/:*?"<>|]+/g, '')
+    .replace(/\s+/g, '_');
+  return safe || fallback;
+};
+
+export default {
+  downloadFile,
+  toSafeFilename
+};
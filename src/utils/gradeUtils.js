@@ -1,76 +1,66 @@
 // Utility functions for consistent grade calculation across all pages
 
+import {
+  getGradingScheme,
+  getGradingSchemes,
+  getGradeBand,
+  getBandTone,
+  isPassingScore
+} from './gradingSchemes';
+import { getResultScore, getStoredScore, toPercentage } from './scoring';
+
 /**
  * Calculate grade based on score (0-100)
- * This is the SINGLE SOURCE OF TRUTH for grade calculation
+ * This is the SINGLE SOURCE OF TRUTH for grade calculation.
+ * Pass the scheme from resolveGradingScheme(); without it the default scheme is used.
  */
-export const getGradeFromScore = (score) => {
-  const numScore = Number(score) || 0;
-  
-  if (numScore >= 90) return 'A';
-  if (numScore >= 80) return 'B';
-  if (numScore >= 70) return 'C';
-  if (numScore >= 60) return 'D';
-  return 'E';
+export const getGradeFromScore = (score, scheme = getGradingScheme()) => {
+  return getGradeBand(score, scheme).label;
 };
 
 /**
  * Calculate grade based on correct answers and total questions
  */
-export const getGradeFromAnswers = (correctAnswers, totalQuestions) => {
-  if (!totalQuestions || totalQuestions === 0) return 'E';
+export const getGradeFromAnswers = (correctAnswers, totalQuestions, scheme = getGradingScheme()) => {
+  if (!totalQuestions || totalQuestions === 0) return getGradeFromScore(0, scheme);
   
   const percentage = Math.round((correctAnswers / totalQuestions) * 100);
-  return getGradeFromScore(percentage);
+  return getGradeFromScore(percentage, scheme);
 };
 
 /**
  * Get grade color classes for UI
  */
-export const getGradeColor = (grade) => {
-  switch (grade) {
-    case 'A':
-      return 'text-green-600 bg-green-50';
-    case 'B':
-      return 'text-blue-600 bg-blue-50';
-    case 'C':
-      return 'text-yellow-600 bg-yellow-50';
-    case 'D':
-      return 'text-orange-600 bg-orange-50';
-    case 'E':
-    default:
-      return 'text-red-600 bg-red-50';
-  }
+export const getGradeColor = (grade, scheme = getGradingScheme()) => {
+  // Labels from another scheme (e.g. a result graded per kuis) still get their own colour
+  const owner = scheme.bands.some(band => band.label === grade)
+    ? scheme
+    : getGradingSchemes().find(item => item.bands.some(band => band.label === grade)) || scheme;
+  const band = owner.bands.find(item => item.label === grade);
+
+  return getBandTone(band, owner).badge;
 };
 
 /**
  * Get score color classes for UI
  */
-export const getScoreColor = (score) => {
-  const numScore = Number(score) || 0;
-  
-  if (numScore >= 90) return 'text-green-600';
-  if (numScore >= 80) return 'text-blue-600';
-  if (numScore >= 70) return 'text-yellow-600';
-  if (numScore >= 60) return 'text-orange-600';
-  return 'text-red-600';
+export const getScoreColor = (score, scheme = getGradingScheme()) => {
+  return getBandTone(getGradeBand(score, scheme), scheme).text;
 };
 
 /**
- * Calculate percentage from correct answers and total questions
+ * Calculate percentage from correct answers and total questions (unweighted, see scoring.js)
  */
-export const calculatePercentage = (correctAnswers, totalQuestions) => {
-  if (!totalQuestions || totalQuestions === 0) return 0;
-  return Math.round((correctAnswers / totalQuestions) * 100);
-};
+export const calculatePercentage = (correctAnswers, totalQuestions) =>
+  toPercentage(Number(correctAnswers) || 0, Number(totalQuestions) || 0);
 
 /**
  * Get complete grade info (grade, color, percentage) from score
  */
-export const getCompleteGradeInfo = (score) => {
+export const getCompleteGradeInfo = (score, scheme = getGradingScheme()) => {
   const numScore = Number(score) || 0;
-  const grade = getGradeFromScore(numScore);
-  const color = getGradeColor(grade);
+  const grade = getGradeFromScore(numScore, scheme);
+  const color = getGradeColor(grade, scheme);
   
   return {
     grade,
@@ -83,10 +73,10 @@ export const getCompleteGradeInfo = (score) => {
 /**
  * Get complete grade info from correct answers and total questions
  */
-export const getCompleteGradeInfoFromAnswers = (correctAnswers, totalQuestions) => {
+export const getCompleteGradeInfoFromAnswers = (correctAnswers, totalQuestions, scheme = getGradingScheme()) => {
   const percentage = calculatePercentage(correctAnswers, totalQuestions);
-  const grade = getGradeFromScore(percentage);
-  const color = getGradeColor(grade);
+  const grade = getGradeFromScore(percentage, scheme);
+  const color = getGradeColor(grade, scheme);
 
   return {
     grade,
@@ -100,31 +90,10 @@ export const getCompleteGradeInfoFromAnswers = (correctAnswers, totalQuestions)
 
 /**
  * Convert legacy score to percentage if needed
- * This handles old data that might still use point-based scoring
+ * Correct / total when the counts are known; see getStoredScore in scoring.js
  */
-export const normalizeScore = (score, correctAnswers, totalQuestions) => {
-  const numScore = Number(score) || 0;
-  const numCorrect = Number(correctAnswers) || 0;
-  const numTotal = Number(totalQuestions) || 0;
-
-  console.log('🔧 normalizeScore input:', { score, correctAnswers, totalQuestions, numScore, numCorrect, numTotal });
-
-  // Always calculate the correct percentage from correct answers if we have the data
-  if (numTotal > 0 && numCorrect >= 0) {
-    const calculatedPercentage = Math.round((numCorrect / numTotal) * 100);
-    console.log('🔧 Calculated percentage from answers:', calculatedPercentage);
-    return calculatedPercentage;
-  }
-
-  // If we don't have correct answers data, use the score as-is if it's reasonable
-  if (numScore >= 0 && numScore <= 100) {
-    console.log('🔧 Using score as-is:', numScore);
-    return numScore;
-  }
-
-  console.log('🔧 Fallback to 0');
-  return 0;
-};
+export const normalizeScore = (score, correctAnswers, totalQuestions, scheme) =>
+  getStoredScore(score, correctAnswers, totalQuestions, scheme);
 
 /**
  * Extract correct_answer from backend response that might have weird field names
@@ -156,17 +125,49 @@ export const extractCorrectAnswers = (data) => {
 /**
  * Get consistent score and grade info, handling legacy data
  */
-export const getConsistentScoreInfo = (score, correctAnswers, totalQuestions) => {
+export const getConsistentScoreInfo = (score, correctAnswers, totalQuestions, scheme = getGradingScheme()) => {
   const normalizedScore = normalizeScore(score, correctAnswers, totalQuestions);
-  const grade = getGradeFromScore(normalizedScore);
-  const color = getGradeColor(grade);
+  const band = getGradeBand(normalizedScore, scheme);
 
   return {
     score: normalizedScore,
     percentage: normalizedScore,
-    grade,
-    color,
+    grade: band.label,
+    color: getBandTone(band, scheme).badge,
+    points: band.points ?? null,
+    passed: isPassingScore(normalizedScore, scheme),
+    passingScore: scheme.passing_score,
+    schemeName: scheme.name,
     correctAnswers: Number(correctAnswers) || 0,
     totalQuestions: Number(totalQuestions) || 0
   };
 };
+
+/**
+ * Score and grade info for a weighted attempt from scoreQuiz()
+ */
+export const getScoringGradeInfo = (scoring, scheme = getGradingScheme()) => ({
+  ...getConsistentScoreInfo(scoring.score, null, null, scheme),
+  correctAnswers: scoring.correct,
+  totalQuestions: scoring.breakdown.length,
+  scoring
+});
+
+/**
+ * Score and grade info of a hasil-kuis row
+ * Pass soalList and settings to re-score the submitted answers; without them the stored score is used.
+ * @param {Object} result - Hasil-kuis row
+ * @param {Object} options - {soalList, settings, correctAnswers, totalQuestions}
+ */
+export const getResultScoreInfo = (result, options = {}, scheme = getGradingScheme()) => {
+  const correctAnswers = options.correctAnswers ?? extractCorrectAnswers(result);
+  const { score, scoring } = getResultScore(result, { ...options, correctAnswers });
+  if (scoring) return getScoringGradeInfo(scoring, scheme);
+
+  // The score is final here, the counts are only reported
+  return {
+    ...getConsistentScoreInfo(score, null, null, scheme),
+    correctAnswers: Number(correctAnswers) || 0,
+    totalQuestions: Number(options.totalQuestions) || 0
+  };
+};
@@ -0,0 +1,155 @@
+/**
+ * Students × kuis score matrix for a kelas
+ */
+
+import { extractCorrectAnswers, getResultScoreInfo } from './gradeUtils';
+import { resolveGradingScheme } from './gradingSchemes';
+import { getAttemptScore, getAttemptSettings, selectCountedResult, sortAttempts } from './attempts';
+
+export const GRADEBOOK_SORT_KEYS = {
+  NAME: 'name',
+  AVERAGE: 'average',
+  MISSING: 'missing',
+};
+
+/**
+ * Sort key for a kuis column
+ */
+export const getKuisSortKey = (kuisId) => `kuis:${kuisId}`;
+
+const getStudentId = (student) => String(student.ID ?? student.id ?? student.user_id ?? '');
+
+const getRowUserId = (row) => String(row.user_id ?? row.User_id ?? row.User?.ID ?? '');
+
+const getRowDate = (row) => row.updated_at || row.UpdatedAt || row.created_at || row.CreatedAt || null;
+
+const average = (values) =>
+  values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+/**
+ * Build the gradebook matrix
+ * @param {Object} data
+ * @param {Array} data.students - Students of the kelas (may be empty when the API is unavailable)
+ * @param {Array} data.kuisList - Kuis of the kelas, in column order
+ * @param {Array} data.results - Hasil-kuis rows of the kelas
+ * @param {Object} data.questionCounts - kuis ID -> number of soal
+ * @param {string|number} data.kelasId - Kelas used to resolve the grading scheme of each kuis
+ * @returns {Object} - {rows, kuisStats, classAverage}
+ */
+export const buildGradebook = ({ students = [], kuisList = [], results = [], questionCounts = {}, kelasId }) => {
+  const kuisIds = kuisList.map(kuis => Number(kuis.ID ?? kuis.id));
+  const scoringRules = new Map(kuisList.map(kuis => [Number(kuis.ID ?? kuis.id), getAttemptSettings(kuis).scoringRule]));
+  const schemes = new Map(kuisList.map(kuis => [Number(kuis.ID ?? kuis.id), resolveGradingScheme({ kuis, kelasId })]));
+  const studentMap = new Map();
+
+  students.forEach(student => {
+    studentMap.set(getStudentId(student), { id: getStudentId(student), name: student.name || student.Name });
+  });
+
+  // Students that submitted but are missing from the student list still get a row
+  results.forEach(row => {
+    const userId = getRowUserId(row);
+    if (userId && !studentMap.has(userId)) {
+      studentMap.set(userId, { id: userId, name: row.User?.name || row.user_name || `Siswa ${userId}` });
+    }
+  });
+
+  // Attempts per student + kuis
+  const attempts = new Map();
+  results.forEach(row => {
+    const key = `${getRowUserId(row)}:${Number(row.kuis_id ?? row.Kuis_id)}`;
+    if (!attempts.has(key)) attempts.set(key, []);
+    attempts.get(key).push(row);
+  });
+
+  const rows = [...studentMap.values()].map(student => {
+    const cells = {};
+
+    kuisIds.forEach(kuisId => {
+      const kuisAttempts = sortAttempts(attempts.get(`${student.id}:${kuisId}`) || []);
+      const getScoreOptions = (row) => ({
+        correctAnswers: extractCorrectAnswers(row),
+        totalQuestions: row.total_questions || questionCounts[kuisId] || 0
+      });
+      // The kuis' scoring rule decides which attempt (or average) is graded
+      const result = selectCountedResult(
+        kuisAttempts,
+        scoringRules.get(kuisId),
+        (row) => getAttemptScore(row, getScoreOptions(row))
+      );
+      if (!result) {
+        cells[kuisId] = null;
+        return;
+      }
+
+      cells[kuisId] = {
+        ...getResultScoreInfo(result, getScoreOptions(result), schemes.get(kuisId)),
+        date: getRowDate(result),
+        attempts: kuisAttempts.length,
+        result
+      };
+    });
+
+    const scores = kuisIds.map(kuisId => cells[kuisId]?.score).filter(score => score !== undefined);
+
+    return {
+      ...student,
+      cells,
+      average: average(scores),
+      completed: scores.length,
+      missing: kuisIds.length - scores.length
+    };
+  });
+
+  const kuisStats = {};
+  kuisIds.forEach(kuisId => {
+    const scores = rows.map(row => row.cells[kuisId]?.score).filter(score => score !== undefined);
+    kuisStats[kuisId] = {
+      average: average(scores),
+      submitted: scores.length,
+      missing: rows.length - scores.length
+    };
+  });
+
+  return {
+    rows,
+    kuisStats,
+    classAverage: average(rows.map(row => row.average).filter(value => value !== null))
+  };
+};
+
+/**
+ * Sort gradebook rows; students without a value always go last
+ * @param {Array} rows - Rows from buildGradebook
+ * @param {Object} sort - {key, direction: 'asc'|'desc'}
+ * @returns {Array}
+ */
+export const sortGradebookRows = (rows, { key, direction }) => {
+  const factor = direction === 'desc' ? -1 : 1;
+
+  const getValue = (row) => {
+    if (key === GRADEBOOK_SORT_KEYS.NAME) return row.name || '';
+    if (key === GRADEBOOK_SORT_KEYS.AVERAGE) return row.average;
+    if (key === GRADEBOOK_SORT_KEYS.MISSING) return row.missing;
+    if (key.startsWith('kuis:')) return row.cells[Number(key.slice(5))]?.score ?? null;
+    return null;
+  };
+
+  return [...rows].sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+
+    if (valueA === null && valueB === null) return (a.name || '').localeCompare(b.name || '');
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+
+    const compared = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+    return compared * factor || (a.name || '').localeCompare(b.name || '');
+  });
+};
+
+export default {
+  GRADEBOOK_SORT_KEYS,
+  buildGradebook,
+  sortGradebookRows
+};
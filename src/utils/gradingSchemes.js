@@ -0,0 +1,247 @@
+/**
+ * Named grading schemes and their assignment to kelas / kuis
+ *
+ * A scheme maps a 0-100 score to a grade label:
+ * {id, name, passing_score, bands: [{min, label, points}]}
+ * `passing_score` is the KKM; bands below it are shown as failing.
+ *
+ * Admin-defined schemes and assignments are one settings document, loaded from
+ * the API and cached in localStorage so grades resolve synchronously everywhere:
+ * {schemes, default_scheme_id, assignments: {kelas: {[id]: schemeId}, kuis: {[id]: schemeId}}}
+ */
+
+const STORAGE_KEY = 'gradingSettings';
+
+export const DEFAULT_SCHEME_ID = 'standard';
+
+export const BUILT_IN_SCHEMES = [
+  {
+    id: DEFAULT_SCHEME_ID,
+    name: 'Standar (A–E)',
+    passing_score: 60,
+    bands: [
+      { min: 90, label: 'A', points: 4 },
+      { min: 80, label: 'B', points: 3 },
+      { min: 70, label: 'C', points: 2 },
+      { min: 60, label: 'D', points: 1 },
+      { min: 0, label: 'E', points: 0 },
+    ],
+  },
+  {
+    id: 'plus_minus',
+    name: 'Huruf Plus/Minus (A, A-, B+ …)',
+    passing_score: 55,
+    bands: [
+      { min: 85, label: 'A', points: 4 },
+      { min: 80, label: 'A-', points: 3.7 },
+      { min: 75, label: 'B+', points: 3.3 },
+      { min: 70, label: 'B', points: 3 },
+      { min: 65, label: 'B-', points: 2.7 },
+      { min: 60, label: 'C+', points: 2.3 },
+      { min: 55, label: 'C', points: 2 },
+      { min: 40, label: 'D', points: 1 },
+      { min: 0, label: 'E', points: 0 },
+    ],
+  },
+  {
+    id: 'gpa',
+    name: 'IPK 0–4',
+    passing_score: 55,
+    bands: [
+      { min: 85, label: '4.0', points: 4 },
+      { min: 70, label: '3.0', points: 3 },
+      { min: 55, label: '2.0', points: 2 },
+      { min: 40, label: '1.0', points: 1 },
+      { min: 0, label: '0.0', points: 0 },
+    ],
+  },
+  {
+    id: 'kkm',
+    name: 'KKM 75 (Tuntas / Belum Tuntas)',
+    passing_score: 75,
+    bands: [
+      { min: 75, label: 'Tuntas', points: 1 },
+      { min: 0, label: 'Belum Tuntas', points: 0 },
+    ],
+  },
+];
+
+const EMPTY_SETTINGS = {
+  schemes: [],
+  default_scheme_id: DEFAULT_SCHEME_ID,
+  assignments: { kelas: {}, kuis: {} },
+};
+
+// Passing bands from best to worst, failing bands are always red
+const PASSING_TONES = [
+  { text: 'text-green-600', badge: 'text-green-600 bg-green-50' },
+  { text: 'text-blue-600', badge: 'text-blue-600 bg-blue-50' },
+  { text: 'text-yellow-600', badge: 'text-yellow-600 bg-yellow-50' },
+  { text: 'text-orange-600', badge: 'text-orange-600 bg-orange-50' },
+];
+const FAILING_TONE = { text: 'text-red-600', badge: 'text-red-600 bg-red-50' };
+
+const normalizeSettings = (settings) => ({
+  schemes: Array.isArray(settings?.schemes) ? settings.schemes : [],
+  default_scheme_id: settings?.default_scheme_id || DEFAULT_SCHEME_ID,
+  assignments: {
+    kelas: { ...(settings?.assignments?.kelas || {}) },
+    kuis: { ...(settings?.assignments?.kuis || {}) },
+  },
+});
+
+const readSettings = () => {
+  try {
+    return normalizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return normalizeSettings(EMPTY_SETTINGS);
+  }
+};
+
+let settings = readSettings();
+
+/**
+ * Current grading settings (cached copy)
+ */
+export const getGradingSettings = () => settings;
+
+/**
+ * Replace the cached settings, e.g. after loading them from the API
+ * @param {Object} nextSettings - Settings document
+ */
+export const setGradingSettings = (nextSettings) => {
+  settings = normalizeSettings(nextSettings);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+const sortBands = (scheme) => ({
+  ...scheme,
+  passing_score: Number(scheme.passing_score) || 0,
+  bands: [...(scheme.bands || [])]
+    .map(band => ({ ...band, min: Number(band.min) || 0 }))
+    .sort((a, b) => b.min - a.min),
+});
+
+/**
+ * Built-in plus admin-defined schemes
+ * @returns {Array}
+ */
+export const getGradingSchemes = () => [...BUILT_IN_SCHEMES, ...settings.schemes].map(sortBands);
+
+export const isBuiltInScheme = (schemeId) => BUILT_IN_SCHEMES.some(scheme => scheme.id === schemeId);
+
+/**
+ * Look up a scheme by ID, falling back to the configured default
+ * @param {string} schemeId
+ * @returns {Object}
+ */
+export const getGradingScheme = (schemeId) => {
+  const schemes = getGradingSchemes();
+  return (
+    schemes.find(scheme => scheme.id === schemeId) ||
+    schemes.find(scheme => scheme.id === settings.default_scheme_id) ||
+    schemes[0]
+  );
+};
+
+/**
+ * Scheme that applies to a kuis: its own assignment, then its kelas, then the default
+ * @param {Object} target
+ * @param {Object} target.kuis - Kuis object (its kelas_id is used when kelasId is not given)
+ * @param {string|number} target.kuisId
+ * @param {string|number} target.kelasId
+ * @returns {Object}
+ */
+export const resolveGradingScheme = ({ kuis, kuisId, kelasId } = {}) => {
+  const resolvedKuisId = kuisId ?? kuis?.ID ?? kuis?.id;
+  const resolvedKelasId = kelasId ?? kuis?.kelas_id;
+  const { assignments } = settings;
+
+  return getGradingScheme(
+    (resolvedKuisId !== undefined && assignments.kuis[resolvedKuisId]) ||
+    (resolvedKelasId !== undefined && resolvedKelasId !== null && assignments.kelas[resolvedKelasId]) ||
+    settings.default_scheme_id
+  );
+};
+
+/**
+ * Band a score falls into
+ * @param {number} score - 0-100
+ * @param {Object} scheme
+ * @returns {Object} - Band
+ */
+export const getGradeBand = (score, scheme = getGradingScheme()) => {
+  const numScore = Number(score) || 0;
+  const { bands } = sortBands(scheme);
+  return bands.find(band => numScore >= band.min) || bands[bands.length - 1];
+};
+
+export const isPassingScore = (score, scheme = getGradingScheme()) =>
+  (Number(score) || 0) >= (Number(scheme.passing_score) || 0);
+
+/**
+ * Colour classes for a band: passing bands go green → orange, failing bands red
+ * @param {Object} band
+ * @param {Object} scheme
+ * @returns {Object} - {text, badge}
+ */
+export const getBandTone = (band, scheme = getGradingScheme()) => {
+  if (!band) return FAILING_TONE;
+
+  const sorted = sortBands(scheme);
+  const passingBands = sorted.bands.filter(item => item.min >= sorted.passing_score);
+  const index = passingBands.findIndex(item => item.label === band.label);
+  if (index === -1) return FAILING_TONE;
+
+  const toneIndex = Math.min(
+    Math.floor((index * PASSING_TONES.length) / Math.max(passingBands.length, 1)),
+    PASSING_TONES.length - 1
+  );
+  return PASSING_TONES[toneIndex];
+};
+
+/**
+ * Validate a scheme edited by an admin
+ * @param {Object} scheme
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateGradingScheme = (scheme) => {
+  if (!scheme.name || !scheme.name.trim()) return 'Nama skema wajib diisi';
+
+  const passing = Number(scheme.passing_score);
+  if (!Number.isFinite(passing) || passing < 0 || passing > 100) return 'KKM harus antara 0 dan 100';
+
+  const bands = scheme.bands || [];
+  if (bands.length < 2) return 'Skema minimal memiliki 2 rentang nilai';
+
+  const labels = new Set();
+  const mins = new Set();
+  for (const band of bands) {
+    const label = String(band.label || '').trim();
+    const min = Number(band.min);
+    if (!label) return 'Setiap rentang harus memiliki label';
+    if (!Number.isFinite(min) || min < 0 || min > 100) return `Nilai minimum "${label}" harus antara 0 dan 100`;
+    if (labels.has(label)) return `Label "${label}" digunakan lebih dari sekali`;
+    if (mins.has(min)) return `Nilai minimum ${min} digunakan lebih dari sekali`;
+    labels.add(label);
+    mins.add(min);
+  }
+
+  if (!mins.has(0)) return 'Harus ada rentang dengan nilai minimum 0';
+  return null;
+};
+
+export default {
+  BUILT_IN_SCHEMES,
+  DEFAULT_SCHEME_ID,
+  getGradingSettings,
+  setGradingSettings,
+  getGradingSchemes,
+  getGradingScheme,
+  resolveGradingScheme,
+  getGradeBand,
+  getBandTone,
+  isPassingScore,
+  validateGradingScheme
+};
@@ -0,0 +1,220 @@
+/**
+ * Item analysis of a kuis: how each soal performed across the students
+ *
+ * - Difficulty index: mean item score (0-1, partial credit counts), higher is easier
+ * - Discrimination: point-biserial correlation between the item score and the
+ *   score on the rest of the kuis, so the item does not correlate with itself
+ * - Distractors: how often each option was chosen and how the students who chose
+ *   it did on the rest of the kuis
+ *
+ * Only each student's first attempt is used, later attempts have seen the soal.
+ * Results need their answers (getResultAnswers), rows without them are skipped.
+ */
+
+import { parseOptions } from './optionsParser';
+import { getQuestionType, isChoiceType, isCorrectOption, parseMultiSelectAnswer, QUESTION_TYPES } from './questionTypes';
+import { getResultAnswers, getScoringSettings, scoreQuestion, SCORE_STATUS } from './scoring';
+import { groupAttemptsByKuis } from './attempts';
+import { getSoalId } from './questionBank';
+import { isPoolKuis } from './questionPool';
+
+export const ITEM_FLAGS = {
+  MISKEYED: 'miskeyed',
+  LOW_DISCRIMINATION: 'low_discrimination',
+  TOO_EASY: 'too_easy',
+  TOO_HARD: 'too_hard',
+};
+
+export const ITEM_FLAG_LABELS = {
+  [ITEM_FLAGS.MISKEYED]: 'Kunci mungkin salah',
+  [ITEM_FLAGS.LOW_DISCRIMINATION]: 'Daya beda rendah',
+  [ITEM_FLAGS.TOO_EASY]: 'Terlalu mudah',
+  [ITEM_FLAGS.TOO_HARD]: 'Terlalu sulit',
+};
+
+export const ITEM_THRESHOLDS = {
+  MIN_RESPONDENTS: 5,
+  EASY: 0.9,
+  HARD: 0.2,
+  DISCRIMINATION: 0.2,
+  // Options chosen by fewer students do not distract anyone
+  NON_FUNCTIONING: 0.05,
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+const getRowUserId = (row) => String(row.user_id ?? row.User_id ?? row.User?.ID ?? '');
+
+/**
+ * Pearson correlation, null when either side has no variance
+ * @param {Array} xs
+ * @param {Array} ys
+ * @returns {number|null}
+ */
+export const correlate = (xs, ys) => {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    const dx = x - meanX;
+    const dy = ys[index] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  });
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * First attempt of every student
+ * Students whose first attempt came without answers are left out rather than
+ * analysed on a later, practised attempt.
+ * @param {Array} results - Hasil-kuis rows of one kuis
+ * @returns {Array}
+ */
+const getFirstAttempts = (results) => {
+  const byUser = new Map();
+  results.forEach(row => {
+    const userId = getRowUserId(row);
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(row);
+  });
+
+  return [...byUser.values()]
+    .map(rows => [...groupAttemptsByKuis(rows).values()][0][0])
+    .filter(row => getResultAnswers(row).size > 0);
+};
+
+/**
+ * Options a student picked on a choice-type soal
+ */
+const getChosenOptions = (soal, answer) =>
+  getQuestionType(soal) === QUESTION_TYPES.MULTIPLE_SELECT
+    ? parseMultiSelectAnswer(answer)
+    : [answer].filter(value => value !== undefined && value !== null && value !== '');
+
+const getFlags = ({ respondents, difficulty, discrimination, options }) => {
+  if (respondents < ITEM_THRESHOLDS.MIN_RESPONDENTS) return [];
+
+  const flags = [];
+  const keys = options.filter(option => option.isKey);
+  const keyCount = Math.max(0, ...keys.map(option => option.count));
+  const keyRestScore = mean(keys.map(option => option.restScore).filter(score => score !== null));
+
+  // A distractor that draws more (or better) students than the key, on an item
+  // stronger students get wrong, points at the key rather than the students
+  const suspicious = options.some(option =>
+    !option.isKey &&
+    option.count > 0 &&
+    (option.count >= keyCount || (discrimination !== null && discrimination < 0)) &&
+    option.restScore !== null &&
+    (keyRestScore === null || option.restScore > keyRestScore)
+  );
+  if (suspicious) flags.push(ITEM_FLAGS.MISKEYED);
+
+  if (discrimination !== null && discrimination < ITEM_THRESHOLDS.DISCRIMINATION) {
+    flags.push(ITEM_FLAGS.LOW_DISCRIMINATION);
+  }
+  if (difficulty > ITEM_THRESHOLDS.EASY) flags.push(ITEM_FLAGS.TOO_EASY);
+  if (difficulty < ITEM_THRESHOLDS.HARD) flags.push(ITEM_FLAGS.TOO_HARD);
+  return flags;
+};
+
+/**
+ * Analyse every soal of a kuis
+ * @param {Object} data
+ * @param {Array} data.soalList - Soal of the kuis, or every soal a pool kuis may serve
+ * @param {Array} data.results - Hasil-kuis rows of the kuis, of every student
+ * @param {Object} data.kuis - For its scoring settings
+ * @returns {Object} - {respondents, items}, items in soal order, soal nobody was served are left out
+ */
+export const analyzeItems = ({ soalList = [], results = [], kuis }) => {
+  const settings = getScoringSettings(kuis);
+  const attempts = getFirstAttempts(results).map(row => getResultAnswers(row));
+  const pool = isPoolKuis(kuis);
+
+  // Item score of every soal per attempt, a pool attempt only has the soal it was served
+  const scores = attempts.map(answers => new Map(
+    soalList
+      .filter(soal => !pool || answers.has(getSoalId(soal)))
+      .map(soal => [getSoalId(soal), scoreQuestion(soal, answers.get(getSoalId(soal)), settings)])
+  ));
+
+  // Share of the rest of the kuis an attempt got right, without one soal
+  const getRestScore = (itemScores, soalId) => {
+    const rest = [...itemScores].filter(([id]) => id !== soalId).map(([, score]) => score.fraction);
+    return rest.length > 0 ? mean(rest) : null;
+  };
+
+  const items = soalList.map(soal => {
+    const soalId = getSoalId(soal);
+    const served = scores
+      .map((itemScores, index) => ({ itemScores, answer: attempts[index].get(soalId), score: itemScores.get(soalId) }))
+      .filter(entry => entry.score);
+
+    if (served.length === 0) return null;
+
+    const rows = served.map(entry => ({ ...entry, rest: getRestScore(entry.itemScores, soalId) }));
+    const withRest = rows.filter(row => row.rest !== null);
+    const discrimination = correlate(withRest.map(row => row.score.fraction), withRest.map(row => row.rest));
+    const difficulty = mean(rows.map(row => row.score.fraction));
+
+    const options = isChoiceType(getQuestionType(soal))
+      ? parseOptions(soal.options_json || soal.Options || soal.options).map(option => {
+        const choosers = rows.filter(row => getChosenOptions(soal, row.answer).includes(option));
+        const restScores = choosers.map(row => row.rest).filter(rest => rest !== null);
+        return {
+          option,
+          isKey: isCorrectOption(soal, option),
+          count: choosers.length,
+          rate: round2(choosers.length / rows.length),
+          restScore: restScores.length > 0 ? round2(mean(restScores)) : null
+        };
+      })
+      : [];
+
+    const item = {
+      soal,
+      soalId,
+      respondents: rows.length,
+      correct: rows.filter(row => row.score.status === SCORE_STATUS.CORRECT).length,
+      unanswered: rows.filter(row => row.score.status === SCORE_STATUS.UNANSWERED).length,
+      difficulty: round2(difficulty),
+      discrimination: discrimination === null ? null : round2(discrimination),
+      options: options.map(option => ({
+        ...option,
+        nonFunctioning: !option.isKey && option.rate < ITEM_THRESHOLDS.NON_FUNCTIONING
+      }))
+    };
+
+    return { ...item, flags: getFlags(item) };
+  }).filter(Boolean);
+
+  return { respondents: attempts.length, items };
+};
+
+/**
+ * Item counts per flag, for a summary
+ * @param {Array} items - From analyzeItems
+ * @returns {Object} - flag -> count
+ */
+export const countFlags = (items) =>
+  Object.fromEntries(
+    Object.values(ITEM_FLAGS).map(flag => [flag, items.filter(item => item.flags.includes(flag)).length])
+  );
+
+export default {
+  ITEM_FLAGS,
+  ITEM_FLAG_LABELS,
+  ITEM_THRESHOLDS,
+  correlate,
+  analyzeItems,
+  countFlags
+};
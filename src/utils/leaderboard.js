@@ -0,0 +1,167 @@
+/**
+ * Leaderboard aggregation over hasil-kuis rows from many users
+ *
+ * Rows are expected in the backend HasilKuis shape, optionally with the
+ * preloaded `User` and `Kuis` relations:
+ * {user_id, kuis_id, score, correct_answer, updated_at, User: {name, leaderboard_opt_out}, Kuis: {title, kategori_id}}
+ */
+
+import { extractCorrectAnswers } from './gradeUtils';
+import { getResultScore } from './scoring';
+import { getAttemptSettings, selectCountedResult, sortAttempts } from './attempts';
+
+export const LEADERBOARD_METRICS = {
+  TOTAL: 'total',
+  AVERAGE: 'average',
+};
+
+export const LEADERBOARD_TIME_WINDOWS = {
+  ALL: 'all',
+  WEEK: '7',
+  MONTH: '30',
+};
+
+export const ANONYMOUS_NAME = 'Peserta Anonim';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getRowUserId = (row) => String(row.user_id ?? row.User_id ?? row.User?.ID ?? '');
+
+const getRowKuisId = (row) => Number(row.kuis_id ?? row.Kuis_id ?? row.Kuis?.ID);
+
+const getRowDate = (row) => new Date(row.updated_at || row.UpdatedAt || row.created_at || row.CreatedAt || 0);
+
+const isRowOptedOut = (row) => Boolean(row.leaderboard_opt_out ?? row.User?.leaderboard_opt_out);
+
+/**
+ * Start of a time window, or null for all time
+ * @param {string} timeWindow - One of LEADERBOARD_TIME_WINDOWS
+ * @param {number} now - Reference timestamp
+ * @returns {Date|null}
+ */
+export const getWindowStart = (timeWindow, now = Date.now()) => {
+  const days = parseInt(timeWindow);
+  return Number.isFinite(days) ? new Date(now - days * DAY_MS) : null;
+};
+
+/**
+ * Assign competition ranks ("1, 1, 3") on an already sorted list
+ * @param {Array} entries - Sorted entries
+ * @param {Function} getValue - Value compared for ties
+ * @returns {Array} - Entries with `rank` and `isTied`
+ */
+export const assignRanks = (entries, getValue) => {
+  return entries.map((entry, index) => {
+    let rank = index + 1;
+    for (let i = index - 1; i >= 0 && getValue(entries[i]) === getValue(entry); i--) {
+      rank = i + 1;
+    }
+    const isTied =
+      (index > 0 && getValue(entries[index - 1]) === getValue(entry)) ||
+      (index < entries.length - 1 && getValue(entries[index + 1]) === getValue(entry));
+    return { ...entry, rank, isTied };
+  });
+};
+
+/**
+ * Build a ranked leaderboard from hasil-kuis rows
+ * @param {Array} rows - Hasil-kuis rows of many users
+ * @param {Object} options
+ * @param {Map} options.kuisMap - kuis ID -> kuis, used when rows lack the Kuis relation
+ * @param {string} options.kategoriId - Only count kuis of this kategori ('all' for every kategori)
+ * @param {string} options.timeWindow - One of LEADERBOARD_TIME_WINDOWS
+ * @param {string} options.metric - One of LEADERBOARD_METRICS
+ * @param {string} options.currentUserId - Marks the current user's entry
+ * @returns {Array} - Ranked entries
+ */
+export const buildLeaderboard = (rows, {
+  kuisMap = new Map(),
+  kategoriId = 'all',
+  timeWindow = LEADERBOARD_TIME_WINDOWS.ALL,
+  metric = LEADERBOARD_METRICS.TOTAL,
+  currentUserId = null
+} = {}) => {
+  const windowStart = getWindowStart(timeWindow);
+  const attempts = new Map();
+  const users = new Map();
+
+  // Attempts per user + kuis inside the filters
+  rows.forEach(row => {
+    const userId = getRowUserId(row);
+    if (!userId) return;
+
+    const kuisId = getRowKuisId(row);
+    const kuis = row.Kuis || kuisMap.get(kuisId);
+    if (kategoriId !== 'all' && Number(kuis?.kategori_id) !== Number(kategoriId)) return;
+    if (windowStart && getRowDate(row) < windowStart) return;
+
+    const key = `${userId}:${kuisId}`;
+    if (!attempts.has(key)) attempts.set(key, { userId, kuis, rows: [] });
+    attempts.get(key).rows.push(row);
+  });
+
+  // A kuis counts once per user, with the result its scoring rule selects
+  attempts.forEach(({ userId, kuis, rows: kuisRows }) => {
+    const sorted = sortAttempts(kuisRows);
+    const getScoreOptions = (hasil) => ({
+      correctAnswers: extractCorrectAnswers(hasil),
+      totalQuestions: hasil.total_questions || 0
+    });
+    const row = selectCountedResult(
+      sorted,
+      getAttemptSettings(kuis).scoringRule,
+      (hasil) => getResultScore(hasil, getScoreOptions(hasil)).score
+    );
+    const date = getRowDate(sorted[sorted.length - 1]);
+
+    const correctAnswers = extractCorrectAnswers(row);
+    const { score } = getResultScore(row, getScoreOptions(row));
+
+    if (!users.has(userId)) {
+      users.set(userId, {
+        id: userId,
+        name: row.User?.name || row.user_name || `Peserta ${userId}`,
+        optedOut: false,
+        totalScore: 0,
+        completedQuizzes: 0,
+        correctAnswers: 0,
+        lastActivity: null
+      });
+    }
+
+    const entry = users.get(userId);
+    entry.optedOut = entry.optedOut || isRowOptedOut(row);
+    entry.totalScore += score;
+    entry.completedQuizzes++;
+    entry.correctAnswers += correctAnswers;
+    if (!entry.lastActivity || date > entry.lastActivity) {
+      entry.lastActivity = date;
+    }
+  });
+
+  const getValue = metric === LEADERBOARD_METRICS.AVERAGE
+    ? (entry) => entry.averageScore
+    : (entry) => entry.totalScore;
+
+  const entries = [...users.values()]
+    .map(entry => {
+      const isCurrentUser = currentUserId !== null && String(currentUserId) === entry.id;
+      return {
+        ...entry,
+        averageScore: Math.round(entry.totalScore / entry.completedQuizzes),
+        isCurrentUser,
+        // Opted-out users stay ranked but are only recognisable to themselves
+        displayName: entry.optedOut && !isCurrentUser ? ANONYMOUS_NAME : entry.name
+      };
+    })
+    .sort((a, b) => getValue(b) - getValue(a) || a.displayName.localeCompare(b.displayName));
+
+  return assignRanks(entries, getValue);
+};
+
+export default {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_TIME_WINDOWS,
+  buildLeaderboard,
+  assignRanks
+};
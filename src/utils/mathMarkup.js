@@ -0,0 +1,339 @@
+/**
+ * LaTeX math to MathML
+ *
+ * Covers the notation used in school math: fractions, roots, scripts, Greek
+ * letters, operators and relations, functions, accents, \text and matrix /
+ * cases environments. Unknown commands are kept as literal text instead of
+ * failing, so a typo never hides the rest of the soal.
+ *
+ * Output is a node tree {tag, text?, children?, attrs?} that only uses MathML
+ * tags; RichText turns it into elements.
+ */
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+  eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+  xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ',
+  chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ',
+  Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+};
+
+const SYMBOLS = {
+  infty: '∞', emptyset: '∅', varnothing: '∅', partial: '∂', nabla: '∇', ell: 'ℓ', hbar: 'ℏ',
+  angle: '∠', triangle: '△', degree: '°', prime: '′',
+};
+
+const OPERATORS = {
+  times: '×', div: '÷', cdot: '⋅', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘',
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', neq: '≠', ne: '≠', lt: '<', gt: '>', approx: '≈',
+  equiv: '≡', sim: '∼', cong: '≅', propto: '∝', to: '→', rightarrow: '→', leftarrow: '←',
+  Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+  cup: '∪', cap: '∩', setminus: '∖', forall: '∀', exists: '∃', neg: '¬', land: '∧', lor: '∨',
+  perp: '⊥', parallel: '∥', mid: '∣', cdots: '⋯', ldots: '…', dots: '…', vdots: '⋮',
+  therefore: '∴', because: '∵', langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋',
+  lceil: '⌈', rceil: '⌉', '{': '{', '}': '}', '|': '‖', vert: '|', Vert: '‖',
+  '%': '%', '$': '$', '#': '#', '&': '&', _: '_',
+};
+
+const LARGE_OPERATORS = {
+  sum: '∑', prod: '∏', int: '∫', iint: '∬', iiint: '∭', oint: '∮', bigcup: '⋃', bigcap: '⋂',
+};
+
+// Take their scripts as limits below / above in display math
+const LIMIT_COMMANDS = ['sum', 'prod', 'bigcup', 'bigcap', 'lim', 'max', 'min', 'sup', 'inf'];
+
+const FUNCTIONS = [
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'deg', 'mod',
+];
+
+const ACCENTS = {
+  bar: '‾', overline: '‾', vec: '→', overrightarrow: '→', hat: '^', widehat: '^',
+  tilde: '~', widetilde: '~', dot: '˙', ddot: '¨',
+};
+
+const SPACES = { ',': '0.1667em', ':': '0.2222em', ';': '0.2778em', ' ': '0.25em', quad: '1em', qquad: '2em' };
+
+const DOUBLE_STRUCK = { N: 'ℕ', Z: 'ℤ', Q: 'ℚ', R: 'ℝ', C: 'ℂ', P: 'ℙ' };
+
+const DELIMITER_COMMANDS = ['left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr'];
+
+const ENVIRONMENT_FENCES = {
+  matrix: ['', ''],
+  pmatrix: ['(', ')'],
+  bmatrix: ['[', ']'],
+  Bmatrix: ['{', '}'],
+  vmatrix: ['|', '|'],
+  cases: ['{', ''],
+};
+
+// Commands whose argument is read as raw text, keeping spaces
+const TEXT_COMMANDS = ['text', 'textrm', 'mbox', 'textbf', 'mathrm', 'operatorname'];
+
+const THIN_SPACE = { tag: 'mspace', attrs: { width: SPACES[','] } };
+
+// Own entries only, so names like "constructor" stay unknown commands
+const lookup = (table, name) => (Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined);
+
+/**
+ * Read a balanced {...} group as raw text
+ * @returns {Object} - {value, end}
+ */
+const readRawGroup = (tex, start) => {
+  let index = start;
+  while (/\s/.test(tex[index] ?? '')) index++;
+  if (tex[index] !== '{') return { value: '', end: start };
+
+  let depth = 0;
+  for (let end = index; end < tex.length; end++) {
+    if (tex[end] === '{') depth++;
+    if (tex[end] === '}') depth--;
+    if (depth === 0) return { value: tex.slice(index + 1, end), end: end + 1 };
+  }
+  return { value: tex.slice(index + 1), end: tex.length };
+};
+
+const tokenize = (tex) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < tex.length) {
+    const char = tex[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '\\') {
+      const name = tex.slice(i + 1).match(/^[a-zA-Z]+/)?.[0] ?? tex[i + 1] ?? '';
+      i += name.length + 1;
+
+      if (TEXT_COMMANDS.includes(name) || name === 'begin' || name === 'end') {
+        const { value, end } = readRawGroup(tex, i);
+        i = end;
+        tokens.push(name === 'begin' || name === 'end'
+          ? { type: name, value: value.trim() }
+          : { type: 'text', value, command: name });
+      } else {
+        tokens.push({ type: 'command', value: name });
+      }
+      continue;
+    }
+
+    const number = tex.slice(i).match(/^(\d+(\.\d+)?|\.\d+)/);
+    if (number) {
+      tokens.push({ type: 'number', value: number[0] });
+      i += number[0].length;
+      continue;
+    }
+
+    tokens.push({ type: /[a-zA-Z]/.test(char) ? 'letter' : 'symbol', value: char });
+    i++;
+  }
+
+  return tokens;
+};
+
+const mo = (text) => ({ tag: 'mo', text });
+
+const toRow = (children) => (children.length === 1 ? children[0] : { tag: 'mrow', children });
+
+const isSymbol = (token, value) => token?.type === 'symbol' && token.value === value;
+
+/**
+ * Convert LaTeX math to a MathML node tree
+ * @param {string} tex - Math without the $ delimiters
+ * @param {Object} options - {display}
+ * @returns {Object} - Root <math> node
+ */
+export const texToMathml = (tex, { display = false } = {}) => {
+  const tokens = tokenize(String(tex ?? ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const isListEnd = (token, stop, inTable) => {
+    if (stop && isSymbol(token, stop)) return true;
+    if (token.type === 'end') return true;
+    return inTable && (isSymbol(token, '&') || (token.type === 'command' && token.value === '\\'));
+  };
+
+  // Nodes until `stop` or the end of an environment or cell
+  const parseList = (stop = null, inTable = false) => {
+    const nodes = [];
+    while (pos < tokens.length && !isListEnd(peek(), stop, inTable)) {
+      if (isSymbol(peek(), '}') || isSymbol(peek(), '&')) {
+        // Unbalanced brace or stray column separator
+        next();
+        continue;
+      }
+      const atom = parseAtom();
+      const node = parseScripts(atom);
+      if (node) nodes.push(node);
+      if (atom?.fn) nodes.push(THIN_SPACE);
+    }
+    return nodes;
+  };
+
+  // A command argument: {group} or a single atom
+  const parseArgument = () => {
+    if (isSymbol(peek(), '{')) {
+      next();
+      const children = parseList('}');
+      if (isSymbol(peek(), '}')) next();
+      return toRow(children);
+    }
+    return parseAtom() || { tag: 'mrow', children: [] };
+  };
+
+  const parseDelimiter = () => {
+    const token = next();
+    if (!token || token.value === '.') return null;
+    if (token.type === 'command') return mo(lookup(OPERATORS, token.value) ?? token.value);
+    return mo(token.value);
+  };
+
+  const parseTable = (environment) => {
+    const rows = [[]];
+    while (pos < tokens.length) {
+      rows[rows.length - 1].push(toRow(parseList(null, true)));
+      const token = next();
+      if (!token || token.type === 'end') break;
+      if (token.type === 'command' && token.value === '\\') rows.push([]);
+    }
+
+    const isEmpty = (cell) => cell.tag === 'mrow' && cell.children.length === 0;
+    const table = {
+      tag: 'mtable',
+      attrs: environment === 'cases' ? { columnalign: 'left' } : {},
+      children: rows
+        .filter(cells => !cells.every(isEmpty))
+        .map(cells => ({ tag: 'mtr', children: cells.map(cell => ({ tag: 'mtd', children: [cell] })) })),
+    };
+
+    const [open, close] = lookup(ENVIRONMENT_FENCES, environment) || ['', ''];
+    return toRow([open && mo(open), table, close && mo(close)].filter(Boolean));
+  };
+
+  const parseCommand = (name) => {
+    if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+      return { tag: 'mfrac', children: [parseArgument(), parseArgument()] };
+    }
+    if (name === 'binom') {
+      return toRow([mo('('), { tag: 'mfrac', attrs: { linethickness: '0' }, children: [parseArgument(), parseArgument()] }, mo(')')]);
+    }
+    if (name === 'sqrt') {
+      if (isSymbol(peek(), '[')) {
+        next();
+        const index = toRow(parseList(']'));
+        if (isSymbol(peek(), ']')) next();
+        return { tag: 'mroot', children: [parseArgument(), index] };
+      }
+      return { tag: 'msqrt', children: [parseArgument()] };
+    }
+    if (DELIMITER_COMMANDS.includes(name)) return parseDelimiter();
+    if (name === 'mathbb') {
+      const argument = parseArgument();
+      return argument.tag === 'mi' ? { ...argument, text: lookup(DOUBLE_STRUCK, argument.text) ?? argument.text } : argument;
+    }
+    if (name === 'mathbf' || name === 'boldsymbol') {
+      return { tag: 'mrow', attrs: { style: { fontWeight: 'bold' } }, children: [parseArgument()] };
+    }
+    if (name === 'mathcal' || name === 'mathit') return parseArgument();
+    if (lookup(ACCENTS, name)) {
+      return { tag: 'mover', attrs: { accent: 'true' }, children: [parseArgument(), mo(ACCENTS[name])] };
+    }
+    if (name === 'underline') {
+      return { tag: 'munder', attrs: { accentunder: 'true' }, children: [parseArgument(), mo('_')] };
+    }
+    if (lookup(SPACES, name)) return { tag: 'mspace', attrs: { width: SPACES[name] } };
+    if (name === '!' || name === '\\') return null;
+    if (lookup(GREEK, name)) return { tag: 'mi', text: GREEK[name] };
+    if (lookup(SYMBOLS, name)) return { tag: 'mi', text: SYMBOLS[name] };
+    if (lookup(LARGE_OPERATORS, name)) return { ...mo(LARGE_OPERATORS[name]), limits: LIMIT_COMMANDS.includes(name) };
+    if (FUNCTIONS.includes(name)) return { tag: 'mi', text: name, fn: true, limits: LIMIT_COMMANDS.includes(name) };
+    if (lookup(OPERATORS, name)) return mo(OPERATORS[name]);
+    return { tag: 'mtext', text: `\\${name}` };
+  };
+
+  const parseAtom = () => {
+    const token = peek();
+    if (!token) return null;
+    // Scripts without a base attach to an empty row
+    if (isSymbol(token, '^') || isSymbol(token, '_')) return { tag: 'mrow', children: [] };
+    next();
+
+    switch (token.type) {
+      case 'number':
+        return { tag: 'mn', text: token.value };
+      case 'letter':
+        return { tag: 'mi', text: token.value };
+      case 'text':
+        if (token.command === 'mathrm' || token.command === 'operatorname') {
+          return { tag: 'mi', text: token.value, attrs: { mathvariant: 'normal' } };
+        }
+        return {
+          tag: 'mtext',
+          text: token.value,
+          attrs: token.command === 'textbf' ? { style: { fontWeight: 'bold' } } : undefined,
+        };
+      case 'begin':
+        return parseTable(token.value);
+      case 'end':
+        return null;
+      case 'command':
+        return parseCommand(token.value);
+      default:
+        break;
+    }
+
+    if (token.value === '{') {
+      const children = parseList('}');
+      if (isSymbol(peek(), '}')) next();
+      return { tag: 'mrow', children };
+    }
+    if (token.value === "'") return mo('′');
+    if (token.value === '-') return mo('−');
+    if (token.value === '*') return mo('∗');
+    return mo(token.value);
+  };
+
+  const parseScripts = (base) => {
+    let sub = null;
+    let sup = null;
+
+    while (isSymbol(peek(), '^') || isSymbol(peek(), '_') || isSymbol(peek(), "'")) {
+      const { value } = next();
+      if (value === "'") {
+        sup = mo('′');
+      } else if (value === '^') {
+        sup = parseArgument();
+      } else {
+        sub = parseArgument();
+      }
+    }
+
+    if (!sub && !sup) return base;
+    const target = base || { tag: 'mrow', children: [] };
+    const limits = display && target.limits;
+
+    if (sub && sup) return { tag: limits ? 'munderover' : 'msubsup', children: [target, sub, sup] };
+    if (sub) return { tag: limits ? 'munder' : 'msub', children: [target, sub] };
+    return { tag: limits ? 'mover' : 'msup', children: [target, sup] };
+  };
+
+  const children = [];
+  while (pos < tokens.length) {
+    children.push(...parseList());
+    // Skip an \end without a \begin
+    if (pos < tokens.length) next();
+  }
+
+  return { tag: 'math', attrs: { display: display ? 'block' : 'inline' }, children };
+};
+
+export default {
+  texToMathml
+};
@@ -18,7 +18,9 @@ export const parseOptions = (optionsData) => {
     // Handle string JSON format
     if (typeof optionsData === 'string') {
       const parsed = JSON.parse(optionsData);
-      return Array.isArray(parsed) ? parsed : [];
+      if (Array.isArray(parsed)) return parsed;
+      // Object stored as JSON string, e.g. '{"A": "...", "B": "..."}'
+      return parsed && typeof parsed === 'object' ? Object.values(parsed) : [];
     }
 
     // Handle array format (already correct)
@@ -53,19 +55,32 @@ export const parseOptionsWithKeys = (optionsData) => {
 };
 
 /**
- * Normalize options to exactly 4 items for forms
+ * Normalize options for forms, padding with empty strings up to minCount
  * @param {*} optionsData - The options data to parse
- * @returns {Array} - Array of exactly 4 option strings
+ * @param {number} minCount - Minimum number of option fields (default 4)
+ * @returns {Array} - Array of at least minCount option strings
  */
-export const normalizeOptionsForForm = (optionsData) => {
-  const options = parseOptions(optionsData);
-  const normalized = ['', '', '', ''];
-  
-  for (let i = 0; i < Math.min(options.length, 4); i++) {
-    normalized[i] = options[i] || '';
+export const normalizeOptionsForForm = (optionsData, minCount = 4) => {
+  const options = parseOptions(optionsData).map(option => option || '');
+
+  while (options.length < minCount) {
+    options.push('');
   }
-  
-  return normalized;
+
+  return options;
+};
+
+/**
+ * Move a value keyed by option text along when the option text is edited
+ * @param {Object} map - option text -> value, e.g. option feedback
+ * @param {string} previous - Old option text
+ * @param {string} text - New option text
+ * @returns {Object}
+ */
+export const renameOptionKey = (map, previous, text) => {
+  if (!map || !previous || !Object.prototype.hasOwnProperty.call(map, previous)) return map;
+  const { [previous]: moved, ...rest } = map;
+  return { ...rest, [text]: moved };
 };
 
 /**
@@ -192,6 +207,7 @@ export default {
   parseOptions,
   parseOptionsWithKeys,
   normalizeOptionsForForm,
+  renameOptionKey,
   validateOptions,
   optionsToJSON,
   getOptionLetter,
@@ -0,0 +1,115 @@
+/**
+ * Practice mode: a kuis taken with instant feedback and without an official result
+ *
+ * Practice sessions never reach the backend. They are kept per user on this
+ * device so the study planner can show practice progress next to the
+ * official results.
+ */
+
+import { SCHEDULE_STATUS, getScheduleStatus } from './quizSchedule';
+
+const PRACTICE_PREFIX = 'practiceStats';
+const MAX_SESSIONS = 200;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const PRACTICE_MODE = 'latihan';
+
+/**
+ * Route of a kuis in practice mode
+ * @param {string|number} kuisId
+ * @returns {string}
+ */
+export const getPracticePath = (kuisId) => `/kuis/${kuisId}/jawab?mode=${PRACTICE_MODE}`;
+
+/**
+ * Whether the current route is a practice session
+ * @param {URLSearchParams} searchParams
+ * @returns {boolean}
+ */
+export const isPracticeMode = (searchParams) => searchParams.get('mode') === PRACTICE_MODE;
+
+/**
+ * Whether a student may practice a kuis
+ * Practice reveals the answers, so it only opens once the kuis can no longer
+ * be taken for a grade: the kuis has closed or no attempts are left.
+ * @param {Object} kuis
+ * @param {Object|null} attemptSummary - From summarizeAttempts, null when the attempts are unknown
+ * @param {number} now - Timestamp, defaults to the current time
+ * @returns {boolean}
+ */
+export const canPractice = (kuis, attemptSummary, now = Date.now()) => {
+  const status = getScheduleStatus(kuis, now);
+  if (status === SCHEDULE_STATUS.CLOSED) return true;
+  return status === SCHEDULE_STATUS.OPEN && attemptSummary !== null && !attemptSummary.canAttempt;
+};
+
+const getStatsKey = (userId) => `${PRACTICE_PREFIX}:${userId}`;
+
+/**
+ * Practice sessions of a user, oldest first
+ * @param {string|number} userId
+ * @returns {Array} - [{kuisId, kuisTitle, score, correct, total, finishedAt}]
+ */
+export const loadPracticeSessions = (userId) => {
+  if (!userId) return [];
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStatsKey(userId)) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Error loading practice stats:', error);
+    return [];
+  }
+};
+
+/**
+ * Record a finished practice session, only the latest sessions are kept
+ * @param {string|number} userId
+ * @param {Object} session - {kuisId, kuisTitle, score, correct, total}
+ */
+export const recordPracticeSession = (userId, { kuisId, kuisTitle, score, correct, total }) => {
+  if (!userId) return;
+
+  const sessions = [
+    ...loadPracticeSessions(userId),
+    { kuisId: Number(kuisId), kuisTitle, score, correct, total, finishedAt: Date.now() }
+  ].slice(-MAX_SESSIONS);
+
+  try {
+    localStorage.setItem(getStatsKey(userId), JSON.stringify(sessions));
+  } catch (error) {
+    console.error('Error saving practice stats:', error);
+  }
+};
+
+/**
+ * Totals over practice sessions
+ * @param {Array} sessions - From loadPracticeSessions
+ * @param {number} now - Reference timestamp for the weekly count
+ * @returns {Object} - {sessions, weekSessions, averageScore, questionsAnswered, accuracy, kuisPracticed, lastPracticedAt}
+ */
+export const summarizePractice = (sessions, now = Date.now()) => {
+  const questionsAnswered = sessions.reduce((sum, session) => sum + (session.total || 0), 0);
+  const correct = sessions.reduce((sum, session) => sum + (session.correct || 0), 0);
+  const totalScore = sessions.reduce((sum, session) => sum + (session.score || 0), 0);
+
+  return {
+    sessions: sessions.length,
+    weekSessions: sessions.filter(session => now - session.finishedAt < WEEK_MS).length,
+    averageScore: sessions.length > 0 ? Math.round(totalScore / sessions.length) : 0,
+    questionsAnswered,
+    accuracy: questionsAnswered > 0 ? Math.round((correct / questionsAnswered) * 100) : 0,
+    kuisPracticed: new Set(sessions.map(session => session.kuisId)).size,
+    lastPracticedAt: sessions.length > 0 ? sessions[sessions.length - 1].finishedAt : null
+  };
+};
+
+export default {
+  PRACTICE_MODE,
+  canPractice,
+  getPracticePath,
+  isPracticeMode,
+  loadPracticeSessions,
+  recordPracticeSession,
+  summarizePractice
+};
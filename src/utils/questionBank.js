@@ -0,0 +1,233 @@
+/**
+ * Question bank: tagging soal and reusing them across kuis
+ *
+ * Soal fields: tags (JSON array of free-form tags)
+ *              difficulty (one of DIFFICULTY_LEVELS, optional)
+ *              source_soal_id (soal this one was added from)
+ *              is_reference (follows its source instead of being an independent copy)
+ *
+ * Kategori and tingkatan of a soal are those of the kuis it belongs to.
+ * A reference is still its own soal row in the target kuis, so answers are
+ * graded as usual; services/questionBank keeps its content in sync.
+ */
+
+import { getQuestionType } from './questionTypes';
+import { parseOptions } from './optionsParser';
+import { getQuestionPoints } from './scoring';
+import { getExplanation, getOptionFeedback } from './questionFeedback';
+import { getOptionMedia, getQuestionMedia } from './questionMedia';
+
+export const REUSE_MODES = {
+  COPY: 'copy',
+  REFERENCE: 'reference',
+};
+
+export const REUSE_MODE_LABELS = {
+  [REUSE_MODES.COPY]: 'Salinan',
+  [REUSE_MODES.REFERENCE]: 'Referensi',
+};
+
+export const REUSE_MODE_DESCRIPTIONS = {
+  [REUSE_MODES.COPY]: 'Soal baru yang bisa diubah tanpa memengaruhi soal asal.',
+  [REUSE_MODES.REFERENCE]: 'Mengikuti soal asal: perubahan di salah satu kuis berlaku di semua kuis yang memakainya.',
+};
+
+export const DIFFICULTY_LEVELS = {
+  EASY: 'easy',
+  MEDIUM: 'medium',
+  HARD: 'hard',
+};
+
+export const DIFFICULTY_LABELS = {
+  [DIFFICULTY_LEVELS.EASY]: 'Mudah',
+  [DIFFICULTY_LEVELS.MEDIUM]: 'Sedang',
+  [DIFFICULTY_LEVELS.HARD]: 'Sulit',
+};
+
+const MAX_TAG_LENGTH = 40;
+
+export const getSoalId = (soal) => Number(soal?.ID ?? soal?.id) || null;
+
+export const getSoalKuisId = (soal) => Number(soal?.kuis_id ?? soal?.Kuis_id) || null;
+
+/**
+ * Trim, shorten and de-duplicate tags (case-insensitive, first spelling wins)
+ * @param {Array} tags
+ * @returns {Array}
+ */
+export const normalizeTags = (tags) => {
+  const seen = new Set();
+  return (Array.isArray(tags) ? tags : [])
+    .map(tag => String(tag ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Tags typed as comma separated text
+ * @param {string} text
+ * @returns {Array}
+ */
+export const parseTagInput = (text) => normalizeTags(String(text ?? '').split(','));
+
+export const getSoalTags = (soal) => {
+  let tags = soal?.tags ?? soal?.Tags;
+  if (typeof tags === 'string') {
+    try {
+      tags = JSON.parse(tags);
+    } catch {
+      tags = parseTagInput(tags);
+    }
+  }
+  return normalizeTags(tags);
+};
+
+export const toTagsJson = (tags) => JSON.stringify(normalizeTags(tags));
+
+/**
+ * Difficulty of a soal
+ * @param {Object} soal
+ * @returns {string} - One of DIFFICULTY_LEVELS, empty when not set
+ */
+export const getSoalDifficulty = (soal) => {
+  const difficulty = String(soal?.difficulty ?? soal?.Difficulty ?? '').toLowerCase();
+  return Object.values(DIFFICULTY_LEVELS).includes(difficulty) ? difficulty : '';
+};
+
+export const getSourceSoalId = (soal) => Number(soal?.source_soal_id ?? soal?.Source_soal_id) || null;
+
+export const isReferenceSoal = (soal) =>
+  Boolean(soal?.is_reference ?? soal?.Is_reference) && getSourceSoalId(soal) !== null;
+
+/**
+ * Bank fields of a soal for the edit forms
+ * @param {Object} soal
+ * @returns {Object} - {tags, difficulty, source_soal_id, is_reference}
+ */
+export const getBankFields = (soal) => ({
+  tags: getSoalTags(soal),
+  difficulty: getSoalDifficulty(soal),
+  source_soal_id: getSourceSoalId(soal),
+  is_reference: isReferenceSoal(soal),
+});
+
+/**
+ * Content of a stored soal in the shape api.addSoal / api.updateSoal take
+ * @param {Object} soal
+ * @returns {Object} - Without kuis_id and reuse fields
+ */
+export const toSoalData = (soal) => ({
+  type: getQuestionType(soal),
+  question: soal?.question ?? soal?.Question ?? '',
+  options: parseOptions(soal?.options_json ?? soal?.Options),
+  correct_answer: soal?.correct_answer ?? soal?.Correct_answer ?? '',
+  points: getQuestionPoints(soal),
+  explanation: getExplanation(soal),
+  option_feedback: getOptionFeedback(soal),
+  media: getQuestionMedia(soal),
+  option_media: getOptionMedia(soal),
+  tags: getSoalTags(soal),
+  difficulty: getSoalDifficulty(soal),
+});
+
+/**
+ * Soal the bank lists, with the kuis using each of them
+ * References are not listed on their own, they count as uses of their source.
+ * @param {Array} soalList - All soal
+ * @param {Array} kuisList - All kuis
+ * @returns {Array} - [{soal, id, kuis, kategoriId, tingkatanId, type, difficulty, tags, kuisIds}]
+ */
+export const toBankEntries = (soalList = [], kuisList = []) => {
+  const kuisById = new Map(kuisList.map(kuis => [Number(kuis.ID ?? kuis.id), kuis]));
+  const usedIn = new Map();
+
+  soalList.filter(isReferenceSoal).forEach(soal => {
+    const sourceId = getSourceSoalId(soal);
+    usedIn.set(sourceId, [...(usedIn.get(sourceId) || []), getSoalKuisId(soal)]);
+  });
+
+  return soalList
+    .filter(soal => !isReferenceSoal(soal))
+    .map(soal => {
+      const id = getSoalId(soal);
+      const kuis = kuisById.get(getSoalKuisId(soal)) || null;
+      return {
+        soal,
+        id,
+        kuis,
+        kategoriId: Number(kuis?.kategori_id) || null,
+        tingkatanId: Number(kuis?.tingkatan_id) || null,
+        type: getQuestionType(soal),
+        difficulty: getSoalDifficulty(soal),
+        tags: getSoalTags(soal),
+        kuisIds: [getSoalKuisId(soal), ...(usedIn.get(id) || [])].filter(Boolean),
+      };
+    });
+};
+
+const getSearchText = ({ soal, kuis, tags }) => [
+  soal.question ?? soal.Question,
+  ...parseOptions(soal.options_json ?? soal.Options),
+  kuis?.title,
+  ...tags,
+].join(' ').toLowerCase();
+
+/**
+ * Filter bank entries
+ * @param {Array} entries - From toBankEntries
+ * @param {Object} filters - {search, kategoriId, tingkatanId, type, difficulty, tag}, empty values match all
+ * @returns {Array}
+ */
+export const filterBankEntries = (entries, { search = '', kategoriId, tingkatanId, type, difficulty, tag } = {}) => {
+  const terms = String(search).toLowerCase().split(/\s+/).filter(Boolean);
+  const tagKey = String(tag ?? '').toLowerCase();
+
+  return entries.filter(entry =>
+    (!kategoriId || entry.kategoriId === Number(kategoriId)) &&
+    (!tingkatanId || entry.tingkatanId === Number(tingkatanId)) &&
+    (!type || entry.type === type) &&
+    (!difficulty || entry.difficulty === difficulty) &&
+    (!tagKey || entry.tags.some(entryTag => entryTag.toLowerCase() === tagKey)) &&
+    (terms.length === 0 || terms.every(term => getSearchText(entry).includes(term)))
+  );
+};
+
+/**
+ * Tags used in the bank, most used first
+ * @param {Array} entries
+ * @returns {Array} - [{tag, count}]
+ */
+export const collectTags = (entries) => {
+  const counts = new Map();
+  entries.forEach(({ tags }) => tags.forEach(tag => {
+    const key = tag.toLowerCase();
+    const current = counts.get(key);
+    counts.set(key, { tag: current?.tag ?? tag, count: (current?.count ?? 0) + 1 });
+  }));
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+export const isInKuis = (entry, kuisId) => entry.kuisIds.includes(Number(kuisId));
+
+export default {
+  REUSE_MODES,
+  getSoalId,
+  getSoalKuisId,
+  normalizeTags,
+  parseTagInput,
+  getSoalTags,
+  toTagsJson,
+  getSoalDifficulty,
+  getSourceSoalId,
+  isReferenceSoal,
+  getBankFields,
+  toSoalData,
+  toBankEntries,
+  filterBankEntries,
+  collectTags,
+  isInKuis
+};
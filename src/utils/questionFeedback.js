@@ -0,0 +1,76 @@
+/**
+ * Explanations and per-option feedback of a soal
+ *
+ * Soal fields: explanation (why the correct answer is correct)
+ *              option_feedback (JSON object, option text -> note shown for that option)
+ *
+ * Both are optional and only shown once an answer is final: in the result
+ * review and after checking an answer in practice mode.
+ */
+
+import { QUESTION_TYPES, getQuestionType, isChoiceType, parseMultiSelectAnswer } from './questionTypes';
+
+/**
+ * Explanation of a soal
+ * @param {Object} soal
+ * @returns {string} - Empty when the soal has none
+ */
+export const getExplanation = (soal) => String(soal?.explanation ?? soal?.Explanation ?? '').trim();
+
+/**
+ * Parse stored option feedback (JSON string or object) into an object
+ * @param {*} value
+ * @returns {Object} - option text -> feedback
+ */
+export const parseOptionFeedback = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      return {};
+    }
+  }
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+};
+
+export const getOptionFeedback = (soal) => parseOptionFeedback(soal?.option_feedback ?? soal?.Option_feedback);
+
+/**
+ * Feedback of the options picked in an answer
+ * @param {Object} soal
+ * @param {*} answer - Answer as kept in quiz state or as submitted
+ * @returns {Array} - [{option, feedback}]
+ */
+export const getSelectedOptionFeedback = (soal, answer) => {
+  const type = getQuestionType(soal);
+  if (!isChoiceType(type)) return [];
+
+  const feedback = getOptionFeedback(soal);
+  const selected = type === QUESTION_TYPES.MULTIPLE_SELECT ? parseMultiSelectAnswer(answer) : [answer];
+  return selected
+    .filter(option => String(feedback[option] ?? '').trim())
+    .map(option => ({ option, feedback: feedback[option] }));
+};
+
+/**
+ * Option feedback as stored, without empty notes or options that no longer exist
+ * @param {*} feedback - Object or JSON string
+ * @param {Array} options - Current option texts
+ * @returns {string} - JSON object string
+ */
+export const toOptionFeedbackJson = (feedback, options = []) => {
+  const parsed = parseOptionFeedback(feedback);
+  const entries = options
+    .map(option => [option, String(parsed[option] ?? '').trim()])
+    .filter(([option, note]) => option && note);
+  return JSON.stringify(Object.fromEntries(entries));
+};
+
+export default {
+  getExplanation,
+  getOptionFeedback,
+  getSelectedOptionFeedback,
+  parseOptionFeedback,
+  toOptionFeedbackJson
+};
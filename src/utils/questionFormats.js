@@ -0,0 +1,754 @@
+/**
+ * Import / export of soal in portable text formats
+ *
+ * Supported formats:
+ * - CSV: header row with `type`, `question`, `correct_answer`, an optional
+ *   `explanation` and any number of `option_*` columns. Choice answers may be
+ *   option text or letters (`A`, `A;C`); a single letter is read as a position first.
+ * - JSON: array of {type, question, options, correct_answer, explanation}
+ * - GIFT: Moodle GIFT text (multiple choice, true/false, multi-select via
+ *   weights, short answer and numeric)
+ * - Aiken: Moodle Aiken text (multiple choice only)
+ *
+ * Parsers return one entry per question with {line, type, question, options,
+ * correct_answer, explanation, errors}; `validateImportedQuestion` adds the form validation.
+ */
+
+import { parseOptions, validateOptions, getOptionLetter, getOptionIndex } from './optionsParser';
+import {
+  QUESTION_TYPES,
+  TRUE_FALSE_OPTIONS,
+  getQuestionType,
+  isChoiceType,
+  parseMultiSelectAnswer,
+  serializeMultiSelectAnswer,
+  validateQuestionForm
+} from './questionTypes';
+import { getExplanation } from './questionFeedback';
+
+export const QUESTION_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  GIFT: 'gift',
+  AIKEN: 'aiken',
+};
+
+export const QUESTION_FORMAT_INFO = {
+  [QUESTION_FORMATS.CSV]: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  [QUESTION_FORMATS.JSON]: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+  [QUESTION_FORMATS.GIFT]: { label: 'Moodle GIFT', extension: 'gift', mimeType: 'text/plain;charset=utf-8' },
+  [QUESTION_FORMATS.AIKEN]: { label: 'Aiken', extension: 'txt', mimeType: 'text/plain;charset=utf-8' },
+};
+
+const TYPE_ALIASES = {
+  mc: QUESTION_TYPES.MULTIPLE_CHOICE,
+  pg: QUESTION_TYPES.MULTIPLE_CHOICE,
+  pilihan_ganda: QUESTION_TYPES.MULTIPLE_CHOICE,
+  tf: QUESTION_TYPES.TRUE_FALSE,
+  bs: QUESTION_TYPES.TRUE_FALSE,
+  benar_salah: QUESTION_TYPES.TRUE_FALSE,
+  ms: QUESTION_TYPES.MULTIPLE_SELECT,
+  pg_kompleks: QUESTION_TYPES.MULTIPLE_SELECT,
+  short: QUESTION_TYPES.SHORT_ANSWER,
+  isian: QUESTION_TYPES.SHORT_ANSWER,
+  isian_singkat: QUESTION_TYPES.SHORT_ANSWER,
+  number: QUESTION_TYPES.NUMERIC,
+  angka: QUESTION_TYPES.NUMERIC,
+};
+
+const TRUE_VALUES = ['benar', 'true', 't', 'b', 'ya'];
+const FALSE_VALUES = ['salah', 'false', 'f', 's', 'tidak'];
+
+/**
+ * Map a type written in an import file to one of QUESTION_TYPES
+ * @returns {string|null} - null when the type is not recognised
+ */
+const normalizeType = (rawType) => {
+  const value = String(rawType ?? '').trim().toLowerCase().replace(/[\s/-]+/g, '_');
+  if (!value) return QUESTION_TYPES.MULTIPLE_CHOICE;
+  if (Object.values(QUESTION_TYPES).includes(value)) return value;
+  return TYPE_ALIASES[value] || null;
+};
+
+/**
+ * Resolve a single correct answer given as option text or letter
+ * @param {boolean} byPosition - A letter is an option position first (the CSV answer column),
+ *   otherwise option text wins; the option text may itself be a letter (options B, A, C, D)
+ */
+const resolveSingleAnswer = (answer, options, byPosition = false) => {
+  const value = String(answer ?? '').trim();
+  const index = /^[A-Za-z]$/.test(value) ? getOptionIndex(value) : -1;
+  const positioned = index >= 0 && index < options.length ? options[index] : null;
+
+  if (byPosition && positioned !== null) return positioned;
+  if (options.includes(value)) return value;
+  return positioned ?? value;
+};
+
+/**
+ * Resolve the correct answer of a choice-type question into its stored form
+ */
+const resolveChoiceAnswer = (type, answer, options, byPosition = false) => {
+  if (type === QUESTION_TYPES.MULTIPLE_SELECT) {
+    let parts = Array.isArray(answer) ? answer : parseMultiSelectAnswer(answer);
+    // "A;C" or "Jakarta | Bandung" in flat formats
+    if (parts.length === 1 && /[;|]/.test(parts[0])) {
+      parts = parts[0].split(/[;|]/);
+    }
+    const selected = parts.map(part => resolveSingleAnswer(part, options, byPosition));
+    return serializeMultiSelectAnswer(selected, options);
+  }
+
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    const value = String(answer ?? '').trim().toLowerCase();
+    if (TRUE_VALUES.includes(value)) return TRUE_FALSE_OPTIONS[0];
+    if (FALSE_VALUES.includes(value)) return TRUE_FALSE_OPTIONS[1];
+    return String(answer ?? '').trim();
+  }
+
+  return resolveSingleAnswer(answer, options, byPosition);
+};
+
+/**
+ * Build a normalized import entry from loosely typed values
+ * letterAnswers: choice answers are written as option letters (CSV), read by position
+ */
+const toImportEntry = ({ line, type: rawType, question, options, correct_answer, explanation, letterAnswers = false }) => {
+  const errors = [];
+  const type = normalizeType(rawType);
+
+  if (!type) {
+    errors.push(`Tipe soal "${rawType}" tidak dikenali`);
+  }
+
+  const resolvedType = type || QUESTION_TYPES.MULTIPLE_CHOICE;
+  let parsedOptions = parseOptions(options).map(option => String(option ?? '').trim());
+
+  if (resolvedType === QUESTION_TYPES.TRUE_FALSE) {
+    parsedOptions = [...TRUE_FALSE_OPTIONS];
+  } else if (resolvedType === QUESTION_TYPES.NUMERIC) {
+    parsedOptions = [parsedOptions[0] || '0'];
+  } else {
+    parsedOptions = parsedOptions.filter(option => option !== '');
+  }
+
+  return {
+    line,
+    type: resolvedType,
+    question: String(question ?? '').trim(),
+    options: parsedOptions,
+    correct_answer: isChoiceType(resolvedType)
+      ? resolveChoiceAnswer(resolvedType, correct_answer, parsedOptions, letterAnswers)
+      : String(correct_answer ?? '').trim(),
+    explanation: String(explanation ?? '').trim(),
+    errors,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ */
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Drops the formula guard written by escapeCsvCell
+const unescapeCsvCell = (cell) => (cell ?? '').replace(/^'(?=[=+\-@\t\r])/, '');
+
+const HEADER_ALIASES = {
+  tipe: 'type',
+  pertanyaan: 'question',
+  soal: 'question',
+  jawaban: 'correct_answer',
+  jawaban_benar: 'correct_answer',
+  pembahasan: 'explanation',
+};
+
+export const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  // Spreadsheet apps with a comma decimal separator export with semicolons
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''), delimiter);
+
+  if (rows.length === 0) {
+    throw new Error('File CSV kosong');
+  }
+
+  const header = rows[0].map(cell => {
+    const key = cell.trim().toLowerCase().replace(/\s+/g, '_');
+    return HEADER_ALIASES[key] || key;
+  });
+
+  if (!header.includes('question')) {
+    throw new Error('Header CSV harus memiliki kolom "question"');
+  }
+
+  const optionColumns = header
+    .map((key, index) => ({ key, index }))
+    .filter(({ key }) => key.startsWith('option') || key.startsWith('pilihan'));
+
+  return rows.slice(1)
+    .map((cells, rowIndex) => ({ cells, line: rowIndex + 2 }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+    .map(({ cells, line }) => {
+      const get = (key) => unescapeCsvCell(cells[header.indexOf(key)]);
+      return toImportEntry({
+        line,
+        type: get('type'),
+        question: get('question'),
+        options: optionColumns.map(({ index }) => unescapeCsvCell(cells[index])),
+        correct_answer: get('correct_answer'),
+        explanation: get('explanation'),
+        letterAnswers: true,
+      });
+    });
+};
+
+// Text that a spreadsheet would run as a formula is prefixed with '
+const escapeCsvCell = (value) => {
+  const text = String(value ?? '').replace(/^[=+\-@\t\r]/, "'$&");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const serializeCsv = (questions) => {
+  const optionCount = Math.max(4, ...questions.map(question => question.options.length));
+  const header = [
+    'type',
+    'question',
+    'correct_answer',
+    'explanation',
+    ...Array.from({ length: optionCount }, (_, index) => `option_${getOptionLetter(index).toLowerCase()}`),
+  ];
+
+  const rows = questions.map(({ type, question, options, correct_answer, explanation }) => {
+    let answer = correct_answer;
+    if (type === QUESTION_TYPES.MULTIPLE_SELECT) {
+      answer = parseMultiSelectAnswer(correct_answer)
+        .map(option => getOptionLetter(options.indexOf(option)))
+        .join(';');
+    } else if (type === QUESTION_TYPES.MULTIPLE_CHOICE && options.includes(correct_answer)) {
+      answer = getOptionLetter(options.indexOf(correct_answer));
+    }
+
+    const optionCells = Array.from({ length: optionCount }, (_, index) => options[index] ?? '');
+    return [type, question, answer, explanation, ...optionCells].map(escapeCsvCell).join(',');
+  });
+
+  return [header.join(','), ...rows].join('\r\n');
+};
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+export const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`File JSON tidak valid: ${error.message}`);
+  }
+
+  const items = Array.isArray(data) ? data : data?.soal || data?.questions;
+  if (!Array.isArray(items)) {
+    throw new Error('File JSON harus berisi array soal');
+  }
+
+  return items.map((item, index) => toImportEntry({
+    line: index + 1,
+    type: item?.type,
+    question: item?.question,
+    options: item?.options ?? item?.options_json,
+    correct_answer: item?.correct_answer,
+    explanation: item?.explanation,
+  }));
+};
+
+export const serializeJson = (questions) => {
+  const items = questions.map(({ type, question, options, correct_answer, explanation }) => ({
+    type,
+    question,
+    options,
+    correct_answer: type === QUESTION_TYPES.MULTIPLE_SELECT
+      ? parseMultiSelectAnswer(correct_answer)
+      : correct_answer,
+    ...(explanation ? { explanation } : {}),
+  }));
+  return JSON.stringify(items, null, 2);
+};
+
+// ---------------------------------------------------------------------------
+// GIFT
+// ---------------------------------------------------------------------------
+
+const GIFT_SPECIAL_CHARS = /([~=#{}:\\])/g;
+
+// Line breaks are written as \n: a blank line would end the GIFT question
+const escapeGift = (text) => String(text ?? '').replace(GIFT_SPECIAL_CHARS, '\\$1').replace(/\r?\n/g, '\\n');
+
+const unescapeGift = (text) => text.replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char)).trim();
+
+/**
+ * Index of the first unescaped occurrence of one of `chars`, or -1
+ */
+const findUnescaped = (text, chars, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (chars.includes(text[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Split the inside of a GIFT answer block into {mark, weight, text} tokens
+ */
+const tokenizeGiftAnswers = (body) => {
+  const tokens = [];
+  let start = findUnescaped(body, '=~');
+
+  while (start !== -1) {
+    const next = findUnescaped(body, '=~', start + 1);
+    let raw = body.slice(start + 1, next === -1 ? body.length : next);
+
+    // Drop per-answer feedback
+    const feedbackAt = findUnescaped(raw, '#');
+    if (feedbackAt !== -1) raw = raw.slice(0, feedbackAt);
+
+    let weight = null;
+    const weightMatch = raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = parseFloat(weightMatch[1]);
+      raw = raw.slice(weightMatch[0].length);
+    }
+
+    tokens.push({ mark: body[start], weight, text: unescapeGift(raw) });
+    start = next;
+  }
+
+  return tokens;
+};
+
+const parseGiftNumeric = (body) => {
+  // #3.14:0.01, #3.14 or #1..5; only the first answer is used
+  const first = body.slice(1).trim().replace(/^=\s*(%\d+%)?/, '').split(/[=#~]/)[0].trim();
+  const range = first.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+  if (range) {
+    const min = parseFloat(range[1]);
+    const max = parseFloat(range[2]);
+    return { correct_answer: String((min + max) / 2), options: [String(Math.abs(max - min) / 2)] };
+  }
+  const [value, tolerance = '0'] = first.split(':');
+  return { correct_answer: value.trim(), options: [tolerance.trim()] };
+};
+
+/**
+ * Turn one GIFT question block into an import entry
+ */
+const parseGiftBlock = (block, line) => {
+  let text = block.replace(/^::(?:[^:]|\\:)*::/, '').trim();
+  text = text.replace(/^\[(html|plain|markdown|moodle)\]/i, '');
+
+  const open = findUnescaped(text, '{');
+  const close = open === -1 ? -1 : findUnescaped(text, '}', open);
+
+  if (open === -1 || close === -1) {
+    return { ...toImportEntry({ line, question: unescapeGift(text) }), errors: ['Blok jawaban {...} tidak ditemukan'] };
+  }
+
+  // Wrapped lines are joined; escaped \n line breaks are kept
+  const question = unescapeGift(`${text.slice(0, open)} ${text.slice(close + 1)}`.replace(/\s+/g, ' '));
+  const body = text.slice(open + 1, close).trim();
+  const entry = { line, question };
+
+  if (!body) {
+    return { ...toImportEntry(entry), errors: ['Soal esai tidak didukung'] };
+  }
+
+  if (body.startsWith('#')) {
+    return toImportEntry({ ...entry, type: QUESTION_TYPES.NUMERIC, ...parseGiftNumeric(body) });
+  }
+
+  const truthValue = body.split('#')[0].trim().toUpperCase();
+  if (['T', 'TRUE', 'F', 'FALSE'].includes(truthValue)) {
+    return toImportEntry({
+      ...entry,
+      type: QUESTION_TYPES.TRUE_FALSE,
+      correct_answer: truthValue.startsWith('T') ? TRUE_FALSE_OPTIONS[0] : TRUE_FALSE_OPTIONS[1],
+    });
+  }
+
+  if (body.includes('->')) {
+    return { ...toImportEntry(entry), errors: ['Soal menjodohkan tidak didukung'] };
+  }
+
+  const tokens = tokenizeGiftAnswers(body);
+  const rightAnswers = tokens.filter(token => token.mark === '=');
+  const weighted = tokens.filter(token => token.mark === '~' && token.weight > 0);
+
+  // All answers marked "=" means every one of them is accepted
+  if (rightAnswers.length > 0 && rightAnswers.length === tokens.length) {
+    const [main, ...variants] = rightAnswers.map(token => token.text);
+    return toImportEntry({ ...entry, type: QUESTION_TYPES.SHORT_ANSWER, correct_answer: main, options: variants });
+  }
+
+  const options = tokens.map(token => token.text);
+
+  if (rightAnswers.length === 0 && weighted.length > 0) {
+    return toImportEntry({
+      ...entry,
+      type: weighted.length > 1 ? QUESTION_TYPES.MULTIPLE_SELECT : QUESTION_TYPES.MULTIPLE_CHOICE,
+      options,
+      correct_answer: weighted.length > 1 ? weighted.map(token => token.text) : weighted[0].text,
+    });
+  }
+
+  const result = toImportEntry({
+    ...entry,
+    type: QUESTION_TYPES.MULTIPLE_CHOICE,
+    options,
+    correct_answer: rightAnswers[0]?.text,
+  });
+  if (rightAnswers.length !== 1) {
+    result.errors.push('Soal pilihan ganda harus memiliki tepat satu jawaban "="');
+  }
+  return result;
+};
+
+export const parseGift = (text) => {
+  const entries = [];
+  let block = [];
+  let blockLine = 0;
+
+  const flush = () => {
+    const content = block.join('\n').trim();
+    if (content) entries.push(parseGiftBlock(content, blockLine));
+    block = [];
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line.startsWith('//') || line.startsWith('$CATEGORY:')) return;
+
+    if (!line) {
+      flush();
+      return;
+    }
+
+    if (block.length === 0) blockLine = index + 1;
+    block.push(rawLine);
+  });
+  flush();
+
+  return entries;
+};
+
+const formatGiftWeight = (value) => String(Math.round(value * 100000) / 100000);
+
+export const serializeGift = (questions) => {
+  return questions.map(({ type, question, options, correct_answer }, index) => {
+    const title = `::Soal ${index + 1}::`;
+    const text = escapeGift(question);
+
+    switch (type) {
+      case QUESTION_TYPES.TRUE_FALSE:
+        return `${title} ${text} {${correct_answer === TRUE_FALSE_OPTIONS[0] ? 'T' : 'F'}}`;
+
+      case QUESTION_TYPES.MULTIPLE_SELECT: {
+        const correct = parseMultiSelectAnswer(correct_answer);
+        const right = formatGiftWeight(100 / Math.max(correct.length, 1));
+        const wrong = formatGiftWeight(-100 / Math.max(options.length - correct.length, 1));
+        const answers = options.map(option =>
+          `\t~%${correct.includes(option) ? right : wrong}%${escapeGift(option)}`
+        );
+        return `${title} ${text} {\n${answers.join('\n')}\n}`;
+      }
+
+      case QUESTION_TYPES.SHORT_ANSWER: {
+        const accepted = [correct_answer, ...options].filter((value, i, all) => value && all.indexOf(value) === i);
+        return `${title} ${text} {${accepted.map(value => `=${escapeGift(value)}`).join(' ')}}`;
+      }
+
+      case QUESTION_TYPES.NUMERIC:
+        return `${title} ${text} {#${correct_answer}:${options[0] || 0}}`;
+
+      default: {
+        const answers = options.map(option =>
+          `\t${option === correct_answer ? '=' : '~'}${escapeGift(option)}`
+        );
+        return `${title} ${text} {\n${answers.join('\n')}\n}`;
+      }
+    }
+  }).join('\n\n') + '\n';
+};
+
+// ---------------------------------------------------------------------------
+// Aiken
+// ---------------------------------------------------------------------------
+
+const AIKEN_OPTION = /^([A-Z])[.)]\s+(.*)$/;
+const AIKEN_ANSWER = /^ANSWER:\s*([A-Z])\s*$/i;
+
+export const parseAiken = (text) => {
+  const entries = [];
+  let current = null;
+
+  const finishWithError = (error) => {
+    const entry = toImportEntry({ line: current.line, question: current.question.join(' '), options: current.options });
+    entry.errors.push(error);
+    entries.push(entry);
+    current = null;
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const answerMatch = line.match(AIKEN_ANSWER);
+    const optionMatch = line.match(AIKEN_OPTION);
+
+    if (answerMatch && current) {
+      // ANSWER is always an option position, never option text
+      entries.push(toImportEntry({
+        line: current.line,
+        type: QUESTION_TYPES.MULTIPLE_CHOICE,
+        question: current.question.join(' '),
+        options: current.options,
+        correct_answer: current.options[getOptionIndex(answerMatch[1].toUpperCase())] ?? '',
+      }));
+      current = null;
+      return;
+    }
+
+    if (optionMatch && current) {
+      current.options.push(optionMatch[2]);
+      return;
+    }
+
+    if (current && current.options.length > 0) {
+      finishWithError('Baris "ANSWER:" tidak ditemukan');
+    }
+
+    if (current) {
+      current.question.push(line);
+    } else {
+      current = { line: index + 1, question: [line], options: [] };
+    }
+  });
+
+  if (current) {
+    finishWithError('Baris "ANSWER:" tidak ditemukan');
+  }
+
+  return entries;
+};
+
+const isSingleLine = (text) => !/[\r\n]/.test(text);
+
+const isAikenType = ({ type, options, correct_answer }) =>
+  (type === QUESTION_TYPES.MULTIPLE_CHOICE || type === QUESTION_TYPES.TRUE_FALSE) &&
+  options.includes(correct_answer);
+
+// Aiken is line based: a line break would split the question or an option
+const isAikenText = ({ question, options }) => isSingleLine(question) && options.every(isSingleLine);
+
+/**
+ * Aiken only knows single-answer multiple choice on single lines; other soal are skipped
+ */
+export const serializeAiken = (questions) => {
+  return questions
+    .filter(question => isAikenType(question) && isAikenText(question))
+    .map(({ question, options, correct_answer }) => [
+      question.trim(),
+      ...options.map((option, index) => `${getOptionLetter(index)}. ${option}`),
+      `ANSWER: ${getOptionLetter(options.indexOf(correct_answer))}`,
+    ].join('\n'))
+    .join('\n\n') + '\n';
+};
+
+// ---------------------------------------------------------------------------
+// Public helpers
+// ---------------------------------------------------------------------------
+
+const PARSERS = {
+  [QUESTION_FORMATS.CSV]: parseCsv,
+  [QUESTION_FORMATS.JSON]: parseJson,
+  [QUESTION_FORMATS.GIFT]: parseGift,
+  [QUESTION_FORMATS.AIKEN]: parseAiken,
+};
+
+const SERIALIZERS = {
+  [QUESTION_FORMATS.CSV]: serializeCsv,
+  [QUESTION_FORMATS.JSON]: serializeJson,
+  [QUESTION_FORMATS.GIFT]: serializeGift,
+  [QUESTION_FORMATS.AIKEN]: serializeAiken,
+};
+
+/**
+ * Guess the format from the file name, falling back to the content
+ * @param {string} filename - Uploaded file name
+ * @param {string} text - File content
+ * @returns {string} - One of QUESTION_FORMATS
+ */
+export const detectQuestionFormat = (filename = '', text = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'csv') return QUESTION_FORMATS.CSV;
+  if (extension === 'json') return QUESTION_FORMATS.JSON;
+  if (extension === 'gift') return QUESTION_FORMATS.GIFT;
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{"')) return QUESTION_FORMATS.JSON;
+  if (/^ANSWER:/im.test(trimmed)) return QUESTION_FORMATS.AIKEN;
+  if (/\{[^}]*\}/.test(trimmed)) return QUESTION_FORMATS.GIFT;
+  return QUESTION_FORMATS.CSV;
+};
+
+/**
+ * Validate one parsed entry
+ * @param {Object} entry - Entry returned by a parser
+ * @returns {Array<string>} - Error messages, empty when the row can be imported
+ */
+export const validateImportedQuestion = (entry) => {
+  const errors = [...(entry.errors || [])];
+
+  if (!entry.question) {
+    errors.push('Pertanyaan tidak boleh kosong');
+  }
+
+  if (isChoiceType(entry.type)) {
+    const { isValid, error } = validateOptions(entry.options);
+    if (!isValid) {
+      errors.push(`Pilihan jawaban tidak valid: ${error}`);
+      return errors;
+    }
+  }
+
+  const formError = validateQuestionForm(entry);
+  if (formError) errors.push(formError);
+
+  return errors;
+};
+
+/**
+ * Parse and validate import text
+ * @param {string} text - File content
+ * @param {string} format - One of QUESTION_FORMATS
+ * @returns {Array} - Entries with an `errors` array each
+ */
+export const parseQuestions = (text, format) => {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Format "${format}" tidak didukung`);
+  }
+  return parser(text).map(entry => ({ ...entry, errors: validateImportedQuestion(entry) }));
+};
+
+/**
+ * Convert a soal from the backend into the portable shape used by serializers
+ */
+export const toPortableQuestion = (soal) => ({
+  type: getQuestionType(soal),
+  question: soal.question || soal.Question || '',
+  options: parseOptions(soal.options_json || soal.Options || soal.options),
+  correct_answer: soal.correct_answer || soal.Correct_answer || '',
+  explanation: getExplanation(soal),
+});
+
+/**
+ * Describe what an export to the given format leaves out
+ * @param {Array} soalList - Soal as returned by the API
+ * @param {string} format - One of QUESTION_FORMATS
+ * @returns {Array<string>} - Messages for the user, empty when nothing is lost
+ */
+export const getExportWarnings = (soalList, format) => {
+  const questions = soalList.map(toPortableQuestion);
+  const { label } = QUESTION_FORMAT_INFO[format] || {};
+  const warnings = [];
+
+  if (format === QUESTION_FORMATS.AIKEN) {
+    const wrongType = questions.filter(question => !isAikenType(question)).length;
+    const multiLine = questions.filter(question => isAikenType(question) && !isAikenText(question)).length;
+    if (wrongType > 0) {
+      warnings.push(`${wrongType} soal dilewati karena format Aiken hanya mendukung pilihan ganda.`);
+    }
+    if (multiLine > 0) {
+      warnings.push(`${multiLine} soal dilewati karena pertanyaan atau pilihannya lebih dari satu baris.`);
+    }
+  }
+
+  if (format === QUESTION_FORMATS.GIFT || format === QUESTION_FORMATS.AIKEN) {
+    const withExplanation = questions.filter(question => question.explanation).length;
+    if (withExplanation > 0) {
+      warnings.push(`Pembahasan ${withExplanation} soal tidak ikut diekspor karena format ${label} tidak mendukungnya.`);
+    }
+  }
+
+  return warnings;
+};
+
+/**
+ * Serialize soal from the backend to the given format
+ * @param {Array} soalList - Soal as returned by the API
+ * @param {string} format - One of QUESTION_FORMATS
+ * @returns {string}
+ */
+export const serializeQuestions = (soalList, format) => {
+  const serializer = SERIALIZERS[format];
+  if (!serializer) {
+    throw new Error(`Format "${format}" tidak didukung`);
+  }
+  return serializer(soalList.map(toPortableQuestion));
+};
+
+export default {
+  QUESTION_FORMATS,
+  QUESTION_FORMAT_INFO,
+  detectQuestionFormat,
+  parseQuestions,
+  serializeQuestions,
+  validateImportedQuestion
+};
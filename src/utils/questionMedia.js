@@ -0,0 +1,130 @@
+/**
+ * Image and audio attachments of a soal
+ *
+ * Soal fields: media (JSON array of attachments on the question stem)
+ *              option_media (JSON object, option text -> attachments of that option)
+ *
+ * An attachment is {type: 'image' | 'audio', url, name}. URLs come from the
+ * media upload endpoint, or use the local-media: scheme when the development
+ * stand-in keeps the file in the browser.
+ */
+
+export const MEDIA_TYPES = {
+  IMAGE: 'image',
+  AUDIO: 'audio',
+};
+
+export const LOCAL_MEDIA_SCHEME = 'local-media:';
+
+const MIME_TYPES = {
+  [MEDIA_TYPES.IMAGE]: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+  [MEDIA_TYPES.AUDIO]: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/ogg', 'audio/webm', 'audio/mp4', 'audio/x-m4a', 'audio/aac'],
+};
+
+export const MAX_MEDIA_SIZE = {
+  [MEDIA_TYPES.IMAGE]: 2 * 1024 * 1024,
+  [MEDIA_TYPES.AUDIO]: 5 * 1024 * 1024,
+};
+
+export const MEDIA_ACCEPT = [...MIME_TYPES[MEDIA_TYPES.IMAGE], ...MIME_TYPES[MEDIA_TYPES.AUDIO]].join(',');
+
+const SAFE_MEDIA_URL = /^(https?:\/\/|\/(?!\/)|data:(image|audio)\/[\w.+-]+;base64,)/i;
+
+/**
+ * Media type of a MIME type
+ * @param {string} mimeType
+ * @returns {string|null} - One of MEDIA_TYPES, null when not supported
+ */
+export const getMediaType = (mimeType) =>
+  Object.keys(MIME_TYPES).find(type => MIME_TYPES[type].includes(String(mimeType).toLowerCase())) || null;
+
+/**
+ * Validate a file picked for upload
+ * @param {File} file
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateMediaFile = (file) => {
+  const type = getMediaType(file?.type);
+  if (!type) {
+    return 'Format file tidak didukung. Gunakan gambar (PNG, JPG, GIF, WebP) atau audio (MP3, WAV, OGG, M4A)';
+  }
+  if (file.size > MAX_MEDIA_SIZE[type]) {
+    return `Ukuran ${type === MEDIA_TYPES.IMAGE ? 'gambar' : 'audio'} maksimal ${MAX_MEDIA_SIZE[type] / (1024 * 1024)} MB`;
+  }
+  return null;
+};
+
+/**
+ * Whether an attachment URL may be rendered
+ * Only http(s), same-origin paths, inline image / audio data and local stand-in URLs
+ */
+export const isSafeMediaUrl = (url) => {
+  const value = String(url ?? '').trim();
+  return value.startsWith(LOCAL_MEDIA_SCHEME) || SAFE_MEDIA_URL.test(value);
+};
+
+const parseJsonValue = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Parse stored attachments, dropping malformed entries and unsafe URLs
+ * @param {*} value - JSON string or array
+ * @returns {Array} - [{type, url, name}]
+ */
+export const parseMediaList = (value) => {
+  const list = parseJsonValue(value, []);
+  return (Array.isArray(list) ? list : [])
+    .filter(item => item && Object.values(MEDIA_TYPES).includes(item.type) && isSafeMediaUrl(item.url))
+    .map(({ type, url, name }) => ({ type, url: String(url).trim(), name: String(name ?? '') }));
+};
+
+export const getQuestionMedia = (soal) => parseMediaList(soal?.media ?? soal?.Media);
+
+/**
+ * Attachments per option
+ * @param {Object} soal
+ * @returns {Object} - option text -> attachments
+ */
+export const getOptionMedia = (soal) => {
+  const map = parseJsonValue(soal?.option_media ?? soal?.Option_media, {});
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return {};
+  return Object.fromEntries(
+    Object.entries(map)
+      .map(([option, list]) => [option, parseMediaList(list)])
+      .filter(([, list]) => list.length > 0)
+  );
+};
+
+export const toMediaJson = (list) => JSON.stringify(parseMediaList(list));
+
+/**
+ * Option attachments as stored, only for options that still exist
+ * @param {*} map - Object or JSON string
+ * @param {Array} options - Current option texts
+ * @returns {string} - JSON object string
+ */
+export const toOptionMediaJson = (map, options = []) => {
+  const media = getOptionMedia({ option_media: map });
+  const entries = options
+    .filter(option => option && media[option])
+    .map(option => [option, media[option]]);
+  return JSON.stringify(Object.fromEntries(entries));
+};
+
+export default {
+  MEDIA_TYPES,
+  getMediaType,
+  validateMediaFile,
+  isSafeMediaUrl,
+  parseMediaList,
+  getQuestionMedia,
+  getOptionMedia,
+  toMediaJson,
+  toOptionMediaJson
+};
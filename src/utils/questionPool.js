@@ -0,0 +1,125 @@
+/**
+ * Kuis that draw their soal from the question bank
+ *
+ * Kuis fields: pool_size (soal drawn per attempt, 0 keeps the kuis' own soal list)
+ *              pool_kategori_id, pool_tingkatan_id, pool_difficulty, pool_tag
+ *              (filters on the bank, empty matches all)
+ *
+ * Every attempt draws its own sample with the attempt seed, so students get
+ * different sets and a refresh keeps the same one. Results of a pool kuis are
+ * read against the soal answered in that attempt, not the kuis' own soal.
+ */
+
+import { seededShuffle } from './shuffle';
+import { getResultAnswers } from './scoring';
+import { DIFFICULTY_LEVELS, filterBankEntries, getSoalId, toBankEntries } from './questionBank';
+
+export const MAX_POOL_SIZE = 100;
+
+/**
+ * Pool settings of a kuis
+ * @param {Object} kuis
+ * @returns {Object} - {size, kategoriId, tingkatanId, difficulty, tag}
+ */
+export const getPoolSettings = (kuis) => {
+  const difficulty = String(kuis?.pool_difficulty ?? kuis?.Pool_difficulty ?? '');
+  return {
+    size: Math.max(Math.floor(Number(kuis?.pool_size ?? kuis?.Pool_size) || 0), 0),
+    kategoriId: Number(kuis?.pool_kategori_id ?? kuis?.Pool_kategori_id) || null,
+    tingkatanId: Number(kuis?.pool_tingkatan_id ?? kuis?.Pool_tingkatan_id) || null,
+    difficulty: Object.values(DIFFICULTY_LEVELS).includes(difficulty) ? difficulty : '',
+    tag: String(kuis?.pool_tag ?? kuis?.Pool_tag ?? '').trim(),
+  };
+};
+
+export const isPoolKuis = (kuis) => getPoolSettings(kuis).size > 0;
+
+/**
+ * Bank soal a pool kuis may draw from
+ * @param {Array} soalList - All soal
+ * @param {Array} kuisList - All kuis, for kategori and tingkatan
+ * @param {Object} settings - From getPoolSettings
+ * @returns {Array}
+ */
+export const getPoolCandidates = (soalList, kuisList, settings) =>
+  filterBankEntries(toBankEntries(soalList, kuisList), settings).map(entry => entry.soal);
+
+/**
+ * Sample of the pool for one attempt, the same seed gives the same sample
+ * @param {Array} candidates - From getPoolCandidates
+ * @param {number} size
+ * @param {number} seed - Attempt seed
+ * @returns {Array}
+ */
+export const drawPoolSoal = (candidates, size, seed) => {
+  // Independent of the order the server lists soal in
+  const sorted = [...candidates].sort((a, b) => getSoalId(a) - getSoalId(b));
+  return seededShuffle(sorted, seed).slice(0, size);
+};
+
+/**
+ * Soal in the order of a list of IDs, IDs without a soal are skipped
+ * @param {Array} soalList
+ * @param {Array} ids
+ * @returns {Array}
+ */
+export const pickSoalByIds = (soalList, ids = []) => {
+  const byId = new Map(soalList.map(soal => [getSoalId(soal), soal]));
+  return ids.map(id => byId.get(Number(id))).filter(Boolean);
+};
+
+/**
+ * Soal served in an attempt
+ * @param {Object} result - Hasil-kuis row
+ * @param {Object} kuis
+ * @param {Array} soalList - The kuis' soal, or all soal for a pool kuis
+ * @returns {Array} - For a pool kuis the soal answered in the result
+ */
+export const getServedSoal = (result, kuis, soalList) => {
+  if (!isPoolKuis(kuis)) return soalList;
+  return pickSoalByIds(soalList, [...getResultAnswers(result).keys()]);
+};
+
+/**
+ * Number of soal a student answers in one attempt
+ * @param {Object} kuis
+ * @param {Array|number} soalList - The kuis' own soal, or their number
+ * @returns {number}
+ */
+export const getKuisQuestionCount = (kuis, soalList = []) => {
+  if (isPoolKuis(kuis)) return getPoolSettings(kuis).size;
+  return Array.isArray(soalList) ? soalList.length : Number(soalList) || 0;
+};
+
+/**
+ * Number of soal served in an attempt, from its answers when the result has them
+ * @param {Object} result - Hasil-kuis row
+ * @param {Object} kuis
+ * @param {number} questionCount - From getKuisQuestionCount, used otherwise
+ * @returns {number}
+ */
+export const getAttemptQuestionCount = (result, kuis, questionCount) => {
+  const served = getResultAnswers(result).size;
+  return isPoolKuis(kuis) && served > 0 ? served : questionCount;
+};
+
+export const validatePoolSettings = ({ pool_size: poolSize }) => {
+  const size = Number(poolSize || 0);
+  if (!Number.isInteger(size) || size < 0 || size > MAX_POOL_SIZE) {
+    return `Jumlah soal acak harus bilangan bulat antara 0 dan ${MAX_POOL_SIZE}`;
+  }
+  return null;
+};
+
+export default {
+  MAX_POOL_SIZE,
+  getPoolSettings,
+  isPoolKuis,
+  getPoolCandidates,
+  drawPoolSoal,
+  pickSoalByIds,
+  getServedSoal,
+  getKuisQuestionCount,
+  getAttemptQuestionCount,
+  validatePoolSettings
+};
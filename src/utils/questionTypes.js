@@ -0,0 +1,270 @@
+/**
+ * Question (soal) types and type-aware answer handling
+ *
+ * Every soal keeps the backend shape {question, options_json, correct_answer}
+ * plus a `type` field. What `options` and `correct_answer` hold per type:
+ * - multiple_choice: options = choices, correct_answer = text of the correct choice
+ * - true_false: options = ['Benar', 'Salah'], correct_answer = one of them
+ * - multiple_select: options = choices, correct_answer = JSON array of correct choice texts
+ * - short_answer: options = accepted answer variants, correct_answer = main answer
+ * - numeric: options = [tolerance], correct_answer = the number
+ *
+ * The backend grades by exact string match, so answers are converted to the
+ * canonical correct_answer string before submit when they are correct.
+ */
+
+import { parseOptions } from './optionsParser';
+
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multiple_choice',
+  TRUE_FALSE: 'true_false',
+  MULTIPLE_SELECT: 'multiple_select',
+  SHORT_ANSWER: 'short_answer',
+  NUMERIC: 'numeric',
+};
+
+export const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Pilihan Ganda',
+  [QUESTION_TYPES.TRUE_FALSE]: 'Benar / Salah',
+  [QUESTION_TYPES.MULTIPLE_SELECT]: 'Pilihan Ganda Kompleks',
+  [QUESTION_TYPES.SHORT_ANSWER]: 'Isian Singkat',
+  [QUESTION_TYPES.NUMERIC]: 'Jawaban Angka',
+};
+
+export const TRUE_FALSE_OPTIONS = ['Benar', 'Salah'];
+
+/**
+ * Get the type of a soal, defaulting to multiple choice for legacy data
+ * @param {Object} soal - Soal object from the backend or a form
+ * @returns {string} - One of QUESTION_TYPES
+ */
+export const getQuestionType = (soal) => {
+  const type = soal?.type || soal?.Type || soal?.question_type;
+  return Object.values(QUESTION_TYPES).includes(type) ? type : QUESTION_TYPES.MULTIPLE_CHOICE;
+};
+
+/**
+ * Whether the type is answered by picking from a list of options
+ */
+export const isChoiceType = (type) =>
+  type === QUESTION_TYPES.MULTIPLE_CHOICE ||
+  type === QUESTION_TYPES.TRUE_FALSE ||
+  type === QUESTION_TYPES.MULTIPLE_SELECT;
+
+const normalizeText = (value) =>
+  String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return NaN;
+  return Number(String(value).trim().replace(',', '.'));
+};
+
+/**
+ * Parse a multiple-select value (JSON array string or array) into an array
+ * @param {*} value - Stored correct_answer or a student answer
+ * @returns {Array} - Array of option texts
+ */
+export const parseMultiSelectAnswer = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value.trim()) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [value];
+  } catch {
+    return [value];
+  }
+};
+
+/**
+ * Serialize selected options in option order so equal selections compare equal
+ * @param {Array} selected - Selected option texts
+ * @param {Array} options - All option texts
+ * @returns {string} - JSON array string
+ */
+export const serializeMultiSelectAnswer = (selected, options) => {
+  const chosen = options.filter((option) => selected.includes(option));
+  return JSON.stringify(chosen);
+};
+
+/**
+ * Get tolerance of a numeric soal
+ */
+export const getNumericTolerance = (soal) => {
+  const [tolerance] = parseOptions(soal?.options_json || soal?.Options || soal?.options);
+  const value = toNumber(tolerance);
+  return Number.isFinite(value) ? Math.abs(value) : 0;
+};
+
+/**
+ * Get accepted variants of a short answer soal, including the main answer
+ */
+export const getAcceptedAnswers = (soal) => {
+  const variants = parseOptions(soal?.options_json || soal?.Options || soal?.options);
+  return [soal?.correct_answer, ...variants].filter((value) => value && String(value).trim());
+};
+
+/**
+ * Check whether an answer has been given
+ * @param {*} answer - Answer value as kept in quiz state
+ * @returns {boolean}
+ */
+export const isAnswered = (answer) => {
+  if (Array.isArray(answer)) return answer.length > 0;
+  return answer !== undefined && answer !== null && String(answer).trim() !== '';
+};
+
+/**
+ * Check a student's answer against the soal
+ * @param {Object} soal - Soal with type, options and correct_answer
+ * @param {*} answer - Answer value as kept in quiz state
+ * @returns {boolean}
+ */
+export const isAnswerCorrect = (soal, answer) => {
+  if (!isAnswered(answer)) return false;
+
+  switch (getQuestionType(soal)) {
+    case QUESTION_TYPES.MULTIPLE_SELECT: {
+      const expected = parseMultiSelectAnswer(soal.correct_answer);
+      const given = parseMultiSelectAnswer(answer);
+      return expected.length === given.length && expected.every((option) => given.includes(option));
+    }
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return getAcceptedAnswers(soal).some((variant) => normalizeText(variant) === normalizeText(answer));
+    case QUESTION_TYPES.NUMERIC: {
+      const expected = toNumber(soal.correct_answer);
+      const given = toNumber(answer);
+      if (!Number.isFinite(expected) || !Number.isFinite(given)) return false;
+      return Math.abs(expected - given) <= getNumericTolerance(soal) + Number.EPSILON;
+    }
+    default:
+      return answer === soal.correct_answer;
+  }
+};
+
+/**
+ * Convert an answer from quiz state into the string sent to the backend
+ * @param {Object} soal - Soal with type, options and correct_answer
+ * @param {*} answer - Answer value as kept in quiz state
+ * @returns {string}
+ */
+export const toSubmittedAnswer = (soal, answer) => {
+  if (!isAnswered(answer)) return '';
+
+  const type = getQuestionType(soal);
+
+  if (type === QUESTION_TYPES.MULTIPLE_SELECT) {
+    const options = parseOptions(soal.options_json || soal.Options || soal.options);
+    return serializeMultiSelectAnswer(parseMultiSelectAnswer(answer), options);
+  }
+
+  // Matched variants and in-tolerance numbers are sent as the stored answer
+  if ((type === QUESTION_TYPES.SHORT_ANSWER || type === QUESTION_TYPES.NUMERIC) && isAnswerCorrect(soal, answer)) {
+    return soal.correct_answer;
+  }
+
+  return String(answer).trim();
+};
+
+/**
+ * Human readable correct answer for review screens
+ */
+export const formatCorrectAnswer = (soal) => {
+  switch (getQuestionType(soal)) {
+    case QUESTION_TYPES.MULTIPLE_SELECT:
+      return parseMultiSelectAnswer(soal.correct_answer).join(', ');
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return getAcceptedAnswers(soal).filter((value, index, all) => all.indexOf(value) === index).join(' / ');
+    case QUESTION_TYPES.NUMERIC: {
+      const tolerance = getNumericTolerance(soal);
+      return tolerance > 0 ? `${soal.correct_answer} (± ${tolerance})` : String(soal.correct_answer ?? '');
+    }
+    default:
+      return soal.correct_answer || '';
+  }
+};
+
+/**
+ * Whether an option is (one of) the correct choices of a choice-type soal
+ */
+export const isCorrectOption = (soal, option) => {
+  if (getQuestionType(soal) === QUESTION_TYPES.MULTIPLE_SELECT) {
+    return parseMultiSelectAnswer(soal.correct_answer).includes(option);
+  }
+  return option === soal.correct_answer;
+};
+
+/**
+ * Empty authoring form state for a type
+ * @param {string} type - One of QUESTION_TYPES
+ * @returns {Object} - {type, options, correct_answer}
+ */
+export const getEmptyQuestionForm = (type = QUESTION_TYPES.MULTIPLE_CHOICE) => {
+  switch (type) {
+    case QUESTION_TYPES.TRUE_FALSE:
+      return { type, options: [...TRUE_FALSE_OPTIONS], correct_answer: '' };
+    case QUESTION_TYPES.MULTIPLE_SELECT:
+      return { type, options: ['', '', '', ''], correct_answer: '[]' };
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return { type, options: [], correct_answer: '' };
+    case QUESTION_TYPES.NUMERIC:
+      return { type, options: ['0'], correct_answer: '' };
+    default:
+      return { type: QUESTION_TYPES.MULTIPLE_CHOICE, options: ['', '', '', ''], correct_answer: '' };
+  }
+};
+
+/**
+ * Validate authoring form data for any type
+ * @param {Object} form - {type, options, correct_answer, points}
+ * @returns {string|null} - Error message or null when valid
+ */
+export const validateQuestionForm = ({ type, options, correct_answer, points }) => {
+  if (!Array.isArray(options)) {
+    return 'Format pilihan jawaban tidak valid';
+  }
+
+  if (points !== undefined && !(toNumber(points) > 0)) {
+    return 'Bobot soal harus lebih dari 0';
+  }
+
+  switch (type) {
+    case QUESTION_TYPES.SHORT_ANSWER:
+      if (!String(correct_answer || '').trim()) return 'Jawaban benar harus diisi';
+      if (options.some((option) => !String(option).trim())) return 'Variasi jawaban tidak boleh kosong';
+      return null;
+
+    case QUESTION_TYPES.NUMERIC:
+      if (!Number.isFinite(toNumber(correct_answer))) return 'Jawaban benar harus berupa angka';
+      if (!Number.isFinite(toNumber(options[0])) || toNumber(options[0]) < 0) return 'Toleransi harus berupa angka positif';
+      return null;
+
+    case QUESTION_TYPES.MULTIPLE_SELECT: {
+      if (options.length < 2) return 'Minimal 2 pilihan jawaban';
+      if (options.some((option) => !String(option).trim())) return 'Semua pilihan jawaban harus diisi';
+      const selected = parseMultiSelectAnswer(correct_answer);
+      if (selected.length === 0) return 'Pilih minimal satu jawaban benar';
+      if (selected.some((option) => !options.includes(option))) return 'Jawaban benar harus salah satu dari pilihan jawaban';
+      return null;
+    }
+
+    default:
+      if (options.length < 2) return 'Minimal 2 pilihan jawaban';
+      if (options.some((option) => !String(option).trim())) return 'Semua pilihan jawaban harus diisi';
+      if (!options.includes(correct_answer)) return 'Jawaban benar harus salah satu dari pilihan jawaban';
+      return null;
+  }
+};
+
+export default {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  getQuestionType,
+  isChoiceType,
+  isAnswered,
+  isAnswerCorrect,
+  toSubmittedAnswer,
+  formatCorrectAnswer,
+  isCorrectOption,
+  getEmptyQuestionForm,
+  validateQuestionForm
+};
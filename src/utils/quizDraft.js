@@ -0,0 +1,81 @@
+/**
+ * Local persistence for in-progress quiz attempts
+ * Drafts are stored per user + kuis so a refresh or dropped connection
+ * does not lose answers, position, the attempt start time, the shuffle seed
+ * or the soal drawn for a pool kuis
+ */
+
+const DRAFT_PREFIX = 'quizDraft';
+
+const getDraftKey = (userId, kuisId) => `${DRAFT_PREFIX}:${userId}:${kuisId}`;
+
+/**
+ * Load a saved draft
+ * @param {string|number} userId - Current user ID
+ * @param {string|number} kuisId - Quiz ID
+ * @returns {Object|null} - {answers, currentQuestion, seed, startedAt, questionTimer, soalIds, savedAt} or null
+ */
+export const loadQuizDraft = (userId, kuisId) => {
+  if (!userId || !kuisId) return null;
+
+  try {
+    const stored = localStorage.getItem(getDraftKey(userId, kuisId));
+    if (!stored) return null;
+
+    const draft = JSON.parse(stored);
+    if (!draft || typeof draft !== 'object') return null;
+
+    return {
+      answers: draft.answers && typeof draft.answers === 'object' ? draft.answers : {},
+      currentQuestion: Number(draft.currentQuestion) || 0,
+      seed: Number.isFinite(draft.seed) ? draft.seed : null,
+      startedAt: Number.isFinite(draft.startedAt) ? draft.startedAt : null,
+      questionTimer: Number.isFinite(draft.questionTimer?.endsAt) ? draft.questionTimer : null,
+      soalIds: Array.isArray(draft.soalIds) ? draft.soalIds : null,
+      savedAt: draft.savedAt || null
+    };
+  } catch (error) {
+    console.error('Error loading quiz draft:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the current state of an attempt
+ * @param {string|number} userId - Current user ID
+ * @param {string|number} kuisId - Quiz ID
+ * @param {Object} draft - {answers, currentQuestion, seed, startedAt, questionTimer, soalIds}
+ */
+export const saveQuizDraft = (userId, kuisId, { answers, currentQuestion, seed, startedAt, questionTimer, soalIds = null }) => {
+  if (!userId || !kuisId) return;
+
+  try {
+    localStorage.setItem(getDraftKey(userId, kuisId), JSON.stringify({
+      answers,
+      currentQuestion,
+      seed,
+      startedAt,
+      questionTimer,
+      soalIds,
+      savedAt: Date.now()
+    }));
+  } catch (error) {
+    console.error('Error saving quiz draft:', error);
+  }
+};
+
+/**
+ * Remove a saved draft once the attempt is submitted
+ * @param {string|number} userId - Current user ID
+ * @param {string|number} kuisId - Quiz ID
+ */
+export const clearQuizDraft = (userId, kuisId) => {
+  if (!userId || !kuisId) return;
+  localStorage.removeItem(getDraftKey(userId, kuisId));
+};
+
+export default {
+  loadQuizDraft,
+  saveQuizDraft,
+  clearQuizDraft
+};
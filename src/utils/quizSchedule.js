@@ -0,0 +1,150 @@
+/**
+ * Kuis availability windows
+ *
+ * Kuis fields: open_at, close_at (ISO datetimes, either may be empty)
+ *              late_minutes (grace after close_at for attempts already started)
+ *
+ * A kuis can only be started while open. An attempt that is still running
+ * when the window closes is submitted automatically at close_at + late_minutes;
+ * anything submitted after close_at is marked late.
+ */
+
+export const SCHEDULE_STATUS = {
+  UPCOMING: 'upcoming',
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+export const SCHEDULE_STATUS_INFO = {
+  [SCHEDULE_STATUS.UPCOMING]: { label: 'Segera Dibuka', badge: 'bg-yellow-100 text-yellow-800' },
+  [SCHEDULE_STATUS.OPEN]: { label: 'Dibuka', badge: 'bg-emerald-100 text-emerald-800' },
+  [SCHEDULE_STATUS.CLOSED]: { label: 'Ditutup', badge: 'bg-slate-200 text-slate-700' },
+};
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Window of a kuis as timestamps
+ * @param {Object} kuis
+ * @returns {Object} - {opensAt, closesAt, deadline} in ms, null when not set
+ */
+export const getKuisSchedule = (kuis) => {
+  const opensAt = toTime(kuis?.open_at ?? kuis?.Open_at);
+  const closesAt = toTime(kuis?.close_at ?? kuis?.Close_at);
+  const lateMinutes = Math.max(Number(kuis?.late_minutes ?? kuis?.Late_minutes) || 0, 0);
+
+  return {
+    opensAt,
+    closesAt,
+    deadline: closesAt === null ? null : closesAt + lateMinutes * 60000
+  };
+};
+
+/**
+ * Availability of a kuis at a moment
+ * @param {Object} kuis
+ * @param {number} now - Timestamp, defaults to the current time
+ * @returns {string} - One of SCHEDULE_STATUS
+ */
+export const getScheduleStatus = (kuis, now = Date.now()) => {
+  const { opensAt, closesAt } = getKuisSchedule(kuis);
+  if (opensAt !== null && now < opensAt) return SCHEDULE_STATUS.UPCOMING;
+  if (closesAt !== null && now >= closesAt) return SCHEDULE_STATUS.CLOSED;
+  return SCHEDULE_STATUS.OPEN;
+};
+
+export const isLateSubmission = (kuis, submittedAt = Date.now()) => {
+  const { closesAt } = getKuisSchedule(kuis);
+  return closesAt !== null && submittedAt > closesAt;
+};
+
+/**
+ * Countdown text, e.g. "2 hari 3 jam", "3 jam 15 menit", "04:59"
+ * @param {number} ms - Remaining milliseconds
+ * @returns {string}
+ */
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days} hari ${hours} jam`;
+  if (hours > 0) return `${hours} jam ${minutes} menit`;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+export const formatScheduleDate = (time) =>
+  new Date(time).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Countdown line for a kuis card
+ * @param {Object} kuis
+ * @param {number} now
+ * @returns {string|null}
+ */
+export const getScheduleCountdown = (kuis, now = Date.now()) => {
+  const { opensAt, closesAt } = getKuisSchedule(kuis);
+
+  switch (getScheduleStatus(kuis, now)) {
+    case SCHEDULE_STATUS.UPCOMING:
+      return `Dibuka dalam ${formatCountdown(opensAt - now)}`;
+    case SCHEDULE_STATUS.OPEN:
+      return closesAt === null ? null : `Ditutup dalam ${formatCountdown(closesAt - now)}`;
+    default:
+      return `Ditutup ${formatScheduleDate(closesAt)}`;
+  }
+};
+
+/**
+ * ISO datetime to a datetime-local input value (local time)
+ */
+export const toDateTimeLocalValue = (value) => {
+  const time = toTime(value);
+  if (time === null) return '';
+  const date = new Date(time);
+  return new Date(time - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * datetime-local input value to ISO datetime, empty stays null
+ */
+export const fromDateTimeLocalValue = (value) => {
+  const time = toTime(value);
+  return time === null ? null : new Date(time).toISOString();
+};
+
+/**
+ * Validate a schedule edited by a teacher
+ * @param {Object} form - {open_at, close_at, late_minutes}
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateSchedule = ({ open_at, close_at, late_minutes }) => {
+  const opensAt = toTime(open_at);
+  const closesAt = toTime(close_at);
+  if (opensAt !== null && closesAt !== null && closesAt <= opensAt) {
+    return 'Waktu tutup harus setelah waktu buka';
+  }
+  if (late_minutes && (!Number.isFinite(Number(late_minutes)) || Number(late_minutes) < 0)) {
+    return 'Toleransi keterlambatan harus berupa angka positif';
+  }
+  return null;
+};
+
+export default {
+  SCHEDULE_STATUS,
+  SCHEDULE_STATUS_INFO,
+  getKuisSchedule,
+  getScheduleStatus,
+  isLateSubmission,
+  formatCountdown,
+  getScheduleCountdown,
+  toDateTimeLocalValue,
+  fromDateTimeLocalValue,
+  validateSchedule
+};
@@ -0,0 +1,73 @@
+/**
+ * Attempt timing of a kuis
+ *
+ * Kuis fields: duration_minutes (whole attempt, default 30)
+ *              question_time_limit (seconds per soal, 0 = off)
+ *
+ * Remaining time is derived from the attempt start timestamp, so a reload or a
+ * throttled background tab does not give the student extra time.
+ */
+
+import { getKuisSchedule } from './quizSchedule';
+
+export const DEFAULT_DURATION_MINUTES = 30;
+export const MAX_DURATION_MINUTES = 600;
+
+/**
+ * Attempt duration of a kuis
+ * @param {Object} kuis
+ * @returns {number} - Seconds
+ */
+export const getDurationSeconds = (kuis) => {
+  const minutes = Number(kuis?.duration_minutes ?? kuis?.Duration_minutes);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_DURATION_MINUTES) * 60;
+};
+
+/**
+ * Per-soal time limit, 0 when the kuis has none
+ * @param {Object} kuis
+ * @returns {number} - Seconds
+ */
+export const getQuestionTimeLimit = (kuis) => {
+  const seconds = Number(kuis?.question_time_limit ?? kuis?.Question_time_limit);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : 0;
+};
+
+/**
+ * When an attempt ends: its duration after the start, or the kuis' close deadline if earlier
+ * @param {number} startedAt - Attempt start (server time, ms)
+ * @param {Object} kuis
+ * @returns {number|null} - Timestamp, null before the attempt starts
+ */
+export const getAttemptEndsAt = (startedAt, kuis) => {
+  if (!Number.isFinite(startedAt)) return null;
+
+  const endsAt = startedAt + getDurationSeconds(kuis) * 1000;
+  const { deadline } = getKuisSchedule(kuis);
+  return deadline === null ? endsAt : Math.min(endsAt, deadline);
+};
+
+/**
+ * Validate timing fields edited by a teacher
+ * @param {Object} form - {duration_minutes, question_time_limit}
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateTiming = ({ duration_minutes, question_time_limit }) => {
+  const minutes = Number(duration_minutes);
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_DURATION_MINUTES) {
+    return `Durasi harus antara 1 dan ${MAX_DURATION_MINUTES} menit`;
+  }
+  const limit = Number(question_time_limit || 0);
+  if (!Number.isFinite(limit) || limit < 0) {
+    return 'Batas waktu per soal harus berupa angka positif';
+  }
+  return null;
+};
+
+export default {
+  DEFAULT_DURATION_MINUTES,
+  getDurationSeconds,
+  getQuestionTimeLimit,
+  getAttemptEndsAt,
+  validateTiming
+};
@@ -0,0 +1,246 @@
+/**
+ * Export of kuis results (class gradebook, single kuis, student history)
+ * to CSV, XLSX and a printable report that the browser can save as PDF.
+ *
+ * Every export goes through a "report" object so the three formats show the same data:
+ * {title, subtitle, sheetName, headers, rows, summary: [[label, value]]}
+ */
+
+import { getGradeFromScore } from './gradeUtils';
+import { getGradingScheme, resolveGradingScheme } from './gradingSchemes';
+import { createXlsx } from './xlsxWriter';
+import { downloadFile, toSafeFilename } from './fileDownload';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf',
+};
+
+export const EXPORT_FORMAT_LABELS = {
+  [EXPORT_FORMATS.CSV]: 'CSV',
+  [EXPORT_FORMATS.XLSX]: 'Excel (XLSX)',
+  [EXPORT_FORMATS.PDF]: 'PDF (Cetak)',
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('id-ID') : '');
+
+const averageOf = (values) =>
+  values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+/**
+ * Results of every student for every kuis of a kelas
+ * @param {Object} data
+ * @param {Object} data.kelas - Kelas being exported
+ * @param {Array} data.kuisList - Kuis columns, in order
+ * @param {Object} data.gradebook - Result of buildGradebook
+ * @param {Array} data.rows - Gradebook rows in display order (defaults to gradebook.rows)
+ * @returns {Object} - Report
+ */
+export const buildClassReport = ({ kelas, kuisList, gradebook, rows = gradebook.rows }) => {
+  const scheme = resolveGradingScheme({ kelasId: kelas?.ID });
+  const headers = ['Siswa', ...kuisList.map(kuis => kuis.title), 'Rata-rata', 'Grade', 'Belum Dikerjakan'];
+
+  const bodyRows = rows.map(row => [
+    row.name,
+    ...kuisList.map(kuis => row.cells[kuis.ID]?.score ?? ''),
+    row.average ?? '',
+    row.average !== null ? getGradeFromScore(row.average, scheme) : '',
+    row.missing
+  ]);
+
+  const footerRow = [
+    'Rata-rata kuis',
+    ...kuisList.map(kuis => gradebook.kuisStats[kuis.ID]?.average ?? ''),
+    gradebook.classAverage ?? '',
+    gradebook.classAverage !== null ? getGradeFromScore(gradebook.classAverage, scheme) : '',
+    rows.reduce((sum, row) => sum + row.missing, 0)
+  ];
+
+  return {
+    title: `Buku Nilai ${kelas?.name || ''}`.trim(),
+    subtitle: `Diekspor ${formatDate(new Date())}`,
+    sheetName: 'Buku Nilai',
+    headers,
+    rows: [...bodyRows, footerRow],
+    summary: [
+      ['Jumlah siswa', rows.length],
+      ['Jumlah kuis', kuisList.length],
+      ['Rata-rata kelas', gradebook.classAverage ?? '-']
+    ]
+  };
+};
+
+/**
+ * Results of one kuis for every student of a kelas
+ * @param {Object} data
+ * @param {Object} data.kelas - Kelas the kuis belongs to
+ * @param {Object} data.kuis - Kuis being exported
+ * @param {Object} data.gradebook - Result of buildGradebook
+ * @param {Array} data.rows - Gradebook rows in display order (defaults to gradebook.rows)
+ * @returns {Object} - Report
+ */
+export const buildKuisReport = ({ kelas, kuis, gradebook, rows = gradebook.rows }) => {
+  const stats = gradebook.kuisStats[kuis.ID] || {};
+
+  return {
+    title: `Hasil Kuis ${kuis.title}`,
+    subtitle: [kelas?.name, `Diekspor ${formatDate(new Date())}`].filter(Boolean).join(' • '),
+    sheetName: kuis.title,
+    headers: ['Siswa', 'Status', 'Benar', 'Jumlah Soal', 'Nilai', 'Grade', 'Tanggal'],
+    rows: rows.map(row => {
+      const cell = row.cells[kuis.ID];
+      return cell
+        ? [row.name, 'Selesai', cell.correctAnswers, cell.totalQuestions, cell.score, cell.grade, formatDate(cell.date)]
+        : [row.name, 'Belum dikerjakan', '', '', '', '', ''];
+    }),
+    summary: [
+      ['Sudah mengerjakan', stats.submitted ?? 0],
+      ['Belum mengerjakan', stats.missing ?? 0],
+      ['Rata-rata', stats.average ?? '-']
+    ]
+  };
+};
+
+/**
+ * A student's kuis history, used as report card
+ * @param {Object} data
+ * @param {string} data.studentName - Name printed on the report
+ * @param {string} data.kelasName - Optional kelas name
+ * @param {Array} data.entries - [{kuisTitle, kategori, date, score, grade, correctAnswers, totalQuestions, completed}]
+ * @param {Object} data.scheme - Grading scheme for the overall average and entries without a grade
+ * @returns {Object} - Report
+ */
+export const buildStudentReport = ({ studentName, kelasName, entries, scheme = getGradingScheme() }) => {
+  const completed = entries.filter(entry => entry.completed);
+  const average = averageOf(completed.map(entry => entry.score));
+
+  return {
+    title: `Rapor ${studentName}`,
+    subtitle: [kelasName, `Diekspor ${formatDate(new Date())}`].filter(Boolean).join(' • '),
+    sheetName: 'Riwayat Kuis',
+    headers: ['Kuis', 'Kategori', 'Tanggal', 'Benar', 'Jumlah Soal', 'Nilai', 'Grade'],
+    rows: entries.map(entry =>
+      entry.completed
+        ? [
+            entry.kuisTitle,
+            entry.kategori || '',
+            formatDate(entry.date),
+            entry.correctAnswers,
+            entry.totalQuestions,
+            entry.score,
+            entry.grade || getGradeFromScore(entry.score, scheme)
+          ]
+        : [entry.kuisTitle, entry.kategori || '', 'Belum dikerjakan', '', '', '', '']
+    ),
+    summary: [
+      ['Kuis dikerjakan', `${completed.length} dari ${entries.length}`],
+      ['Rata-rata', average ?? '-'],
+      ['Grade', average !== null ? getGradeFromScore(average, scheme) : '-']
+    ]
+  };
+};
+
+// Text that a spreadsheet would run as a formula is prefixed with '; numbers stay numbers
+const escapeCsvCell = (value) => {
+  const text = typeof value === 'number' ? String(value) : String(value ?? '').replace(/^[=+\-@\t\r]/, "'$&");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const reportToCsv = (report) =>
+  [report.headers, ...report.rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const reportToHtml = (report) => `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #1e293b; margin: 32px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .subtitle { color: #64748b; font-size: 13px; margin-bottom: 20px; }
+  .summary { display: flex; gap: 24px; margin-bottom: 20px; font-size: 13px; }
+  .summary strong { display: block; font-size: 18px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #cbd5e1; padding: 6px 8px; text-align: left; }
+  th { background: #f1f5f9; }
+  tr { page-break-inside: avoid; }
+  @page { size: auto; margin: 16mm; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<div class="subtitle">${escapeHtml(report.subtitle)}</div>
+<div class="summary">
+${report.summary.map(([label, value]) => `<div>${escapeHtml(label)}<strong>${escapeHtml(value)}</strong></div>`).join('\n')}
+</div>
+<table>
+<thead><tr>${report.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${report.rows.map(row => `<tr>${row.map(cell => `<td>${cell === '' ? '—' : escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>`;
+
+/**
+ * Open the report in a new window and start printing, so it can be saved as PDF
+ */
+const printReport = (report) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('Jendela cetak diblokir browser. Izinkan pop-up untuk mengekspor PDF.');
+  }
+
+  printWindow.document.open();
+  printWindow.document.write(reportToHtml(report));
+  printWindow.document.close();
+  printWindow.focus();
+  // Wait for layout before opening the print dialog
+  setTimeout(() => printWindow.print(), 250);
+};
+
+/**
+ * Export a report in the chosen format
+ * @param {Object} report - From one of the build*Report functions
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string} filename - File name without extension
+ */
+export const exportReport = (report, format, filename) => {
+  const safeName = toSafeFilename(filename, 'hasil_kuis');
+
+  if (format === EXPORT_FORMATS.PDF) {
+    printReport(report);
+    return;
+  }
+
+  if (format === EXPORT_FORMATS.XLSX) {
+    const summaryRows = report.summary.length > 0
+      ? [{ name: 'Ringkasan', rows: [['Keterangan', 'Nilai'], ...report.summary] }]
+      : [];
+    downloadFile(
+      createXlsx([{ name: report.sheetName, rows: [report.headers, ...report.rows] }, ...summaryRows]),
+      `${safeName}.xlsx`
+    );
+    return;
+  }
+
+  // BOM so Excel opens the UTF-8 CSV with the right encoding
+  downloadFile(`\uFEFF${reportToCsv(report)}`, `${safeName}.csv`, 'text/csv;charset=utf-8');
+};
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_LABELS,
+  buildClassReport,
+  buildKuisReport,
+  buildStudentReport,
+  exportReport
+};
@@ -0,0 +1,111 @@
+/**
+ * Result stats of one user, shared by the analytics, leaderboard, results,
+ * dashboard and achievements pages
+ *
+ * Question counts come from a kuis ID -> soal count index (countSoalByKuis)
+ * built from a single soal request, not from one request per kuis.
+ */
+
+import { getResultScoreInfo } from './gradeUtils';
+import { resolveGradingScheme } from './gradingSchemes';
+import { getAttemptScore, summarizeAttemptsByKuis } from './attempts';
+import { getSoalKuisId } from './questionBank';
+import { getAttemptQuestionCount, getKuisQuestionCount } from './questionPool';
+
+/**
+ * Number of soal of every kuis
+ * @param {Array} soalList - All soal
+ * @returns {Object} - kuis ID -> count
+ */
+export const countSoalByKuis = (soalList = []) =>
+  soalList.reduce((counts, soal) => {
+    const kuisId = getSoalKuisId(soal);
+    counts[kuisId] = (counts[kuisId] || 0) + 1;
+    return counts;
+  }, {});
+
+/**
+ * Soal per attempt of a kuis, 1 when the count is unknown so scores stay computable
+ * @param {Object} kuis
+ * @param {Object} questionCounts - From countSoalByKuis
+ * @returns {number}
+ */
+export const getQuestionCount = (kuis, questionCounts = {}) =>
+  getKuisQuestionCount(kuis, questionCounts[kuis.ID ?? kuis.id]) || 1;
+
+const getDate = (hasil) => hasil.updated_at || hasil.UpdatedAt || hasil.created_at || hasil.CreatedAt || null;
+
+/**
+ * Scored results of every kuis the user attempted
+ * @param {Array} hasilList - Hasil-kuis rows of the user
+ * @param {Array} kuisList - All kuis, rows of unknown kuis are left out
+ * @param {Object} questionCounts - From countSoalByKuis
+ * @returns {Array} - {kuis, summary, questionCount, result, scoreInfo, attempts}, attempts oldest first
+ *                    with {hasil, questionCount, scoreInfo, date}
+ */
+export const buildResultEntries = (hasilList = [], kuisList = [], questionCounts = {}) => {
+  const kuisMap = new Map(kuisList.map(kuis => [Number(kuis.ID ?? kuis.id), kuis]));
+  const entries = [];
+
+  // Attempts are compared with the same question counts they are displayed with
+  const getScore = (hasil, kuis) => getAttemptScore(hasil, kuis ? {
+    totalQuestions: getAttemptQuestionCount(hasil, kuis, getQuestionCount(kuis, questionCounts))
+  } : {});
+
+  summarizeAttemptsByKuis(hasilList, kuisList, getScore).forEach((summary, kuisId) => {
+    const kuis = kuisMap.get(kuisId);
+    if (!kuis) return;
+
+    const questionCount = getQuestionCount(kuis, questionCounts);
+    const scheme = resolveGradingScheme({ kuis, kuisId });
+    const scoreAttempt = (hasil) => {
+      const attemptCount = getAttemptQuestionCount(hasil, kuis, questionCount);
+      return {
+        hasil,
+        questionCount: attemptCount,
+        scoreInfo: getResultScoreInfo(hasil, { totalQuestions: attemptCount }, scheme),
+        date: getDate(hasil)
+      };
+    };
+    const counted = scoreAttempt(summary.result);
+
+    entries.push({
+      kuis,
+      summary,
+      questionCount: counted.questionCount,
+      result: summary.result,
+      scoreInfo: counted.scoreInfo,
+      date: counted.date,
+      attempts: summary.attempts.map(scoreAttempt)
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Totals over result entries, each kuis counts once with its counted result
+ * @param {Array} entries - From buildResultEntries
+ * @returns {Object} - {completedQuizzes, totalScore, averageScore, correctAnswers, totalQuestions, accuracy}
+ */
+export const summarizeResultEntries = (entries = []) => {
+  const totalScore = entries.reduce((sum, entry) => sum + entry.scoreInfo.score, 0);
+  const correctAnswers = entries.reduce((sum, entry) => sum + entry.scoreInfo.correctAnswers, 0);
+  const totalQuestions = entries.reduce((sum, entry) => sum + entry.questionCount, 0);
+
+  return {
+    completedQuizzes: entries.length,
+    totalScore,
+    averageScore: entries.length > 0 ? Math.round(totalScore / entries.length) : 0,
+    correctAnswers,
+    totalQuestions,
+    accuracy: totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0
+  };
+};
+
+export default {
+  countSoalByKuis,
+  getQuestionCount,
+  buildResultEntries,
+  summarizeResultEntries
+};
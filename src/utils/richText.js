@@ -0,0 +1,339 @@
+/**
+ * Rich text in soal: a Markdown subset with LaTeX math and code blocks
+ *
+ * Blocks:  paragraphs (single line breaks are kept), # headings, - / 1. lists,
+ *          > quotes, ```lang fenced code, $$...$$ or \[...\] display math
+ * Inline:  **bold**, *italic*, ~~strike~~, `code`, [link](url), ![alt](url),
+ *          $...$ or \(...\) inline math, backslash escapes
+ *
+ * The parser returns a plain node tree that RichText renders as React
+ * elements. Raw HTML is never interpreted, it stays visible as text, and link
+ * and image URLs are limited to safe schemes, so authored content cannot
+ * inject markup or scripts.
+ */
+
+const ESCAPABLE = '\\`*_{}[]()#+-.!$~>|';
+const LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const FENCE = /^(`{3,}|~{3,})\s*([\w+#-]*)/;
+const URL_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+const SAFE_SCHEMES = /^(https?:|mailto:)/i;
+const SAFE_IMAGE_DATA = /^data:image\/(png|jpe?g|gif|webp);base64,/i;
+
+const EMPHASIS = [
+  { delimiter: '**', type: 'strong' },
+  { delimiter: '__', type: 'strong' },
+  { delimiter: '~~', type: 'del' },
+  { delimiter: '*', type: 'em' },
+  { delimiter: '_', type: 'em' },
+];
+
+/**
+ * Whether a link or image URL is safe to render
+ * Relative URLs and http(s) / mailto are allowed, images may also be inline data
+ * @param {string} url
+ * @param {Object} options - {image}
+ * @returns {boolean}
+ */
+export const isSafeUrl = (url, { image = false } = {}) => {
+  const value = String(url ?? '').trim();
+  if (!value) return false;
+  // Browsers drop whitespace and control characters, which would hide schemes like "java\tscript:"
+  if ([...value].some(char => char.charCodeAt(0) <= 32)) return false;
+  if (!URL_SCHEME.test(value)) return true;
+  return SAFE_SCHEMES.test(value) || (image && SAFE_IMAGE_DATA.test(value));
+};
+
+const isWhitespace = (char) => char !== undefined && /\s/.test(char);
+const isWordChar = (char) => char !== undefined && /\w/.test(char);
+
+/**
+ * Closing emphasis delimiter, which must not follow whitespace
+ */
+const findClosing = (text, delimiter, from) => {
+  let index = text.indexOf(delimiter, from);
+  while (index !== -1) {
+    if (index > from && !isWhitespace(text[index - 1]) && text[index - 1] !== '\\') {
+      // "_" only closes at a word boundary so snake_case stays intact
+      if (delimiter !== '_' || !isWordChar(text[index + 1])) return index;
+    }
+    index = text.indexOf(delimiter, index + 1);
+  }
+  return -1;
+};
+
+/**
+ * Closing "$" of inline math: not after whitespace or a backslash and not
+ * before a digit, so prices like "$5 dan $10" stay text
+ */
+const findMathClosing = (text, from) => {
+  for (let index = from + 1; index < text.length; index++) {
+    if (text[index] === '$' && text[index - 1] !== '\\' && !isWhitespace(text[index - 1]) && !/\d/.test(text[index + 1] ?? '')) {
+      return index;
+    }
+  }
+  return -1;
+};
+
+/**
+ * "[label](url)" starting at the "[" at `start`
+ */
+const matchLink = (text, start) => {
+  const labelEnd = text.indexOf(']', start + 1);
+  if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+  const urlEnd = text.indexOf(')', labelEnd + 2);
+  if (urlEnd === -1) return null;
+  return {
+    label: text.slice(start + 1, labelEnd),
+    url: text.slice(labelEnd + 2, urlEnd).trim(),
+    end: urlEnd + 1,
+  };
+};
+
+/**
+ * Parse inline Markdown
+ * @param {string} text
+ * @returns {Array} - Inline nodes
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = '';
+  const push = (node) => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+    nodes.push(node);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (char === '\\' && (next === '(' || next === '[')) {
+      const close = next === '(' ? '\\)' : '\\]';
+      const end = text.indexOf(close, i + 2);
+      if (end !== -1) {
+        push({ type: 'math', tex: text.slice(i + 2, end).trim(), display: next === '[' });
+        i = end + 2;
+        continue;
+      }
+    }
+
+    if (char === '\\' && next !== undefined && ESCAPABLE.includes(next)) {
+      buffer += next;
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end !== -1) {
+        push({ type: 'inlineCode', text: text.slice(i + run.length, end) });
+        i = end + run.length;
+      } else {
+        buffer += run;
+        i += run.length;
+      }
+      continue;
+    }
+
+    if (char === '$' && next === '$') {
+      const end = text.indexOf('$$', i + 2);
+      if (end > i + 2) {
+        push({ type: 'math', tex: text.slice(i + 2, end).trim(), display: true });
+        i = end + 2;
+      } else {
+        buffer += '$$';
+        i += 2;
+      }
+      continue;
+    }
+
+    if (char === '$' && next !== undefined && !isWhitespace(next)) {
+      const end = findMathClosing(text, i);
+      if (end !== -1) {
+        push({ type: 'math', tex: text.slice(i + 1, end), display: false });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (char === '!' && next === '[') {
+      const link = matchLink(text, i + 1);
+      if (link) {
+        push(isSafeUrl(link.url, { image: true })
+          ? { type: 'image', alt: link.label, url: link.url }
+          : { type: 'text', text: link.label });
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (char === '[') {
+      const link = matchLink(text, i);
+      if (link) {
+        push(isSafeUrl(link.url)
+          ? { type: 'link', url: link.url, children: parseInline(link.label) }
+          : { type: 'text', text: link.label });
+        i = link.end;
+        continue;
+      }
+    }
+
+    const emphasis = EMPHASIS.find(({ delimiter }) =>
+      text.startsWith(delimiter, i) &&
+      !isWhitespace(text[i + delimiter.length]) &&
+      (delimiter[0] !== '_' || !isWordChar(text[i - 1]))
+    );
+    if (emphasis) {
+      const { delimiter, type } = emphasis;
+      const end = findClosing(text, delimiter, i + delimiter.length);
+      if (end !== -1) {
+        push({ type, children: parseInline(text.slice(i + delimiter.length, end)) });
+        i = end + delimiter.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  if (buffer) nodes.push({ type: 'text', text: buffer });
+  return nodes;
+};
+
+/**
+ * Display math block starting at line `start`, or null when the lines are not one
+ */
+const matchMathBlock = (lines, start) => {
+  const first = lines[start].trim();
+  const open = first.startsWith('$$') ? '$$' : first.startsWith('\\[') ? '\\[' : null;
+  if (!open) return null;
+
+  const close = open === '$$' ? '$$' : '\\]';
+  let body = first.slice(2);
+  let end = start;
+  while (!body.includes(close) && end + 1 < lines.length) {
+    end++;
+    body += `\n${lines[end]}`;
+  }
+
+  const closeIndex = body.indexOf(close);
+  if (closeIndex === -1 || body.slice(closeIndex + 2).trim() !== '') return null;
+  return { block: { type: 'math', tex: body.slice(0, closeIndex).trim(), display: true }, end };
+};
+
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let paragraph = [];
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      flushParagraph();
+      continue;
+    }
+
+    const fence = trimmed.match(FENCE);
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'code', language: fence[2].toLowerCase(), code: code.join('\n') });
+      continue;
+    }
+
+    const math = matchMathBlock(lines, i);
+    if (math) {
+      flushParagraph();
+      blocks.push(math.block);
+      i = math.end;
+      continue;
+    }
+
+    const heading = trimmed.match(HEADING);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      flushParagraph();
+      const quoted = [];
+      for (; i < lines.length && lines[i].trim().startsWith('>'); i++) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+      }
+      i--;
+      blocks.push({ type: 'quote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flushParagraph();
+      const ordered = /\d/.test(item[1]);
+      const items = [];
+      let current = [item[2]];
+      while (i + 1 < lines.length) {
+        const nextLine = lines[i + 1];
+        const nextItem = nextLine.match(LIST_ITEM);
+        if (nextItem && /\d/.test(nextItem[1]) === ordered) {
+          items.push(current);
+          current = [nextItem[2]];
+        } else if (nextLine.trim() && /^\s/.test(nextLine)) {
+          // Indented lines continue the item
+          current.push(nextLine.trim());
+        } else {
+          break;
+        }
+        i++;
+      }
+      items.push(current);
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(item[1]) : 1,
+        items: items.map(itemLines => parseInline(itemLines.join('\n'))),
+      });
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+/**
+ * Parse rich text into block nodes
+ * @param {string} text - Authored soal text
+ * @returns {Array} - Block nodes
+ */
+export const parseRichText = (text) =>
+  parseBlocks(String(text ?? '').replace(/\r\n?/g, '\n').split('\n'));
+
+export default {
+  isSafeUrl,
+  parseInline,
+  parseRichText
+};
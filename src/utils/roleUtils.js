@@ -1,50 +1,25 @@
 // Role-Based Access Control (RBAC) Utilities
 // Based on backend role system: admin, teacher, student
 
+import { matchPath } from 'react-router-dom';
+
 /**
- * Get user role from localStorage or token
+ * Role of a user, student when unknown
+ * @param {Object|null} user - User from useAuth
  */
-export const getUserRole = () => {
-  // First try localStorage with correct key (userRole, not role)
-  const storedRole = localStorage.getItem('userRole');
-  if (storedRole) return storedRole;
-
-  // Fallback to old key for backward compatibility
-  const oldStoredRole = localStorage.getItem('role');
-  if (oldStoredRole) {
-    // Migrate to new key
-    localStorage.setItem('userRole', oldStoredRole);
-    localStorage.removeItem('role');
-    return oldStoredRole;
-  }
-
-  // Fallback to token (though JWT doesn't contain role)
-  const token = localStorage.getItem('token');
-  if (token) {
-    try {
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      return payload.role || 'student';
-    } catch (error) {
-      console.error('Error decoding token for role:', error);
-    }
-  }
-
-  return 'student'; // Default role
-};
+export const getUserRole = (user) => user?.userRole || 'student';
 
 /**
  * Check if user has specific role
  */
-export const hasRole = (requiredRole) => {
-  const userRole = getUserRole();
+export const hasRole = (requiredRole, userRole = 'student') => {
   return userRole === requiredRole;
 };
 
 /**
  * Check if user has any of the specified roles
  */
-export const hasAnyRole = (roles) => {
-  const userRole = getUserRole();
+export const hasAnyRole = (roles, userRole = 'student') => {
   return roles.includes(userRole);
 };
 
@@ -52,8 +27,7 @@ export const hasAnyRole = (roles) => {
  * Role hierarchy check - higher roles include lower role permissions
  * admin > teacher > student
  */
-export const hasRoleOrHigher = (requiredRole) => {
-  const userRole = getUserRole();
+export const hasRoleOrHigher = (requiredRole, userRole = 'student') => {
   const roleHierarchy = {
     'student': 1,
     'teacher': 2,
@@ -245,8 +219,7 @@ export const PERMISSIONS = {
 /**
  * Check if user has specific permission
  */
-export const hasPermission = (permission) => {
-  const userRole = getUserRole();
+export const hasPermission = (permission, userRole = 'student') => {
   const rolePermissions = PERMISSIONS[userRole] || PERMISSIONS.student;
   return rolePermissions[permission] || false;
 };
@@ -254,65 +227,109 @@ export const hasPermission = (permission) => {
 /**
  * Get all permissions for current user role
  */
-export const getUserPermissions = () => {
-  const userRole = getUserRole();
+export const getUserPermissions = (userRole = 'student') => {
   return PERMISSIONS[userRole] || PERMISSIONS.student;
 };
 
 /**
- * Simple role-based route access check
- * Returns true for most routes, only blocks specific admin/teacher routes
+ * Role names the app knows, older accounts still carry 'user' for students
+ * @param {string} role
+ * @returns {string} - admin, teacher or student
  */
-export const canAccessRoute = (route) => {
-  const userRole = getUserRole();
+export const normalizeRole = (role) => {
+  const value = String(role || '').toLowerCase();
+  return ['admin', 'teacher'].includes(value) ? value : 'student';
+};
 
-  // Public routes - always accessible
-  if (['/login', '/register'].includes(route)) {
-    return true;
-  }
+// Marks a route every visitor can open, signed in or not
+export const PUBLIC_ACCESS = 'public';
 
-  // Admin-only routes
-  const adminOnlyRoutes = [
-    '/daftar-kategori',
-    '/tambah-kategori',
-    '/edit-kategori',
-    '/daftar-tingkatan',
-    '/tambah-tingkatan',
-    '/edit-tingkatan',
-    '/daftar-pendidikan',
-    '/tambah-pendidikan',
-    '/edit-pendidikan'
-  ];
+const ALL_ROLES = ['student', 'teacher', 'admin'];
+const STAFF_ROLES = ['teacher', 'admin'];
+const ADMIN_ROLES = ['admin'];
 
-  // Teacher and Admin routes
-  const teacherAdminRoutes = [
-    '/daftar-kuis',
-    '/tambah-kuis',
-    '/edit-kuis',
-    '/daftar-soal',
-    '/tambah-soal',
-    '/edit-soal'
-  ];
+/**
+ * Who may open each route of App.jsx, keyed by the route path in config/routes
+ * Every route must have an entry; config/routes.test.jsx fails on the gaps.
+ */
+export const ROUTE_PERMISSIONS = {
+  '/login': PUBLIC_ACCESS,
+  '/register': PUBLIC_ACCESS,
 
-  // Check admin-only access
-  if (adminOnlyRoutes.some(adminRoute => route.startsWith(adminRoute))) {
-    return userRole === 'admin';
-  }
+  // Learning
+  '/dashboard': ALL_ROLES,
+  '/ambil-kuis': ALL_ROLES,
+  '/kuis/:kuisId/jawab': ALL_ROLES,
+  '/hasil-kuis': ALL_ROLES,
+  '/hasil-kuis/:kuisId/detail': ALL_ROLES,
+  '/profil': ALL_ROLES,
+  '/analytics': ALL_ROLES,
+  '/recommendations': ALL_ROLES,
+  '/leaderboard': ALL_ROLES,
+  '/achievements': ALL_ROLES,
+  '/study-planner': ALL_ROLES,
+  '/kelas/:id': ALL_ROLES,
+  '/join-kelas': ['student'],
 
-  // Check teacher/admin access
-  if (teacherAdminRoutes.some(teacherRoute => route.startsWith(teacherRoute))) {
-    return userRole === 'teacher' || userRole === 'admin';
-  }
+  // Teaching
+  '/daftar-kuis': STAFF_ROLES,
+  '/kuis/:kuisId/manage-soal': STAFF_ROLES,
+  '/kuis/:kuisId/analisis': STAFF_ROLES,
+  '/my-classes': STAFF_ROLES,
+  '/daftar-kelas': STAFF_ROLES,
+  '/kelas/:id/nilai': STAFF_ROLES,
+  '/admin/manage-soal': STAFF_ROLES,
+  '/admin/manage-kuis': STAFF_ROLES,
+
+  // Administration
+  '/daftar-kategori': ADMIN_ROLES,
+  '/daftar-tingkatan': ADMIN_ROLES,
+  '/daftar-pendidikan': ADMIN_ROLES,
+  '/admin/grading-schemes': ADMIN_ROLES
+};
+
+/**
+ * Permission of a route pattern or of a concrete path such as /kelas/12/nilai
+ * @param {string} route
+ * @returns {string[]|string|null} - Allowed roles, PUBLIC_ACCESS, or null when undeclared
+ */
+export const getRoutePermission = (route) => {
+  if (ROUTE_PERMISSIONS[route]) return ROUTE_PERMISSIONS[route];
+  const pattern = Object.keys(ROUTE_PERMISSIONS).find((path) => matchPath(path, route));
+  return pattern ? ROUTE_PERMISSIONS[pattern] : null;
+};
 
-  // All other routes are accessible to authenticated users
-  return true;
+export const isPublicRoute = (route) => getRoutePermission(route) === PUBLIC_ACCESS;
+
+/**
+ * Route access check against the permission table
+ * Routes missing from the table are closed to everyone.
+ * @param {string} route - Route pattern or concrete path
+ * @param {string} userRole - Role verified by the backend, see AuthProvider
+ */
+export const canAccessRoute = (route, userRole = 'student') => {
+  const permission = getRoutePermission(route);
+  if (permission === PUBLIC_ACCESS) return true;
+  return Array.isArray(permission) && permission.includes(normalizeRole(userRole));
 };
 
+// Any signed-in user may open the route, whatever the role
+export const isOpenToAllRoles = (route) => ALL_ROLES.every((role) => canAccessRoute(route, role));
+
+/**
+ * Compare the routes an app renders with the permission table
+ * @param {string[]} paths - Route paths as declared in config/routes
+ * @returns {Object} - {undeclared, unused}: routes without a permission, permissions without a route
+ */
+export const checkRoutePermissions = (paths) => ({
+  undeclared: paths.filter((path) => !ROUTE_PERMISSIONS[path]),
+  unused: Object.keys(ROUTE_PERMISSIONS).filter((path) => !paths.includes(path))
+});
+
 /**
  * Get accessible menu items based on user role
  */
-export const getAccessibleMenuItems = () => {
-  const userRole = getUserRole();
+export const getAccessibleMenuItems = (userRole = 'student') => {
   
   const allMenuItems = [
     // Student menu items
@@ -0,0 +1,256 @@
+/**
+ * Scoring of a kuis attempt: per-soal point weights, optional negative marking
+ * and partial credit for multiple-select soal.
+ *
+ * Soal fields:  points (weight, default 1)
+ * Kuis fields:  negative_marking (fraction of a soal's points deducted for a wrong answer, 0 = off)
+ *               partial_credit (multiple-select earns credit per correct option, default on)
+ *
+ * Without weights or penalties the result equals correct / total * 100,
+ * so legacy results keep their score.
+ *
+ * Every displayed score goes through getResultScore: the submitted answers are
+ * re-scored when they and the soal are at hand. Otherwise a result the backend
+ * marked as weighted keeps its stored score, and older results are scored
+ * correct / total.
+ */
+
+import {
+  QUESTION_TYPES,
+  getQuestionType,
+  isAnswered,
+  isAnswerCorrect,
+  parseMultiSelectAnswer
+} from './questionTypes';
+
+export const DEFAULT_POINTS = 1;
+
+export const NEGATIVE_MARKING_OPTIONS = [
+  { value: 0, label: 'Tidak ada' },
+  { value: 0.25, label: '-25% poin soal' },
+  { value: 0.5, label: '-50% poin soal' },
+  { value: 1, label: '-100% poin soal' },
+];
+
+export const SCORE_STATUS = {
+  CORRECT: 'correct',
+  PARTIAL: 'partial',
+  WRONG: 'wrong',
+  UNANSWERED: 'unanswered',
+};
+
+// How the backend computed a stored score
+export const SCORE_SCHEMES = {
+  CORRECT_TOTAL: 'correct_total',
+  WEIGHTED: 'weighted',
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Point weight of a soal
+ * @param {Object} soal
+ * @returns {number} - Positive weight
+ */
+export const getQuestionPoints = (soal) => {
+  const points = Number(soal?.points ?? soal?.Points);
+  return Number.isFinite(points) && points > 0 ? points : DEFAULT_POINTS;
+};
+
+/**
+ * Scoring settings of a kuis
+ * @param {Object} kuis
+ * @returns {Object} - {negativeMarking, partialCredit}
+ */
+export const getScoringSettings = (kuis) => {
+  const negativeMarking = Number(kuis?.negative_marking ?? kuis?.Negative_marking);
+  const partialCredit = kuis?.partial_credit ?? kuis?.Partial_credit;
+  return {
+    negativeMarking: Number.isFinite(negativeMarking) ? clamp(negativeMarking, 0, 1) : 0,
+    partialCredit: partialCredit !== false
+  };
+};
+
+/**
+ * Percentage score from earned and maximum points, never below 0
+ * @param {number} earned
+ * @param {number} max
+ * @returns {number} - 0-100
+ */
+export const toPercentage = (earned, max) => {
+  if (!max || max <= 0) return 0;
+  return clamp(Math.round((earned / max) * 100), 0, 100);
+};
+
+/**
+ * Share of a multiple-select soal that was answered correctly:
+ * correct picks minus wrong picks, over the number of correct options
+ */
+const getMultiSelectFraction = (soal, answer) => {
+  const expected = parseMultiSelectAnswer(soal.correct_answer);
+  const given = parseMultiSelectAnswer(answer);
+  if (expected.length === 0) return 0;
+
+  const hits = given.filter(option => expected.includes(option)).length;
+  const misses = given.length - hits;
+  return clamp((hits - misses) / expected.length, 0, 1);
+};
+
+/**
+ * Score one soal
+ * @param {Object} soal
+ * @param {*} answer - Answer as kept in quiz state or as submitted
+ * @param {Object} settings - From getScoringSettings
+ * @returns {Object} - {status, earned, max, fraction}
+ */
+export const scoreQuestion = (soal, answer, settings = getScoringSettings()) => {
+  const max = getQuestionPoints(soal);
+  const type = getQuestionType(soal);
+  const answered = type === QUESTION_TYPES.MULTIPLE_SELECT
+    ? parseMultiSelectAnswer(answer).length > 0
+    : isAnswered(answer);
+
+  if (!answered) {
+    return { status: SCORE_STATUS.UNANSWERED, earned: 0, max, fraction: 0 };
+  }
+
+  if (isAnswerCorrect(soal, answer)) {
+    return { status: SCORE_STATUS.CORRECT, earned: max, max, fraction: 1 };
+  }
+
+  if (type === QUESTION_TYPES.MULTIPLE_SELECT && settings.partialCredit) {
+    const fraction = getMultiSelectFraction(soal, answer);
+    if (fraction > 0) {
+      return { status: SCORE_STATUS.PARTIAL, earned: round2(max * fraction), max, fraction };
+    }
+  }
+
+  return {
+    status: SCORE_STATUS.WRONG,
+    earned: round2(-max * settings.negativeMarking),
+    max,
+    fraction: 0
+  };
+};
+
+/**
+ * Score a whole attempt
+ * @param {Array} soalList - Soal of the kuis
+ * @param {Object|Map} answers - soal ID -> answer
+ * @param {Object} settings - From getScoringSettings
+ * @returns {Object} - {score, earned, max, correct, partial, wrong, unanswered, penalty, breakdown}
+ */
+export const scoreQuiz = (soalList, answers, settings = getScoringSettings()) => {
+  const getAnswer = (soalId) => (answers instanceof Map ? answers.get(soalId) : answers?.[soalId]);
+
+  const breakdown = soalList.map(soal => ({
+    soalId: soal.ID,
+    ...scoreQuestion(soal, getAnswer(soal.ID), settings)
+  }));
+
+  const count = (status) => breakdown.filter(item => item.status === status).length;
+  const earned = round2(breakdown.reduce((sum, item) => sum + item.earned, 0));
+  const max = round2(breakdown.reduce((sum, item) => sum + item.max, 0));
+  const penalty = round2(breakdown.reduce((sum, item) => sum + Math.min(item.earned, 0), 0));
+
+  return {
+    score: toPercentage(earned, max),
+    earned,
+    max,
+    penalty,
+    correct: count(SCORE_STATUS.CORRECT),
+    partial: count(SCORE_STATUS.PARTIAL),
+    wrong: count(SCORE_STATUS.WRONG),
+    unanswered: count(SCORE_STATUS.UNANSWERED),
+    breakdown
+  };
+};
+
+/**
+ * Answers stored on a hasil-kuis row, when the backend includes them
+ * @param {Object} result - Hasil-kuis row
+ * @returns {Map} - soal ID -> answer
+ */
+export const getResultAnswers = (result) => {
+  const answers = result?.answers || result?.Answers || result?.jawaban || result?.Jawaban || [];
+  return new Map(
+    (Array.isArray(answers) ? answers : []).map(item => [
+      Number(item.soal_id ?? item.Soal_id ?? item.SoalID),
+      item.answer ?? item.Answer ?? item.selected_answer
+    ])
+  );
+};
+
+/**
+ * How the stored score of a result was computed
+ * The backend marks weighted rows with `score_scheme` or the points possible
+ * (`max_score`); unmarked rows predate weights.
+ * @param {Object} result - Hasil-kuis row
+ * @returns {string} - One of SCORE_SCHEMES
+ */
+export const getScoreScheme = (result) => {
+  const scheme = result?.score_scheme ?? result?.Score_scheme;
+  if (scheme === SCORE_SCHEMES.WEIGHTED || Number(result?.max_score ?? result?.Max_score) > 0) {
+    return SCORE_SCHEMES.WEIGHTED;
+  }
+  return SCORE_SCHEMES.CORRECT_TOTAL;
+};
+
+/**
+ * Score stored with a result, as a percentage
+ * Unweighted results are correct / total whenever the counts are known, the
+ * stored score (points on older rows) is only used without them.
+ * @param {number|string|null} score - Stored score
+ * @param {number} correctAnswers
+ * @param {number} totalQuestions
+ * @param {string} scheme - One of SCORE_SCHEMES
+ * @returns {number} - 0-100
+ */
+export const getStoredScore = (score, correctAnswers, totalQuestions, scheme = SCORE_SCHEMES.CORRECT_TOTAL) => {
+  const stored = score === null || score === undefined || score === '' ? NaN : Number(score);
+  const total = Number(totalQuestions) || 0;
+  const usable = Number.isFinite(stored) && stored >= 0 && stored <= 100;
+
+  if (scheme === SCORE_SCHEMES.WEIGHTED && usable) return stored;
+  if (total > 0) return toPercentage(Number(correctAnswers) || 0, total);
+  return usable ? stored : 0;
+};
+
+/**
+ * Percentage score of a hasil-kuis row
+ * @param {Object} result - Hasil-kuis row
+ * @param {Object} options - {soalList, settings, correctAnswers, totalQuestions}; soalList and settings
+ *   re-score the submitted answers, the counts only matter for rows without a stored score
+ * @returns {Object} - {score, scoring}, scoring is the scoreQuiz() result when the answers were re-scored
+ */
+export const getResultScore = (result, { soalList = [], settings, correctAnswers, totalQuestions } = {}) => {
+  const answers = getResultAnswers(result);
+  if (answers.size > 0 && soalList.length > 0) {
+    const scoring = scoreQuiz(soalList, answers, settings);
+    return { score: scoring.score, scoring };
+  }
+
+  const correct = correctAnswers ?? result?.correct_answer ?? result?.Correct_Answer;
+  return {
+    score: getStoredScore(result?.score ?? result?.Score, correct, totalQuestions, getScoreScheme(result)),
+    scoring: null
+  };
+};
+
+export default {
+  DEFAULT_POINTS,
+  NEGATIVE_MARKING_OPTIONS,
+  SCORE_SCHEMES,
+  SCORE_STATUS,
+  getQuestionPoints,
+  getScoringSettings,
+  toPercentage,
+  scoreQuestion,
+  scoreQuiz,
+  getResultAnswers,
+  getScoreScheme,
+  getStoredScore,
+  getResultScore
+};
@@ -0,0 +1,136 @@
+/**
+ * Seeded shuffling of soal and option order for a kuis attempt
+ *
+ * Kuis fields: shuffle_questions, shuffle_options
+ *
+ * The seed is kept with the attempt draft, so a refresh shows the same order.
+ * Only the displayed order changes: answers keep their canonical value (the
+ * option letter for A-D keyed options, otherwise the option text), so
+ * submission and scoring work on the original soal.
+ */
+
+import { QUESTION_TYPES, getQuestionType } from './questionTypes';
+
+/**
+ * New random seed for an attempt
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export const createShuffleSeed = () => Math.floor(Math.random() * 0x100000000);
+
+/**
+ * Deterministic 32-bit PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+};
+
+// Mix a soal ID into the attempt seed so every soal gets its own option order
+const deriveSeed = (seed, salt) => {
+  let hash = (seed ^ 0x811c9dc5) >>> 0;
+  for (const char of String(salt)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * Fisher-Yates shuffle with a seeded PRNG, the input is not modified
+ * @param {Array} items
+ * @param {number} seed
+ * @returns {Array}
+ */
+export const seededShuffle = (items, seed) => {
+  const random = createSeededRandom(seed);
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Shuffle settings of a kuis
+ * @param {Object} kuis
+ * @returns {Object} - {shuffleQuestions, shuffleOptions}
+ */
+export const getShuffleSettings = (kuis) => ({
+  shuffleQuestions: Boolean(kuis?.shuffle_questions ?? kuis?.Shuffle_questions),
+  shuffleOptions: Boolean(kuis?.shuffle_options ?? kuis?.Shuffle_options)
+});
+
+const readOptions = (soal) => {
+  const raw = soal.options_json || soal.Options || soal.options;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Soal copy with its options in shuffled display order
+ * A-D keyed options keep their letter as the answer key and get a new display label
+ */
+const shuffleOptions = (soal, seed) => {
+  const options = readOptions(soal);
+  const optionSeed = deriveSeed(seed, soal.ID);
+
+  if (Array.isArray(options)) {
+    return { ...soal, options_json: seededShuffle(options, optionSeed) };
+  }
+
+  if (options && typeof options === 'object') {
+    const keys = Object.keys(options).filter(key => /^[A-Z]$/.test(key)).sort();
+    if (keys.length === 0) return soal;
+
+    const shuffled = seededShuffle(keys, optionSeed).map((key, index) => ({
+      key,
+      value: options[key],
+      label: `${String.fromCharCode(65 + index)}. ${options[key]}`
+    }));
+    return { ...soal, options_json: shuffled };
+  }
+
+  return soal;
+};
+
+// True/false keeps its natural Benar / Salah order
+const SHUFFLED_OPTION_TYPES = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.MULTIPLE_SELECT];
+
+/**
+ * Soal in display order for an attempt
+ * @param {Array} questions - Soal in backend order
+ * @param {number} seed - Attempt seed
+ * @param {Object} settings - From getShuffleSettings
+ * @returns {Array} - Soal copies, the originals are not modified
+ */
+export const shuffleQuiz = (questions, seed, settings) => {
+  if (!Number.isFinite(seed) || (!settings.shuffleQuestions && !settings.shuffleOptions)) {
+    return questions;
+  }
+
+  const ordered = settings.shuffleQuestions ? seededShuffle(questions, seed) : questions;
+  if (!settings.shuffleOptions) return ordered;
+
+  return ordered.map(soal => (
+    SHUFFLED_OPTION_TYPES.includes(getQuestionType(soal)) ? shuffleOptions(soal, seed) : soal
+  ));
+};
+
+export default {
+  createShuffleSeed,
+  createSeededRandom,
+  seededShuffle,
+  getShuffleSettings,
+  shuffleQuiz
+};
@@ -0,0 +1,58 @@
+/**
+ * JWT helpers
+ * The payload is read without checking the signature, only to know who is
+ * signed in and when the token expires; the backend verifies every request.
+ */
+
+/**
+ * Payload of a JWT
+ * @param {string} token
+ * @returns {Object|null} - null when the token is missing or malformed
+ */
+export const decodeToken = (token) => {
+  const part = typeof token === 'string' ? token.split('.')[1] : null;
+  if (!part) return null;
+
+  try {
+    // JWTs use the URL-safe base64 alphabet without padding
+    const base64 = part.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(part.length / 4) * 4, '=');
+    const json = decodeURIComponent(
+      Array.from(atob(base64), char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+    );
+    const payload = JSON.parse(json);
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Expiry of a JWT in ms
+ * @param {string} token
+ * @returns {number|null} - null when the token has no exp claim
+ */
+export const getTokenExpiry = (token) => {
+  const exp = Number(decodeToken(token)?.exp);
+  return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+};
+
+/**
+ * Timestamp in ms from an API expiry value: epoch seconds, epoch ms or a date string
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+export const toExpiryTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (Number.isFinite(number)) {
+    return number < 1e12 ? number * 1000 : number;
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+export default {
+  decodeToken,
+  getTokenExpiry,
+  toExpiryTimestamp
+};